@@ -0,0 +1,73 @@
+const express = require('express');
+const { AIUsage } = require('../models');
+const aiUsageService = require('../services/aiUsageService');
+
+const router = express.Router();
+
+// GET /api/v1/ai-usage - Get today's AI token usage and remaining budget
+router.get('/', async (req, res) => {
+  try {
+    const usage = await aiUsageService.getDailyUsage(req.user.id);
+    const budgets = aiUsageService.getBudgets();
+
+    res.json({
+      usage,
+      budgets,
+      remaining: budgets.total > 0
+        ? Math.max(0, budgets.total - usage.total.totalTokens)
+        : null
+    });
+
+  } catch (error) {
+    console.error('Get AI usage error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/ai-usage/history - Get daily AI token usage for the last N days
+router.get('/history', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+
+    const since = new Date();
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    const records = await AIUsage.find({
+      userId: req.user.id,
+      date: { $gte: since.toISOString().slice(0, 10) }
+    })
+      .sort({ date: -1 })
+      .lean();
+
+    const byDate = {};
+    records.forEach(record => {
+      const day = byDate[record.date] || (byDate[record.date] = {
+        date: record.date,
+        calls: 0,
+        totalTokens: 0,
+        estimatedCost: 0,
+        operations: {}
+      });
+
+      const tokens = record.promptTokens + record.completionTokens;
+      day.calls += record.calls;
+      day.totalTokens += tokens;
+      day.estimatedCost += record.estimatedCost;
+      day.operations[record.operation] = tokens;
+    });
+
+    res.json({
+      days,
+      history: Object.values(byDate).map(day => ({
+        ...day,
+        estimatedCost: aiUsageService.roundCost(day.estimatedCost)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get AI usage history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
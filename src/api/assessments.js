@@ -0,0 +1,427 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { AssessmentQuestion, AssessmentAttempt, Skill } = require('../models');
+const { requireMentorOrAdmin } = require('../middlewares/roleAuth');
+const assessmentService = require('../services/assessmentService');
+
+const router = express.Router();
+
+const QUESTION_TYPES = ['MULTIPLE_CHOICE', 'MULTI_SELECT', 'SHORT_ANSWER'];
+const DIFFICULTIES = ['EASY', 'MEDIUM', 'HARD'];
+const ATTEMPT_STATUSES = ['IN_PROGRESS', 'SUBMITTED', 'EXPIRED'];
+
+// GET /api/v1/assessments - List skills that can be assessed with the user's best result
+router.get('/', async (req, res) => {
+  try {
+    const skills = await assessmentService.getAvailableSkills();
+
+    const results = await AssessmentAttempt.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(req.user.id)), status: 'SUBMITTED' } },
+      {
+        $group: {
+          _id: '$skillId',
+          bestScore: { $max: '$score' },
+          passed: { $max: '$passed' },
+          attempts: { $sum: 1 },
+          lastAttemptAt: { $max: '$submittedAt' }
+        }
+      }
+    ]);
+    const resultBySkill = new Map(results.map(result => [String(result._id), result]));
+
+    res.json({
+      assessments: skills.map(skill => {
+        const result = resultBySkill.get(String(skill.skillId));
+        return {
+          ...skill,
+          questionsPerAttempt: Math.min(skill.questionCount, assessmentService.config.questionCount),
+          bestScore: result ? result.bestScore : null,
+          passed: result ? result.passed : false,
+          attempts: result ? result.attempts : 0,
+          lastAttemptAt: result ? result.lastAttemptAt : null
+        };
+      }),
+      passingScore: assessmentService.config.passingScore
+    });
+
+  } catch (error) {
+    console.error('Get assessments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/assessments/attempts - Get the user's attempt history
+router.get('/attempts', async (req, res) => {
+  try {
+    const { skillId, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (skillId !== undefined && !mongoose.isValidObjectId(skillId)) {
+      return res.status(400).json({ error: 'Invalid skill ID' });
+    }
+    if (status !== undefined && !ATTEMPT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ATTEMPT_STATUSES.join(', ')}` });
+    }
+
+    await assessmentService.expireOverdue(req.user.id);
+
+    const filter = { userId: req.user.id };
+    if (skillId) filter.skillId = skillId;
+    if (status) filter.status = status;
+
+    const [attempts, total] = await Promise.all([
+      AssessmentAttempt.find(filter)
+        .select('-questions')
+        .populate('skillId', 'name')
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      AssessmentAttempt.countDocuments(filter)
+    ]);
+
+    res.json({
+      attempts: attempts.map(attempt => ({
+        id: attempt._id,
+        skill: attempt.skillId ? { id: attempt.skillId._id, name: attempt.skillId.name } : null,
+        status: attempt.status,
+        score: attempt.score ?? null,
+        passed: attempt.passed ?? null,
+        startedAt: attempt.startedAt,
+        submittedAt: attempt.submittedAt || null
+      })),
+      pagination: { limit, offset, total }
+    });
+
+  } catch (error) {
+    console.error('Get assessment attempts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/assessments/attempts/:id - Get an attempt; answers are revealed once it is submitted
+router.get('/attempts/:id', async (req, res) => {
+  try {
+    const attempt = await findAttempt(req, res);
+    if (!attempt) return;
+
+    if (attempt.status === 'IN_PROGRESS' && assessmentService.isOverdue(attempt)) {
+      await assessmentService.expireAttempt(attempt);
+    }
+
+    res.json({ attempt: formatAttempt(attempt) });
+
+  } catch (error) {
+    console.error('Get assessment attempt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/assessments/attempts/:id/submit - Submit answers for grading
+router.post('/attempts/:id/submit', async (req, res) => {
+  try {
+    const { answers } = req.body || {};
+
+    if (!Array.isArray(answers) || answers.some(entry => !entry || !mongoose.isValidObjectId(entry.questionId))) {
+      return res.status(400).json({ error: 'answers must be an array of { questionId, answer }' });
+    }
+
+    const attempt = await findAttempt(req, res);
+    if (!attempt) return;
+
+    if (attempt.status !== 'IN_PROGRESS') {
+      return res.status(400).json({ error: `Attempt is already ${attempt.status.toLowerCase()}` });
+    }
+
+    if (assessmentService.isOverdue(attempt)) {
+      await assessmentService.expireAttempt(attempt);
+      return res.status(400).json({ error: 'Time limit exceeded; the attempt has expired' });
+    }
+
+    const claimed = await assessmentService.claimAttempt(attempt._id);
+    if (!claimed) {
+      return res.status(409).json({ error: 'Attempt was already submitted' });
+    }
+
+    await assessmentService.submitAttempt(claimed, answers);
+
+    res.json({
+      message: claimed.passed ? 'Assessment passed' : 'Assessment not passed',
+      attempt: formatAttempt(claimed)
+    });
+
+  } catch (error) {
+    console.error('Submit assessment attempt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/v1/assessments/questions/:id - Update a bank question (mentor/admin)
+router.patch('/questions/:id', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid question ID' });
+    }
+
+    const question = await AssessmentQuestion.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const updates = req.body || {};
+    const merged = { ...question.toObject(), ...updates };
+    const validationError = validateQuestion(merged);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (updates.isActive !== undefined && typeof updates.isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be a boolean' });
+    }
+
+    ['type', 'prompt', 'options', 'correctOptions', 'acceptedAnswers', 'explanation', 'difficulty', 'points', 'isActive']
+      .filter(field => updates[field] !== undefined)
+      .forEach(field => { question[field] = updates[field]; });
+
+    if (question.type === 'SHORT_ANSWER') {
+      question.options = [];
+      question.correctOptions = [];
+    } else {
+      question.acceptedAnswers = [];
+    }
+
+    await question.save();
+
+    res.json({ message: 'Question updated', question: formatQuestion(question.toObject()) });
+
+  } catch (error) {
+    console.error('Update assessment question error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/assessments/:skillId/attempts - Start a timed attempt
+router.post('/:skillId/attempts', async (req, res) => {
+  try {
+    const skill = await findSkill(req, res);
+    if (!skill) return;
+
+    const active = await assessmentService.getActiveAttempt(req.user.id, skill._id);
+    if (active) {
+      return res.status(400).json({ error: 'An attempt for this skill is already in progress', attemptId: active._id });
+    }
+
+    const available = await assessmentService.countActiveQuestions(skill._id);
+    if (available < assessmentService.config.minQuestions) {
+      return res.status(400).json({ error: 'No assessment is available for this skill yet' });
+    }
+
+    const recent = await assessmentService.countRecentAttempts(req.user.id, skill._id);
+    if (recent >= assessmentService.config.maxAttemptsPerDay) {
+      return res.status(400).json({
+        error: `Attempt limit reached: ${assessmentService.config.maxAttemptsPerDay} per skill every 24 hours`
+      });
+    }
+
+    const attempt = await assessmentService.startAttempt(req.user.id, skill._id);
+
+    res.status(201).json({
+      message: 'Assessment started',
+      attempt: formatAttempt(attempt)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An attempt for this skill is already in progress' });
+    }
+    console.error('Start assessment attempt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/assessments/:skillId/questions - List a skill's question bank with answers (mentor/admin)
+router.get('/:skillId/questions', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const skill = await findSkill(req, res);
+    if (!skill) return;
+
+    const filter = { skillId: skill._id };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const questions = await AssessmentQuestion.find(filter).sort({ createdAt: 1 }).lean();
+
+    res.json({
+      skill: { id: skill._id, name: skill.name },
+      questions: questions.map(formatQuestion)
+    });
+
+  } catch (error) {
+    console.error('Get assessment questions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/assessments/:skillId/questions - Add a question to a skill's bank (mentor/admin)
+router.post('/:skillId/questions', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const skill = await findSkill(req, res);
+    if (!skill) return;
+
+    const {
+      type,
+      prompt,
+      options = [],
+      correctOptions = [],
+      acceptedAnswers = [],
+      explanation,
+      difficulty = 'MEDIUM',
+      points = 1
+    } = req.body || {};
+
+    const validationError = validateQuestion({ type, prompt, options, correctOptions, acceptedAnswers, explanation, difficulty, points });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const isChoice = type !== 'SHORT_ANSWER';
+    const question = await AssessmentQuestion.create({
+      skillId: skill._id,
+      type,
+      prompt: prompt.trim(),
+      options: isChoice ? options : [],
+      correctOptions: isChoice ? correctOptions : [],
+      acceptedAnswers: isChoice ? [] : acceptedAnswers,
+      explanation,
+      difficulty,
+      points,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({ message: 'Question added', question: formatQuestion(question.toObject()) });
+
+  } catch (error) {
+    console.error('Add assessment question error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+async function findSkill(req, res) {
+  if (!mongoose.isValidObjectId(req.params.skillId)) {
+    res.status(400).json({ error: 'Invalid skill ID' });
+    return null;
+  }
+
+  const skill = await Skill.findById(req.params.skillId).select('name').lean();
+  if (!skill) {
+    res.status(404).json({ error: 'Skill not found' });
+    return null;
+  }
+  return skill;
+}
+
+async function findAttempt(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid attempt ID' });
+    return null;
+  }
+
+  const attempt = await AssessmentAttempt.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!attempt) {
+    res.status(404).json({ error: 'Attempt not found' });
+    return null;
+  }
+  return attempt;
+}
+
+// Returns an error message, or null when the question is valid
+function validateQuestion({ type, prompt, options, correctOptions, acceptedAnswers, explanation, difficulty, points }) {
+  if (!QUESTION_TYPES.includes(type)) {
+    return `type must be one of: ${QUESTION_TYPES.join(', ')}`;
+  }
+  if (typeof prompt !== 'string' || prompt.trim().length < 5 || prompt.length > 2000) {
+    return 'prompt must be between 5 and 2000 characters';
+  }
+  if (!DIFFICULTIES.includes(difficulty)) {
+    return `difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+  }
+  if (!Number.isInteger(points) || points < 1 || points > 10) {
+    return 'points must be an integer between 1 and 10';
+  }
+  if (explanation !== undefined && explanation !== null && typeof explanation !== 'string') {
+    return 'explanation must be a string';
+  }
+
+  if (type === 'SHORT_ANSWER') {
+    if (!Array.isArray(acceptedAnswers) || acceptedAnswers.length === 0 ||
+        acceptedAnswers.some(answer => typeof answer !== 'string' || !answer.trim())) {
+      return 'acceptedAnswers must be a non-empty array of strings';
+    }
+    return null;
+  }
+
+  if (!Array.isArray(options) || options.length < 2 || options.length > 8 ||
+      options.some(option => typeof option !== 'string' || !option.trim())) {
+    return 'options must be an array of 2 to 8 non-empty strings';
+  }
+  if (!Array.isArray(correctOptions) || correctOptions.length === 0 ||
+      correctOptions.some(index => !Number.isInteger(index) || index < 0 || index >= options.length) ||
+      new Set(correctOptions).size !== correctOptions.length) {
+    return 'correctOptions must be a non-empty array of distinct option indexes';
+  }
+  if (type === 'MULTIPLE_CHOICE' && correctOptions.length !== 1) {
+    return 'MULTIPLE_CHOICE questions have exactly one correct option';
+  }
+  return null;
+}
+
+function formatQuestion(question) {
+  return {
+    id: question._id,
+    skillId: question.skillId,
+    type: question.type,
+    prompt: question.prompt,
+    options: question.options,
+    correctOptions: question.correctOptions,
+    acceptedAnswers: question.acceptedAnswers,
+    explanation: question.explanation || null,
+    difficulty: question.difficulty,
+    points: question.points,
+    isActive: question.isActive,
+    createdAt: question.createdAt
+  };
+}
+
+function formatAttempt(attempt) {
+  const submitted = attempt.status === 'SUBMITTED';
+
+  return {
+    id: attempt._id,
+    skillId: attempt.skillId,
+    status: attempt.status,
+    timeLimitSeconds: attempt.timeLimitSeconds,
+    startedAt: attempt.startedAt,
+    expiresAt: attempt.expiresAt,
+    submittedAt: attempt.submittedAt || null,
+    passingScore: attempt.passingScore,
+    score: submitted ? attempt.score : null,
+    passed: submitted ? attempt.passed : attempt.status === 'EXPIRED' ? false : null,
+    questions: attempt.questions.map(question => ({
+      questionId: question.questionId,
+      type: question.type,
+      prompt: question.prompt,
+      options: question.options,
+      points: question.points,
+      ...(submitted && {
+        answer: question.answer ?? null,
+        correct: question.correct,
+        pointsEarned: question.pointsEarned,
+        correctAnswer: question.correctAnswer,
+        explanation: question.explanation || null
+      })
+    }))
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const mentorSessionService = require('../services/mentorSessionService');
+
+const router = express.Router();
+
+// GET /api/v1/calendar-feeds/:token.ics - Subscribed iCalendar feed of a user's sessions (no login; the token is the credential)
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await mentorSessionService.findFeedUser(req.params.token);
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const sessions = await mentorSessionService.getFeedSessions(user._id);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(mentorSessionService.buildCalendar(sessions));
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
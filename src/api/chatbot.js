@@ -1,6 +1,11 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const ChatbotService = require('../services/chatbotService');
+const { Conversation, Message } = require('../models');
+const roadmapService = require('../services/roadmapService');
+const llmProviderRegistry = require('../services/llmProviderRegistry');
 const auth = require('../middlewares/auth');
+const aiBudget = require('../middlewares/aiBudget');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
@@ -22,15 +27,21 @@ const chatLimit = rateLimit({
   legacyHeaders: false,
 });
 
-// In-memory storage for conversations (in production, use database)
-const conversations = new Map();
+// Conversation storage and retention settings
+const CONVERSATION_CONFIG = {
+  maxConversationsPerUser: parseInt(process.env.CHATBOT_MAX_CONVERSATIONS_PER_USER || '50'),
+  maxMessagesPerConversation: parseInt(process.env.CHATBOT_MAX_MESSAGES_PER_CONVERSATION || '500'),
+  historyWindow: 20, // messages sent to the model as context
+  analysisWindow: 100, // messages used for analysis and roadmaps
+  titleLength: 60
+};
 
 /**
  * @route POST /api/v1/chatbot/message
  * @desc Send a message to the chatbot
  * @access Private
  */
-router.post('/message', auth, chatLimit, async (req, res) => {
+router.post('/message', auth, chatLimit, aiBudget('chat'), async (req, res) => {
   try {
     if (!chatbotService) {
       return res.status(503).json({ 
@@ -44,23 +55,22 @@ router.post('/message', auth, chatLimit, async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
+    if (conversationId && !mongoose.isValidObjectId(conversationId)) {
+      return res.status(400).json({ error: 'Invalid conversation ID' });
+    }
+
     // Get or create conversation
-    const convId = conversationId || `conv_${req.user.id}_${Date.now()}`;
-    let conversation = conversations.get(convId) || {
-      id: convId,
-      userId: req.user.id,
-      messages: [],
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    let conversation;
+    if (conversationId) {
+      conversation = await Conversation.findOne({ _id: conversationId, userId: req.user.id });
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    } else {
+      conversation = await createConversation(req.user.id, message);
+    }
 
-    // Add user message to history
-    const userMessage = {
-      role: 'user',
-      content: message,
-      timestamp: new Date()
-    };
-    conversation.messages.push(userMessage);
+    const history = await getConversationHistory(conversation._id, CONVERSATION_CONFIG.historyWindow);
 
     // Get user profile for context
     const userProfile = {
@@ -72,36 +82,37 @@ router.post('/message', auth, chatLimit, async (req, res) => {
 
     // Process message with chatbot
     const response = await chatbotService.processMessage(
-      message, 
-      conversation.messages.slice(0, -1), // Exclude the current message
+      message,
+      history,
       userProfile
     );
 
     if (response.success) {
-      // Add bot response to history
-      const botMessage = {
-        role: 'assistant',
-        content: response.message,
-        timestamp: response.timestamp
-      };
-      conversation.messages.push(botMessage);
-      conversation.updatedAt = new Date();
-
-      // Update conversation in storage
-      conversations.set(convId, conversation);
+      // Persist both sides of the exchange
+      const [, botMessage] = await appendMessages(conversation, [
+        { role: 'user', content: message },
+        {
+          role: 'assistant',
+          content: response.message,
+          source: response.source,
+          metadata: response.metadata || {}
+        }
+      ]);
 
       // Get conversation suggestions
       const suggestions = await chatbotService.getConversationSuggestions(
-        conversation.messages,
+        [...history, { role: 'user', content: message }, { role: 'assistant', content: response.message }],
         userProfile
       );
 
       res.json({
         success: true,
-        conversationId: convId,
+        conversationId: conversation._id,
+        title: conversation.title,
+        messageId: botMessage._id,
         message: response.message,
         suggestions: suggestions.suggestions || [],
-        messageCount: conversation.messages.length,
+        messageCount: conversation.messageCount,
         timestamp: response.timestamp,
         metadata: {
           source: response.source || 'gemini',
@@ -110,6 +121,11 @@ router.post('/message', auth, chatLimit, async (req, res) => {
         }
       });
     } else {
+      // Don't keep an empty conversation around when the first message failed
+      if (!conversationId) {
+        await deleteConversations([conversation._id]);
+      }
+
       res.status(500).json({
         error: 'Failed to process message',
         fallbackMessage: response.message
@@ -124,6 +140,158 @@ router.post('/message', auth, chatLimit, async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/v1/chatbot/message/stream
+ * @desc Send a message and stream the reply as Server-Sent Events
+ * @access Private
+ *
+ * Events: `start` (conversation info), `token` (text chunk), `message` (whole reply
+ * when the provider could not stream), `done` (stored message id and suggestions), `error`.
+ */
+router.post('/message/stream', auth, chatLimit, aiBudget('chat'), async (req, res) => {
+  if (!chatbotService) {
+    return res.status(503).json({ 
+      error: 'Chatbot service unavailable. Please check API configuration.' 
+    });
+  }
+
+  const { message, conversationId } = req.body;
+
+  if (!message || message.trim().length === 0) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  if (conversationId && !mongoose.isValidObjectId(conversationId)) {
+    return res.status(400).json({ error: 'Invalid conversation ID' });
+  }
+
+  // The request stream closes as soon as the body is parsed; only the response
+  // closing before we end it means the client went away
+  let clientClosed = false;
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      abortController.abort();
+    }
+  });
+
+  const sendEvent = (event, data) => {
+    if (!clientClosed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    let conversation;
+    if (conversationId) {
+      conversation = await Conversation.findOne({ _id: conversationId, userId: req.user.id });
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    } else {
+      conversation = await createConversation(req.user.id, message);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    sendEvent('start', {
+      conversationId: conversation._id,
+      title: conversation.title
+    });
+
+    const history = await getConversationHistory(conversation._id, CONVERSATION_CONFIG.historyWindow);
+
+    const userProfile = {
+      name: req.user.name,
+      email: req.user.email,
+      currentRole: req.user.currentRole,
+      experience: req.user.experience
+    };
+
+    const response = await chatbotService.streamMessage(
+      message,
+      history,
+      userProfile,
+      text => sendEvent('token', { text }),
+      { signal: abortController.signal }
+    );
+
+    if (!response.streamed) {
+      sendEvent('message', { message: response.message });
+    }
+
+    // A reply that failed before any text was streamed is not stored, same as /message;
+    // neither is one the client abandoned before the first token arrived
+    if ((!response.success && !response.streamed) || (clientClosed && !response.message)) {
+      if (!conversationId) {
+        await deleteConversations([conversation._id]);
+      }
+
+      sendEvent('error', {
+        error: 'Failed to process message',
+        fallbackMessage: response.message
+      });
+      return res.end();
+    }
+
+    const [, botMessage] = await appendMessages(conversation, [
+      { role: 'user', content: message },
+      {
+        role: 'assistant',
+        content: response.message,
+        source: response.source,
+        metadata: response.metadata || {}
+      }
+    ]);
+
+    // Suggestions cost another AI call, which nobody is left to receive
+    if (clientClosed) {
+      return res.end();
+    }
+
+    const suggestions = await chatbotService.getConversationSuggestions(
+      [...history, { role: 'user', content: message }, { role: 'assistant', content: response.message }],
+      userProfile
+    );
+
+    sendEvent('done', {
+      success: response.success,
+      conversationId: conversation._id,
+      title: conversation.title,
+      messageId: botMessage._id,
+      suggestions: suggestions.suggestions || [],
+      messageCount: conversation.messageCount,
+      timestamp: response.timestamp,
+      metadata: {
+        source: response.source || 'gemini',
+        streamed: response.streamed,
+        fallbackUsed: response.metadata?.fallbackUsed || false,
+        ...response.metadata
+      }
+    });
+    res.end();
+  } catch (error) {
+    console.error('Chat stream error:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    sendEvent('error', {
+      error: 'Internal server error',
+      fallbackMessage: "I'm having trouble right now. Can you tell me about your career goals?"
+    });
+    res.end();
+  }
+});
+
 /**
  * @route GET /api/v1/chatbot/conversation/:conversationId
  * @desc Get conversation history
@@ -131,26 +299,34 @@ router.post('/message', auth, chatLimit, async (req, res) => {
  */
 router.get('/conversation/:conversationId', auth, async (req, res) => {
   try {
-    const { conversationId } = req.params;
-    const conversation = conversations.get(conversationId);
+    const conversation = await findUserConversation(req, res);
+    if (!conversation) return;
 
-    if (!conversation) {
-      return res.status(404).json({ error: 'Conversation not found' });
-    }
+    // Messages are paged from the newest end; offset counts back from the latest message
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
 
-    // Verify user owns this conversation
-    if (conversation.userId !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const messages = await Message.find({ conversationId: conversation._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
 
     res.json({
       success: true,
       conversation: {
-        id: conversation.id,
-        messages: conversation.messages,
-        messageCount: conversation.messages.length,
+        id: conversation._id,
+        title: conversation.title,
+        messages: messages.reverse().map(formatMessage),
+        messageCount: conversation.messageCount,
         createdAt: conversation.createdAt,
         updatedAt: conversation.updatedAt
+      },
+      pagination: {
+        limit,
+        offset,
+        total: conversation.messageCount,
+        hasMore: offset + messages.length < conversation.messageCount
       }
     });
   } catch (error) {
@@ -166,21 +342,39 @@ router.get('/conversation/:conversationId', auth, async (req, res) => {
  */
 router.get('/conversations', auth, async (req, res) => {
   try {
-    const userConversations = Array.from(conversations.values())
-      .filter(conv => conv.userId === req.user.id)
-      .map(conv => ({
-        id: conv.id,
-        messageCount: conv.messages.length,
-        lastMessage: conv.messages[conv.messages.length - 1]?.content.substring(0, 100) + '...',
-        createdAt: conv.createdAt,
-        updatedAt: conv.updatedAt
-      }))
-      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const [userConversations, total] = await Promise.all([
+      Conversation.find({ userId: req.user.id })
+        .sort({ lastMessageAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      Conversation.countDocuments({ userId: req.user.id })
+    ]);
 
     res.json({
       success: true,
-      conversations: userConversations,
-      total: userConversations.length
+      conversations: userConversations.map(conv => ({
+        id: conv._id,
+        title: conv.title,
+        messageCount: conv.messageCount,
+        lastMessage: conv.lastMessagePreview,
+        lastMessageAt: conv.lastMessageAt,
+        createdAt: conv.createdAt,
+        updatedAt: conv.updatedAt
+      })),
+      total: total,
+      pagination: {
+        limit,
+        offset,
+        hasMore: offset + userConversations.length < total
+      },
+      retention: {
+        maxConversations: CONVERSATION_CONFIG.maxConversationsPerUser,
+        maxMessagesPerConversation: CONVERSATION_CONFIG.maxMessagesPerConversation
+      }
     });
   } catch (error) {
     console.error('Get conversations error:', error);
@@ -193,22 +387,17 @@ router.get('/conversations', auth, async (req, res) => {
  * @desc Analyze conversation and extract career insights
  * @access Private
  */
-router.post('/analyze/:conversationId', auth, async (req, res) => {
+router.post('/analyze/:conversationId', auth, aiBudget('chat'), async (req, res) => {
   try {
     if (!chatbotService) {
       return res.status(503).json({ error: 'Chatbot service unavailable' });
     }
 
     const { conversationId } = req.params;
-    const conversation = conversations.get(conversationId);
+    const conversation = await findUserConversation(req, res);
+    if (!conversation) return;
 
-    if (!conversation) {
-      return res.status(404).json({ error: 'Conversation not found' });
-    }
-
-    if (conversation.userId !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const messages = await getConversationHistory(conversation._id, CONVERSATION_CONFIG.analysisWindow);
 
     const userProfile = {
       name: req.user.name,
@@ -219,7 +408,7 @@ router.post('/analyze/:conversationId', auth, async (req, res) => {
 
     // Analyze conversation
     const analysis = await chatbotService.analyzeConversation(
-      conversation.messages,
+      messages,
       userProfile
     );
 
@@ -247,22 +436,17 @@ router.post('/analyze/:conversationId', auth, async (req, res) => {
  * @desc Generate skill roadmap based on conversation
  * @access Private
  */
-router.post('/roadmap/:conversationId', auth, async (req, res) => {
+router.post('/roadmap/:conversationId', auth, aiBudget('chat'), async (req, res) => {
   try {
     if (!chatbotService) {
       return res.status(503).json({ error: 'Chatbot service unavailable' });
     }
 
     const { conversationId } = req.params;
-    const conversation = conversations.get(conversationId);
-
-    if (!conversation) {
-      return res.status(404).json({ error: 'Conversation not found' });
-    }
+    const conversation = await findUserConversation(req, res);
+    if (!conversation) return;
 
-    if (conversation.userId !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const messages = await getConversationHistory(conversation._id, CONVERSATION_CONFIG.analysisWindow);
 
     const userProfile = {
       name: req.user.name,
@@ -273,7 +457,7 @@ router.post('/roadmap/:conversationId', auth, async (req, res) => {
 
     // First analyze the conversation
     const analysis = await chatbotService.analyzeConversation(
-      conversation.messages,
+      messages,
       userProfile
     );
 
@@ -290,9 +474,17 @@ router.post('/roadmap/:conversationId', auth, async (req, res) => {
     );
 
     if (roadmap.success) {
+      const saved = await roadmapService.saveRoadmapVersion(req.user.id, roadmap.roadmap, {
+        conversationId: conversation._id,
+        analysis: analysis.analysis,
+        promptVersion: roadmap.promptVersion
+      });
+
       res.json({
         success: true,
         conversationId,
+        roadmapId: saved._id,
+        version: saved.version,
         roadmap: roadmap.roadmap,
         analysis: analysis.analysis,
         timestamp: roadmap.timestamp
@@ -300,9 +492,17 @@ router.post('/roadmap/:conversationId', auth, async (req, res) => {
     } else {
       // Return mock roadmap if generation fails
       const mockRoadmap = chatbotService.generateMockRoadmap();
+      const saved = await roadmapService.saveRoadmapVersion(req.user.id, mockRoadmap.roadmap, {
+        conversationId: conversation._id,
+        analysis: analysis.analysis,
+        source: 'mock'
+      });
+
       res.json({
         success: true,
         conversationId,
+        roadmapId: saved._id,
+        version: saved.version,
         roadmap: mockRoadmap.roadmap,
         isMock: true,
         error: roadmap.error,
@@ -320,7 +520,7 @@ router.post('/roadmap/:conversationId', auth, async (req, res) => {
  * @desc Get conversation suggestions
  * @access Private
  */
-router.post('/suggestions', auth, async (req, res) => {
+router.post('/suggestions', auth, aiBudget('chat'), async (req, res) => {
   try {
     if (!chatbotService) {
       return res.status(503).json({ error: 'Chatbot service unavailable' });
@@ -367,18 +567,10 @@ router.post('/suggestions', auth, async (req, res) => {
  */
 router.delete('/conversation/:conversationId', auth, async (req, res) => {
   try {
-    const { conversationId } = req.params;
-    const conversation = conversations.get(conversationId);
-
-    if (!conversation) {
-      return res.status(404).json({ error: 'Conversation not found' });
-    }
+    const conversation = await findUserConversation(req, res);
+    if (!conversation) return;
 
-    if (conversation.userId !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    conversations.delete(conversationId);
+    await deleteConversations([conversation._id]);
 
     res.json({
       success: true,
@@ -390,6 +582,39 @@ router.delete('/conversation/:conversationId', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route PATCH /api/v1/chatbot/conversation/:conversationId
+ * @desc Rename a conversation
+ * @access Private
+ */
+router.patch('/conversation/:conversationId', auth, async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    if (typeof title !== 'string' || title.trim().length === 0 || title.length > 120) {
+      return res.status(400).json({ error: 'Title must be 1-120 characters long' });
+    }
+
+    const conversation = await findUserConversation(req, res);
+    if (!conversation) return;
+
+    conversation.title = title.trim();
+    await conversation.save();
+
+    res.json({
+      success: true,
+      conversation: {
+        id: conversation._id,
+        title: conversation.title,
+        updatedAt: conversation.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Rename conversation error:', error);
+    res.status(500).json({ error: 'Failed to rename conversation' });
+  }
+});
+
 /**
  * @route GET /api/v1/chatbot/health
  * @desc Check chatbot service health
@@ -402,8 +627,9 @@ router.get('/health', async (req, res) => {
       service: 'chatbot',
       timestamp: new Date(),
       geminiConfigured: !!process.env.GEMINI_API_KEY,
+      providers: llmProviderRegistry.getStatus(),
       serviceInitialized: !!chatbotService,
-      activeConversations: conversations.size
+      databaseConnected: mongoose.connection.readyState === 1
     };
 
     res.json(health);
@@ -416,4 +642,118 @@ router.get('/health', async (req, res) => {
   }
 });
 
+// === CONVERSATION STORAGE HELPERS ===
+
+async function findUserConversation(req, res) {
+  const { conversationId } = req.params;
+
+  if (!mongoose.isValidObjectId(conversationId)) {
+    res.status(400).json({ error: 'Invalid conversation ID' });
+    return null;
+  }
+
+  const conversation = await Conversation.findOne({ _id: conversationId, userId: req.user.id });
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+
+  return conversation;
+}
+
+async function createConversation(userId, firstMessage) {
+  const conversation = await Conversation.create({
+    userId,
+    title: buildConversationTitle(firstMessage)
+  });
+
+  await enforceConversationLimit(userId);
+  return conversation;
+}
+
+function buildConversationTitle(message) {
+  const text = String(message).replace(/\s+/g, ' ').trim();
+  return text.length > CONVERSATION_CONFIG.titleLength
+    ? `${text.substring(0, CONVERSATION_CONFIG.titleLength - 3)}...`
+    : text;
+}
+
+/**
+ * Get the most recent messages of a conversation in chronological order
+ */
+async function getConversationHistory(conversationId, limit) {
+  const messages = await Message.find({ conversationId })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .select('role content createdAt')
+    .lean();
+
+  return messages.reverse().map(msg => ({
+    role: msg.role,
+    content: msg.content,
+    timestamp: msg.createdAt
+  }));
+}
+
+async function appendMessages(conversation, messages) {
+  const stored = await Message.insertMany(messages.map(msg => ({
+    conversationId: conversation._id,
+    userId: conversation.userId,
+    ...msg
+  })));
+
+  const last = stored[stored.length - 1];
+  conversation.messageCount += stored.length;
+  conversation.lastMessageAt = last.createdAt;
+  conversation.lastMessagePreview = last.content.substring(0, 100);
+  await conversation.save();
+
+  await enforceMessageLimit(conversation);
+  return stored;
+}
+
+// Keep only the newest N conversations per user
+async function enforceConversationLimit(userId) {
+  const stale = await Conversation.find({ userId })
+    .sort({ lastMessageAt: -1 })
+    .skip(CONVERSATION_CONFIG.maxConversationsPerUser)
+    .select('_id')
+    .lean();
+
+  if (stale.length > 0) {
+    await deleteConversations(stale.map(conv => conv._id));
+  }
+}
+
+// Trim the oldest messages once a conversation grows past its limit
+async function enforceMessageLimit(conversation) {
+  const overflow = conversation.messageCount - CONVERSATION_CONFIG.maxMessagesPerConversation;
+  if (overflow <= 0) return;
+
+  const oldest = await Message.find({ conversationId: conversation._id })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(overflow)
+    .select('_id')
+    .lean();
+
+  await Message.deleteMany({ _id: { $in: oldest.map(msg => msg._id) } });
+  conversation.messageCount -= oldest.length;
+  await conversation.save();
+}
+
+async function deleteConversations(conversationIds) {
+  await Message.deleteMany({ conversationId: { $in: conversationIds } });
+  await Conversation.deleteMany({ _id: { $in: conversationIds } });
+}
+
+function formatMessage(msg) {
+  return {
+    id: msg._id,
+    role: msg.role,
+    content: msg.content,
+    source: msg.source,
+    timestamp: msg.createdAt
+  };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,27 @@
 const express = require('express');
+const constellationService = require('../services/constellationService');
+const CAREER_PATHS = require('../config/careerPaths');
+
 const router = express.Router();
 
+const FOCUS_AREAS = [...new Set(CAREER_PATHS.map(path => path.category))];
+
+// GET /api/v1/constellation - Get the user's career constellation graph
 router.get('/', async (req, res) => {
-  res.status(501).json({ 
-    message: 'Constellation functionality temporarily disabled during MongoDB migration',
-    error: 'Feature under development'
-  });
+  try {
+    const { focusArea } = req.query;
+
+    if (focusArea && !FOCUS_AREAS.includes(focusArea)) {
+      return res.status(400).json({ error: `focusArea must be one of: ${FOCUS_AREAS.join(', ')}` });
+    }
+
+    const graph = await constellationService.buildGraph(req.user.id, { focusArea });
+
+    res.json(graph);
+  } catch (error) {
+    console.error('Get constellation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
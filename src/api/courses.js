@@ -0,0 +1,959 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Course, Lesson, Category, Notification, Progress } = require('../models');
+const { requireAdmin, requireMentorOrAdmin } = require('../middlewares/roleAuth');
+const courseService = require('../services/courseService');
+const reviewService = require('../services/reviewService');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+
+const router = express.Router();
+
+const COURSE_LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+const COURSE_STATUSES = ['DRAFT', 'REVIEW', 'PUBLISHED', 'ARCHIVED'];
+const COURSE_LIST_FIELDS = ['objectives', 'prerequisites', 'targetAudience'];
+const LESSON_URL_FIELDS = ['videoUrl', 'audioUrl', 'documentUrl'];
+const LESSON_MIXED_FIELDS = ['slides', 'quiz', 'assignments', 'resources'];
+
+// GET /api/v1/courses - Browse the published course catalog
+router.get('/', async (req, res) => {
+  try {
+    const { categoryId, level, search } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (categoryId !== undefined && !mongoose.isValidObjectId(categoryId)) {
+      return res.status(400).json({ error: 'Invalid category ID' });
+    }
+    if (level !== undefined && !COURSE_LEVELS.includes(level)) {
+      return res.status(400).json({ error: `level must be one of: ${COURSE_LEVELS.join(', ')}` });
+    }
+
+    const filter = { isPublished: true, status: { $ne: 'ARCHIVED' } };
+    if (categoryId) filter.categoryId = categoryId;
+    if (level) filter.level = level;
+    if (search) filter.title = { $regex: escapeRegex(String(search).substring(0, 100)), $options: 'i' };
+
+    const [courses, total] = await Promise.all([
+      Course.find(filter)
+        .populate('categoryId', 'name slug')
+        .sort({ publishedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      Course.countDocuments(filter)
+    ]);
+
+    res.json({
+      courses: courses.map(formatCourse),
+      pagination: { limit, offset, total }
+    });
+
+  } catch (error) {
+    console.error('Get courses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/courses/authored - List courses the user can edit (admins see every course)
+router.get('/authored', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (status !== undefined && !COURSE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${COURSE_STATUSES.join(', ')}` });
+    }
+
+    const filter = req.user.role === 'ADMIN' ? {} : { createdById: req.user.id };
+    if (status) filter.status = status;
+
+    const [courses, total] = await Promise.all([
+      Course.find(filter)
+        .populate('categoryId', 'name slug')
+        .sort(status === 'REVIEW' ? { submittedAt: 1 } : { updatedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      Course.countDocuments(filter)
+    ]);
+
+    res.json({
+      courses: courses.map(course => ({ ...formatCourse(course), ...formatReview(course) })),
+      pagination: { limit, offset, total }
+    });
+
+  } catch (error) {
+    console.error('Get authored courses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/courses/enrolled - List the user's enrolled courses with progress
+router.get('/enrolled', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (status !== undefined && !['not_started', 'in_progress', 'completed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of: not_started, in_progress, completed' });
+    }
+
+    const filter = { userId: req.user.id, type: 'course' };
+    if (status) filter.status = status;
+
+    const [enrollments, total] = await Promise.all([
+      Progress.find(filter)
+        .sort({ lastAccessedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      Progress.countDocuments(filter)
+    ]);
+
+    const courses = await Course.find({ _id: { $in: enrollments.map(enrollment => enrollment.referenceId) } })
+      .populate('categoryId', 'name slug')
+      .lean();
+    const courseById = new Map(courses.map(course => [String(course._id), course]));
+
+    res.json({
+      courses: enrollments
+        .filter(enrollment => courseById.has(String(enrollment.referenceId)))
+        .map(enrollment => ({
+          ...formatCourse(courseById.get(String(enrollment.referenceId))),
+          enrollment: formatEnrollment(enrollment)
+        })),
+      pagination: { limit, offset, total }
+    });
+
+  } catch (error) {
+    console.error('Get enrolled courses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/courses/:id - Get a course by ID or slug with its lesson outline and the user's progress
+router.get('/:id', async (req, res) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    const editable = courseService.canEdit(course, req.user);
+    const [lessons, enrollment] = await Promise.all([
+      courseService.getOutline(course._id, { publishedOnly: !editable }),
+      courseService.getEnrollment(req.user.id, course._id)
+    ]);
+
+    const lessonProgress = enrollment
+      ? await Progress.find({ userId: req.user.id, type: 'lesson', referenceId: { $in: lessons.map(lesson => lesson._id) } })
+        .select('referenceId status score')
+        .lean()
+      : [];
+    const progressByLesson = new Map(lessonProgress.map(entry => [String(entry.referenceId), entry]));
+
+    res.json({
+      course: {
+        ...formatCourse(course),
+        ...(editable && formatReview(course)),
+        enrollment: enrollment ? formatEnrollment(enrollment) : null,
+        chapters: courseService.groupChapters(lessons.map(lesson => {
+          const progress = progressByLesson.get(String(lesson._id));
+          return {
+            ...formatLesson(lesson, { editable }),
+            status: progress ? progress.status : 'not_started'
+          };
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/courses/:id/enroll - Enroll in a published course
+router.post('/:id/enroll', async (req, res) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    if (!course.isPublished || course.status === 'ARCHIVED') {
+      return res.status(400).json({ error: 'Only published courses can be enrolled in' });
+    }
+
+    const { progress, created } = await courseService.enroll(req.user.id, course._id);
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Enrolled in course' : 'Already enrolled in course',
+      enrollment: formatEnrollment(progress.toObject())
+    });
+
+  } catch (error) {
+    console.error('Enroll in course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/v1/courses/:id/enroll - Leave a course, discarding its lesson progress
+router.delete('/:id/enroll', async (req, res) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    const removed = await courseService.unenroll(req.user.id, course._id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Not enrolled in this course' });
+    }
+
+    res.json({ message: 'Left course' });
+
+  } catch (error) {
+    console.error('Leave course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/courses - Create a draft course
+router.post('/', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const fields = pickCourseFields(req.body || {});
+
+    const validationError = await validateCourse(fields, { partial: false });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await resolveSkills(fields);
+
+    const course = await Course.create({
+      ...fields,
+      slug: await courseService.uniqueCourseSlug(fields.title),
+      createdById: req.user.id,
+      status: 'DRAFT',
+      isPublished: false
+    });
+
+    res.status(201).json({
+      message: 'Course created',
+      course: { ...formatCourse(course.toObject()), ...formatReview(course), chapters: [] }
+    });
+
+  } catch (error) {
+    console.error('Create course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/v1/courses/:id - Update a course's details; on a published course the edits wait for review
+router.patch('/:id', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const fields = pickCourseFields(req.body || {});
+    const validationError = await validateCourse(fields, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await resolveSkills(fields);
+
+    // Learners keep seeing the approved details until an admin approves the edits
+    if (course.status === 'PUBLISHED') {
+      course.pendingChanges = { ...(course.pendingChanges || {}), ...fields };
+      await course.save();
+
+      return res.json({
+        message: 'Changes saved; submit the course for review to publish them',
+        course: { ...formatCourse(course.toObject()), ...formatReview(course) }
+      });
+    }
+
+    // The slug follows the title until the course is first published, then stays put so links keep working
+    if (fields.title !== undefined && !course.publishedAt && fields.title !== course.title) {
+      course.slug = await courseService.uniqueCourseSlug(fields.title, course._id);
+    }
+
+    Object.assign(course, fields);
+    await course.save();
+
+    res.json({
+      message: 'Course updated',
+      course: { ...formatCourse(course.toObject()), ...formatReview(course) }
+    });
+
+  } catch (error) {
+    console.error('Update course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/v1/courses/:id - Delete a course that has never been published
+router.delete('/:id', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { edit: true });
+    if (!course) return;
+
+    if (course.publishedAt) {
+      return res.status(400).json({ error: 'Published courses cannot be deleted; archive them instead' });
+    }
+
+    await Promise.all([
+      Lesson.deleteMany({ courseId: course._id }),
+      Course.deleteOne({ _id: course._id })
+    ]);
+
+    res.json({ message: 'Course deleted' });
+
+  } catch (error) {
+    console.error('Delete course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/courses/:id/submit - Submit a draft, or new lessons and edits on a published course, for review
+router.post('/:id/submit', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const [lessonCount, unpublishedCount, editedCount] = await Promise.all([
+      Lesson.countDocuments({ courseId: course._id }),
+      Lesson.countDocuments({ courseId: course._id, isPublished: false }),
+      Lesson.countDocuments({ courseId: course._id, pendingChanges: { $exists: true } })
+    ]);
+
+    if (lessonCount === 0) {
+      return res.status(400).json({ error: 'Add at least one lesson before submitting for review' });
+    }
+    if (course.status === 'PUBLISHED' && unpublishedCount === 0 && editedCount === 0 && !course.pendingChanges) {
+      return res.status(400).json({ error: 'There are no unpublished lessons or pending changes to review' });
+    }
+
+    // A published course stays visible, as last approved, while its changes are reviewed
+    course.status = 'REVIEW';
+    course.submittedAt = new Date();
+    await course.save();
+
+    res.json({
+      message: 'Course submitted for review',
+      course: { ...formatCourse(course.toObject()), ...formatReview(course) }
+    });
+
+  } catch (error) {
+    console.error('Submit course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/courses/:id/approve - Approve a course under review and publish it with its lessons (admin)
+router.post('/:id/approve', requireAdmin(), async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { edit: true });
+    if (!course) return;
+
+    const { notes } = req.body || {};
+
+    if (course.status !== 'REVIEW') {
+      return res.status(400).json({ error: 'Only courses under review can be approved' });
+    }
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > 2000)) {
+      return res.status(400).json({ error: 'notes must be a string of at most 2000 characters' });
+    }
+
+    const now = new Date();
+    const [lessonsPublished, lessonsUpdated] = await Promise.all([
+      Lesson.updateMany(
+        { courseId: course._id, isPublished: false },
+        { $set: { isPublished: true, updatedAt: now }, $unset: { pendingChanges: '' } }
+      ),
+      courseService.applyPendingLessonChanges(course._id)
+    ]);
+
+    if (course.pendingChanges) {
+      Object.assign(course, course.pendingChanges);
+      course.pendingChanges = undefined;
+    }
+    course.status = 'PUBLISHED';
+    course.isPublished = true;
+    course.publishedAt = course.publishedAt || now;
+    recordReview(course, req.user.id, notes || null, now);
+    await course.save();
+
+    // Learners who had finished the course now have new lessons ahead of them
+    if (lessonsPublished.modifiedCount > 0 && course.enrollmentCount > 0) {
+      await courseService.rollupEnrollments(course._id);
+    }
+
+    await notifyAuthor(course, 'Course approved', `"${course.title}" has been approved and is now published.`);
+
+    res.json({
+      message: 'Course approved and published',
+      course: { ...formatCourse(course.toObject()), ...formatReview(course) },
+      lessonsPublished: lessonsPublished.modifiedCount,
+      lessonsUpdated
+    });
+
+  } catch (error) {
+    console.error('Approve course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/courses/:id/reject - Send a course under review back to its author (admin)
+router.post('/:id/reject', requireAdmin(), async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { edit: true });
+    if (!course) return;
+
+    const { reason } = req.body || {};
+
+    if (course.status !== 'REVIEW') {
+      return res.status(400).json({ error: 'Only courses under review can be rejected' });
+    }
+    if (typeof reason !== 'string' || reason.trim().length < 5 || reason.length > 2000) {
+      return res.status(400).json({ error: 'reason must be between 5 and 2000 characters' });
+    }
+
+    // A course that was already live goes back to its published state; its new lessons and pending edits wait for a resubmit
+    course.status = course.publishedAt ? 'PUBLISHED' : 'DRAFT';
+    recordReview(course, req.user.id, reason.trim(), new Date());
+    await course.save();
+
+    await notifyAuthor(course, 'Course changes requested', `"${course.title}" was not approved: ${reason.trim()}`);
+
+    res.json({
+      message: 'Course returned to author',
+      course: { ...formatCourse(course.toObject()), ...formatReview(course) }
+    });
+
+  } catch (error) {
+    console.error('Reject course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/courses/:id/archive - Remove a course from the catalog
+router.post('/:id/archive', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { edit: true });
+    if (!course) return;
+
+    if (course.status === 'ARCHIVED') {
+      return res.status(400).json({ error: 'Course is already archived' });
+    }
+
+    course.status = 'ARCHIVED';
+    course.isPublished = false;
+    await course.save();
+
+    res.json({
+      message: 'Course archived',
+      course: { ...formatCourse(course.toObject()), ...formatReview(course) }
+    });
+
+  } catch (error) {
+    console.error('Archive course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/courses/:id/restore - Return an archived course to draft so it can be resubmitted
+router.post('/:id/restore', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { edit: true });
+    if (!course) return;
+
+    if (course.status !== 'ARCHIVED') {
+      return res.status(400).json({ error: 'Only archived courses can be restored' });
+    }
+
+    course.status = 'DRAFT';
+    await course.save();
+
+    res.json({
+      message: 'Course restored to draft',
+      course: { ...formatCourse(course.toObject()), ...formatReview(course) }
+    });
+
+  } catch (error) {
+    console.error('Restore course error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/v1/courses/:id/lessons/order - Reorder lessons and chapters.
+// The new order applies straight away, published course or not; only content edits wait for review.
+router.put('/:id/lessons/order', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const { chapters } = req.body || {};
+
+    if (!Array.isArray(chapters) || chapters.length === 0 ||
+        chapters.some(lessonIds => !Array.isArray(lessonIds) || lessonIds.length === 0)) {
+      return res.status(400).json({ error: 'chapters must be a non-empty array of non-empty lesson ID arrays' });
+    }
+
+    const orderedIds = chapters.flat().map(String);
+    const lessons = await Lesson.find({ courseId: course._id }).select('_id').lean();
+    const courseIds = new Set(lessons.map(lesson => String(lesson._id)));
+
+    if (new Set(orderedIds).size !== orderedIds.length ||
+        orderedIds.length !== courseIds.size ||
+        orderedIds.some(id => !courseIds.has(id))) {
+      return res.status(400).json({ error: 'chapters must list every lesson in the course exactly once' });
+    }
+
+    await courseService.applyOrder(chapters);
+    await touchCourse(course);
+
+    const outline = await courseService.getOutline(course._id);
+
+    res.json({
+      message: 'Lessons reordered',
+      chapters: courseService.groupChapters(outline.map(lesson => formatLesson(lesson, { editable: true })))
+    });
+
+  } catch (error) {
+    console.error('Reorder lessons error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/courses/:id/lessons/:lessonId - Get a lesson with its content for editing
+router.get('/:id/lessons/:lessonId', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { edit: true });
+    if (!course) return;
+
+    const lesson = await findLesson(req, res, course);
+    if (!lesson) return;
+
+    res.json({ lesson: formatLesson(lesson.toObject(), { editable: true, content: true }) });
+
+  } catch (error) {
+    console.error('Get course lesson error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/courses/:id/lessons - Add a lesson, appended to its chapter unless lessonNumber is given
+router.post('/:id/lessons', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const fields = pickLessonFields(req.body || {});
+    const lastChapter = await courseService.lastChapterNumber(course._id);
+    if (fields.chapterNumber === undefined) fields.chapterNumber = Math.max(lastChapter, 1);
+
+    const validationError = validateLesson(fields, { partial: false, lastChapter });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await resolveSkills(fields);
+
+    const nextNumber = await courseService.nextLessonNumber(course._id, fields.chapterNumber);
+    const lesson = await Lesson.create({
+      ...fields,
+      courseId: course._id,
+      createdById: req.user.id,
+      slug: await courseService.uniqueLessonSlug(course._id, fields.title),
+      lessonNumber: nextNumber,
+      sortOrder: Number.MAX_SAFE_INTEGER,
+      isPublished: false
+    });
+
+    await courseService.moveLesson(course._id, lesson._id, fields.chapterNumber, fields.lessonNumber);
+    await touchCourse(course);
+
+    res.status(201).json({
+      message: 'Lesson added',
+      lesson: formatLesson((await Lesson.findById(lesson._id).lean()), { editable: true, content: true })
+    });
+
+  } catch (error) {
+    console.error('Add lesson error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/v1/courses/:id/lessons/:lessonId - Update a lesson; chapterNumber/lessonNumber move it.
+// Edits to a published lesson wait for review. Moves are not held: like reorders, they change
+// the outline learners see straight away.
+router.patch('/:id/lessons/:lessonId', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const lesson = await findLesson(req, res, course);
+    if (!lesson) return;
+
+    const fields = pickLessonFields(req.body || {});
+    const lastChapter = await courseService.lastChapterNumber(course._id);
+
+    const validationError = validateLesson(fields, { partial: true, lastChapter });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await resolveSkills(fields);
+
+    const { chapterNumber, lessonNumber, ...updates } = fields;
+    const moving = (chapterNumber !== undefined && chapterNumber !== lesson.chapterNumber) ||
+      (lessonNumber !== undefined && lessonNumber !== lesson.lessonNumber);
+
+    if (lesson.isPublished) {
+      if (Object.keys(updates).length > 0) {
+        lesson.pendingChanges = { ...(lesson.pendingChanges || {}), ...updates };
+      }
+    } else {
+      if (updates.title !== undefined && updates.title !== lesson.title) {
+        lesson.slug = await courseService.uniqueLessonSlug(course._id, updates.title, lesson._id);
+      }
+      Object.assign(lesson, updates);
+    }
+
+    await lesson.save();
+    if (moving) {
+      await courseService.moveLesson(course._id, lesson._id, chapterNumber ?? lesson.chapterNumber, lessonNumber);
+    }
+    await touchCourse(course);
+
+    res.json({
+      message: 'Lesson updated',
+      lesson: formatLesson((await Lesson.findById(lesson._id).lean()), { editable: true, content: true })
+    });
+
+  } catch (error) {
+    console.error('Update lesson error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/v1/courses/:id/lessons/:lessonId - Delete an unpublished lesson
+router.delete('/:id/lessons/:lessonId', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const course = await findEditableCourse(req, res);
+    if (!course) return;
+
+    const lesson = await findLesson(req, res, course);
+    if (!lesson) return;
+
+    if (lesson.isPublished) {
+      return res.status(400).json({ error: 'Published lessons cannot be deleted' });
+    }
+
+    await Lesson.deleteOne({ _id: lesson._id });
+    await courseService.renumberLessons(course._id);
+    await touchCourse(course);
+
+    res.json({ message: 'Lesson deleted' });
+
+  } catch (error) {
+    console.error('Delete lesson error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+// Looks a course up by ID or slug; unpublished courses are only found by their editors
+async function findCourse(req, res, { edit = false } = {}) {
+  const key = String(req.params.id);
+  const filter = /^[a-f0-9]{24}$/i.test(key) ? { _id: key } : { slug: key.toLowerCase() };
+
+  const course = await Course.findOne(filter).populate('categoryId', 'name slug');
+  if (!course || !courseService.canView(course, req.user)) {
+    res.status(404).json({ error: 'Course not found' });
+    return null;
+  }
+  if (edit && !courseService.canEdit(course, req.user)) {
+    res.status(403).json({ error: 'Only the course author or an admin can change this course' });
+    return null;
+  }
+  return course;
+}
+
+// A course whose content can be changed right now
+async function findEditableCourse(req, res) {
+  const course = await findCourse(req, res, { edit: true });
+  if (!course) return null;
+
+  if (course.status === 'REVIEW') {
+    res.status(400).json({ error: 'Course is under review and cannot be changed until it is approved or rejected' });
+    return null;
+  }
+  if (course.status === 'ARCHIVED') {
+    res.status(400).json({ error: 'Archived courses cannot be changed; restore the course first' });
+    return null;
+  }
+  return course;
+}
+
+async function findLesson(req, res, course) {
+  if (!mongoose.isValidObjectId(req.params.lessonId)) {
+    res.status(400).json({ error: 'Invalid lesson ID' });
+    return null;
+  }
+
+  const lesson = await Lesson.findOne({ _id: req.params.lessonId, courseId: course._id });
+  if (!lesson) {
+    res.status(404).json({ error: 'Lesson not found' });
+    return null;
+  }
+  return lesson;
+}
+
+async function touchCourse(course) {
+  await Course.updateOne({ _id: course._id }, { $set: { updatedAt: new Date() } });
+}
+
+function recordReview(course, reviewerId, notes, reviewedAt) {
+  course.reviewedById = reviewerId;
+  course.reviewedAt = reviewedAt;
+  course.reviewNotes = notes;
+}
+
+async function notifyAuthor(course, title, message) {
+  await Notification.create({
+    userId: course.createdById,
+    type: 'COURSE',
+    title,
+    message,
+    channels: ['IN_APP']
+  });
+}
+
+function pickCourseFields(body) {
+  const fields = {};
+  ['title', 'description', 'shortDescription', 'thumbnail', 'categoryId', 'level', 'difficulty',
+    'estimatedHours', 'isPremium', 'price', 'skills', ...COURSE_LIST_FIELDS]
+    .filter(field => body[field] !== undefined)
+    .forEach(field => { fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field]; });
+  return fields;
+}
+
+// Returns an error message, or null when the fields are valid
+async function validateCourse(fields, { partial }) {
+  if (!partial || fields.title !== undefined) {
+    if (typeof fields.title !== 'string' || fields.title.length < 3 || fields.title.length > 200) {
+      return 'title must be between 3 and 200 characters';
+    }
+  }
+  if (!partial || fields.description !== undefined) {
+    if (typeof fields.description !== 'string' || fields.description.length < 10 || fields.description.length > 10000) {
+      return 'description must be between 10 and 10000 characters';
+    }
+  }
+  if (fields.shortDescription !== undefined && (typeof fields.shortDescription !== 'string' || fields.shortDescription.length > 300)) {
+    return 'shortDescription must be a string of at most 300 characters';
+  }
+  if (fields.thumbnail !== undefined && !isUrl(fields.thumbnail)) {
+    return 'thumbnail must be an http(s) URL';
+  }
+  for (const field of COURSE_LIST_FIELDS) {
+    if (fields[field] !== undefined && (!Array.isArray(fields[field]) || fields[field].length > 20 ||
+        fields[field].some(item => typeof item !== 'string' || !item.trim() || item.length > 300))) {
+      return `${field} must be an array of at most 20 strings`;
+    }
+  }
+  if (fields.level !== undefined && !COURSE_LEVELS.includes(fields.level)) {
+    return `level must be one of: ${COURSE_LEVELS.join(', ')}`;
+  }
+  if (fields.difficulty !== undefined && (!Number.isInteger(fields.difficulty) || fields.difficulty < 1 || fields.difficulty > 10)) {
+    return 'difficulty must be an integer between 1 and 10';
+  }
+  if (fields.estimatedHours !== undefined && !(typeof fields.estimatedHours === 'number' && fields.estimatedHours > 0 && fields.estimatedHours <= 1000)) {
+    return 'estimatedHours must be a number between 0 and 1000';
+  }
+  if (fields.isPremium !== undefined && typeof fields.isPremium !== 'boolean') {
+    return 'isPremium must be a boolean';
+  }
+  if (fields.price !== undefined && !(typeof fields.price === 'number' && fields.price >= 0)) {
+    return 'price must be a non-negative number';
+  }
+  if (fields.skills !== undefined && !isSkillList(fields.skills)) {
+    return 'skills must be an array of at most 20 skill names';
+  }
+
+  if (!partial || fields.categoryId !== undefined) {
+    if (!mongoose.isValidObjectId(fields.categoryId)) {
+      return 'categoryId must be a valid category ID';
+    }
+    if (!(await Category.exists({ _id: fields.categoryId, isActive: true }))) {
+      return 'Category not found';
+    }
+  }
+  return null;
+}
+
+function pickLessonFields(body) {
+  const fields = {};
+  ['title', 'description', 'content', 'chapterNumber', 'lessonNumber', 'duration', 'isPreview', 'skills',
+    ...LESSON_URL_FIELDS, ...LESSON_MIXED_FIELDS]
+    .filter(field => body[field] !== undefined)
+    .forEach(field => { fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field]; });
+  return fields;
+}
+
+// Returns an error message, or null when the fields are valid. New chapters go at the end.
+function validateLesson(fields, { partial, lastChapter }) {
+  if (!partial || fields.title !== undefined) {
+    if (typeof fields.title !== 'string' || fields.title.length < 3 || fields.title.length > 200) {
+      return 'title must be between 3 and 200 characters';
+    }
+  }
+  if (!partial || fields.content !== undefined) {
+    if (typeof fields.content !== 'string' || !fields.content) {
+      return 'content is required';
+    }
+  }
+  if (fields.description !== undefined && (typeof fields.description !== 'string' || fields.description.length > 2000)) {
+    return 'description must be a string of at most 2000 characters';
+  }
+  if (fields.chapterNumber !== undefined &&
+      (!Number.isInteger(fields.chapterNumber) || fields.chapterNumber < 1 || fields.chapterNumber > lastChapter + 1)) {
+    return `chapterNumber must be an integer between 1 and ${lastChapter + 1}`;
+  }
+  if (fields.lessonNumber !== undefined && (!Number.isInteger(fields.lessonNumber) || fields.lessonNumber < 1)) {
+    return 'lessonNumber must be a positive integer';
+  }
+  if (fields.duration !== undefined && !(Number.isInteger(fields.duration) && fields.duration > 0 && fields.duration <= 600)) {
+    return 'duration must be a whole number of minutes between 1 and 600';
+  }
+  if (fields.isPreview !== undefined && typeof fields.isPreview !== 'boolean') {
+    return 'isPreview must be a boolean';
+  }
+  if (fields.skills !== undefined && !isSkillList(fields.skills)) {
+    return 'skills must be an array of at most 20 skill names';
+  }
+  if (fields.quiz !== undefined && fields.quiz !== null && !isQuiz(fields.quiz)) {
+    return 'quiz must be { questions: [{ question, options, answer }] } with answer the index of the correct option';
+  }
+  for (const field of LESSON_URL_FIELDS) {
+    if (fields[field] !== undefined && fields[field] !== null && !isUrl(fields[field])) {
+      return `${field} must be an http(s) URL`;
+    }
+  }
+  return null;
+}
+
+// Quizzes are graded on the server, so every question needs its correct option
+function isQuiz(value) {
+  return !!value && typeof value === 'object' && Array.isArray(value.questions) &&
+    value.questions.length > 0 && value.questions.length <= 100 &&
+    value.questions.every(question => question && typeof question.question === 'string' && question.question.trim() &&
+      Array.isArray(question.options) && question.options.length >= 2 && question.options.length <= 10 &&
+      question.options.every(option => typeof option === 'string' && option.trim()) &&
+      courseService.isGradable(question));
+}
+
+function isSkillList(value) {
+  return Array.isArray(value) && value.length <= 20 &&
+    value.every(name => typeof name === 'string' && skillTaxonomyService.toKey(name) && name.length <= 100);
+}
+
+// Replace free-text skill names with their Skill IDs
+async function resolveSkills(fields) {
+  if (fields.skills === undefined) return;
+  const skills = await skillTaxonomyService.upsertSkills(fields.skills);
+  fields.skillIds = skills.map(skill => skill._id);
+  delete fields.skills;
+}
+
+function isUrl(value) {
+  return typeof value === 'string' && /^https?:\/\/\S+$/i.test(value) && value.length <= 500;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function formatCourse(course) {
+  return {
+    id: course._id,
+    title: course.title,
+    slug: course.slug,
+    description: course.description,
+    shortDescription: course.shortDescription || null,
+    thumbnail: course.thumbnail || null,
+    objectives: course.objectives || [],
+    prerequisites: course.prerequisites || [],
+    targetAudience: course.targetAudience || [],
+    category: course.categoryId && course.categoryId.name
+      ? { id: course.categoryId._id, name: course.categoryId.name, slug: course.categoryId.slug }
+      : { id: course.categoryId },
+    createdById: course.createdById,
+    level: course.level,
+    difficulty: course.difficulty,
+    estimatedHours: course.estimatedHours ?? null,
+    skillIds: course.skillIds || [],
+    isPremium: course.isPremium,
+    price: course.price ?? null,
+    isPublished: course.isPublished,
+    publishedAt: course.publishedAt || null,
+    enrollmentCount: course.enrollmentCount,
+    completionRate: course.completionRate,
+    averageRating: reviewService.roundRating(course.averageRating),
+    totalReviews: course.totalReviews,
+    updatedAt: course.updatedAt
+  };
+}
+
+function formatEnrollment(progress) {
+  const metadata = progress.metadata instanceof Map ? Object.fromEntries(progress.metadata) : progress.metadata || {};
+
+  return {
+    status: progress.status,
+    progress: progress.progress,
+    lessonsCompleted: metadata.lessonsCompleted || 0,
+    totalLessons: metadata.totalLessons ?? null,
+    timeSpent: progress.timeSpent,
+    score: progress.score ?? null,
+    enrolledAt: metadata.enrolledAt || progress.createdAt,
+    completedAt: progress.completedAt || null,
+    lastAccessedAt: progress.lastAccessedAt
+  };
+}
+
+// Workflow fields, shown to the course's editors
+function formatReview(course) {
+  return {
+    status: course.status,
+    submittedAt: course.submittedAt || null,
+    reviewedAt: course.reviewedAt || null,
+    reviewNotes: course.reviewNotes || null,
+    pendingChanges: course.pendingChanges || null
+  };
+}
+
+function formatLesson(lesson, { editable = false, content = false } = {}) {
+  return {
+    id: lesson._id,
+    title: lesson.title,
+    slug: lesson.slug,
+    description: lesson.description || null,
+    chapterNumber: lesson.chapterNumber,
+    lessonNumber: lesson.lessonNumber,
+    sortOrder: lesson.sortOrder,
+    duration: lesson.duration ?? null,
+    skillIds: lesson.skillIds || [],
+    isPreview: lesson.isPreview,
+    ...(editable && { isPublished: lesson.isPublished, hasPendingChanges: !!lesson.pendingChanges, updatedAt: lesson.updatedAt }),
+    ...(content && {
+      content: lesson.content,
+      videoUrl: lesson.videoUrl || null,
+      audioUrl: lesson.audioUrl || null,
+      documentUrl: lesson.documentUrl || null,
+      slides: lesson.slides ?? null,
+      quiz: lesson.quiz ?? null,
+      assignments: lesson.assignments ?? null,
+      resources: lesson.resources ?? null,
+      ...(editable && { pendingChanges: lesson.pendingChanges || null })
+    })
+  };
+}
+
+module.exports = router;
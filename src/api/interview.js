@@ -1,7 +1,12 @@
 const express = require('express');
-const { User, InterviewSession, Interview, Recommendation, UserProfile, Skill, UserSkill, Progress } = require('../models');
+const mongoose = require('mongoose');
+const { User, InterviewSession, Interview, UserProfile, Progress } = require('../models');
 const aiService = require('../services/aiService');
 const i18nService = require('../services/i18nService');
+const recommendationService = require('../services/recommendationService');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const userSkillService = require('../services/userSkillService');
+const { abandonIdleInterviews } = require('../workers/interviewSweepWorker');
 
 const router = express.Router();
 
@@ -12,34 +17,186 @@ const INTERVIEW_CONFIG = {
   categories: ['background', 'skills', 'interests', 'goals', 'constraints'],
   stepNames: {
     1: 'Background & Education',
-    2: 'Technical Skills & Experience', 
+    2: 'Technical Skills & Experience',
     3: 'Interests & Passions',
     4: 'Career Goals & Aspirations',
     5: 'Constraints & Preferences'
   }
 };
 
+// Map session status onto the Progress model status
+const PROGRESS_STATUS_MAP = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  ABANDONED: 'paused'
+};
+
 // POST /api/v1/interview/start - Start new interview
 router.post('/start', async (req, res) => {
   try {
-    // TODO: Implement interview functionality after login/signup is working
-    res.status(501).json({ 
-      message: 'Interview functionality temporarily disabled during MongoDB migration',
-      error: 'Feature under development'
+    const { language = 'en' } = req.body;
+
+    // Expire this user's idle sessions so they don't block a fresh start
+    await abandonIdleInterviews({ userId: req.user.id });
+
+    // Only one active interview session per user
+    const activeInterview = await InterviewSession.findOne({
+      userId: req.user.id,
+      status: 'IN_PROGRESS'
+    });
+
+    if (activeInterview) {
+      return res.status(409).json({
+        error: 'You already have an active interview session. Resume, complete or abandon it first.',
+        interviewId: activeInterview._id,
+        canResume: true
+      });
+    }
+
+    const interview = new InterviewSession({
+      userId: req.user.id,
+      title: 'Career Discovery Interview',
+      jobRole: 'General Career Assessment',
+      difficulty: 'MEDIUM',
+      interviewType: 'BEHAVIORAL',
+      duration: 30, // 30 minutes
+      currentStep: 1,
+      totalSteps: INTERVIEW_CONFIG.totalSteps,
+      language: language,
+      progress: {
+        answeredQuestions: 0,
+        totalQuestions: INTERVIEW_CONFIG.totalSteps * INTERVIEW_CONFIG.questionsPerStep,
+        currentCategory: INTERVIEW_CONFIG.categories[0],
+        completionPercentage: 0
+      }
+    });
+
+    // Generate first set of questions
+    const firstQuestions = await generateQuestionsForStep(1, {}, req.user.id, language);
+    addStepQuestions(interview, 1, firstQuestions);
+    await interview.save();
+
+    // Create initial progress record
+    await Progress.findOneAndUpdate(
+      { userId: req.user.id, type: 'interview', referenceId: interview._id },
+      {
+        progress: 0,
+        status: 'in_progress',
+        lastAccessedAt: new Date(),
+        metadata: new Map([
+          ['step', 1],
+          ['totalSteps', INTERVIEW_CONFIG.totalSteps],
+          ['language', language],
+          ['sessionType', 'career_discovery']
+        ])
+      },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json({
+      message: 'Interview session started successfully',
+      interview: formatInterview(interview)
     });
+
   } catch (error) {
     console.error('Start interview error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// POST /api/v1/interview/respond - Submit interview response  
+// POST /api/v1/interview/respond - Submit interview response
 router.post('/respond', async (req, res) => {
   try {
-    res.status(501).json({ 
-      message: 'Interview functionality temporarily disabled during MongoDB migration',
-      error: 'Feature under development'
+    const { interviewId, answer } = req.body;
+
+    if (!interviewId || typeof answer !== 'string' || answer.trim().length === 0) {
+      return res.status(400).json({
+        error: 'interviewId and a non-empty answer are required'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(interviewId)) {
+      return res.status(400).json({ error: 'Invalid interview ID' });
+    }
+
+    const interview = await InterviewSession.findOne({
+      _id: interviewId,
+      userId: req.user.id,
+      status: 'IN_PROGRESS'
+    });
+
+    if (!interview) {
+      return res.status(404).json({ error: 'Active interview session not found' });
+    }
+
+    const step = interview.currentStep;
+    const questionIndex = interview.currentQuestion?.questionIndex || 0;
+    const question = getStepQuestions(interview, step)[questionIndex];
+
+    if (!question) {
+      return res.status(409).json({ error: 'No pending question for this interview' });
+    }
+
+    // Record the answer on the question and in the per-step response log
+    question.answer = answer.trim();
+    question.answeredAt = new Date();
+
+    const stepKey = `step_${step}`;
+    const stepResponses = interview.responses.get(stepKey) || {
+      stepName: INTERVIEW_CONFIG.stepNames[step],
+      answers: []
+    };
+    interview.responses.set(stepKey, {
+      ...stepResponses,
+      answers: [
+        ...stepResponses.answers,
+        { question: question.question, answer: question.answer, answeredAt: question.answeredAt.toISOString() }
+      ]
     });
+
+    interview.progress.answeredQuestions += 1;
+    updateCompletion(interview);
+
+    let stepAnalysis = null;
+    let recommendations = null;
+    const isStepComplete = questionIndex + 1 >= getStepQuestions(interview, step).length;
+
+    if (!isStepComplete) {
+      setCurrentQuestion(interview, step, questionIndex + 1);
+    } else {
+      // Step boundary: analyze this step, then move on or finish
+      const answers = interview.responses.get(stepKey).answers.map(a => a.answer);
+      stepAnalysis = await analyzeStepResponses(step, answers, getPlainResponses(interview));
+      interview.responses.set(`analysis_${step}`, stepAnalysis);
+
+      if (step < INTERVIEW_CONFIG.totalSteps) {
+        const nextStep = step + 1;
+        const nextQuestions = await generateQuestionsForStep(
+          nextStep,
+          getPlainResponses(interview),
+          req.user.id,
+          interview.language
+        );
+        interview.currentStep = nextStep;
+        addStepQuestions(interview, nextStep, nextQuestions);
+      } else {
+        recommendations = await finalizeInterview(interview, req.user.id);
+      }
+    }
+
+    await interview.save();
+
+    if (interview.status === 'IN_PROGRESS') {
+      await updateInterviewProgress(interview, req.user.id);
+    }
+
+    res.json({
+      message: interview.status === 'COMPLETED' ? 'Interview completed successfully' : 'Response recorded successfully',
+      interview: formatInterview(interview),
+      analysis: stepAnalysis,
+      recommendations: recommendations
+    });
+
   } catch (error) {
     console.error('Interview respond error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -49,23 +206,214 @@ router.post('/respond', async (req, res) => {
 // GET /api/v1/interview/next - Get next question
 router.get('/next', async (req, res) => {
   try {
-    res.status(501).json({ 
-      message: 'Interview functionality temporarily disabled during MongoDB migration',
-      error: 'Feature under development'
-    });
+    const { interviewId } = req.query;
+
+    if (interviewId && !mongoose.isValidObjectId(interviewId)) {
+      return res.status(400).json({ error: 'Invalid interview ID' });
+    }
+
+    await abandonIdleInterviews({ userId: req.user.id });
+    const interview = await findActiveInterview(req.user.id, interviewId);
+
+    if (!interview) {
+      return res.status(404).json({ error: 'Active interview session not found' });
+    }
+
+    res.json({ interview: formatInterview(interview) });
+
   } catch (error) {
     console.error('Interview next error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// POST /api/v1/interview/resume - Resume the most recent active interview
+router.post('/resume', async (req, res) => {
+  try {
+    const { interviewId } = req.body;
+
+    if (interviewId && !mongoose.isValidObjectId(interviewId)) {
+      return res.status(400).json({ error: 'Invalid interview ID' });
+    }
+
+    await abandonIdleInterviews({ userId: req.user.id });
+    const interview = await findActiveInterview(req.user.id, interviewId);
+
+    if (!interview) {
+      return res.status(404).json({
+        error: 'No interview session to resume. It may have expired due to inactivity.'
+      });
+    }
+
+    // Saving refreshes lastActivityAt so the sweep doesn't pick it up mid-resume
+    await interview.save();
+    await updateInterviewProgress(interview, req.user.id);
+
+    const stepResponses = interview.responses.get(`step_${interview.currentStep}`);
+
+    res.json({
+      message: 'Interview resumed successfully',
+      interview: formatInterview(interview),
+      stepAnswers: stepResponses ? stepResponses.answers : []
+    });
+
+  } catch (error) {
+    console.error('Interview resume error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/interview/:interviewId/abandon - Abandon an active interview
+router.post('/:interviewId/abandon', async (req, res) => {
+  try {
+    const { interviewId } = req.params;
+
+    if (!mongoose.isValidObjectId(interviewId)) {
+      return res.status(400).json({ error: 'Invalid interview ID' });
+    }
+
+    const interview = await InterviewSession.findOne({
+      _id: interviewId,
+      userId: req.user.id,
+      status: 'IN_PROGRESS'
+    });
+
+    if (!interview) {
+      return res.status(404).json({ error: 'Active interview session not found' });
+    }
+
+    interview.status = 'ABANDONED';
+    await interview.save();
+    await updateInterviewProgress(interview, req.user.id);
+
+    res.json({
+      message: 'Interview abandoned successfully',
+      interview: formatInterview(interview)
+    });
+
+  } catch (error) {
+    console.error('Interview abandon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/interview/:interviewId/restart - Restart an interview from step N
+router.post('/:interviewId/restart', async (req, res) => {
+  try {
+    const { interviewId } = req.params;
+    const step = parseInt(req.body.step || 1);
+
+    if (!mongoose.isValidObjectId(interviewId)) {
+      return res.status(400).json({ error: 'Invalid interview ID' });
+    }
+
+    if (isNaN(step) || step < 1 || step > INTERVIEW_CONFIG.totalSteps) {
+      return res.status(400).json({
+        error: `step must be between 1 and ${INTERVIEW_CONFIG.totalSteps}`
+      });
+    }
+
+    const interview = await InterviewSession.findOne({
+      _id: interviewId,
+      userId: req.user.id,
+      status: { $in: ['IN_PROGRESS', 'ABANDONED'] }
+    });
+
+    if (!interview) {
+      return res.status(404).json({ error: 'Interview not found or already completed' });
+    }
+
+    if (step > interview.currentStep) {
+      return res.status(400).json({
+        error: `Cannot restart from step ${step}; the interview has only reached step ${interview.currentStep}`
+      });
+    }
+
+    // Reviving an abandoned session must not create a second active one
+    if (interview.status === 'ABANDONED') {
+      const otherActive = await InterviewSession.exists({
+        userId: req.user.id,
+        status: 'IN_PROGRESS',
+        _id: { $ne: interview._id }
+      });
+      if (otherActive) {
+        return res.status(409).json({
+          error: 'You already have another active interview session. Complete or abandon it first.'
+        });
+      }
+    }
+
+    resetInterviewFromStep(interview, step);
+    const questions = await generateQuestionsForStep(
+      step,
+      getPlainResponses(interview),
+      req.user.id,
+      interview.language
+    );
+    addStepQuestions(interview, step, questions);
+    interview.status = 'IN_PROGRESS';
+
+    await interview.save();
+    await updateInterviewProgress(interview, req.user.id);
+
+    res.json({
+      message: `Interview restarted from step ${step}`,
+      interview: formatInterview(interview)
+    });
+
+  } catch (error) {
+    console.error('Interview restart error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // POST /api/v1/interview/complete - Complete interview
 router.post('/complete', async (req, res) => {
   try {
-    res.status(501).json({ 
-      message: 'Interview functionality temporarily disabled during MongoDB migration',
-      error: 'Feature under development'
+    const { interviewId } = req.body;
+
+    if (!interviewId) {
+      return res.status(400).json({ error: 'interviewId is required' });
+    }
+
+    if (!mongoose.isValidObjectId(interviewId)) {
+      return res.status(400).json({ error: 'Invalid interview ID' });
+    }
+
+    const interview = await InterviewSession.findOne({
+      _id: interviewId,
+      userId: req.user.id,
+      status: 'IN_PROGRESS'
     });
+
+    if (!interview) {
+      return res.status(404).json({ error: 'Active interview session not found' });
+    }
+
+    if (interview.progress.answeredQuestions === 0) {
+      return res.status(400).json({ error: 'Answer at least one question before completing the interview' });
+    }
+
+    // Analyze a partially answered step before wrapping up
+    const step = interview.currentStep;
+    const stepResponses = interview.responses.get(`step_${step}`);
+    if (stepResponses && !interview.responses.has(`analysis_${step}`)) {
+      const answers = stepResponses.answers.map(a => a.answer);
+      interview.responses.set(
+        `analysis_${step}`,
+        await analyzeStepResponses(step, answers, getPlainResponses(interview))
+      );
+    }
+
+    const recommendations = await finalizeInterview(interview, req.user.id);
+    await interview.save();
+
+    res.json({
+      message: 'Interview completed successfully',
+      interview: formatInterview(interview),
+      recommendations: recommendations
+    });
+
   } catch (error) {
     console.error('Interview complete error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -75,10 +423,43 @@ router.post('/complete', async (req, res) => {
 // GET /api/v1/interview/history - Get user's interview history
 router.get('/history', async (req, res) => {
   try {
-    res.status(501).json({ 
-      message: 'Interview functionality temporarily disabled during MongoDB migration',
-      error: 'Feature under development'
+    const { status, limit = 10, offset = 0 } = req.query;
+
+    const filter = { userId: req.user.id };
+    if (status) {
+      filter.status = String(status).toUpperCase();
+    }
+
+    const [interviews, total] = await Promise.all([
+      InterviewSession.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit)),
+      InterviewSession.countDocuments(filter)
+    ]);
+
+    res.json({
+      interviews: interviews.map(interview => ({
+        id: interview._id,
+        title: interview.title,
+        status: interview.status,
+        currentStep: interview.currentStep,
+        totalSteps: interview.totalSteps,
+        stepName: interview.status === 'COMPLETED' ? 'Completed' : INTERVIEW_CONFIG.stepNames[interview.currentStep],
+        progress: interview.progress.completionPercentage,
+        totalScore: interview.results.totalScore,
+        language: interview.language,
+        startedAt: interview.startedAt,
+        completedAt: interview.completedAt,
+        lastActivityAt: interview.lastActivityAt
+      })),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total: total
+      }
     });
+
   } catch (error) {
     console.error('Interview history error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -88,35 +469,323 @@ router.get('/history', async (req, res) => {
 // DELETE /api/v1/interview/:interviewId - Delete interview
 router.delete('/:interviewId', async (req, res) => {
   try {
-    res.status(501).json({ 
-      message: 'Interview functionality temporarily disabled during MongoDB migration',
-      error: 'Feature under development'
+    const { interviewId } = req.params;
+
+    if (!mongoose.isValidObjectId(interviewId)) {
+      return res.status(400).json({ error: 'Invalid interview ID' });
+    }
+
+    const interview = await InterviewSession.findOne({
+      _id: interviewId,
+      userId: req.user.id
     });
+
+    if (!interview) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    if (interview.status === 'COMPLETED') {
+      return res.status(400).json({
+        error: 'Cannot delete completed interview. Contact support if needed.'
+      });
+    }
+
+    await Promise.all([
+      Progress.deleteMany({ userId: req.user.id, type: 'interview', referenceId: interview._id }),
+      InterviewSession.deleteOne({ _id: interview._id })
+    ]);
+
+    res.json({ message: 'Interview deleted successfully' });
+
   } catch (error) {
     console.error('Interview delete error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Placeholder functions for future implementation
-async function generateQuestionsForStep(step, responses, user) {
-  // TODO: Implement question generation
-  return [];
+// === SESSION HELPERS ===
+
+function findActiveInterview(userId, interviewId) {
+  const filter = { userId: userId, status: 'IN_PROGRESS' };
+  if (interviewId) filter._id = interviewId;
+  return InterviewSession.findOne(filter).sort({ lastActivityAt: -1 });
+}
+
+/**
+ * Drop questions, answers and analyses from the given step onwards
+ */
+function resetInterviewFromStep(interview, step) {
+  interview.questions = interview.questions.filter(q => q.step < step);
+
+  for (let s = step; s <= INTERVIEW_CONFIG.totalSteps; s++) {
+    interview.responses.delete(`step_${s}`);
+    interview.responses.delete(`analysis_${s}`);
+  }
+
+  interview.currentStep = step;
+  interview.progress.answeredQuestions = interview.questions.filter(q => q.answer).length;
+  updateCompletion(interview);
+}
+
+function updateCompletion(interview) {
+  interview.progress.completionPercentage = Math.round(
+    (interview.progress.answeredQuestions / interview.progress.totalQuestions) * 100
+  );
+}
+
+function getStepQuestions(interview, step) {
+  return interview.questions.filter(q => q.step === step);
+}
+
+function addStepQuestions(interview, step, questions) {
+  const category = INTERVIEW_CONFIG.categories[step - 1];
+  questions.forEach(question => {
+    interview.questions.push({ step, category, question });
+  });
+  setCurrentQuestion(interview, step, 0);
+}
+
+function setCurrentQuestion(interview, step, questionIndex) {
+  const question = getStepQuestions(interview, step)[questionIndex];
+  interview.currentQuestion = {
+    step: step,
+    category: INTERVIEW_CONFIG.categories[step - 1],
+    question: question ? question.question : null,
+    options: [],
+    questionIndex: questionIndex
+  };
+  interview.progress.currentCategory = INTERVIEW_CONFIG.categories[step - 1];
+}
+
+function getPlainResponses(interview) {
+  return Object.fromEntries(interview.responses || new Map());
+}
+
+function formatInterview(interview) {
+  const isComplete = interview.status === 'COMPLETED';
+  const step = interview.currentStep;
+
+  return {
+    id: interview._id,
+    title: interview.title,
+    status: interview.status,
+    language: interview.language,
+    currentStep: step,
+    totalSteps: interview.totalSteps,
+    stepName: isComplete ? 'Completed' : INTERVIEW_CONFIG.stepNames[step],
+    currentQuestion: interview.status === 'IN_PROGRESS' ? {
+      ...interview.currentQuestion.toObject(),
+      questionNumber: (interview.currentQuestion.questionIndex || 0) + 1,
+      questionsInStep: getStepQuestions(interview, step).length
+    } : null,
+    progress: interview.progress.toObject(),
+    results: isComplete ? {
+      totalScore: interview.results.totalScore,
+      categoryScores: Object.fromEntries(interview.results.categoryScores || new Map()),
+      recommendations: interview.results.recommendations,
+      analysis: interview.results.analysis
+    } : null,
+    startedAt: interview.startedAt,
+    completedAt: interview.completedAt,
+    lastActivityAt: interview.lastActivityAt
+  };
+}
+
+async function updateInterviewProgress(interview, userId) {
+  await Progress.findOneAndUpdate(
+    { userId: userId, type: 'interview', referenceId: interview._id },
+    {
+      progress: interview.progress.completionPercentage,
+      status: PROGRESS_STATUS_MAP[interview.status],
+      lastAccessedAt: new Date(),
+      ...(interview.status === 'COMPLETED' && {
+        completedAt: interview.completedAt,
+        score: interview.results.totalScore
+      }),
+      metadata: new Map([
+        ['step', interview.currentStep],
+        ['totalSteps', interview.totalSteps],
+        ['answeredQuestions', interview.progress.answeredQuestions],
+        ['language', interview.language],
+        ['sessionType', 'career_discovery']
+      ])
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Score the analyzed steps, mark the session completed and push the
+ * insights into recommendations and the user's profile
+ */
+async function finalizeInterview(interview, userId) {
+  const categoryScores = new Map();
+  const summaries = [];
+
+  for (let step = 1; step <= INTERVIEW_CONFIG.totalSteps; step++) {
+    const analysis = interview.responses.get(`analysis_${step}`);
+    if (!analysis) continue;
+
+    const category = INTERVIEW_CONFIG.categories[step - 1];
+    const stepAnswers = getStepQuestions(interview, step).filter(q => q.answer);
+    const score = scoreStepAnalysis(analysis, stepAnswers.length);
+    categoryScores.set(category, score);
+
+    stepAnswers.forEach(question => {
+      question.score = score;
+      question.feedback = analysis.summary || null;
+    });
+
+    if (analysis.summary) {
+      summaries.push(`${INTERVIEW_CONFIG.stepNames[step]}: ${analysis.summary}`);
+    }
+  }
+
+  const scores = Array.from(categoryScores.values());
+  interview.results.categoryScores = categoryScores;
+  interview.results.totalScore = scores.length > 0
+    ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length)
+    : 0;
+  interview.results.analysis = summaries.join('\n');
+  interview.status = 'COMPLETED';
+  interview.completedAt = new Date();
+  interview.progress.completionPercentage = 100;
+
+  const recommendations = await generateInitialRecommendations(interview, userId);
+  interview.results.recommendations = recommendations.map(rec => rec.title);
+
+  await updateUserProfileFromInterview(interview, userId);
+  await updateInterviewProgress(interview, userId);
+
+  return recommendations;
+}
+
+function scoreStepAnalysis(analysis, answeredCount) {
+  if (typeof analysis.score === 'number') {
+    return Math.max(0, Math.min(100, Math.round(analysis.score)));
+  }
+
+  const confidences = (analysis.insights || [])
+    .map(insight => insight.confidence)
+    .filter(confidence => typeof confidence === 'number');
+
+  const completeness = answeredCount / INTERVIEW_CONFIG.questionsPerStep;
+  const confidence = confidences.length > 0
+    ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+    : 0.5;
+
+  return Math.round(Math.min(1, confidence) * Math.min(1, completeness) * 100);
+}
+
+// === AI HELPERS ===
+
+async function generateQuestionsForStep(step, responses, userId, language = 'en') {
+  let questions;
+  try {
+    const userProfile = await getUserProfileForAI(userId);
+    questions = await aiService.generateInterviewQuestions(step, responses, userProfile);
+  } catch (error) {
+    console.error('Error generating AI questions:', error);
+    questions = aiService.getFallbackQuestions(step);
+  }
+
+  questions = (Array.isArray(questions) ? questions : [])
+    .map(q => (typeof q === 'string' ? q : q?.question || q?.text))
+    .filter(q => typeof q === 'string' && q.trim().length > 0)
+    .slice(0, INTERVIEW_CONFIG.questionsPerStep);
+
+  if (questions.length === 0) {
+    questions = aiService.getFallbackQuestions(step);
+  }
+
+  if (language !== 'en') {
+    questions = await Promise.all(questions.map(q => i18nService.translateText(q, language, 'en')));
+  }
+
+  return questions;
+}
+
+async function getUserProfileForAI(userId) {
+  try {
+    const [user, profile] = await Promise.all([
+      User.findById(userId).select('name email createdAt').lean(),
+      UserProfile.findOne({ userId }).lean()
+    ]);
+
+    return {
+      name: user?.name,
+      profile: profile || {},
+      memberSince: user?.createdAt
+    };
+  } catch (error) {
+    console.error('Error fetching user profile:', error);
+    return {};
+  }
 }
 
 async function analyzeStepResponses(step, responses, allResponses) {
-  // TODO: Implement response analysis
-  return {};
+  try {
+    return await aiService.analyzeInterviewResponses(step, responses, allResponses);
+  } catch (error) {
+    console.error('Error analyzing responses with AI:', error);
+    return {
+      extractedTags: [],
+      insights: [{
+        category: INTERVIEW_CONFIG.categories[step - 1],
+        insight: 'Successfully completed interview step',
+        confidence: 0.6
+      }],
+      summary: `Step ${step} completed: ${INTERVIEW_CONFIG.stepNames[step]}`
+    };
+  }
 }
 
 async function generateInitialRecommendations(interview, userId) {
-  // TODO: Implement recommendation generation
-  return [];
+  const { recommendations } = await recommendationService.generateForUser(userId, {
+    focusArea: 'interview',
+    source: 'INTERVIEW',
+    interview
+  });
+
+  return recommendations.map(rec => ({
+    id: rec._id,
+    type: rec.type,
+    title: rec.title,
+    description: rec.description,
+    priority: rec.priority
+  }));
 }
 
 async function updateUserProfileFromInterview(interview, userId) {
-  // TODO: Implement profile updates
-  return;
+  const skillAnalysis = interview.responses.get('analysis_2') || {};
+  const skillTags = await skillTaxonomyService.canonicalizeNames(skillAnalysis.extractedTags || []);
+  const otherTags = recommendationService.getInterviewTags(interview)
+    .filter(tag => !skillTags.includes(skillTaxonomyService.canonicalName(tag)));
+
+  const profile = await UserProfile.findOne({ userId });
+  const goalAnswers = getStepQuestions(interview, 4).map(q => q.answer).filter(Boolean);
+
+  await UserProfile.findOneAndUpdate(
+    { userId },
+    {
+      $addToSet: {
+        skills: { $each: skillTags.slice(0, 15) },
+        interests: { $each: otherTags.slice(0, 10) }
+      },
+      ...(!profile?.careerGoals && goalAnswers.length > 0 && {
+        $set: { careerGoals: goalAnswers.join(' ').substring(0, 2000) }
+      })
+    },
+    { upsert: true, new: true }
+  );
+
+  // Map identified skills into Skill + UserSkill collections
+  const skillDocs = await skillTaxonomyService.upsertSkills(skillTags.slice(0, 50));
+  await userSkillService.recordEvidenceForSkills(userId, skillDocs, {
+    type: 'INTERVIEW',
+    score: 0.6,
+    referenceId: interview._id
+  });
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
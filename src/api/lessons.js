@@ -1,48 +1,62 @@
 const express = require('express');
-const { Course, Lesson, Category } = require('../models');
+const mongoose = require('mongoose');
+const { Course, Lesson, Category, Progress } = require('../models');
+const courseService = require('../services/courseService');
 
 const router = express.Router();
 
-// GET /api/v1/lessons - Get all lessons
+// GET /api/v1/lessons - Get published lessons with the user's progress
 router.get('/', async (req, res) => {
   try {
-    const { category, limit = 10, offset = 0 } = req.query;
-    
-    const whereClause = category ? { 
-      description: { $regex: category, $options: 'i' } 
-    } : {};
-
-    const lessons = await Lesson.find(whereClause)
-      .limit(parseInt(limit))
-      .skip(parseInt(offset))
-      .sort({ _id: 'asc' });
-
-    // TODO: Get user progress for these lessons
-    // const userProgress = await UserLesson.find({
-    //   userId: req.user.id,
-    //   lessonId: { $in: lessons.map(l => l._id) }
-    // });
+    const { courseId, category } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (courseId !== undefined && !mongoose.isValidObjectId(courseId)) {
+      return res.status(400).json({ error: 'Invalid course ID' });
+    }
+
+    // Lessons are only listed from live courses
+    const courseFilter = { isPublished: true, status: { $ne: 'ARCHIVED' } };
+    if (courseId) courseFilter._id = courseId;
+    if (category) {
+      const categoryDoc = await Category.findOne(mongoose.isValidObjectId(category) ? { _id: category } : { slug: String(category).toLowerCase() })
+        .select('_id')
+        .lean();
+      if (!categoryDoc) {
+        return res.json({ lessons: [], pagination: { limit, offset, total: 0 } });
+      }
+      courseFilter.categoryId = categoryDoc._id;
+    }
+
+    const courseIds = await Course.find(courseFilter).distinct('_id');
+    const whereClause = { courseId: { $in: courseIds }, isPublished: true };
+
+    const [lessons, total] = await Promise.all([
+      Lesson.find(whereClause)
+        .select('-content -slides -quiz -assignments -resources')
+        .sort({ courseId: 1, sortOrder: 1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      Lesson.countDocuments(whereClause)
+    ]);
+
+    const userProgress = await Progress.find({
+      userId: req.user.id,
+      type: 'lesson',
+      referenceId: { $in: lessons.map(lesson => lesson._id) }
+    }).lean();
 
     // Merge lesson data with user progress
-    const lessonsWithProgress = lessons.map(lesson => {
-      const progress = userProgress.find(p => p.lessonId === lesson.id);
-      return {
-        ...lesson,
-        userProgress: {
-          completed: !!progress?.completedAt,
-          quizPassed: progress?.quizPassed || false,
-          completedAt: progress?.completedAt
-        }
-      };
-    });
+    const lessonsWithProgress = lessons.map(lesson => ({
+      ...formatLesson(lesson),
+      userProgress: formatLessonProgress(userProgress.find(p => String(p.referenceId) === String(lesson._id)))
+    }));
 
     res.json({
       lessons: lessonsWithProgress,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: await Lesson.countDocuments(whereClause)
-      }
+      pagination: { limit, offset, total }
     });
 
   } catch (error) {
@@ -51,34 +65,34 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/v1/lessons/:id - Get specific lesson
+// GET /api/v1/lessons/:id - Get a lesson's content; non-preview lessons need an enrollment
 router.get('/:id', async (req, res) => {
   try {
-    const lessonId = parseInt(req.params.id);
-    
-    if (isNaN(lessonId)) {
-      return res.status(400).json({ error: 'Invalid lesson ID' });
-    }
+    const found = await findLesson(req, res);
+    if (!found) return;
+    const { lesson, course } = found;
 
-    const lesson = await Lesson.findById(lessonId);
+    const [enrollment, userProgress] = await Promise.all([
+      courseService.getEnrollment(req.user.id, course._id),
+      Progress.findOne({ userId: req.user.id, type: 'lesson', referenceId: lesson._id }).lean()
+    ]);
 
-    if (!lesson) {
-      return res.status(404).json({ error: 'Lesson not found' });
+    if (!enrollment && !lesson.isPreview && !courseService.canEdit(course, req.user)) {
+      return res.status(403).json({ error: 'Enroll in the course to view this lesson', courseId: course._id });
     }
 
-    // TODO: Get user progress for this lesson
-    // const userProgress = await UserLesson.findOne({
-    //   userId: req.user.id,
-    //   lessonId: lessonId
-    // });
-
     res.json({
-      ...lesson,
-      userProgress: {
-        completed: !!userProgress?.completedAt,
-        quizPassed: userProgress?.quizPassed || false,
-        completedAt: userProgress?.completedAt
-      }
+      ...formatLesson(lesson),
+      content: lesson.content,
+      videoUrl: lesson.videoUrl || null,
+      audioUrl: lesson.audioUrl || null,
+      documentUrl: lesson.documentUrl || null,
+      slides: lesson.slides ?? null,
+      quiz: courseService.canEdit(course, req.user) ? lesson.quiz ?? null : courseService.hideQuizAnswers(lesson.quiz),
+      assignments: lesson.assignments ?? null,
+      resources: lesson.resources ?? null,
+      course: { id: course._id, title: course.title, slug: course.slug },
+      userProgress: formatLessonProgress(userProgress)
     });
 
   } catch (error) {
@@ -87,40 +101,22 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST /api/v1/lessons/:id/start - Start a lesson
+// POST /api/v1/lessons/:id/start - Start a lesson, enrolling in its course if needed
 router.post('/:id/start', async (req, res) => {
   try {
-    const lessonId = parseInt(req.params.id);
-    
-    if (isNaN(lessonId)) {
-      return res.status(400).json({ error: 'Invalid lesson ID' });
-    }
+    const found = await findLesson(req, res);
+    if (!found) return;
 
-    // Check if lesson exists
-    const lesson = await Lesson.findById(lessonId);
-
-    if (!lesson) {
-      return res.status(404).json({ error: 'Lesson not found' });
+    if (!found.live) {
+      return res.status(400).json({ error: 'Progress is only tracked for published lessons' });
     }
 
-    // TODO: Create or update user lesson record
-    // const userLesson = await UserLesson.findOneAndUpdate(
-    //   { userId: req.user.id, lessonId: lessonId },
-    //   {},
-    //   { upsert: true, new: true }
-    // );
-
-    // TODO: Create or update progress record
-    // await Progress.findOneAndUpdate(
-    //   { userId: req.user.id, type: 'lesson', referenceId: lessonId.toString() },
-    //   { status: 'in_progress', progress: 0 },
-    //   { upsert: true, new: true }
-    // );
+    const progress = await courseService.startLesson(req.user.id, found.lesson);
 
     res.json({
       message: 'Lesson started successfully',
-      lessonId: lessonId,
-      status: 'in_progress'
+      lessonId: found.lesson._id,
+      status: progress.status
     });
 
   } catch (error) {
@@ -129,46 +125,44 @@ router.post('/:id/start', async (req, res) => {
   }
 });
 
-// POST /api/v1/lessons/:id/complete - Complete a lesson
+// POST /api/v1/lessons/:id/complete - Complete a lesson, grading its quiz answers, and update course progress
 router.post('/:id/complete', async (req, res) => {
   try {
-    const lessonId = parseInt(req.params.id);
-    const { quizScore = 0 } = req.body;
-    
-    if (isNaN(lessonId)) {
-      return res.status(400).json({ error: 'Invalid lesson ID' });
-    }
+    const { quizScore, answers, timeSpent } = req.body || {};
 
-    // Check if lesson exists
-    const lesson = await Lesson.findById(lessonId);
-
-    if (!lesson) {
-      return res.status(404).json({ error: 'Lesson not found' });
+    if (quizScore !== undefined) {
+      return res.status(400).json({ error: 'quizScore is graded by the server; send answers (the chosen option index per question) instead' });
+    }
+    if (answers !== undefined && (!Array.isArray(answers) || answers.length > 100 ||
+        answers.some(answer => answer !== null && !Number.isInteger(answer)))) {
+      return res.status(400).json({ error: 'answers must be an array with an option index (or null) per quiz question' });
+    }
+    if (timeSpent !== undefined && !(Number.isInteger(timeSpent) && timeSpent >= 0 && timeSpent <= courseService.config.maxLessonMinutes)) {
+      return res.status(400).json({ error: `timeSpent must be a whole number of minutes between 0 and ${courseService.config.maxLessonMinutes}` });
     }
 
-    const quizPassed = quizScore >= 70; // 70% passing score
-    const completedAt = new Date();
+    const found = await findLesson(req, res);
+    if (!found) return;
 
-    // TODO: Update user lesson record
-    // await UserLesson.findOneAndUpdate(
-    //   { userId: req.user.id, lessonId: lessonId },
-    //   { quizPassed: quizPassed, completedAt: completedAt },
-    //   { upsert: true }
-    // );
+    if (!found.live) {
+      return res.status(400).json({ error: 'Progress is only tracked for published lessons' });
+    }
 
-    // TODO: Update progress record
-    // await Progress.findOneAndUpdate(
-    //   { userId: req.user.id, type: 'lesson', referenceId: lessonId.toString() },
-    //   { status: 'completed', progress: 100, metadata: { quizScore, quizPassed, completedAt } },
-    //   { upsert: true }
-    // );
+    const { progress, courseProgress } = await courseService.completeLesson(req.user.id, found.lesson, { answers, timeSpent });
 
     res.json({
       message: 'Lesson completed successfully',
-      lessonId: lessonId,
-      quizScore: quizScore,
-      quizPassed: quizPassed,
-      completedAt: completedAt
+      lessonId: found.lesson._id,
+      quizScore: progress.score ?? null,
+      quizPassed: progress.metadata.get('quizPassed'),
+      completedAt: progress.completedAt,
+      timeSpent: progress.timeSpent,
+      course: courseProgress ? {
+        id: found.course._id,
+        progress: courseProgress.progress,
+        status: courseProgress.status,
+        completedAt: courseProgress.completedAt || null
+      } : null
     });
 
   } catch (error) {
@@ -177,4 +171,49 @@ router.post('/:id/complete', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Helper Functions
+
+// A published lesson in a live course, or any lesson for the course's editors
+async function findLesson(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid lesson ID' });
+    return null;
+  }
+
+  const lesson = await Lesson.findById(req.params.id).lean();
+  const course = lesson ? await Course.findById(lesson.courseId).lean() : null;
+
+  const live = lesson && course && lesson.isPublished && course.isPublished && course.status !== 'ARCHIVED';
+  if (!course || (!live && !courseService.canEdit(course, req.user))) {
+    res.status(404).json({ error: 'Lesson not found' });
+    return null;
+  }
+  return { lesson, course, live };
+}
+
+function formatLesson(lesson) {
+  return {
+    id: lesson._id,
+    courseId: lesson.courseId,
+    title: lesson.title,
+    slug: lesson.slug,
+    description: lesson.description || null,
+    chapterNumber: lesson.chapterNumber,
+    lessonNumber: lesson.lessonNumber,
+    duration: lesson.duration ?? null,
+    isPreview: lesson.isPreview
+  };
+}
+
+function formatLessonProgress(progress) {
+  return {
+    status: progress ? progress.status : 'not_started',
+    completed: progress?.status === 'completed',
+    quizScore: progress?.score ?? null,
+    quizPassed: progress?.metadata?.quizPassed || false,
+    timeSpent: progress?.timeSpent || 0,
+    completedAt: progress?.completedAt || null
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,303 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { MentorRelationship, MentorProfile } = require('../models');
+const mentorRelationshipService = require('../services/mentorRelationshipService');
+const mentorMatchingService = require('../services/mentorMatchingService');
+
+const router = express.Router();
+
+const STATUSES = ['REQUESTED', 'ACTIVE', 'DECLINED', 'CANCELLED', 'ENDED'];
+
+// GET /api/v1/mentor-relationships - Get the user's mentorships as mentor or mentee
+router.get('/', async (req, res) => {
+  try {
+    const { role, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (role !== undefined && !['mentor', 'student'].includes(role)) {
+      return res.status(400).json({ error: 'role must be mentor or student' });
+    }
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const filter = role === 'mentor'
+      ? { mentorId: req.user.id }
+      : role === 'student'
+        ? { studentId: req.user.id }
+        : { $or: [{ mentorId: req.user.id }, { studentId: req.user.id }] };
+    if (status) filter.status = status;
+
+    const [relationships, total] = await Promise.all([
+      MentorRelationship.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      MentorRelationship.countDocuments(filter)
+    ]);
+
+    res.json({
+      relationships: relationships.map(relationship => formatRelationship(relationship, req.user)),
+      pagination: { limit, offset, total }
+    });
+
+  } catch (error) {
+    console.error('Get mentor relationships error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentor-relationships - Ask a mentor to take you on as a mentee
+router.post('/', async (req, res) => {
+  try {
+    const { mentorId, message } = req.body || {};
+
+    if (!mongoose.isValidObjectId(mentorId)) {
+      return res.status(400).json({ error: 'Valid mentorId is required' });
+    }
+    if (String(mentorId) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot request yourself as a mentor' });
+    }
+    const messageError = validateMessage(message, 'message');
+    if (messageError) {
+      return res.status(400).json({ error: messageError });
+    }
+
+    const profile = await MentorProfile.findOne({ userId: mentorId }).lean();
+    if (!profile) {
+      return res.status(404).json({ error: 'Mentor not found' });
+    }
+    if (!profile.isAvailable) {
+      return res.status(400).json({ error: 'This mentor is not taking new mentees' });
+    }
+    const remaining = await mentorRelationshipService.getRemainingCapacity(profile);
+    if (remaining === 0) {
+      return res.status(409).json({ error: 'This mentor has no places left' });
+    }
+
+    // Scored here rather than taken from the client, so the mentor sees the same score suggestions use
+    const signals = await mentorMatchingService.getStudentSignals(req.user.id);
+    const relationship = await mentorRelationshipService.request(req.user.id, profile, {
+      message: message ? message.trim() : undefined,
+      matchScore: mentorMatchingService.score(profile, signals, remaining).score
+    });
+
+    res.status(201).json({
+      message: 'Mentee request sent',
+      relationship: formatRelationship(relationship.toObject(), req.user)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You already have an open request or mentorship with this mentor' });
+    }
+    console.error('Request mentor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentor-relationships/:id - Get a mentorship
+router.get('/:id', async (req, res) => {
+  try {
+    const relationship = await findRelationship(req, res);
+    if (!relationship) return;
+
+    res.json({ relationship: formatRelationship(relationship, req.user) });
+
+  } catch (error) {
+    console.error('Get mentor relationship error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentor-relationships/:id/accept - Accept a mentee request (mentor only)
+router.post('/:id/accept', async (req, res) => {
+  try {
+    const { responseMessage } = req.body || {};
+    const messageError = validateMessage(responseMessage, 'responseMessage');
+    if (messageError) {
+      return res.status(400).json({ error: messageError });
+    }
+
+    const relationship = await findRelationship(req, res, { side: 'mentor' });
+    if (!relationship) return;
+
+    if (relationship.status !== 'REQUESTED') {
+      return res.status(400).json({ error: `Only pending requests can be accepted; this one is ${relationship.status.toLowerCase()}` });
+    }
+
+    const profile = await MentorProfile.findById(relationship.mentorProfileId).lean();
+    if (!profile || await mentorRelationshipService.getRemainingCapacity(profile) === 0) {
+      return res.status(409).json({ error: 'You have no places left; raise maxStudents or end a mentorship first' });
+    }
+
+    const accepted = await mentorRelationshipService.accept(relationship._id, profile, {
+      responseMessage: responseMessage ? responseMessage.trim() : undefined
+    });
+    if (!accepted) {
+      return res.status(409).json({ error: 'This request was answered or withdrawn in the meantime' });
+    }
+    if (accepted.status !== 'ACTIVE') {
+      return res.status(409).json({ error: 'You have no places left; raise maxStudents or end a mentorship first' });
+    }
+
+    res.json({
+      message: 'Mentee request accepted',
+      relationship: formatRelationship(accepted.toObject(), req.user)
+    });
+
+  } catch (error) {
+    console.error('Accept mentor relationship error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentor-relationships/:id/decline - Decline a mentee request (mentor only)
+router.post('/:id/decline', async (req, res) => {
+  try {
+    const { responseMessage } = req.body || {};
+    const messageError = validateMessage(responseMessage, 'responseMessage');
+    if (messageError) {
+      return res.status(400).json({ error: messageError });
+    }
+
+    const relationship = await findRelationship(req, res, { side: 'mentor' });
+    if (!relationship) return;
+
+    if (relationship.status !== 'REQUESTED') {
+      return res.status(400).json({ error: `Only pending requests can be declined; this one is ${relationship.status.toLowerCase()}` });
+    }
+
+    const declined = await mentorRelationshipService.decline(relationship._id, {
+      responseMessage: responseMessage ? responseMessage.trim() : undefined
+    });
+    if (!declined) {
+      return res.status(409).json({ error: 'This request was answered or withdrawn in the meantime' });
+    }
+
+    res.json({
+      message: 'Mentee request declined',
+      relationship: formatRelationship(declined.toObject(), req.user)
+    });
+
+  } catch (error) {
+    console.error('Decline mentor relationship error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentor-relationships/:id/cancel - Withdraw a pending request (student only)
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const relationship = await findRelationship(req, res, { side: 'student' });
+    if (!relationship) return;
+
+    if (relationship.status !== 'REQUESTED') {
+      return res.status(400).json({ error: `Only pending requests can be cancelled; this one is ${relationship.status.toLowerCase()}` });
+    }
+
+    const cancelled = await mentorRelationshipService.cancel(relationship._id);
+    if (!cancelled) {
+      return res.status(409).json({ error: 'This request was answered in the meantime' });
+    }
+
+    res.json({
+      message: 'Mentee request cancelled',
+      relationship: formatRelationship(cancelled.toObject(), req.user)
+    });
+
+  } catch (error) {
+    console.error('Cancel mentor relationship error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentor-relationships/:id/end - End an active mentorship (mentor or mentee)
+router.post('/:id/end', async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const reasonError = validateMessage(reason, 'reason');
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
+    }
+
+    const relationship = await findRelationship(req, res);
+    if (!relationship) return;
+
+    if (relationship.status !== 'ACTIVE') {
+      return res.status(400).json({ error: `Only active mentorships can be ended; this one is ${relationship.status.toLowerCase()}` });
+    }
+
+    const ended = await mentorRelationshipService.end(relationship._id, {
+      endedById: req.user.id,
+      reason: reason ? reason.trim() : undefined
+    });
+    if (!ended) {
+      return res.status(409).json({ error: 'This mentorship was already ended' });
+    }
+
+    res.json({
+      message: 'Mentorship ended',
+      relationship: formatRelationship(ended.toObject(), req.user)
+    });
+
+  } catch (error) {
+    console.error('End mentor relationship error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+// Only the two participants can see a relationship; side narrows that to the mentor or the student
+async function findRelationship(req, res, { side = null } = {}) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid relationship ID' });
+    return null;
+  }
+
+  const relationship = await MentorRelationship.findById(req.params.id).lean();
+  const isMentor = relationship && String(relationship.mentorId) === String(req.user.id);
+  const isStudent = relationship && String(relationship.studentId) === String(req.user.id);
+
+  if (!isMentor && !isStudent) {
+    res.status(404).json({ error: 'Mentorship not found' });
+    return null;
+  }
+  if ((side === 'mentor' && !isMentor) || (side === 'student' && !isStudent)) {
+    res.status(403).json({ error: `Only the ${side} can do this` });
+    return null;
+  }
+  return relationship;
+}
+
+// Returns an error message, or null when the optional text field is valid
+function validateMessage(value, field) {
+  if (value !== undefined && (typeof value !== 'string' || value.length > 1000)) {
+    return `${field} must be a string of at most 1000 characters`;
+  }
+  return null;
+}
+
+function formatRelationship(relationship, user) {
+  return {
+    id: relationship._id,
+    mentorId: relationship.mentorId,
+    studentId: relationship.studentId,
+    role: String(relationship.mentorId) === String(user.id) ? 'mentor' : 'student',
+    status: relationship.status,
+    message: relationship.message || null,
+    matchScore: relationship.matchScore ?? null,
+    responseMessage: relationship.responseMessage || null,
+    respondedAt: relationship.respondedAt || null,
+    acceptedAt: relationship.acceptedAt || null,
+    endedById: relationship.endedById || null,
+    endReason: relationship.endReason || null,
+    endedAt: relationship.endedAt || null,
+    createdAt: relationship.createdAt
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,435 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { MentorSession, MentorProfile } = require('../models');
+const mentorSessionService = require('../services/mentorSessionService');
+
+const router = express.Router();
+
+const STATUSES = ['SCHEDULED', 'COMPLETED', 'CANCELLED'];
+
+// GET /api/v1/mentor-sessions - Get the user's sessions as student or mentor
+router.get('/', async (req, res) => {
+  try {
+    const { role, status, upcoming } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (role !== undefined && !['mentor', 'student'].includes(role)) {
+      return res.status(400).json({ error: 'role must be mentor or student' });
+    }
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const filter = role === 'mentor'
+      ? { mentorId: req.user.id }
+      : role === 'student'
+        ? { studentId: req.user.id }
+        : { $or: [{ mentorId: req.user.id }, { studentId: req.user.id }] };
+    if (status) filter.status = status;
+    if (upcoming === 'true') filter.endTime = { $gt: new Date() };
+
+    const [sessions, total] = await Promise.all([
+      MentorSession.find(filter)
+        .sort({ startTime: upcoming === 'true' ? 1 : -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      MentorSession.countDocuments(filter)
+    ]);
+
+    res.json({
+      sessions: sessions.map(session => formatSession(session, req.user)),
+      pagination: { limit, offset, total }
+    });
+
+  } catch (error) {
+    console.error('Get mentor sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentor-sessions/calendar.ics - Download the user's sessions as an iCalendar file
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const sessions = await mentorSessionService.getFeedSessions(req.user.id);
+    sendCalendar(res, mentorSessionService.buildCalendar(sessions), 'mentorship-sessions.ics');
+
+  } catch (error) {
+    console.error('Get session calendar error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentor-sessions/calendar/subscription - Create a calendar subscription URL, replacing any earlier one
+router.post('/calendar/subscription', async (req, res) => {
+  try {
+    const token = await mentorSessionService.createFeedToken(req.user.id);
+    const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(201).json({
+      message: 'Calendar subscription created. Keep the URL private; anyone with it can see your sessions.',
+      url: `${baseUrl.replace(/\/$/, '')}/api/v1/calendar-feeds/${token}.ics`
+    });
+
+  } catch (error) {
+    console.error('Create calendar subscription error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/v1/mentor-sessions/calendar/subscription - Revoke the calendar subscription URL
+router.delete('/calendar/subscription', async (req, res) => {
+  try {
+    const revoked = await mentorSessionService.revokeFeedToken(req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'No calendar subscription to revoke' });
+    }
+
+    res.json({ message: 'Calendar subscription revoked' });
+
+  } catch (error) {
+    console.error('Revoke calendar subscription error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentor-sessions - Book a 1:1 session in one of a mentor's open slots
+router.post('/', async (req, res) => {
+  try {
+    const { mentorId, startTime, topic, agenda } = req.body || {};
+
+    if (!mongoose.isValidObjectId(mentorId)) {
+      return res.status(400).json({ error: 'Valid mentorId is required' });
+    }
+    const validationError = validateSessionDetails({ topic, agenda });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const start = parseStartTime(startTime);
+    if (!start) {
+      return res.status(400).json({ error: 'startTime must be an ISO 8601 date-time' });
+    }
+
+    if (String(mentorId) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot book a session with yourself' });
+    }
+
+    const profile = await MentorProfile.findOne({ userId: mentorId }).lean();
+    if (!profile) {
+      return res.status(404).json({ error: 'Mentor not found' });
+    }
+    if (!profile.isAvailable) {
+      return res.status(400).json({ error: 'This mentor is not taking bookings right now' });
+    }
+
+    const slot = await mentorSessionService.findSlot(profile, start);
+    if (!slot) {
+      return res.status(409).json({ error: 'That slot is not available. Fetch the mentor\'s open slots and pick another.' });
+    }
+    if (await mentorSessionService.findOverlapping(req.user.id, slot.startTime, slot.endTime)) {
+      return res.status(409).json({ error: 'You already have a session at that time' });
+    }
+
+    const session = await mentorSessionService.book(req.user.id, profile, slot, {
+      topic: topic.trim(),
+      agenda: agenda ? agenda.trim() : undefined
+    });
+    if (!session) {
+      return res.status(409).json({ error: 'That slot was just booked by someone else' });
+    }
+
+    res.status(201).json({
+      message: 'Session booked successfully',
+      session: formatSession(session.toObject(), req.user)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'That slot was just booked by someone else' });
+    }
+    console.error('Book mentor session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentor-sessions/:id - Get a session
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    res.json({ session: formatSession(session.toObject(), req.user) });
+
+  } catch (error) {
+    console.error('Get mentor session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/v1/mentor-sessions/:id - Update a scheduled session's topic, agenda or meeting link
+router.patch('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const updates = {};
+    ['topic', 'agenda', 'meetingUrl']
+      .filter(field => body[field] !== undefined)
+      .forEach(field => { updates[field] = typeof body[field] === 'string' ? body[field].trim() : body[field]; });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Provide topic, agenda or meetingUrl to update' });
+    }
+    const validationError = validateSessionDetails(updates, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (updates.meetingUrl !== undefined && (typeof updates.meetingUrl !== 'string' || !/^https?:\/\/\S+$/i.test(updates.meetingUrl) || updates.meetingUrl.length > 500)) {
+      return res.status(400).json({ error: 'meetingUrl must be an http(s) URL' });
+    }
+
+    const session = await findSession(req, res, { participantOnly: true });
+    if (!session) return;
+
+    if (session.status !== 'SCHEDULED') {
+      return res.status(400).json({ error: `Cannot update a ${session.status.toLowerCase()} session` });
+    }
+
+    Object.assign(session, updates);
+    session.sequence += 1;
+    await session.save();
+
+    res.json({
+      message: 'Session updated successfully',
+      session: formatSession(session.toObject(), req.user)
+    });
+
+  } catch (error) {
+    console.error('Update mentor session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentor-sessions/:id/ics - Download a session as an iCalendar attachment
+router.get('/:id/ics', async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    const method = session.status === 'CANCELLED' ? 'CANCEL' : 'PUBLISH';
+    sendCalendar(res, mentorSessionService.buildCalendar([session], { method }), `mentorship-session-${session._id}.ics`);
+
+  } catch (error) {
+    console.error('Get session ics error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentor-sessions/:id/reschedule - Move a scheduled session to another open slot
+router.post('/:id/reschedule', async (req, res) => {
+  try {
+    const { startTime, reason } = req.body || {};
+
+    const start = parseStartTime(startTime);
+    if (!start) {
+      return res.status(400).json({ error: 'startTime must be an ISO 8601 date-time' });
+    }
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ error: 'reason must be a string of at most 500 characters' });
+    }
+
+    const session = await findSession(req, res, { participantOnly: true });
+    if (!session) return;
+
+    if (session.status !== 'SCHEDULED') {
+      return res.status(400).json({ error: `Cannot reschedule a ${session.status.toLowerCase()} session` });
+    }
+    if (session.startTime <= new Date()) {
+      return res.status(400).json({ error: 'Cannot reschedule a session that has already started' });
+    }
+    if (start.getTime() === session.startTime.getTime()) {
+      return res.status(400).json({ error: 'The session is already at that time' });
+    }
+
+    const profile = await MentorProfile.findById(session.mentorProfileId).lean();
+    if (!profile) {
+      return res.status(404).json({ error: 'Mentor not found' });
+    }
+
+    const slot = await mentorSessionService.findSlot(profile, start, { excludeSessionId: session._id });
+    if (!slot) {
+      return res.status(409).json({ error: 'That slot is not available. Fetch the mentor\'s open slots and pick another.' });
+    }
+    if (await mentorSessionService.findOverlapping(session.studentId, slot.startTime, slot.endTime, session._id)) {
+      return res.status(409).json({ error: 'The student already has a session at that time' });
+    }
+
+    const rescheduled = await mentorSessionService.reschedule(session, slot, {
+      changedById: req.user.id,
+      reason: reason ? reason.trim() : undefined
+    });
+    if (!rescheduled) {
+      return res.status(409).json({ error: 'That slot was just booked by someone else' });
+    }
+
+    res.json({
+      message: 'Session rescheduled successfully',
+      session: formatSession(session.toObject(), req.user)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'That slot was just booked by someone else' });
+    }
+    console.error('Reschedule mentor session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentor-sessions/:id/cancel - Cancel a scheduled session (student or mentor)
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ error: 'reason must be a string of at most 500 characters' });
+    }
+
+    const session = await findSession(req, res, { participantOnly: true });
+    if (!session) return;
+
+    if (session.status !== 'SCHEDULED') {
+      return res.status(400).json({ error: `Cannot cancel a ${session.status.toLowerCase()} session` });
+    }
+    if (session.endTime <= new Date()) {
+      return res.status(400).json({ error: 'Cannot cancel a session that has already ended' });
+    }
+
+    await mentorSessionService.cancel(session, {
+      cancelledById: req.user.id,
+      reason: reason ? reason.trim() : undefined
+    });
+
+    res.json({
+      message: 'Session cancelled successfully',
+      session: formatSession(session.toObject(), req.user)
+    });
+
+  } catch (error) {
+    console.error('Cancel mentor session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentor-sessions/:id/complete - Mark a session as held (mentor or admin)
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const { notes } = req.body || {};
+
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > 2000)) {
+      return res.status(400).json({ error: 'notes must be a string of at most 2000 characters' });
+    }
+
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    if (String(session.mentorId) !== String(req.user.id) && req.user.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Only the mentor can complete a session' });
+    }
+    if (session.startTime > new Date()) {
+      return res.status(400).json({ error: 'Cannot complete a session before it starts' });
+    }
+
+    const completed = await mentorSessionService.complete(session._id, { mentorNotes: notes ? notes.trim() : undefined });
+    if (!completed) {
+      return res.status(400).json({ error: `Cannot complete a ${session.status.toLowerCase()} session` });
+    }
+
+    res.json({
+      message: 'Session completed',
+      session: formatSession(completed.toObject(), req.user)
+    });
+
+  } catch (error) {
+    console.error('Complete mentor session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+// A session the user takes part in; admins can read any, but participantOnly actions are for the two participants
+async function findSession(req, res, { participantOnly = false } = {}) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid session ID' });
+    return null;
+  }
+
+  const session = await MentorSession.findById(req.params.id);
+  const allowed = session && (
+    mentorSessionService.isParticipant(session, req.user) ||
+    (!participantOnly && req.user.role === 'ADMIN')
+  );
+
+  if (!allowed) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  return session;
+}
+
+// Returns an error message, or null when the fields are valid
+function validateSessionDetails({ topic, agenda }, { partial = false } = {}) {
+  if ((!partial || topic !== undefined) && (typeof topic !== 'string' || topic.trim().length < 3 || topic.length > 200)) {
+    return 'topic must be between 3 and 200 characters';
+  }
+  if (agenda !== undefined && (typeof agenda !== 'string' || agenda.length > 2000)) {
+    return 'agenda must be a string of at most 2000 characters';
+  }
+  return null;
+}
+
+// Requires an explicit offset or Z, so the instant is never guessed from the server's timezone
+function parseStartTime(value) {
+  if (typeof value !== 'string' || !/(Z|[+-]\d{2}:\d{2})$/i.test(value)) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+function sendCalendar(res, calendar, filename) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(calendar);
+}
+
+// Times in UTC, plus the mentor's and student's local times; `local` is the viewer's side
+function formatSession(session, user) {
+  const mentorLocal = mentorSessionService.toZonedTime(session.startTime, session.mentorTimezone);
+  const studentLocal = mentorSessionService.toZonedTime(session.startTime, session.studentTimezone);
+  const isMentor = String(session.mentorId) === String(user.id);
+
+  return {
+    id: session._id,
+    mentorId: session.mentorId,
+    studentId: session.studentId,
+    role: isMentor ? 'mentor' : String(session.studentId) === String(user.id) ? 'student' : null,
+    topic: session.topic,
+    agenda: session.agenda || null,
+    meetingUrl: session.meetingUrl || null,
+    status: session.status,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    duration: session.duration,
+    local: isMentor ? mentorLocal : studentLocal,
+    mentorLocal,
+    studentLocal,
+    rescheduleCount: (session.rescheduleHistory || []).length,
+    cancellationReason: session.cancellationReason || null,
+    cancelledAt: session.cancelledAt || null,
+    completedAt: session.completedAt || null,
+    mentorNotes: isMentor || user.role === 'ADMIN' ? session.mentorNotes || null : undefined,
+    ics: `/api/v1/mentor-sessions/${session._id}/ics`,
+    createdAt: session.createdAt
+  };
+}
+
+module.exports = router;
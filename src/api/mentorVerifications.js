@@ -0,0 +1,231 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { MentorVerification, MentorProfile, FileUpload, User } = require('../models');
+const mentorVerificationService = require('../services/mentorVerificationService');
+
+const router = express.Router();
+
+const STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'REVOKED'];
+
+// GET /api/v1/admin/mentor-verifications - Review queue, oldest pending requests first
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'PENDING', mentorId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${STATUSES.join(', ')}` });
+    }
+    if (mentorId !== undefined && !mongoose.isValidObjectId(mentorId)) {
+      return res.status(400).json({ error: 'Invalid mentorId' });
+    }
+
+    const filter = { status };
+    if (mentorId) filter.mentorId = mentorId;
+
+    const [requests, total] = await Promise.all([
+      MentorVerification.find(filter)
+        .sort({ createdAt: status === 'PENDING' ? 1 : -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      MentorVerification.countDocuments(filter)
+    ]);
+
+    const profiles = await MentorProfile.find({ _id: { $in: requests.map(request => request.mentorProfileId) } })
+      .select('title specialization yearsOfExperience isVerified')
+      .lean();
+    const profileById = new Map(profiles.map(profile => [String(profile._id), profile]));
+
+    res.json({
+      requests: requests.map(request => ({
+        ...formatRequest(request),
+        mentor: formatMentor(profileById.get(String(request.mentorProfileId)))
+      })),
+      pagination: { limit, offset, total }
+    });
+
+  } catch (error) {
+    console.error('Get mentor verification queue error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/admin/mentor-verifications/:id - Get a request with its documents and audit trail
+router.get('/:id', async (req, res) => {
+  try {
+    const request = await findRequest(req, res);
+    if (!request) return;
+
+    const [profile, user, documents] = await Promise.all([
+      MentorProfile.findById(request.mentorProfileId).lean(),
+      User.findById(request.mentorId).select('email createdAt').lean(),
+      FileUpload.find({ _id: { $in: request.documentIds } }).lean()
+    ]);
+
+    res.json({
+      request: {
+        ...formatRequest(request),
+        history: request.history
+      },
+      mentor: {
+        ...formatMentor(profile),
+        email: user ? user.email : null,
+        memberSince: user ? user.createdAt : null,
+        description: profile ? profile.description : null
+      },
+      documents: documents.map(document => ({
+        id: document._id,
+        documentType: document.metadata?.documentType || 'OTHER',
+        fileName: document.metadata?.originalName || null,
+        mimeType: document.metadata?.mimeType || null,
+        description: document.metadata?.description || null,
+        url: `/api/v1/uploads/credentials/${document._id}/url`,
+        createdAt: document.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get mentor verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/admin/mentor-verifications/:id/approve - Approve a pending request and verify the mentor
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const reasonError = validateReason(req.body, { required: false });
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
+    }
+
+    const request = await findRequest(req, res);
+    if (!request) return;
+
+    const approved = await mentorVerificationService.approve(request._id, req.user.id, trimReason(req.body));
+    if (!approved) {
+      return res.status(400).json({ error: `Only pending requests can be approved; this one is ${request.status.toLowerCase()}` });
+    }
+
+    res.json({
+      message: 'Mentor verified',
+      request: formatRequest(approved.toObject())
+    });
+
+  } catch (error) {
+    console.error('Approve mentor verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/admin/mentor-verifications/:id/reject - Reject a pending request with a reason
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const reasonError = validateReason(req.body, { required: true });
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
+    }
+
+    const request = await findRequest(req, res);
+    if (!request) return;
+
+    const rejected = await mentorVerificationService.reject(request._id, req.user.id, trimReason(req.body));
+    if (!rejected) {
+      return res.status(400).json({ error: `Only pending requests can be rejected; this one is ${request.status.toLowerCase()}` });
+    }
+
+    res.json({
+      message: 'Verification request rejected',
+      request: formatRequest(rejected.toObject())
+    });
+
+  } catch (error) {
+    console.error('Reject mentor verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/admin/mentor-verifications/:id/revoke - Withdraw the verification an approved request granted
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const reasonError = validateReason(req.body, { required: true });
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
+    }
+
+    const request = await findRequest(req, res);
+    if (!request) return;
+
+    const revoked = await mentorVerificationService.revoke(request._id, req.user.id, trimReason(req.body));
+    if (!revoked) {
+      return res.status(400).json({ error: `Only approved requests can be revoked; this one is ${request.status.toLowerCase()}` });
+    }
+
+    res.json({
+      message: 'Mentor verification revoked',
+      request: formatRequest(revoked.toObject())
+    });
+
+  } catch (error) {
+    console.error('Revoke mentor verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+async function findRequest(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid request ID' });
+    return null;
+  }
+
+  const request = await MentorVerification.findById(req.params.id).lean();
+  if (!request) {
+    res.status(404).json({ error: 'Verification request not found' });
+    return null;
+  }
+  return request;
+}
+
+// Returns an error message, or null when the reason is valid
+function validateReason(body, { required }) {
+  const { reason } = body || {};
+  if (reason === undefined && !required) return null;
+  if (typeof reason !== 'string' || !reason.trim() || reason.length > 1000) {
+    return `reason ${required ? 'is required and ' : ''}must be 1000 characters or less`;
+  }
+  return null;
+}
+
+function trimReason(body) {
+  return body && typeof body.reason === 'string' ? body.reason.trim() : undefined;
+}
+
+function formatRequest(request) {
+  return {
+    id: request._id,
+    mentorId: request.mentorId,
+    status: request.status,
+    documentCount: (request.documentIds || []).length,
+    notes: request.notes || null,
+    reviewedById: request.reviewedById || null,
+    reviewedAt: request.reviewedAt || null,
+    decisionReason: request.decisionReason || null,
+    createdAt: request.createdAt
+  };
+}
+
+function formatMentor(profile) {
+  if (!profile) return null;
+  return {
+    profileId: profile._id,
+    title: profile.title,
+    specialization: profile.specialization || [],
+    yearsOfExperience: profile.yearsOfExperience,
+    isVerified: profile.isVerified
+  };
+}
+
+module.exports = router;
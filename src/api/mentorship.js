@@ -1,19 +1,808 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { MentorshipQuestion, MentorProfile, UserProfile, Notification } = require('../models');
+const { requireMentorOrAdmin } = require('../middlewares/roleAuth');
+const aiBudget = require('../middlewares/aiBudget');
+const mentorshipService = require('../services/mentorshipService');
+const mentorSessionService = require('../services/mentorSessionService');
+const reviewService = require('../services/reviewService');
+const mentorVerificationService = require('../services/mentorVerificationService');
+const mentorMatchingService = require('../services/mentorMatchingService');
+const i18nService = require('../services/i18nService');
+
 const router = express.Router();
 
-// All mentorship endpoints temporarily disabled during MongoDB migration
+const CATEGORIES = ['career', 'technical', 'personal', 'general'];
+const PRIORITIES = ['urgent', 'normal', 'low'];
+const STATUSES = ['pending', 'answered', 'closed'];
+const PRIORITY_ORDER = { urgent: 0, normal: 1, low: 2 };
+
+// POST /api/v1/mentorship/question - Submit a question to mentors
+router.post('/question', async (req, res) => {
+  try {
+    const { question, category = 'general', priority = 'normal' } = req.body || {};
+
+    if (typeof question !== 'string' || question.trim().length === 0) {
+      return res.status(400).json({ error: 'Question is required' });
+    }
+
+    if (question.length > 1000) {
+      return res.status(400).json({ error: 'Question must be 1000 characters or less' });
+    }
+
+    // Validate category
+    if (!CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        error: `Invalid category. Must be one of: ${CATEGORIES.join(', ')}`
+      });
+    }
+
+    // Validate priority
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        error: `Invalid priority. Must be one of: ${PRIORITIES.join(', ')}`
+      });
+    }
+
+    // Check if user has too many pending questions (rate limiting)
+    const pendingQuestions = await MentorshipQuestion.countDocuments({
+      userId: req.user.id,
+      status: 'pending'
+    });
+
+    if (pendingQuestions >= mentorshipService.config.maxPendingQuestions) {
+      return res.status(429).json({
+        error: 'You have too many pending questions. Please wait for responses before submitting more.'
+      });
+    }
+
+    const mentorshipQuestion = await MentorshipQuestion.create({
+      userId: req.user.id,
+      question: question.trim(),
+      category: category,
+      priority: priority,
+      status: 'pending'
+    });
+
+    const mentor = await mentorshipService.assignQuestion(mentorshipQuestion);
+
+    res.status(201).json({
+      message: 'Question submitted successfully',
+      question: {
+        ...formatQuestion(mentorshipQuestion),
+        mentor: mentor ? { id: mentor.userId, title: mentor.title } : null,
+        estimatedResponse: getEstimatedResponseTime(priority)
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit question error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentorship - Get user's questions
 router.get('/', async (req, res) => {
-  res.status(501).json({ 
-    message: 'Mentorship functionality temporarily disabled during MongoDB migration',
-    error: 'Feature under development'
-  });
+  try {
+    const { status, category, priority } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const whereClause = { userId: req.user.id };
+    if (status) whereClause.status = status;
+    if (category) whereClause.category = String(category);
+    if (priority) whereClause.priority = String(priority);
+
+    const [questions, allQuestions] = await Promise.all([
+      MentorshipQuestion.find(whereClause)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean(),
+      // Get quick stats
+      MentorshipQuestion.find({ userId: req.user.id })
+        .select('status category priority createdAt answeredAt')
+        .lean()
+    ]);
+
+    const stats = {
+      total: allQuestions.length,
+      pending: allQuestions.filter(q => q.status === 'pending').length,
+      answered: allQuestions.filter(q => q.status === 'answered').length,
+      closed: allQuestions.filter(q => q.status === 'closed').length,
+      byCategory: allQuestions.reduce((acc, q) => {
+        acc[q.category] = (acc[q.category] || 0) + 1;
+        return acc;
+      }, {}),
+      avgResponseTime: calculateAverageResponseTime(allQuestions)
+    };
+
+    res.json({
+      questions: questions.map(formatQuestion),
+      stats: stats,
+      filters: { status, category, priority, limit }
+    });
+
+  } catch (error) {
+    console.error('Get questions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-router.post('/', async (req, res) => {
-  res.status(501).json({ 
-    message: 'Mentorship functionality temporarily disabled during MongoDB migration',
-    error: 'Feature under development'
-  });
+// === MENTOR ENDPOINTS ===
+
+// GET /api/v1/mentorship/mentors - Search mentor profiles
+router.get('/mentors', async (req, res) => {
+  try {
+    const { specialization, category, available, verified } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (category !== undefined && !CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `Invalid category. Must be one of: ${CATEGORIES.join(', ')}` });
+    }
+
+    const filter = {};
+    if (available === 'true') filter.isAvailable = true;
+    if (verified === 'true' || verified === 'false') filter.isVerified = verified === 'true';
+    if (specialization) filter.specialization = { $regex: escapeRegex(String(specialization).substring(0, 100)), $options: 'i' };
+
+    // Verified mentors first, then by rating
+    let profiles = await MentorProfile.find(filter)
+      .sort({ isVerified: -1, averageRating: -1, yearsOfExperience: -1 })
+      .lean();
+    if (category) {
+      profiles = profiles.filter(profile => mentorshipService.getMentorCategories(profile).includes(category));
+    }
+
+    res.json({
+      mentors: profiles.slice(offset, offset + limit).map(formatMentorProfile),
+      pagination: { limit, offset, total: profiles.length }
+    });
+
+  } catch (error) {
+    console.error('Search mentors error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentorship/mentors/suggested - Mentors ranked by fit with the student's goals, skill gaps and timezone
+router.get('/mentors/suggested', async (req, res) => {
+  try {
+    const { verified } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (verified !== undefined && verified !== 'true' && verified !== 'false') {
+      return res.status(400).json({ error: 'verified must be true or false' });
+    }
+
+    const suggestions = await mentorMatchingService.suggest(req.user.id, {
+      limit,
+      verified: verified === undefined ? undefined : verified === 'true'
+    });
+
+    res.json({
+      suggestions: suggestions.map(suggestion => ({
+        mentor: formatMentorProfile(suggestion.profile),
+        remainingCapacity: suggestion.remaining,
+        score: suggestion.score,
+        components: suggestion.components,
+        matchedSkills: suggestion.matchedSkills,
+        reasons: suggestion.reasons
+      }))
+    });
+
+  } catch (error) {
+    console.error('Suggest mentors error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentorship/mentors/:mentorId/slots - Open session slots, shown in the viewer's timezone
+router.get('/mentors/:mentorId/slots', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.mentorId)) {
+      return res.status(400).json({ error: 'Invalid mentor ID' });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 86400000);
+
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({ error: 'from and to must be ISO 8601 dates with to after from' });
+    }
+    if (to - from > mentorSessionService.config.maxSlotRangeDays * 86400000) {
+      return res.status(400).json({ error: `Slot range cannot exceed ${mentorSessionService.config.maxSlotRangeDays} days` });
+    }
+    if (req.query.timezone !== undefined && !mentorSessionService.isValidTimezone(req.query.timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA timezone name, e.g. Asia/Kolkata' });
+    }
+
+    const profile = await MentorProfile.findOne({ userId: req.params.mentorId }).lean();
+    if (!profile) {
+      return res.status(404).json({ error: 'Mentor not found' });
+    }
+
+    const timezone = req.query.timezone || await mentorSessionService.getUserTimezone(req.user.id);
+    const mentorTimezone = mentorSessionService.getMentorTimezone(profile);
+    const slots = profile.isAvailable ? await mentorSessionService.getSlots(profile, from, to) : [];
+
+    res.json({
+      mentorId: profile.userId,
+      isAvailable: profile.isAvailable,
+      timezone,
+      mentorTimezone,
+      sessionDuration: (profile.availability || {}).sessionDuration ?? 60,
+      slots: slots.map(slot => ({
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        local: mentorSessionService.toZonedTime(slot.startTime, timezone),
+        mentorLocal: mentorSessionService.toZonedTime(slot.startTime, mentorTimezone)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get mentor slots error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentorship/mentor/profile - Get the mentor's own profile
+router.get('/mentor/profile', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const profile = await MentorProfile.findOne({ userId: req.user.id }).lean();
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mentor profile not found' });
+    }
+
+    res.json({ profile: formatMentorProfile(profile) });
+
+  } catch (error) {
+    console.error('Get mentor profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/v1/mentorship/mentor/profile - Create or update the mentor's own profile
+router.put('/mentor/profile', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const existing = await MentorProfile.findOne({ userId: req.user.id });
+    const updates = pickMentorProfileFields(req.body || {});
+
+    const validationError = validateMentorProfile(updates, { partial: !!existing });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const profile = existing || new MentorProfile({ userId: req.user.id });
+    Object.assign(profile, updates);
+    await profile.save();
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? 'Mentor profile updated' : 'Mentor profile created',
+      profile: formatMentorProfile(profile.toObject())
+    });
+
+  } catch (error) {
+    console.error('Update mentor profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentorship/mentor/availability - Get the mentor's weekly availability and exceptions
+router.get('/mentor/availability', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const profile = await MentorProfile.findOne({ userId: req.user.id }).select('availability').lean();
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mentor profile not found' });
+    }
+
+    res.json({ availability: profile.availability });
+
+  } catch (error) {
+    console.error('Get mentor availability error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/v1/mentorship/mentor/availability - Replace the mentor's windows; omitted settings keep their values and booked sessions are kept
+router.put('/mentor/availability', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const availability = req.body || {};
+
+    const validationError = mentorSessionService.validateAvailability(availability);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const profile = await MentorProfile.findOne({ userId: req.user.id });
+    if (!profile) {
+      return res.status(404).json({ error: 'Create your mentor profile first' });
+    }
+
+    profile.availability.timezone = availability.timezone;
+    profile.availability.weekly = (availability.weekly || [])
+      .map(window => ({ dayOfWeek: window.dayOfWeek, startTime: window.startTime, endTime: window.endTime }));
+    profile.availability.exceptions = (availability.exceptions || [])
+      .map(exception => ({ date: exception.date, windows: exception.windows || [], reason: exception.reason }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    ['sessionDuration', 'bufferMinutes', 'minNoticeHours', 'maxAdvanceDays']
+      .filter(setting => availability[setting] !== undefined)
+      .forEach(setting => { profile.availability[setting] = availability[setting]; });
+    await profile.save();
+
+    res.json({
+      message: 'Availability updated',
+      availability: profile.toObject().availability
+    });
+
+  } catch (error) {
+    console.error('Update mentor availability error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentorship/mentor/verification - Get the mentor's verification status and latest request
+router.get('/mentor/verification', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const [profile, request] = await Promise.all([
+      MentorProfile.findOne({ userId: req.user.id }).select('isVerified verifiedAt').lean(),
+      mentorVerificationService.getLatest(req.user.id)
+    ]);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mentor profile not found' });
+    }
+
+    res.json({
+      isVerified: profile.isVerified,
+      verifiedAt: profile.verifiedAt || null,
+      request: request ? formatVerificationRequest(request) : null
+    });
+
+  } catch (error) {
+    console.error('Get mentor verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentorship/mentor/verification - Submit uploaded credential documents for admin review
+router.post('/mentor/verification', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const { documentIds, notes } = req.body || {};
+    const { maxDocuments } = mentorVerificationService.config;
+
+    if (!Array.isArray(documentIds) || documentIds.length === 0 || documentIds.length > maxDocuments ||
+        !documentIds.every(documentId => mongoose.isValidObjectId(documentId))) {
+      return res.status(400).json({ error: `documentIds must list 1 to ${maxDocuments} uploaded credential document IDs` });
+    }
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > 1000)) {
+      return res.status(400).json({ error: 'notes must be a string of at most 1000 characters' });
+    }
+
+    const profile = await MentorProfile.findOne({ userId: req.user.id }).lean();
+    if (!profile) {
+      return res.status(404).json({ error: 'Create your mentor profile first' });
+    }
+    if (profile.isVerified) {
+      return res.status(400).json({ error: 'Your mentor profile is already verified' });
+    }
+
+    const uniqueIds = [...new Set(documentIds.map(String))];
+    const documents = await mentorVerificationService.findCredentialDocuments(req.user.id, uniqueIds);
+    if (documents.length !== uniqueIds.length) {
+      return res.status(400).json({ error: 'Every document must be a credential you uploaded through /api/v1/uploads/credentials' });
+    }
+
+    const request = await mentorVerificationService.submit(req.user.id, profile, uniqueIds, notes ? notes.trim() : undefined);
+
+    res.status(201).json({
+      message: 'Verification request submitted',
+      request: formatVerificationRequest(request.toObject())
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You already have a verification request awaiting review' });
+    }
+    console.error('Submit mentor verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mentorship/mentor/queue - Get questions routed to the mentor (mentor role only)
+router.get('/mentor/queue', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const { status = 'pending', category, priority } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    // Answered and closed questions are the mentor's own history
+    const whereClause = status === 'pending'
+      ? { ...(await mentorshipService.getQueueFilter(req.user)), status }
+      : { answeredById: req.user.id, status };
+    if (category) whereClause.category = String(category);
+    if (priority) whereClause.priority = String(priority);
+
+    const questions = await MentorshipQuestion.find(whereClause)
+      .populate('userId', 'email createdAt')
+      .sort({ createdAt: 1 }) // older first
+      .limit(500)
+      .lean();
+
+    // urgent first
+    questions.sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]);
+    const page = questions.slice(0, limit);
+
+    const profiles = await UserProfile.find({ userId: { $in: page.map(q => q.userId && q.userId._id) } })
+      .select('userId bio skills interests')
+      .lean();
+    const profileByUser = new Map(profiles.map(profile => [String(profile.userId), profile]));
+
+    res.json({
+      questions: page.map(q => ({
+        ...formatQuestion(q),
+        assignedToMe: String(q.assignedMentorId) === String(req.user.id),
+        user: q.userId ? {
+          id: q.userId._id,
+          email: q.userId.email,
+          createdAt: q.userId.createdAt,
+          profile: formatAskerProfile(profileByUser.get(String(q.userId._id)))
+        } : null
+      })),
+      total: questions.length
+    });
+
+  } catch (error) {
+    console.error('Get mentor queue error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mentorship/mentor/answer - Answer a question (mentor role only)
+router.post('/mentor/answer', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const { questionId, answer } = req.body || {};
+
+    if (!questionId || typeof answer !== 'string' || !answer.trim()) {
+      return res.status(400).json({
+        error: 'questionId and answer are required'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(questionId)) {
+      return res.status(400).json({ error: 'Invalid question ID' });
+    }
+
+    if (answer.length > 2000) {
+      return res.status(400).json({
+        error: 'Answer must be 2000 characters or less'
+      });
+    }
+
+    // Find the question
+    const question = await MentorshipQuestion.findById(questionId);
+
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    if (String(question.userId) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot answer your own question' });
+    }
+
+    if (!mentorshipService.canAnswer(question, req.user)) {
+      return res.status(403).json({ error: 'This question is assigned to another mentor' });
+    }
+
+    // Only a still-pending question is updated, so two mentors can't both answer it
+    const answeredQuestion = await MentorshipQuestion.findOneAndUpdate(
+      { _id: question._id, status: 'pending' },
+      {
+        $set: {
+          answer: answer.trim(),
+          answeredById: req.user.id,
+          aiGenerated: false,
+          status: 'answered',
+          answeredAt: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!answeredQuestion) {
+      return res.status(400).json({
+        error: 'Question is not pending. Cannot answer.'
+      });
+    }
+
+    await notifyAsker(answeredQuestion);
+
+    res.json({
+      message: 'Answer submitted successfully',
+      question: formatQuestion(answeredQuestion)
+    });
+
+  } catch (error) {
+    console.error('Answer question error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /api/v1/mentorship/:id - Get specific question and answer
+router.get('/:id', async (req, res) => {
+  try {
+    const question = await findQuestion(req, res, { allowMentor: true });
+    if (!question) return;
+
+    res.json({ question: formatQuestion(question) });
+
+  } catch (error) {
+    console.error('Get question error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/v1/mentorship/:id/close - Close a question
+router.put('/:id/close', async (req, res) => {
+  try {
+    const { satisfied = true, feedback } = req.body || {};
+
+    if (typeof satisfied !== 'boolean') {
+      return res.status(400).json({ error: 'satisfied must be a boolean' });
+    }
+    if (feedback !== undefined && (typeof feedback !== 'string' || feedback.length > 1000)) {
+      return res.status(400).json({ error: 'feedback must be a string of at most 1000 characters' });
+    }
+
+    const question = await findQuestion(req, res);
+    if (!question) return;
+
+    if (question.status !== 'answered') {
+      return res.status(400).json({
+        error: 'Can only close answered questions'
+      });
+    }
+
+    question.status = 'closed';
+    question.satisfied = satisfied;
+    question.feedback = feedback ? feedback.trim() : undefined;
+    question.closedAt = new Date();
+    await question.save();
+
+    res.json({
+      message: 'Question closed successfully',
+      question: {
+        id: question._id,
+        status: question.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Close question error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// === AI AUTO-ANSWER ENDPOINTS (MVP Feature) ===
+
+// POST /api/v1/mentorship/:id/ai-answer - Generate AI answer for a question
+router.post('/:id/ai-answer', aiBudget('mentorship', 'translation'), async (req, res) => {
+  try {
+    const { language = 'en' } = req.body || {};
+
+    if (!i18nService.supportedLanguages.includes(language)) {
+      return res.status(400).json({ error: `Invalid language. Must be one of: ${i18nService.supportedLanguages.join(', ')}` });
+    }
+
+    const question = await findQuestion(req, res);
+    if (!question) return;
+
+    if (question.status !== 'pending') {
+      return res.status(400).json({
+        error: 'Question is not pending. Cannot generate AI answer.'
+      });
+    }
+
+    const aiAnswer = await mentorshipService.generateAIAnswer(question, language);
+
+    // Update question with AI-generated answer unless a mentor got there first
+    const answeredQuestion = await MentorshipQuestion.findOneAndUpdate(
+      { _id: question._id, status: 'pending' },
+      {
+        $set: {
+          answer: aiAnswer,
+          aiGenerated: true,
+          status: 'answered',
+          answeredAt: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!answeredQuestion) {
+      return res.status(400).json({ error: 'Question was answered in the meantime' });
+    }
+
+    res.json({
+      message: 'AI answer generated successfully',
+      question: formatQuestion(answeredQuestion)
+    });
+
+  } catch (error) {
+    console.error('Generate AI answer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+// The asker's question; with allowMentor, also the mentor it is routed to or who answered it, and admins
+async function findQuestion(req, res, { allowMentor = false } = {}) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid question ID' });
+    return null;
+  }
+
+  const question = await MentorshipQuestion.findById(req.params.id);
+  const userId = String(req.user.id);
+  const visible = question && (
+    String(question.userId) === userId ||
+    (allowMentor && (
+      req.user.role === 'ADMIN' ||
+      String(question.assignedMentorId) === userId ||
+      String(question.answeredById) === userId
+    ))
+  );
+
+  if (!visible) {
+    res.status(404).json({ error: 'Question not found' });
+    return null;
+  }
+  return question;
+}
+
+async function notifyAsker(question) {
+  await Notification.create({
+    userId: question.userId,
+    type: 'MENTORSHIP',
+    title: 'Your question was answered',
+    message: `A mentor answered your question: "${question.question.substring(0, 100)}"`,
+    channels: ['IN_APP']
+  });
+}
+
+function pickMentorProfileFields(body) {
+  const fields = {};
+  ['title', 'specialization', 'yearsOfExperience', 'hourlyRate', 'isAvailable', 'maxStudents', 'description']
+    .filter(field => body[field] !== undefined)
+    .forEach(field => { fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field]; });
+  return fields;
+}
+
+// Returns an error message, or null when the fields are valid
+function validateMentorProfile(fields, { partial }) {
+  if (!partial || fields.title !== undefined) {
+    if (typeof fields.title !== 'string' || fields.title.length < 2 || fields.title.length > 100) {
+      return 'title must be between 2 and 100 characters';
+    }
+  }
+  if (!partial || fields.description !== undefined) {
+    if (typeof fields.description !== 'string' || fields.description.length < 10 || fields.description.length > 2000) {
+      return 'description must be between 10 and 2000 characters';
+    }
+  }
+  if (!partial || fields.yearsOfExperience !== undefined) {
+    if (!Number.isInteger(fields.yearsOfExperience) || fields.yearsOfExperience < 0 || fields.yearsOfExperience > 60) {
+      return 'yearsOfExperience must be an integer between 0 and 60';
+    }
+  }
+  if (fields.specialization !== undefined && (!Array.isArray(fields.specialization) || fields.specialization.length > 10 ||
+      fields.specialization.some(entry => typeof entry !== 'string' || !entry.trim() || entry.length > 100))) {
+    return 'specialization must be an array of at most 10 strings';
+  }
+  if (fields.hourlyRate !== undefined && !(typeof fields.hourlyRate === 'number' && fields.hourlyRate >= 0)) {
+    return 'hourlyRate must be a non-negative number';
+  }
+  if (fields.isAvailable !== undefined && typeof fields.isAvailable !== 'boolean') {
+    return 'isAvailable must be a boolean';
+  }
+  if (fields.maxStudents !== undefined && !(Number.isInteger(fields.maxStudents) && fields.maxStudents >= 1 && fields.maxStudents <= 100)) {
+    return 'maxStudents must be an integer between 1 and 100';
+  }
+  return null;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function formatQuestion(question) {
+  return {
+    id: question._id,
+    question: question.question,
+    answer: question.answer || null,
+    category: question.category,
+    priority: question.priority,
+    status: question.status,
+    aiGenerated: question.aiGenerated || false,
+    assigned: !!question.assignedMentorId,
+    satisfied: question.satisfied ?? null,
+    createdAt: question.createdAt,
+    answeredAt: question.answeredAt || null,
+    closedAt: question.closedAt || null
+  };
+}
+
+function formatMentorProfile(profile) {
+  return {
+    userId: profile.userId,
+    title: profile.title,
+    specialization: profile.specialization || [],
+    categories: mentorshipService.getMentorCategories(profile),
+    yearsOfExperience: profile.yearsOfExperience,
+    hourlyRate: profile.hourlyRate ?? null,
+    isAvailable: profile.isAvailable,
+    maxStudents: profile.maxStudents,
+    description: profile.description,
+    timezone: profile.availability ? profile.availability.timezone : 'UTC',
+    sessionDuration: profile.availability ? profile.availability.sessionDuration : null,
+    totalSessions: profile.totalSessions,
+    averageRating: reviewService.roundRating(profile.averageRating),
+    totalReviews: profile.totalReviews,
+    isVerified: profile.isVerified,
+    verifiedAt: profile.verifiedAt || null
+  };
+}
+
+function formatVerificationRequest(request) {
+  return {
+    id: request._id,
+    status: request.status,
+    documentIds: request.documentIds,
+    notes: request.notes || null,
+    decisionReason: request.decisionReason || null,
+    reviewedAt: request.reviewedAt || null,
+    createdAt: request.createdAt
+  };
+}
+
+function formatAskerProfile(profile) {
+  if (!profile) return null;
+  return {
+    summary: profile.bio || null,
+    skills: profile.skills || [],
+    interests: profile.interests || []
+  };
+}
+
+function getEstimatedResponseTime(priority) {
+  const estimatedTimes = {
+    'urgent': '24 hours',
+    'normal': '72 hours',
+    'low': '1 week'
+  };
+  return estimatedTimes[priority] || '72 hours';
+}
+
+function calculateAverageResponseTime(questions) {
+  const answeredQuestions = questions.filter(q => q.answeredAt);
+
+  if (answeredQuestions.length === 0) return null;
+
+  const averageHours = answeredQuestions
+    .reduce((sum, q) => sum + (new Date(q.answeredAt) - new Date(q.createdAt)), 0) / answeredQuestions.length / 3600000;
+
+  return averageHours < 48
+    ? `${Math.round(averageHours * 10) / 10} hours`
+    : `${Math.round((averageHours / 24) * 10) / 10} days`;
+}
+
+module.exports = router;
@@ -0,0 +1,424 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Interview, Progress } = require('../models');
+const aiService = require('../services/aiService');
+const careerScoringService = require('../services/careerScoringService');
+const userSkillService = require('../services/userSkillService');
+
+const router = express.Router();
+
+// Mock interview configuration
+const MOCK_INTERVIEW_CONFIG = {
+  difficulties: ['EASY', 'MEDIUM', 'HARD'],
+  interviewTypes: ['TECHNICAL', 'BEHAVIORAL', 'MIXED'],
+  minQuestions: 3,
+  maxQuestions: 10,
+  defaultQuestions: 5,
+  minTimePerQuestion: 30, // seconds
+  maxTimePerQuestion: 900,
+  defaultTimePerQuestion: 180,
+  gracePeriodSeconds: 15,
+  timeoutPenalty: 0.8 // score multiplier for answers submitted after the time limit
+};
+
+// POST /api/v1/mock-interviews - Start a new mock interview
+router.post('/', async (req, res) => {
+  try {
+    const {
+      jobRole,
+      difficulty = 'MEDIUM',
+      interviewType = 'MIXED',
+      questionCount = MOCK_INTERVIEW_CONFIG.defaultQuestions,
+      timePerQuestion = MOCK_INTERVIEW_CONFIG.defaultTimePerQuestion
+    } = req.body;
+
+    if (!jobRole || typeof jobRole !== 'string' || jobRole.trim().length < 2) {
+      return res.status(400).json({ error: 'jobRole is required' });
+    }
+
+    const normalizedDifficulty = String(difficulty).toUpperCase();
+    if (!MOCK_INTERVIEW_CONFIG.difficulties.includes(normalizedDifficulty)) {
+      return res.status(400).json({
+        error: `Invalid difficulty. Must be one of: ${MOCK_INTERVIEW_CONFIG.difficulties.join(', ')}`
+      });
+    }
+
+    const normalizedType = String(interviewType).toUpperCase();
+    if (!MOCK_INTERVIEW_CONFIG.interviewTypes.includes(normalizedType)) {
+      return res.status(400).json({
+        error: `Invalid interviewType. Must be one of: ${MOCK_INTERVIEW_CONFIG.interviewTypes.join(', ')}`
+      });
+    }
+
+    const count = parseInt(questionCount);
+    if (isNaN(count) || count < MOCK_INTERVIEW_CONFIG.minQuestions || count > MOCK_INTERVIEW_CONFIG.maxQuestions) {
+      return res.status(400).json({
+        error: `questionCount must be between ${MOCK_INTERVIEW_CONFIG.minQuestions} and ${MOCK_INTERVIEW_CONFIG.maxQuestions}`
+      });
+    }
+
+    const seconds = parseInt(timePerQuestion);
+    if (isNaN(seconds) || seconds < MOCK_INTERVIEW_CONFIG.minTimePerQuestion || seconds > MOCK_INTERVIEW_CONFIG.maxTimePerQuestion) {
+      return res.status(400).json({
+        error: `timePerQuestion must be between ${MOCK_INTERVIEW_CONFIG.minTimePerQuestion} and ${MOCK_INTERVIEW_CONFIG.maxTimePerQuestion} seconds`
+      });
+    }
+
+    const role = jobRole.trim();
+    const questions = await aiService.generateMockInterviewQuestions(role, normalizedDifficulty, normalizedType, count);
+    const now = new Date();
+
+    const interview = await Interview.create({
+      userId: req.user.id,
+      title: `${role} mock interview`,
+      jobRole: role,
+      difficulty: normalizedDifficulty,
+      interviewType: normalizedType,
+      duration: Math.ceil((questions.length * seconds) / 60),
+      timePerQuestion: seconds,
+      // The clock for the first question starts now; each answer starts the next one
+      questions: questions.map((q, index) => ({
+        question: q.question,
+        category: q.category,
+        askedAt: index === 0 ? now : undefined
+      })),
+      status: 'PENDING',
+      startedAt: now
+    });
+
+    res.status(201).json({
+      message: 'Mock interview started successfully',
+      interview: formatMockInterview(interview)
+    });
+
+  } catch (error) {
+    console.error('Start mock interview error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mock-interviews/history - Get past mock interviews and improvement stats
+router.get('/history', async (req, res) => {
+  try {
+    const { jobRole, limit = 10, offset = 0 } = req.query;
+
+    const filter = { userId: req.user.id, status: 'COMPLETED' };
+    if (jobRole) {
+      filter.jobRole = jobRole;
+    }
+
+    const [interviews, total, scored] = await Promise.all([
+      Interview.find(filter)
+        .sort({ completedAt: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit))
+        .select('title jobRole difficulty interviewType totalScore questions.score startedAt completedAt'),
+      Interview.countDocuments(filter),
+      Interview.find(filter).sort({ completedAt: 1 }).select('jobRole totalScore completedAt').lean()
+    ]);
+
+    res.json({
+      interviews: interviews.map(interview => ({
+        id: interview._id,
+        title: interview.title,
+        jobRole: interview.jobRole,
+        difficulty: interview.difficulty,
+        interviewType: interview.interviewType,
+        totalScore: interview.totalScore,
+        questionCount: interview.questions.length,
+        startedAt: interview.startedAt,
+        completedAt: interview.completedAt
+      })),
+      improvement: calculateImprovement(scored),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Mock interview history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/mock-interviews/:id - Get mock interview details
+router.get('/:id', async (req, res) => {
+  try {
+    const interview = await findUserInterview(req, res);
+    if (!interview) return;
+
+    res.json({ interview: formatMockInterview(interview) });
+
+  } catch (error) {
+    console.error('Get mock interview error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mock-interviews/:id/answer - Submit an answer to the current question
+router.post('/:id/answer', async (req, res) => {
+  try {
+    const { answer } = req.body;
+
+    if (typeof answer !== 'string' || answer.trim().length === 0) {
+      return res.status(400).json({ error: 'A non-empty answer is required' });
+    }
+
+    if (answer.length > 5000) {
+      return res.status(400).json({ error: 'Answer must be 5000 characters or less' });
+    }
+
+    const interview = await findUserInterview(req, res);
+    if (!interview) return;
+
+    if (interview.status !== 'PENDING') {
+      return res.status(400).json({ error: 'This mock interview is no longer in progress' });
+    }
+
+    const index = interview.questions.findIndex(q => !q.answeredAt);
+    const question = interview.questions[index];
+
+    // Time is measured on the server from when the question was served
+    const answeredAt = new Date();
+    const askedAt = question.askedAt || interview.startedAt;
+    const timeTakenSeconds = Math.round((answeredAt - askedAt) / 1000);
+    const timedOut = timeTakenSeconds > interview.timePerQuestion + MOCK_INTERVIEW_CONFIG.gracePeriodSeconds;
+
+    const scored = await aiService.scoreInterviewAnswer(question.question, answer.trim(), {
+      jobRole: interview.jobRole,
+      difficulty: interview.difficulty,
+      interviewType: interview.interviewType
+    });
+
+    question.answer = answer.trim();
+    question.answeredAt = answeredAt;
+    question.timeTakenSeconds = timeTakenSeconds;
+    question.timedOut = timedOut;
+    question.score = timedOut ? Math.round(scored.score * MOCK_INTERVIEW_CONFIG.timeoutPenalty) : scored.score;
+    question.feedback = timedOut
+      ? `${scored.feedback} (Answered after the ${interview.timePerQuestion}s time limit; score reduced.)`
+      : scored.feedback;
+    question.strengths = scored.strengths;
+    question.improvements = scored.improvements;
+
+    const nextQuestion = interview.questions[index + 1];
+    if (nextQuestion) {
+      nextQuestion.askedAt = answeredAt;
+    } else {
+      completeMockInterview(interview);
+    }
+
+    await interview.save();
+
+    if (interview.status === 'COMPLETED') {
+      await recordMockInterviewProgress(interview, req.user.id);
+      await recordMockInterviewSkills(interview, req.user.id);
+    }
+
+    res.json({
+      message: interview.status === 'COMPLETED' ? 'Mock interview completed' : 'Answer scored successfully',
+      result: {
+        questionIndex: index,
+        score: question.score,
+        feedback: question.feedback,
+        strengths: question.strengths,
+        improvements: question.improvements,
+        timeTakenSeconds: timeTakenSeconds,
+        timedOut: timedOut
+      },
+      interview: formatMockInterview(interview)
+    });
+
+  } catch (error) {
+    console.error('Mock interview answer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mock-interviews/:id/complete - Finish early; unanswered questions score zero
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const interview = await findUserInterview(req, res);
+    if (!interview) return;
+
+    if (interview.status !== 'PENDING') {
+      return res.status(400).json({ error: 'This mock interview is no longer in progress' });
+    }
+
+    completeMockInterview(interview);
+    await interview.save();
+    await recordMockInterviewProgress(interview, req.user.id);
+    await recordMockInterviewSkills(interview, req.user.id);
+
+    res.json({
+      message: 'Mock interview completed',
+      interview: formatMockInterview(interview)
+    });
+
+  } catch (error) {
+    console.error('Complete mock interview error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/mock-interviews/:id/cancel - Cancel a mock interview
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const interview = await findUserInterview(req, res);
+    if (!interview) return;
+
+    if (interview.status !== 'PENDING') {
+      return res.status(400).json({ error: 'This mock interview is no longer in progress' });
+    }
+
+    interview.status = 'CANCELLED';
+    await interview.save();
+
+    res.json({
+      message: 'Mock interview cancelled',
+      interview: formatMockInterview(interview)
+    });
+
+  } catch (error) {
+    console.error('Cancel mock interview error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+async function findUserInterview(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ error: 'Invalid interview ID' });
+    return null;
+  }
+
+  const interview = await Interview.findOne({ _id: id, userId: req.user.id });
+  if (!interview) {
+    res.status(404).json({ error: 'Mock interview not found' });
+    return null;
+  }
+
+  return interview;
+}
+
+function completeMockInterview(interview) {
+  const scores = interview.questions.map(q => (q.answeredAt ? q.score || 0 : 0));
+  interview.totalScore = scores.length > 0
+    ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+    : 0;
+  interview.status = 'COMPLETED';
+  interview.completedAt = new Date();
+}
+
+async function recordMockInterviewProgress(interview, userId) {
+  await Progress.findOneAndUpdate(
+    { userId: userId, type: 'interview', referenceId: interview._id },
+    {
+      progress: 100,
+      status: 'completed',
+      score: interview.totalScore,
+      timeSpent: Math.round((interview.completedAt - interview.startedAt) / 60000),
+      completedAt: interview.completedAt,
+      lastAccessedAt: new Date(),
+      metadata: new Map([
+        ['sessionType', 'mock_interview'],
+        ['jobRole', interview.jobRole],
+        ['difficulty', interview.difficulty],
+        ['interviewType', interview.interviewType]
+      ])
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// Technical answers count as evidence for the skills the user already has that the role needs
+async function recordMockInterviewSkills(interview, userId) {
+  const careerPath = careerScoringService.findCareerPath(interview.jobRole);
+  const technical = interview.questions.filter(q => q.answeredAt && String(q.category).toLowerCase() === 'technical');
+  if (!careerPath || technical.length === 0) return;
+
+  const required = new Set(careerPath.requiredSkills.map(skill => careerScoringService.normalizeSkill(skill.name)));
+  const userSkills = await userSkillService.getUserSkills(userId, { minConfidence: 0 });
+  const tested = userSkills.filter(userSkill => required.has(careerScoringService.normalizeSkill(userSkill.skillId.normalized)));
+
+  const score = technical.reduce((sum, q) => sum + (q.score || 0), 0) / technical.length / 100;
+
+  for (const userSkill of tested) {
+    await userSkillService.recordEvidence(userId, userSkill.skillId._id, {
+      type: 'MOCK_INTERVIEW',
+      score,
+      referenceId: interview._id,
+      note: `${interview.jobRole} mock interview`
+    });
+  }
+}
+
+function formatMockInterview(interview) {
+  const isPending = interview.status === 'PENDING';
+  const currentIndex = interview.questions.findIndex(q => !q.answeredAt);
+
+  return {
+    id: interview._id,
+    title: interview.title,
+    jobRole: interview.jobRole,
+    difficulty: interview.difficulty,
+    interviewType: interview.interviewType,
+    status: interview.status,
+    timePerQuestion: interview.timePerQuestion,
+    totalScore: interview.status === 'COMPLETED' ? interview.totalScore : null,
+    currentQuestionIndex: isPending && currentIndex !== -1 ? currentIndex : null,
+    // Upcoming questions stay hidden until they are served
+    questions: interview.questions
+      .filter((q, index) => !isPending || q.answeredAt || index === currentIndex)
+      .map(q => ({
+        question: q.question,
+        category: q.category,
+        answer: q.answer,
+        score: q.score,
+        feedback: q.feedback,
+        strengths: q.strengths,
+        improvements: q.improvements,
+        askedAt: q.askedAt,
+        answeredAt: q.answeredAt,
+        timeTakenSeconds: q.timeTakenSeconds,
+        timedOut: q.timedOut
+      })),
+    totalQuestions: interview.questions.length,
+    startedAt: interview.startedAt,
+    completedAt: interview.completedAt
+  };
+}
+
+function calculateImprovement(interviews) {
+  if (interviews.length === 0) {
+    return { averageScore: 0, bestScore: 0, latestScore: null, change: null, byJobRole: {} };
+  }
+
+  const scores = interviews.map(i => i.totalScore);
+  const byJobRole = interviews.reduce((acc, i) => {
+    if (!acc[i.jobRole]) {
+      acc[i.jobRole] = { attempts: 0, firstScore: i.totalScore, latestScore: i.totalScore, bestScore: 0 };
+    }
+    const entry = acc[i.jobRole];
+    entry.attempts++;
+    entry.latestScore = i.totalScore;
+    entry.bestScore = Math.max(entry.bestScore, i.totalScore);
+    entry.change = entry.latestScore - entry.firstScore;
+    return acc;
+  }, {});
+
+  return {
+    averageScore: Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length),
+    bestScore: Math.max(...scores),
+    latestScore: scores[scores.length - 1],
+    change: scores.length > 1 ? scores[scores.length - 1] - scores[0] : null,
+    byJobRole
+  };
+}
+
+module.exports = router;
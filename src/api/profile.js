@@ -1,6 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { UserProfile, User } = require('../models');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const mentorSessionService = require('../services/mentorSessionService');
 
 const router = express.Router();
 
@@ -29,6 +31,7 @@ router.get('/', async (req, res) => {
       languages: profile.preferredLanguages || [],
       interests: profile.interests || [],
       careerGoals: profile.careerGoals || null,
+      timezone: profile.timezone || null,
       createdAt: profile.createdAt,
       updatedAt: profile.updatedAt
     });
@@ -48,6 +51,7 @@ router.put(
     body('languages').optional().isArray(),
     body('interests').optional().isArray(),
     body('careerGoals').optional().isString().isLength({ max: 2000 }),
+    body('timezone').optional().custom(value => mentorSessionService.isValidTimezone(value)).withMessage('timezone must be an IANA timezone name, e.g. Asia/Kolkata'),
     // Accept new field names as well
     body('preferredLanguages').optional().isArray(),
     body('bio').optional().isString().isLength({ max: 2000 })
@@ -67,13 +71,14 @@ router.put(
       skills = [],
       languages = [], // legacy name
       preferredLanguages = [], // new name
-      careerGoals = null
+      careerGoals = null,
+      timezone
     } = req.body;
 
     const mergedInterests = Array.isArray(tags) || Array.isArray(interests)
       ? Array.from(new Set([...(tags || []), ...(interests || [])]))
       : [];
-    const finalSkills = Array.isArray(skills) ? skills : [];
+    const finalSkills = Array.isArray(skills) ? await skillTaxonomyService.canonicalizeNames(skills) : [];
     const finalLanguages = Array.isArray(preferredLanguages)
       ? preferredLanguages
       : (Array.isArray(languages) ? languages : []);
@@ -86,7 +91,9 @@ router.put(
         skills: finalSkills,
         interests: mergedInterests,
         preferredLanguages: finalLanguages,
-        careerGoals: careerGoals || undefined
+        careerGoals: careerGoals || undefined,
+        // Left alone when omitted; session times are shown in it
+        ...(timezone !== undefined && { timezone })
       },
       {
         upsert: true,
@@ -102,6 +109,7 @@ router.put(
       languages: upserted.preferredLanguages || [],
       interests: upserted.interests || [],
       careerGoals: upserted.careerGoals || null,
+      timezone: upserted.timezone || null,
       createdAt: upserted.createdAt,
       updatedAt: upserted.updatedAt
     });
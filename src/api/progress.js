@@ -1,14 +1,19 @@
 const express = require('express');
-// TODO: Create Progress model for MongoDB
-// const { Progress } = require('../models');
+const mongoose = require('mongoose');
+const { Progress, User, Lesson } = require('../models');
 const { requireResourceAccess } = require('../middlewares/roleAuth');
+const courseService = require('../services/courseService');
 
 const router = express.Router();
 
+// Courses, lessons, interviews and assessments are tracked by their own endpoints
+const UPDATABLE_TYPES = ['skill', 'roadmap', 'recommendation'];
+const PROGRESS_TYPES = ['course', 'lesson', 'interview', 'assessment', 'skill', 'roadmap', 'recommendation'];
+
 // POST /api/v1/progress/update - Update progress for any item
 router.post('/update', async (req, res) => {
   try {
-    const { type, referenceId, progress = 0, status = 'in_progress', metadata = {} } = req.body;
+    const { type, referenceId, progress = 0, status = 'in_progress', metadata = {} } = req.body || {};
 
     if (!type || !referenceId) {
       return res.status(400).json({ 
@@ -17,15 +22,18 @@ router.post('/update', async (req, res) => {
     }
 
     // Validate type
-    const validTypes = ['lesson', 'skill', 'recommendation', 'interview'];
-    if (!validTypes.includes(type)) {
+    if (!UPDATABLE_TYPES.includes(type)) {
       return res.status(400).json({ 
-        error: `Invalid type. Must be one of: ${validTypes.join(', ')}` 
+        error: `Invalid type. Must be one of: ${UPDATABLE_TYPES.join(', ')}` 
       });
     }
 
+    if (!mongoose.isValidObjectId(referenceId)) {
+      return res.status(400).json({ error: 'Invalid referenceId' });
+    }
+
     // Validate progress
-    if (progress < 0 || progress > 100) {
+    if (typeof progress !== 'number' || progress < 0 || progress > 100) {
       return res.status(400).json({ 
         error: 'Progress must be between 0 and 100' 
       });
@@ -39,29 +47,24 @@ router.post('/update', async (req, res) => {
       });
     }
 
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return res.status(400).json({ error: 'metadata must be an object' });
+    }
+
     // Update or create progress record
-    const progressRecord = await prisma.progress.upsert({
-      where: {
-        userId_type_referenceId: {
-          userId: req.user.id,
-          type: type,
-          referenceId: referenceId.toString()
-        }
-      },
-      update: {
-        progress: progress,
-        status: status,
-        metadata: metadata
-      },
-      create: {
-        userId: req.user.id,
-        type: type,
-        referenceId: referenceId.toString(),
-        progress: progress,
-        status: status,
-        metadata: metadata
-      }
-    });
+    const update = {
+      progress: progress,
+      status: status,
+      metadata: new Map(Object.entries(metadata)),
+      lastAccessedAt: new Date()
+    };
+    if (status === 'completed') update.completedAt = new Date();
+
+    const progressRecord = await Progress.findOneAndUpdate(
+      { userId: req.user.id, type: type, referenceId: referenceId },
+      { $set: update },
+      { upsert: true, new: true }
+    );
 
     res.json({
       message: 'Progress updated successfully',
@@ -77,13 +80,9 @@ router.post('/update', async (req, res) => {
 // GET /api/v1/progress/:userId - Get user progress (public for mentors)
 router.get('/:userId', requireResourceAccess('userId'), async (req, res) => {
   try {
-    const userId = parseInt(req.params.userId);
+    const userId = req.params.userId;
     const { type } = req.query;
 
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: 'Invalid user ID' });
-    }
-
     // Role-based access is handled by requireResourceAccess middleware
 
     const whereClause = { userId: userId };
@@ -91,16 +90,14 @@ router.get('/:userId', requireResourceAccess('userId'), async (req, res) => {
       whereClause.type = type;
     }
 
-    const progressRecords = await prisma.progress.findMany({
-      where: whereClause,
-      orderBy: { updatedAt: 'desc' }
-    });
+    const progressRecords = await Progress.find(whereClause)
+      .sort({ updatedAt: -1 })
+      .lean();
 
     // Get user info
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { id: true, email: true, createdAt: true }
-    });
+    const user = await User.findById(userId)
+      .select('email createdAt')
+      .lean();
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -134,15 +131,17 @@ router.get('/', async (req, res) => {
     // Add time filter if specified
     if (timeframe !== 'all') {
       const days = parseInt(timeframe);
+      if (isNaN(days) || days < 1) {
+        return res.status(400).json({ error: 'timeframe must be a number of days or "all"' });
+      }
       const dateFilter = new Date();
       dateFilter.setDate(dateFilter.getDate() - days);
-      whereClause.updatedAt = { gte: dateFilter };
+      whereClause.updatedAt = { $gte: dateFilter };
     }
 
-    const progressRecords = await prisma.progress.findMany({
-      where: whereClause,
-      orderBy: { updatedAt: 'desc' }
-    });
+    const progressRecords = await Progress.find(whereClause)
+      .sort({ updatedAt: -1 })
+      .lean();
 
     const analytics = calculateProgressAnalytics(progressRecords);
 
@@ -162,36 +161,24 @@ router.get('/', async (req, res) => {
 router.get('/dashboard/summary', async (req, res) => {
   try {
     // Get all progress for the user
-    const progressRecords = await prisma.progress.findMany({
-      where: { userId: req.user.id },
-      orderBy: { updatedAt: 'desc' }
-    });
+    const progressRecords = await Progress.find({ userId: req.user.id })
+      .sort({ updatedAt: -1 })
+      .lean();
 
     // Get recent activities (last 7 days)
     const weekAgo = new Date();
     weekAgo.setDate(weekAgo.getDate() - 7);
 
-    const recentActivities = await prisma.progress.findMany({
-      where: {
-        userId: req.user.id,
-        updatedAt: { gte: weekAgo }
-      },
-      orderBy: { updatedAt: 'desc' },
-      take: 10
-    });
+    const recentActivities = progressRecords
+      .filter(p => new Date(p.updatedAt) >= weekAgo)
+      .slice(0, 10);
 
-    // Get lesson statistics
-    const lessonStats = await prisma.userLesson.findMany({
-      where: { userId: req.user.id },
-      include: {
-        lesson: {
-          select: { title: true }
-        }
-      }
-    });
+    // Get lesson and course statistics
+    const lessonStats = progressRecords.filter(p => p.type === 'lesson');
+    const courseStats = progressRecords.filter(p => p.type === 'course');
 
-    const completedLessons = lessonStats.filter(l => l.completedAt).length;
-    const passedQuizzes = lessonStats.filter(l => l.quizPassed).length;
+    const completedLessons = lessonStats.filter(l => l.status === 'completed').length;
+    const passedQuizzes = lessonStats.filter(l => l.metadata && l.metadata.quizPassed).length;
 
     // Calculate analytics
     const analytics = calculateProgressAnalytics(progressRecords);
@@ -202,7 +189,10 @@ router.get('/dashboard/summary', async (req, res) => {
         completedItems: progressRecords.filter(p => p.status === 'completed').length,
         inProgressItems: progressRecords.filter(p => p.status === 'in_progress').length,
         lessonsCompleted: completedLessons,
-        quizzesPassed: passedQuizzes
+        quizzesPassed: passedQuizzes,
+        coursesEnrolled: courseStats.length,
+        coursesCompleted: courseStats.filter(c => c.status === 'completed').length,
+        learningMinutes: lessonStats.reduce((sum, l) => sum + (l.timeSpent || 0), 0)
       },
       recentActivity: recentActivities,
       analytics: analytics
@@ -219,21 +209,41 @@ router.delete('/:type/:referenceId', async (req, res) => {
   try {
     const { type, referenceId } = req.params;
 
-    const deleted = await prisma.progress.deleteMany({
-      where: {
-        userId: req.user.id,
-        type: type,
-        referenceId: referenceId
+    if (!PROGRESS_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid type. Must be one of: ${PROGRESS_TYPES.join(', ')}` });
+    }
+    if (!mongoose.isValidObjectId(referenceId)) {
+      return res.status(400).json({ error: 'Invalid referenceId' });
+    }
+
+    // Resetting a course leaves it, along with its lesson progress
+    if (type === 'course') {
+      const removed = await courseService.unenroll(req.user.id, referenceId);
+      if (!removed) {
+        return res.status(404).json({ error: 'Progress record not found' });
       }
+      return res.json({ message: 'Progress reset successfully', deletedCount: 1 });
+    }
+
+    const deleted = await Progress.deleteMany({
+      userId: req.user.id,
+      type: type,
+      referenceId: referenceId
     });
 
-    if (deleted.count === 0) {
+    if (deleted.deletedCount === 0) {
       return res.status(404).json({ error: 'Progress record not found' });
     }
 
+    // Keep the course's progress in step with its lessons
+    if (type === 'lesson') {
+      const lesson = await Lesson.findById(referenceId).select('courseId').lean();
+      if (lesson) await courseService.rollupCourse(req.user.id, lesson.courseId);
+    }
+
     res.json({ 
       message: 'Progress reset successfully',
-      deletedCount: deleted.count 
+      deletedCount: deleted.deletedCount 
     });
 
   } catch (error) {
@@ -250,7 +260,7 @@ function calculateProgressAnalytics(progressRecords) {
   const notStarted = progressRecords.filter(p => p.status === 'not_started').length;
 
   // Calculate average progress
-  const totalProgress = progressRecords.reduce((sum, p) => sum + p.progress, 0);
+  const totalProgress = progressRecords.reduce((sum, p) => sum + (p.progress || 0), 0);
   const averageProgress = total > 0 ? totalProgress / total : 0;
 
   // Group by type
@@ -290,4 +300,4 @@ function calculateProgressAnalytics(progressRecords) {
   };
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,255 @@
+const express = require('express');
+const { PromptTemplate, Recommendation, Roadmap } = require('../models');
+const promptTemplateService = require('../services/promptTemplateService');
+
+const router = express.Router();
+
+// GET /api/v1/admin/prompts - List prompt keys with their active versions
+router.get('/', async (req, res) => {
+  try {
+    const templates = await PromptTemplate.find()
+      .select('key version isActive weight')
+      .sort({ version: -1 })
+      .lean();
+
+    res.json({
+      prompts: promptTemplateService.getKeys().map(key => {
+        const versions = templates.filter(t => t.key === key);
+        const active = versions.filter(t => t.isActive && t.weight > 0);
+
+        return {
+          key,
+          description: promptTemplateService.getDefault(key).description,
+          variables: promptTemplateService.getDefault(key).variables,
+          latestVersion: versions.length > 0 ? versions[0].version : 0,
+          // Version 0 is the built-in template, served when no stored version is active
+          activeVersions: active.length > 0
+            ? active.map(t => ({ version: t.version, weight: t.weight }))
+            : [{ version: 0, weight: 100 }]
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('List prompt templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/admin/prompts/:key - Get the built-in template and all stored versions of a prompt
+router.get('/:key', async (req, res) => {
+  try {
+    const defaults = findPromptDefaults(req, res);
+    if (!defaults) return;
+
+    const versions = await PromptTemplate.find({ key: req.params.key })
+      .sort({ version: -1 })
+      .populate('createdBy', 'email');
+
+    res.json({
+      key: req.params.key,
+      description: defaults.description,
+      variables: defaults.variables,
+      builtin: {
+        version: 0,
+        template: defaults.template
+      },
+      versions: versions.map(formatTemplate)
+    });
+
+  } catch (error) {
+    console.error('Get prompt template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/admin/prompts/:key - Create a new version of a prompt
+router.post('/:key', async (req, res) => {
+  try {
+    const defaults = findPromptDefaults(req, res);
+    if (!defaults) return;
+
+    const { template, description, weight = 100, isActive = true } = req.body;
+
+    if (typeof template !== 'string' || !template.trim()) {
+      return res.status(400).json({ error: 'template is required' });
+    }
+
+    const validationError = validateVersionSettings({ weight, isActive });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const unknown = promptTemplateService.getUnknownVariables(req.params.key, template);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown template variables: ${unknown.join(', ')}`,
+        variables: defaults.variables
+      });
+    }
+
+    const created = await promptTemplateService.createVersion(req.params.key, {
+      template,
+      description,
+      weight,
+      isActive
+    }, req.user.id);
+
+    res.status(201).json({
+      message: 'Prompt version created',
+      template: formatTemplate(created)
+    });
+
+  } catch (error) {
+    console.error('Create prompt template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/v1/admin/prompts/:key/versions/:version - Activate, deactivate or reweight a version
+router.patch('/:key/versions/:version', async (req, res) => {
+  try {
+    const defaults = findPromptDefaults(req, res);
+    if (!defaults) return;
+
+    const { isActive, weight, description } = req.body;
+
+    const validationError = validateVersionSettings({ weight, isActive });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updates = {};
+    if (isActive !== undefined) updates.isActive = isActive;
+    if (weight !== undefined) updates.weight = weight;
+    if (description !== undefined) updates.description = description;
+
+    const template = await PromptTemplate.findOneAndUpdate(
+      { key: req.params.key, version: parseInt(req.params.version) },
+      { $set: updates },
+      { new: true }
+    );
+
+    if (!template) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    promptTemplateService.invalidate(req.params.key);
+
+    res.json({
+      message: 'Prompt version updated',
+      template: formatTemplate(template)
+    });
+
+  } catch (error) {
+    console.error('Update prompt template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/admin/prompts/:key/stats - Compare the outputs produced by each prompt version
+router.get('/:key/stats', async (req, res) => {
+  try {
+    const defaults = findPromptDefaults(req, res);
+    if (!defaults) return;
+
+    const { key } = req.params;
+    let versions;
+
+    if (key === 'recommendations' || key === 'careerPathRanking') {
+      const rows = await Recommendation.aggregate([
+        { $match: { 'promptVersion.key': key } },
+        {
+          $group: {
+            _id: '$promptVersion.version',
+            total: { $sum: 1 },
+            viewed: { $sum: { $cond: [{ $eq: ['$status', 'VIEWED'] }, 1, 0] } },
+            completed: { $sum: { $cond: [{ $eq: ['$status', 'COMPLETED'] }, 1, 0] } },
+            dismissed: { $sum: { $cond: [{ $eq: ['$status', 'DISMISSED'] }, 1, 0] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      versions = rows.map(row => ({
+        version: row._id,
+        recommendations: row.total,
+        viewed: row.viewed,
+        completed: row.completed,
+        dismissed: row.dismissed,
+        completionRate: toRate(row.completed, row.total),
+        dismissalRate: toRate(row.dismissed, row.total)
+      }));
+    } else if (key === 'skillRoadmap') {
+      const rows = await Roadmap.aggregate([
+        { $match: { 'promptVersion.key': key } },
+        {
+          $group: {
+            _id: '$promptVersion.version',
+            total: { $sum: 1 },
+            totalMilestones: { $sum: '$totalMilestones' },
+            completedMilestones: { $sum: '$completedMilestones' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      versions = rows.map(row => ({
+        version: row._id,
+        roadmaps: row.total,
+        averageMilestones: Math.round((row.totalMilestones / row.total) * 10) / 10,
+        milestoneCompletionRate: toRate(row.completedMilestones, row.totalMilestones)
+      }));
+    } else {
+      return res.status(400).json({ error: `Outputs of ${key} prompts are not stored, so no stats are available` });
+    }
+
+    res.json({ key, versions });
+
+  } catch (error) {
+    console.error('Get prompt template stats error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+function findPromptDefaults(req, res) {
+  const defaults = promptTemplateService.getDefault(req.params.key);
+  if (!defaults) {
+    res.status(404).json({ error: 'Prompt not found' });
+    return null;
+  }
+  return defaults;
+}
+
+function validateVersionSettings({ weight, isActive }) {
+  if (weight !== undefined && (typeof weight !== 'number' || weight < 0 || weight > 100)) {
+    return 'weight must be a number between 0 and 100';
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return 'isActive must be a boolean';
+  }
+  return null;
+}
+
+function toRate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+}
+
+function formatTemplate(template) {
+  return {
+    id: template._id,
+    key: template.key,
+    version: template.version,
+    template: template.template,
+    description: template.description,
+    isActive: template.isActive,
+    weight: template.weight,
+    createdBy: template.createdBy,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+  };
+}
+
+module.exports = router;
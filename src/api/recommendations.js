@@ -1,19 +1,307 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { Recommendation } = require('../models');
+const recommendationService = require('../services/recommendationService');
+
 const router = express.Router();
 
-// All recommendation endpoints temporarily disabled during MongoDB migration
+const RECOMMENDATION_FILTERS = {
+  status: ['ACTIVE', 'VIEWED', 'DISMISSED', 'COMPLETED', 'EXPIRED'],
+  type: ['CAREER_PATH', 'SKILL', 'COURSE', 'JOB', 'LEARNING'],
+  priority: ['LOW', 'MEDIUM', 'HIGH', 'URGENT'],
+  source: ['AI_ANALYSIS', 'INTERVIEW', 'ASSESSMENT', 'MANUAL']
+};
+
+// POST /api/v1/recommendations/generate - Generate new recommendations
+router.post('/generate', async (req, res) => {
+  try {
+    const { forceRegenerate = false, focusArea, language = 'en' } = req.body;
+
+    // Don't pile new recommendations on top of recent open ones unless forced
+    if (!forceRegenerate) {
+      const recentCount = await recommendationService.countRecent(req.user.id);
+      if (recentCount > 0) {
+        return res.status(409).json({
+          error: 'You have recent recommendations. Use forceRegenerate=true to create new ones.',
+          recentCount
+        });
+      }
+    }
+
+    const { recommendations, basedOn } = await recommendationService.generateForUser(req.user.id, {
+      focusArea,
+      language
+    });
+
+    res.status(201).json({
+      message: 'Recommendations generated successfully',
+      count: recommendations.length,
+      recommendations: recommendations.map(formatRecommendation),
+      language,
+      basedOn
+    });
+
+  } catch (error) {
+    console.error('Generate recommendations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/recommendations - List the user's recommendations
 router.get('/', async (req, res) => {
-  res.status(501).json({ 
-    message: 'Recommendation functionality temporarily disabled during MongoDB migration',
-    error: 'Feature under development'
-  });
+  try {
+    const { status = 'open', category, limit = 20, offset = 0 } = req.query;
+
+    const filter = { userId: req.user.id };
+
+    if (status === 'open') {
+      filter.status = { $in: ['ACTIVE', 'VIEWED'] };
+    } else if (status !== 'all') {
+      filter.status = String(status).toUpperCase();
+    }
+
+    for (const field of ['type', 'priority', 'source']) {
+      if (req.query[field]) filter[field] = String(req.query[field]).toUpperCase();
+    }
+
+    for (const [field, allowed] of Object.entries(RECOMMENDATION_FILTERS)) {
+      if (typeof filter[field] === 'string' && !allowed.includes(filter[field])) {
+        return res.status(400).json({
+          error: `Invalid ${field}. Must be one of: ${allowed.join(', ')}`
+        });
+      }
+    }
+
+    if (category) filter.category = String(category).toLowerCase();
+
+    // Expire stale recommendations now rather than waiting for the scheduled sweep
+    await recommendationService.expireRecommendations({ userId: req.user.id });
+
+    const [recommendations, total, statusCounts] = await Promise.all([
+      Recommendation.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit)),
+      Recommendation.countDocuments(filter),
+      Recommendation.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(req.user.id) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      recommendations: recommendations.map(formatRecommendation),
+      stats: {
+        total: statusCounts.reduce((sum, row) => sum + row.count, 0),
+        byStatus: statusCounts.reduce((acc, row) => {
+          acc[row._id] = row.count;
+          return acc;
+        }, {})
+      },
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recommendations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/recommendations/analytics/summary - Acceptance rates per type and source
+router.get('/analytics/summary', async (req, res) => {
+  try {
+    const { days = '30' } = req.query;
+
+    let since;
+    if (days !== 'all') {
+      const parsedDays = parseInt(days);
+      if (!parsedDays || parsedDays < 1) {
+        return res.status(400).json({ error: 'days must be a positive number or "all"' });
+      }
+      since = new Date(Date.now() - parsedDays * 24 * 60 * 60 * 1000);
+    }
+
+    const analytics = await recommendationService.getAnalyticsSummary(req.user.id, { since });
+
+    res.json({
+      analytics,
+      timeframe: days
+    });
+
+  } catch (error) {
+    console.error('Get recommendation analytics error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-router.post('/', async (req, res) => {
-  res.status(501).json({ 
-    message: 'Recommendation functionality temporarily disabled during MongoDB migration',
-    error: 'Feature under development'
-  });
+// GET /api/v1/recommendations/:id - Get a single recommendation
+router.get('/:id', async (req, res) => {
+  try {
+    const recommendation = await findUserRecommendation(req, res);
+    if (!recommendation) return;
+
+    res.json({ recommendation: formatRecommendation(recommendation) });
+
+  } catch (error) {
+    console.error('Get recommendation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/recommendations/:id/view - Mark a recommendation as viewed
+router.post('/:id/view', async (req, res) => {
+  try {
+    const recommendation = await findUserRecommendation(req, res);
+    if (!recommendation) return;
+
+    await recommendationService.markViewed(recommendation);
+
+    res.json({
+      message: 'Recommendation marked as viewed',
+      recommendation: formatRecommendation(recommendation)
+    });
+
+  } catch (error) {
+    console.error('View recommendation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+// POST /api/v1/recommendations/:id/dismiss - Dismiss a recommendation
+router.post('/:id/dismiss', async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const recommendation = await findUserRecommendation(req, res);
+    if (!recommendation) return;
+
+    if (!recommendationService.isOpen(recommendation)) {
+      return res.status(400).json({ error: `This recommendation is already ${recommendation.status.toLowerCase()}` });
+    }
+
+    await recommendationService.dismiss(recommendation, reason);
+
+    res.json({
+      message: 'Recommendation dismissed',
+      recommendation: formatRecommendation(recommendation)
+    });
+
+  } catch (error) {
+    console.error('Dismiss recommendation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/recommendations/:id/complete - Mark a recommendation as completed
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const { actionTaken } = req.body || {};
+
+    const recommendation = await findUserRecommendation(req, res);
+    if (!recommendation) return;
+
+    if (!recommendationService.isOpen(recommendation)) {
+      return res.status(400).json({ error: `This recommendation is already ${recommendation.status.toLowerCase()}` });
+    }
+
+    await recommendationService.complete(recommendation, actionTaken);
+
+    res.json({
+      message: 'Recommendation completed',
+      recommendation: formatRecommendation(recommendation)
+    });
+
+  } catch (error) {
+    console.error('Complete recommendation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/recommendations/:id/feedback - Rate a recommendation
+router.post('/:id/feedback', async (req, res) => {
+  try {
+    const { rating, helpful, comment } = req.body;
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'Rating is required and must be an integer between 1 and 5' });
+    }
+
+    if (helpful !== undefined && typeof helpful !== 'boolean') {
+      return res.status(400).json({ error: 'helpful must be a boolean' });
+    }
+
+    const recommendation = await findUserRecommendation(req, res);
+    if (!recommendation) return;
+
+    recommendation.feedback = {
+      rating,
+      helpful,
+      comment,
+      submittedAt: new Date()
+    };
+    await recommendation.save();
+
+    res.json({
+      message: 'Feedback submitted successfully',
+      recommendation: formatRecommendation(recommendation)
+    });
+
+  } catch (error) {
+    console.error('Submit recommendation feedback error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+async function findUserRecommendation(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ error: 'Invalid recommendation ID' });
+    return null;
+  }
+
+  const recommendation = await Recommendation.findOne({ _id: id, userId: req.user.id });
+  if (!recommendation) {
+    res.status(404).json({ error: 'Recommendation not found' });
+    return null;
+  }
+
+  // Expire on read so a stale recommendation can't be acted on between sweeps
+  if (recommendationService.isOpen(recommendation) && recommendation.expiresAt && recommendation.expiresAt <= new Date()) {
+    recommendation.status = 'EXPIRED';
+    await recommendation.save();
+  }
+
+  return recommendation;
+}
+
+function formatRecommendation(recommendation) {
+  return {
+    id: recommendation._id,
+    type: recommendation.type,
+    title: recommendation.title,
+    description: recommendation.description,
+    category: recommendation.category,
+    priority: recommendation.priority,
+    confidence: recommendation.confidence,
+    source: recommendation.source,
+    status: recommendation.status,
+    metadata: Object.fromEntries(recommendation.metadata || new Map()),
+    why: recommendation.why && recommendation.why.careerPathId ? recommendation.why : null,
+    feedback: recommendation.feedback?.rating ? recommendation.feedback : null,
+    dismissReason: recommendation.dismissReason,
+    actionTaken: recommendation.actionTaken,
+    actionTakenAt: recommendation.actionTakenAt,
+    viewedAt: recommendation.viewedAt,
+    expiresAt: recommendation.expiresAt,
+    createdAt: recommendation.createdAt
+  };
+}
+
+module.exports = router;
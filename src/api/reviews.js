@@ -0,0 +1,398 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Review, UserProfile } = require('../models');
+const { requireAdmin } = require('../middlewares/roleAuth');
+const reviewService = require('../services/reviewService');
+
+const router = express.Router();
+
+const TARGET_TYPES = ['MENTOR', 'COURSE'];
+const FLAG_REASONS = ['SPAM', 'OFFENSIVE', 'IRRELEVANT', 'FAKE', 'OTHER'];
+const SORTS = {
+  recent: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// GET /api/v1/reviews - Get a mentor's or course's visible reviews with its rating summary
+router.get('/', async (req, res) => {
+  try {
+    const { targetType, targetId, sort = 'recent' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const targetError = validateTarget(targetType, targetId);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    if (!SORTS[sort]) {
+      return res.status(400).json({ error: `Invalid sort. Must be one of: ${Object.keys(SORTS).join(', ')}` });
+    }
+
+    const found = await reviewService.findTarget(targetType, targetId);
+    if (!found) {
+      return res.status(404).json({ error: `${targetType === 'MENTOR' ? 'Mentor' : 'Course'} not found` });
+    }
+
+    const filter = { targetType, targetId, status: 'VISIBLE' };
+    const [reviews, total, distribution, myReview] = await Promise.all([
+      Review.find(filter).sort(SORTS[sort]).skip(offset).limit(limit).lean(),
+      Review.countDocuments(filter),
+      reviewService.getRatingDistribution(targetType, targetId),
+      Review.findOne({ targetType, targetId, reviewerId: req.user.id }).lean()
+    ]);
+
+    const names = await getReviewerNames(reviews);
+
+    res.json({
+      summary: {
+        averageRating: reviewService.roundRating(found.target.averageRating),
+        totalReviews: found.target.totalReviews || 0,
+        distribution
+      },
+      reviews: reviews.map(review => formatReview(review, req.user, names)),
+      myReview: myReview ? formatReview(myReview, req.user, names) : null,
+      pagination: { limit, offset, total }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/reviews/mine - Get the reviews the user has written
+router.get('/mine', async (req, res) => {
+  try {
+    const reviews = await Review.find({ reviewerId: req.user.id }).sort({ createdAt: -1 }).lean();
+
+    res.json({ reviews: reviews.map(review => formatReview(review, req.user)) });
+
+  } catch (error) {
+    console.error('Get my reviews error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/reviews/moderation - Get flagged and hidden reviews (admin only)
+router.get('/moderation', requireAdmin(), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (status !== undefined && !['VISIBLE', 'HIDDEN'].includes(status)) {
+      return res.status(400).json({ error: 'status must be VISIBLE or HIDDEN' });
+    }
+
+    // Hidden reviews, and visible ones somebody flagged
+    const filter = status === 'HIDDEN'
+      ? { status }
+      : status === 'VISIBLE'
+        ? { status, flagCount: { $gt: 0 } }
+        : { $or: [{ status: 'HIDDEN' }, { flagCount: { $gt: 0 } }] };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter).sort({ flagCount: -1, updatedAt: -1 }).skip(offset).limit(limit).lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      reviews: reviews.map(review => ({
+        ...formatReview(review, req.user),
+        reviewerId: review.reviewerId,
+        flags: review.flags,
+        moderation: {
+          moderatedById: review.moderatedById || null,
+          moderatedAt: review.moderatedAt || null,
+          reason: review.moderationReason || null
+        }
+      })),
+      pagination: { limit, offset, total }
+    });
+
+  } catch (error) {
+    console.error('Get review moderation queue error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/reviews - Review a mentor after a completed session, or a course after completing it
+router.post('/', async (req, res) => {
+  try {
+    const { targetType, targetId, rating, title, comment } = req.body || {};
+
+    const targetError = validateTarget(targetType, targetId);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    const validationError = validateReview({ rating, title, comment });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const found = await reviewService.findTarget(targetType, targetId);
+    if (!found) {
+      return res.status(404).json({ error: `${targetType === 'MENTOR' ? 'Mentor' : 'Course'} not found` });
+    }
+    if (String(found.ownerId) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot review yourself or your own course' });
+    }
+
+    if (!(await reviewService.canReview(req.user.id, targetType, targetId))) {
+      return res.status(403).json({
+        error: targetType === 'MENTOR'
+          ? 'You can review a mentor after completing a session with them'
+          : 'You can review a course after completing it'
+      });
+    }
+
+    const review = await reviewService.create(req.user.id, targetType, targetId, {
+      rating,
+      title: title ? title.trim() : undefined,
+      comment: comment ? comment.trim() : undefined
+    }, found.ownerId);
+
+    res.status(201).json({
+      message: 'Review submitted successfully',
+      review: formatReview(review.toObject(), req.user)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You have already reviewed this. Edit your existing review instead.' });
+    }
+    console.error('Create review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/v1/reviews/:id - Edit the user's own review
+router.patch('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fields = {};
+    ['rating', 'title', 'comment']
+      .filter(field => body[field] !== undefined)
+      .forEach(field => { fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field]; });
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'Provide rating, title or comment to update' });
+    }
+    const validationError = validateReview(fields, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    if (String(review.reviewerId) !== String(req.user.id)) {
+      return res.status(403).json({ error: 'You can only edit your own reviews' });
+    }
+
+    const updated = await reviewService.update(review._id, req.user.id, fields);
+
+    res.json({
+      message: 'Review updated successfully',
+      review: formatReview(updated.toObject(), req.user)
+    });
+
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/v1/reviews/:id/response - Respond to a review (the reviewed mentor or course author)
+router.put('/:id/response', async (req, res) => {
+  try {
+    const { text } = req.body || {};
+
+    if (typeof text !== 'string' || !text.trim() || text.length > 2000) {
+      return res.status(400).json({ error: 'text is required and must be 2000 characters or less' });
+    }
+
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    const found = await reviewService.findTarget(review.targetType, review.targetId);
+    if (!found || String(found.ownerId) !== String(req.user.id)) {
+      return res.status(403).json({ error: 'Only the reviewed mentor or course author can respond' });
+    }
+
+    await reviewService.respond(review, req.user.id, text.trim());
+
+    res.json({
+      message: 'Response saved',
+      review: formatReview(review.toObject(), req.user)
+    });
+
+  } catch (error) {
+    console.error('Respond to review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/reviews/:id/flag - Flag a review for moderation
+router.post('/:id/flag', async (req, res) => {
+  try {
+    const { reason, note } = req.body || {};
+
+    if (!FLAG_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Invalid reason. Must be one of: ${FLAG_REASONS.join(', ')}` });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({ error: 'note must be a string of at most 500 characters' });
+    }
+
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    if (String(review.reviewerId) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot flag your own review' });
+    }
+
+    const flagged = await reviewService.flag(review._id, req.user.id, { reason, note: note ? note.trim() : undefined });
+    if (!flagged) {
+      return res.status(409).json({ error: 'You have already flagged this review' });
+    }
+
+    res.json({ message: 'Review flagged for moderation' });
+
+  } catch (error) {
+    console.error('Flag review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/reviews/:id/hide - Hide a review (admin only)
+router.post('/:id/hide', requireAdmin(), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (typeof reason !== 'string' || !reason.trim() || reason.length > 500) {
+      return res.status(400).json({ error: 'reason is required and must be 500 characters or less' });
+    }
+
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    const hidden = await reviewService.hide(review._id, { moderatedById: req.user.id, reason: reason.trim() });
+    if (!hidden) {
+      return res.status(400).json({ error: 'Review is already hidden' });
+    }
+
+    res.json({ message: 'Review hidden', reviewId: review._id, status: 'HIDDEN' });
+
+  } catch (error) {
+    console.error('Hide review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/reviews/:id/restore - Show a hidden review again and clear its flags (admin only)
+router.post('/:id/restore', requireAdmin(), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ error: 'reason must be a string of at most 500 characters' });
+    }
+
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    const restored = await reviewService.restore(review._id, { moderatedById: req.user.id, reason: reason ? reason.trim() : undefined });
+    if (!restored) {
+      return res.status(400).json({ error: 'Review is not hidden' });
+    }
+
+    res.json({ message: 'Review restored', reviewId: review._id, status: 'VISIBLE' });
+
+  } catch (error) {
+    console.error('Restore review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+// Hidden reviews are only found by their reviewer and admins
+async function findReview(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid review ID' });
+    return null;
+  }
+
+  const review = await Review.findById(req.params.id);
+  const visible = review && (
+    review.status === 'VISIBLE' ||
+    String(review.reviewerId) === String(req.user.id) ||
+    req.user.role === 'ADMIN'
+  );
+
+  if (!visible) {
+    res.status(404).json({ error: 'Review not found' });
+    return null;
+  }
+  return review;
+}
+
+// Returns an error message, or null when the target is valid
+function validateTarget(targetType, targetId) {
+  if (!TARGET_TYPES.includes(targetType)) {
+    return `targetType must be one of: ${TARGET_TYPES.join(', ')}`;
+  }
+  if (!mongoose.isValidObjectId(targetId)) {
+    return 'Valid targetId is required';
+  }
+  return null;
+}
+
+// Returns an error message, or null when the fields are valid
+function validateReview({ rating, title, comment }, { partial = false } = {}) {
+  if ((!partial || rating !== undefined) && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+    return 'rating must be a whole number from 1 to 5';
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > 120)) {
+    return 'title must be a string of at most 120 characters';
+  }
+  if (comment !== undefined && (typeof comment !== 'string' || comment.length > 2000)) {
+    return 'comment must be a string of at most 2000 characters';
+  }
+  return null;
+}
+
+// Display names as first name and last initial
+async function getReviewerNames(reviews) {
+  const profiles = await UserProfile.find({ userId: { $in: reviews.map(review => review.reviewerId) } })
+    .select('userId firstName lastName')
+    .lean();
+
+  return new Map(profiles
+    .filter(profile => profile.firstName)
+    .map(profile => [String(profile.userId), `${profile.firstName}${profile.lastName ? ` ${profile.lastName[0]}.` : ''}`]));
+}
+
+function formatReview(review, user, names = new Map()) {
+  return {
+    id: review._id,
+    targetType: review.targetType,
+    targetId: review.targetId,
+    reviewer: names.get(String(review.reviewerId)) || 'Student',
+    isMine: String(review.reviewerId) === String(user.id),
+    rating: review.rating,
+    title: review.title || null,
+    comment: review.comment || null,
+    response: review.response && review.response.text ? {
+      text: review.response.text,
+      respondedAt: review.response.respondedAt
+    } : null,
+    status: review.status,
+    editedAt: review.editedAt || null,
+    createdAt: review.createdAt
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Roadmap } = require('../models');
+const roadmapService = require('../services/roadmapService');
+
+const router = express.Router();
+
+// GET /api/v1/roadmaps - List the user's saved roadmap versions
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 10, offset = 0 } = req.query;
+
+    const [roadmaps, total] = await Promise.all([
+      Roadmap.find({ userId: req.user.id })
+        .sort({ version: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit))
+        .select('version isCurrent title summary source conversationId totalMilestones completedMilestones createdAt'),
+      Roadmap.countDocuments({ userId: req.user.id })
+    ]);
+
+    res.json({
+      roadmaps: roadmaps.map(roadmap => ({
+        id: roadmap._id,
+        version: roadmap.version,
+        isCurrent: roadmap.isCurrent,
+        title: roadmap.title,
+        summary: roadmap.summary,
+        source: roadmap.source,
+        conversationId: roadmap.conversationId,
+        progress: formatRoadmapProgress(roadmap),
+        createdAt: roadmap.createdAt
+      })),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total: total
+      }
+    });
+
+  } catch (error) {
+    console.error('List roadmaps error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/roadmaps/current - Get the latest roadmap version
+router.get('/current', async (req, res) => {
+  try {
+    const roadmap = await Roadmap.findOne({ userId: req.user.id, isCurrent: true });
+
+    if (!roadmap) {
+      return res.status(404).json({ error: 'No roadmap found. Generate one from a chatbot conversation first.' });
+    }
+
+    res.json({ roadmap: formatRoadmap(roadmap) });
+
+  } catch (error) {
+    console.error('Get current roadmap error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/roadmaps/:id - Get a specific roadmap version
+router.get('/:id', async (req, res) => {
+  try {
+    const roadmap = await findUserRoadmap(req, res);
+    if (!roadmap) return;
+
+    res.json({ roadmap: formatRoadmap(roadmap) });
+
+  } catch (error) {
+    console.error('Get roadmap error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/v1/roadmaps/:id/milestones/:milestoneId - Mark a milestone done or not done
+router.patch('/:id/milestones/:milestoneId', async (req, res) => {
+  try {
+    const { completed } = req.body;
+
+    if (typeof completed !== 'boolean') {
+      return res.status(400).json({ error: 'completed must be a boolean' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.milestoneId)) {
+      return res.status(400).json({ error: 'Invalid milestone ID' });
+    }
+
+    const roadmap = await findUserRoadmap(req, res);
+    if (!roadmap) return;
+
+    const milestone = await roadmapService.setMilestoneStatus(roadmap, req.params.milestoneId, completed);
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    res.json({
+      message: completed ? 'Milestone marked as completed' : 'Milestone marked as not completed',
+      milestone: {
+        id: milestone._id,
+        title: milestone.title,
+        completed: milestone.completed,
+        completedAt: milestone.completedAt
+      },
+      progress: formatRoadmapProgress(roadmap)
+    });
+
+  } catch (error) {
+    console.error('Update milestone error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+async function findUserRoadmap(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ error: 'Invalid roadmap ID' });
+    return null;
+  }
+
+  const roadmap = await Roadmap.findOne({ _id: id, userId: req.user.id });
+  if (!roadmap) {
+    res.status(404).json({ error: 'Roadmap not found' });
+    return null;
+  }
+
+  return roadmap;
+}
+
+function formatRoadmapProgress(roadmap) {
+  return {
+    completedMilestones: roadmap.completedMilestones,
+    totalMilestones: roadmap.totalMilestones,
+    percentage: roadmapService.getCompletionPercentage(roadmap)
+  };
+}
+
+function formatRoadmap(roadmap) {
+  return {
+    id: roadmap._id,
+    version: roadmap.version,
+    isCurrent: roadmap.isCurrent,
+    title: roadmap.title,
+    summary: roadmap.summary,
+    source: roadmap.source,
+    conversationId: roadmap.conversationId,
+    phases: roadmap.phases.map(phase => ({
+      phase: phase.phase,
+      description: phase.description,
+      skills: phase.skills.map(skill => ({
+        name: skill.name,
+        priority: skill.priority,
+        timeToLearn: skill.timeToLearn,
+        resources: skill.resources,
+        projects: skill.projects,
+        milestones: skill.milestones.map(milestone => ({
+          id: milestone._id,
+          title: milestone.title,
+          completed: milestone.completed,
+          completedAt: milestone.completedAt
+        }))
+      }))
+    })),
+    careerPaths: roadmap.careerPaths,
+    resources: roadmap.resources,
+    nextSteps: roadmap.nextSteps,
+    progress: formatRoadmapProgress(roadmap),
+    createdAt: roadmap.createdAt,
+    updatedAt: roadmap.updatedAt
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,377 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Skill, UserSkill } = require('../models');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+
+const router = express.Router();
+
+// GET /api/v1/admin/skills - List skills with their aliases, parent and user counts
+router.get('/', async (req, res) => {
+  try {
+    const { search, parentId, limit = 50, offset = 0 } = req.query;
+
+    const filter = {};
+    if (search) {
+      const key = skillTaxonomyService.toKey(search);
+      filter.$or = [
+        { name: { $regex: escapeRegex(String(search).trim()), $options: 'i' } },
+        { aliases: key }
+      ];
+    }
+    if (parentId !== undefined) {
+      if (parentId !== 'none' && !mongoose.isValidObjectId(parentId)) {
+        return res.status(400).json({ error: 'Invalid parentId' });
+      }
+      filter.parent = parentId === 'none' ? null : parentId;
+    }
+
+    const [skills, total] = await Promise.all([
+      Skill.find(filter)
+        .sort({ name: 1 })
+        .limit(Math.min(parseInt(limit) || 50, 200))
+        .skip(parseInt(offset) || 0)
+        .populate('parent', 'name')
+        .lean(),
+      Skill.countDocuments(filter)
+    ]);
+
+    const userCounts = await countUsers(skills.map(skill => skill._id));
+
+    res.json({
+      skills: skills.map(skill => formatSkill(skill, userCounts.get(String(skill._id)) || 0)),
+      pagination: {
+        limit: parseInt(limit) || 50,
+        offset: parseInt(offset) || 0,
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('List skills error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/admin/skills/duplicates - Find stored skills that resolve to the same canonical skill
+router.get('/duplicates', async (req, res) => {
+  try {
+    const groups = await skillTaxonomyService.findDuplicates();
+    const userCounts = await countUsers(groups.flatMap(group => group.skills.map(skill => skill._id)));
+
+    res.json({
+      duplicates: groups.map(group => ({
+        normalized: group.normalized,
+        suggestedTargetId: group.skills[0]._id,
+        skills: group.skills.map(skill => formatSkill(skill, userCounts.get(String(skill._id)) || 0))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Find duplicate skills error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/admin/skills/resolve - Preview how free-text skill names resolve
+router.post('/resolve', async (req, res) => {
+  try {
+    const { names } = req.body || {};
+
+    if (!Array.isArray(names) || names.length === 0 || names.some(name => typeof name !== 'string')) {
+      return res.status(400).json({ error: 'names must be a non-empty array of strings' });
+    }
+
+    await skillTaxonomyService.load();
+    const resolved = names.map(name => ({ input: name, ...skillTaxonomyService.resolve(name) }));
+
+    const stored = await Skill.find({ normalized: { $in: resolved.map(entry => entry.normalized) } })
+      .select('normalized')
+      .lean();
+
+    res.json({
+      skills: resolved.map(entry => ({
+        ...entry,
+        skillId: (stored.find(skill => skill.normalized === entry.normalized) || {})._id || null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Resolve skills error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/admin/skills/merge - Merge duplicate skills into one
+router.post('/merge', async (req, res) => {
+  try {
+    const { targetId, sourceIds } = req.body || {};
+
+    if (!mongoose.isValidObjectId(targetId)) {
+      return res.status(400).json({ error: 'Invalid targetId' });
+    }
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || !sourceIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'sourceIds must be a non-empty array of skill ids' });
+    }
+    if (sourceIds.some(id => String(id) === String(targetId))) {
+      return res.status(400).json({ error: 'targetId cannot also be a source' });
+    }
+
+    const [target, sourceCount] = await Promise.all([
+      Skill.exists({ _id: targetId }),
+      Skill.countDocuments({ _id: { $in: sourceIds } })
+    ]);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Target skill not found' });
+    }
+    if (sourceCount !== new Set(sourceIds.map(String)).size) {
+      return res.status(404).json({ error: 'One or more source skills not found' });
+    }
+
+    const result = await skillTaxonomyService.mergeSkills(targetId, sourceIds);
+
+    res.json({
+      message: 'Skills merged',
+      skill: formatSkill(result.target.toObject()),
+      merged: result.merged,
+      userSkillsMoved: result.userSkillsMoved,
+      userSkillsMerged: result.userSkillsMerged,
+      profilesUpdated: result.profilesUpdated
+    });
+
+  } catch (error) {
+    console.error('Merge skills error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/admin/skills - Add a skill to the taxonomy
+router.post('/', async (req, res) => {
+  try {
+    const { name, parentId = null, aliases = [], tags = [] } = req.body || {};
+
+    if (typeof name !== 'string' || !skillTaxonomyService.toKey(name)) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const normalized = skillTaxonomyService.toKey(name);
+    const validationError = await validateTaxonomyFields({ parentId, aliases, tags }, normalized, null);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const aliasOf = await findAliasOwner(name, normalized);
+    if (aliasOf) {
+      return res.status(400).json({ error: `${name} is an alias of ${aliasOf}` });
+    }
+
+    const conflicts = await skillTaxonomyService.findAliasConflicts([normalized], null);
+    if (conflicts.length > 0) {
+      return res.status(400).json({ error: `${name} already exists as ${conflicts[0].name}`, conflicts });
+    }
+
+    const skill = await Skill.create({
+      name: name.trim(),
+      normalized,
+      tags,
+      aliases: toAliasKeys(aliases, normalized),
+      parent: parentId
+    });
+
+    skillTaxonomyService.invalidate();
+
+    res.status(201).json({
+      message: 'Skill created',
+      skill: formatSkill(skill.toObject(), 0)
+    });
+
+  } catch (error) {
+    console.error('Create skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/admin/skills/:id - Get a skill with its parent and children
+router.get('/:id', async (req, res) => {
+  try {
+    const skill = await findSkill(req, res);
+    if (!skill) return;
+
+    const [children, userCounts] = await Promise.all([
+      Skill.find({ parent: skill._id }).select('name normalized').sort({ name: 1 }).lean(),
+      countUsers([skill._id])
+    ]);
+
+    res.json({
+      skill: {
+        ...formatSkill(skill, userCounts.get(String(skill._id)) || 0),
+        children: children.map(child => ({ id: child._id, name: child.name, normalized: child.normalized })),
+        prerequisites: (skill.prerequisites || []).map(prerequisite => ({ id: prerequisite._id, name: prerequisite.name }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/v1/admin/skills/:id - Rename a skill or change its aliases, parent or tags
+router.patch('/:id', async (req, res) => {
+  try {
+    const skill = await findSkill(req, res);
+    if (!skill) return;
+
+    const { name, parentId, aliases, tags } = req.body || {};
+    const updates = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !skillTaxonomyService.toKey(name)) {
+        return res.status(400).json({ error: 'name must be a non-empty string' });
+      }
+      updates.name = name.trim();
+      updates.normalized = skillTaxonomyService.toKey(name);
+    }
+
+    const normalized = updates.normalized || skill.normalized;
+    const validationError = await validateTaxonomyFields({ parentId, aliases, tags }, normalized, skill._id);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    if (updates.normalized && updates.normalized !== skill.normalized) {
+      const aliasOf = await findAliasOwner(name, updates.normalized);
+      if (aliasOf) {
+        return res.status(400).json({ error: `${name} is an alias of ${aliasOf}; merge the skills instead` });
+      }
+
+      const conflicts = await skillTaxonomyService.findAliasConflicts([updates.normalized], skill._id);
+      if (conflicts.length > 0) {
+        return res.status(400).json({ error: `${name} already exists as ${conflicts[0].name}; merge the skills instead`, conflicts });
+      }
+    }
+
+    if (aliases !== undefined || updates.normalized) {
+      // A renamed skill keeps answering to its old name
+      const keys = aliases !== undefined ? toAliasKeys(aliases, normalized) : (skill.aliases || []);
+      const renamedFrom = updates.normalized && updates.normalized !== skill.normalized ? [skill.normalized] : [];
+      updates.aliases = [...new Set([...keys, ...renamedFrom])].filter(alias => alias !== normalized);
+    }
+    if (parentId !== undefined) updates.parent = parentId;
+    if (tags !== undefined) updates.tags = tags;
+
+    const updated = await Skill.findByIdAndUpdate(skill._id, { $set: updates }, { new: true })
+      .populate('parent', 'name')
+      .lean();
+
+    skillTaxonomyService.invalidate();
+
+    res.json({
+      message: 'Skill updated',
+      skill: formatSkill(updated)
+    });
+
+  } catch (error) {
+    console.error('Update skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+async function findSkill(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid skill ID' });
+    return null;
+  }
+
+  const skill = await Skill.findById(req.params.id)
+    .populate('parent', 'name')
+    .populate('prerequisites', 'name')
+    .lean();
+
+  if (!skill) {
+    res.status(404).json({ error: 'Skill not found' });
+    return null;
+  }
+  return skill;
+}
+
+// Validates the optional parent, alias and tag fields; returns an error body or null
+async function validateTaxonomyFields({ parentId, aliases, tags }, normalized, skillId) {
+  if (parentId !== undefined && parentId !== null) {
+    if (!mongoose.isValidObjectId(parentId)) {
+      return { error: 'Invalid parentId' };
+    }
+    if (!(await Skill.exists({ _id: parentId }))) {
+      return { error: 'Parent skill not found' };
+    }
+    if (skillId && await skillTaxonomyService.wouldCreateCycle(skillId, parentId)) {
+      return { error: 'A skill cannot sit under itself or one of its children' };
+    }
+  }
+
+  if (aliases !== undefined) {
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+      return { error: 'aliases must be an array of strings' };
+    }
+
+    const conflicts = await skillTaxonomyService.findAliasConflicts(toAliasKeys(aliases, normalized), skillId);
+    if (conflicts.length > 0) {
+      return {
+        error: `Aliases already belong to other skills: ${conflicts.map(c => `${c.alias} (${c.name})`).join(', ')}; merge the skills instead`,
+        conflicts
+      };
+    }
+  }
+
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+    return { error: 'tags must be an array of strings' };
+  }
+
+  return null;
+}
+
+// Canonical name when `name` already resolves to a different skill through an alias
+async function findAliasOwner(name, normalized) {
+  await skillTaxonomyService.load();
+  const resolved = skillTaxonomyService.resolve(name);
+  return resolved.normalized !== normalized ? resolved.name : null;
+}
+
+function toAliasKeys(aliases, normalized) {
+  return [...new Set(aliases.map(alias => skillTaxonomyService.toKey(alias)))]
+    .filter(key => key && key !== normalized);
+}
+
+async function countUsers(skillIds) {
+  if (skillIds.length === 0) return new Map();
+
+  const rows = await UserSkill.aggregate([
+    { $match: { skillId: { $in: skillIds } } },
+    { $group: { _id: '$skillId', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [String(row._id), row.count]));
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function formatSkill(skill, userCount) {
+  const parent = skill.parent && skill.parent.name
+    ? { id: skill.parent._id, name: skill.parent.name }
+    : (skill.parent ? { id: skill.parent } : null);
+
+  return {
+    id: skill._id,
+    name: skill.name,
+    normalized: skill.normalized,
+    aliases: skill.aliases || [],
+    tags: skill.tags || [],
+    parent,
+    ...(userCount !== undefined && { userCount })
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const userSkillService = require('../services/userSkillService');
+const skillGapService = require('../services/skillGapService');
+const mentorRelationshipService = require('../services/mentorRelationshipService');
+const { Notification } = require('../models');
+const { requireMentorOrAdmin } = require('../middlewares/roleAuth');
+const CAREER_PATHS = require('../config/careerPaths');
+
+const router = express.Router();
+
+const PROFICIENCY_LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+
+// GET /api/v1/skills - Get the user's skills with proficiency and decayed confidence
+router.get('/', async (req, res) => {
+  try {
+    const includeFaded = req.query.includeFaded === 'true';
+
+    const userSkills = await userSkillService.getUserSkills(req.user.id, {
+      minConfidence: includeFaded ? 0 : undefined
+    });
+
+    res.json({
+      skills: userSkills.map(formatUserSkill),
+      minConfidence: userSkillService.config.minConfidence
+    });
+
+  } catch (error) {
+    console.error('Get skills error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/skills - Self-report a skill and proficiency level
+router.post('/', async (req, res) => {
+  try {
+    const { name, level, note } = req.body || {};
+
+    if (typeof name !== 'string' || !skillTaxonomyService.toKey(name)) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (level !== undefined && !PROFICIENCY_LEVELS.includes(level)) {
+      return res.status(400).json({ error: `level must be one of: ${PROFICIENCY_LEVELS.join(', ')}` });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({ error: 'note must be a string of at most 500 characters' });
+    }
+
+    const [skill] = await skillTaxonomyService.upsertSkills([name]);
+    const userSkill = await userSkillService.recordEvidence(req.user.id, skill._id, {
+      type: 'SELF_REPORTED',
+      level,
+      note
+    });
+
+    res.status(201).json({
+      message: 'Skill recorded',
+      skill: formatUserSkill({ ...userSkill.toObject(), skillId: skill })
+    });
+
+  } catch (error) {
+    console.error('Add skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/skills/endorsements - Endorse a skill of a student you mentor
+router.post('/endorsements', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const { studentId, name, level, note } = req.body || {};
+
+    if (!mongoose.isValidObjectId(studentId)) {
+      return res.status(400).json({ error: 'Valid studentId is required' });
+    }
+    if (String(studentId) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot endorse your own skills' });
+    }
+    if (typeof name !== 'string' || !skillTaxonomyService.toKey(name)) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (level !== undefined && !PROFICIENCY_LEVELS.includes(level)) {
+      return res.status(400).json({ error: `level must be one of: ${PROFICIENCY_LEVELS.join(', ')}` });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({ error: 'note must be a string of at most 500 characters' });
+    }
+
+    if (!(await mentorRelationshipService.hasMentored(req.user.id, studentId))) {
+      return res.status(403).json({ error: 'You can only endorse students you have an active mentorship or a completed session with' });
+    }
+
+    // One endorsement per mentor and skill; endorsing again replaces it
+    const [skill] = await skillTaxonomyService.upsertSkills([name]);
+    const userSkill = await userSkillService.recordEvidence(studentId, skill._id, {
+      type: 'MENTOR_ENDORSEMENT',
+      level,
+      note,
+      referenceId: req.user.id,
+      recordedBy: req.user.id
+    });
+
+    await Notification.create({
+      userId: studentId,
+      type: 'MENTORSHIP',
+      title: 'Skill endorsed',
+      message: `Your mentor endorsed your ${skill.name} skill${level ? ` at ${level.toLowerCase()} level` : ''}.`,
+      channels: ['IN_APP']
+    });
+
+    res.status(201).json({
+      message: 'Skill endorsed',
+      skill: formatUserSkill({ ...userSkill.toObject(), skillId: skill })
+    });
+
+  } catch (error) {
+    console.error('Endorse skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/skills/gap - Compare the user's skills with a target role
+router.get('/gap', async (req, res) => {
+  try {
+    const { role, careerPathId, hoursPerWeek } = req.query;
+
+    if (role !== undefined && (typeof role !== 'string' || role.trim().length < 2 || role.length > 100)) {
+      return res.status(400).json({ error: 'role must be between 2 and 100 characters' });
+    }
+    if (careerPathId !== undefined && !CAREER_PATHS.some(path => path.id === careerPathId)) {
+      return res.status(400).json({ error: `careerPathId must be one of: ${CAREER_PATHS.map(path => path.id).join(', ')}` });
+    }
+
+    const weeklyHours = hoursPerWeek !== undefined ? parseFloat(hoursPerWeek) : undefined;
+    if (weeklyHours !== undefined && !(weeklyHours >= 1 && weeklyHours <= 80)) {
+      return res.status(400).json({ error: 'hoursPerWeek must be a number between 1 and 80' });
+    }
+
+    const analysis = await skillGapService.analyze(req.user.id, {
+      role: role ? role.trim() : null,
+      careerPathId,
+      hoursPerWeek: weeklyHours
+    });
+
+    if (!analysis) {
+      return res.status(400).json({ error: 'Provide a role or careerPathId, or set careerGoals on your profile' });
+    }
+
+    res.json(analysis);
+
+  } catch (error) {
+    console.error('Skill gap analysis error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/skills/:skillId - Get one skill with its evidence
+router.get('/:skillId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.skillId)) {
+      return res.status(400).json({ error: 'Invalid skill ID' });
+    }
+
+    const userSkill = await userSkillService.getUserSkill(req.user.id, req.params.skillId);
+
+    if (!userSkill) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    res.json({
+      skill: {
+        ...formatUserSkill(userSkill),
+        evidence: userSkillService.getEvidence(userSkill)
+          .map(entry => ({
+            type: entry.type,
+            score: entry.score,
+            level: entry.level || null,
+            referenceId: entry.referenceId || null,
+            recordedBy: entry.recordedBy || null,
+            note: entry.note || null,
+            recordedAt: entry.recordedAt
+          }))
+          .sort((a, b) => new Date(b.recordedAt) - new Date(a.recordedAt))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+function formatUserSkill(userSkill) {
+  return {
+    skillId: userSkill.skillId._id,
+    name: userSkill.skillId.name,
+    level: userSkill.level,
+    confidence: userSkill.confidence,
+    faded: userSkill.confidence < userSkillService.config.minConfidence,
+    source: userSkill.source,
+    evidenceCount: userSkillService.getEvidence(userSkill).length,
+    lastUsedAt: userSkill.lastUsedAt || null,
+    lastVerifiedAt: userSkill.lastVerifiedAt || null
+  };
+}
+
+module.exports = router;
@@ -1,7 +1,35 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const mongoose = require('mongoose');
+const { FileUpload } = require('../models');
+const { requireMentorOrAdmin } = require('../middlewares/roleAuth');
+const storageService = require('../services/storageService');
+const mentorVerificationService = require('../services/mentorVerificationService');
+
 const router = express.Router();
 
-// All upload endpoints temporarily disabled during MongoDB migration
+// Credential documents are held in memory and streamed to GCS
+const credentialUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept only PDF and common image formats
+    const allowedTypes = /pdf|jpg|jpeg|png/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(new Error('Invalid file type. Only PDF, JPG, JPEG, and PNG files are allowed.'));
+  }
+});
+
+// Resume upload endpoints temporarily disabled during MongoDB migration
 router.post('/resume', async (req, res) => {
   res.status(501).json({ 
     message: 'Resume upload functionality temporarily disabled during MongoDB migration',
@@ -30,4 +58,150 @@ router.get('/resume/:id/preview', async (req, res) => {
   });
 });
 
-module.exports = router;
\ No newline at end of file
+// === MENTOR CREDENTIALS ===
+
+// POST /api/v1/uploads/credentials - Upload a credential document for mentor verification (mentor role only)
+router.post('/credentials', requireMentorOrAdmin(), handleCredentialUpload, async (req, res) => {
+  try {
+    const { documentType = 'OTHER', description } = req.body || {};
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded. Send the document in the "document" field.' });
+    }
+    if (!mentorVerificationService.config.documentTypes.includes(documentType)) {
+      return res.status(400).json({ error: `Invalid documentType. Must be one of: ${mentorVerificationService.config.documentTypes.join(', ')}` });
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 300)) {
+      return res.status(400).json({ error: 'description must be a string of at most 300 characters' });
+    }
+
+    if (!storageService.isConfigured()) {
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+
+    // credentials/{userId}/{timestamp}-{random}{ext}
+    const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    const objectName = `credentials/${req.user.id}/${uniqueSuffix}${path.extname(req.file.originalname).toLowerCase()}`;
+    const gcsUri = await storageService.saveFile(objectName, req.file.buffer, {
+      contentType: req.file.mimetype,
+      metadata: { uploadedBy: String(req.user.id) }
+    });
+
+    const upload = await FileUpload.create({
+      userId: req.user.id,
+      path: gcsUri,
+      type: 'mentor_credential',
+      metadata: {
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        documentType,
+        description: description ? description.trim() : undefined
+      }
+    });
+
+    res.status(201).json({
+      message: 'Document uploaded. Include its ID when you request verification.',
+      document: formatCredential(upload)
+    });
+
+  } catch (error) {
+    console.error('Credential upload error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/uploads/credentials - List the mentor's credential documents
+router.get('/credentials', requireMentorOrAdmin(), async (req, res) => {
+  try {
+    const uploads = await FileUpload.find({ userId: req.user.id, type: 'mentor_credential' })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ documents: uploads.map(formatCredential) });
+
+  } catch (error) {
+    console.error('List credentials error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/v1/uploads/credentials/:id/url - Short-lived download link (owner or admin)
+router.get('/credentials/:id/url', async (req, res) => {
+  try {
+    const upload = await findCredential(req, res, { allowAdmin: true });
+    if (!upload) return;
+
+    res.json({
+      url: await storageService.getSignedUrl(upload.path),
+      expiresInMinutes: storageService.config.signedUrlMinutes
+    });
+
+  } catch (error) {
+    console.error('Credential url error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/v1/uploads/credentials/:id - Delete a credential document not yet submitted for verification
+router.delete('/credentials/:id', async (req, res) => {
+  try {
+    const upload = await findCredential(req, res);
+    if (!upload) return;
+
+    if (await mentorVerificationService.isDocumentInUse(upload._id)) {
+      return res.status(400).json({ error: 'This document was submitted for verification and is kept with the request record; it cannot be deleted' });
+    }
+
+    await storageService.deleteFile(upload.path);
+    await FileUpload.deleteOne({ _id: upload._id });
+
+    res.json({ message: 'Document deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete credential error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper Functions
+
+// Turn multer's errors (size, type) into 400s instead of letting them reach the error handler
+function handleCredentialUpload(req, res, next) {
+  credentialUpload.single('document')(req, res, error => {
+    if (!error) return next();
+    const message = error.code === 'LIMIT_FILE_SIZE' ? 'File must be 5MB or smaller' : error.message;
+    res.status(400).json({ error: message });
+  });
+}
+
+async function findCredential(req, res, { allowAdmin = false } = {}) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid document ID' });
+    return null;
+  }
+
+  const upload = await FileUpload.findOne({ _id: req.params.id, type: 'mentor_credential' }).lean();
+  const allowed = upload && (String(upload.userId) === String(req.user.id) || (allowAdmin && req.user.role === 'ADMIN'));
+
+  if (!allowed) {
+    res.status(404).json({ error: 'Document not found' });
+    return null;
+  }
+  return upload;
+}
+
+function formatCredential(upload) {
+  const metadata = upload.metadata || {};
+  return {
+    id: upload._id,
+    documentType: metadata.documentType || 'OTHER',
+    fileName: metadata.originalName || null,
+    fileSize: metadata.size || null,
+    mimeType: metadata.mimeType || null,
+    description: metadata.description || null,
+    createdAt: upload.createdAt
+  };
+}
+
+module.exports = router;
\ No newline at end of file
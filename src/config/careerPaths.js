@@ -0,0 +1,158 @@
+// Career paths the recommendation scorer matches users against.
+// weight: 3 = core skill, 2 = expected, 1 = nice to have.
+// marketQuery is the term used to look up job-market demand for the path.
+module.exports = [
+  {
+    id: 'frontend-developer',
+    title: 'Frontend Developer',
+    category: 'technology',
+    marketQuery: 'react',
+    requiredSkills: [
+      { name: 'HTML', weight: 3 },
+      { name: 'CSS', weight: 3 },
+      { name: 'JavaScript', weight: 3 },
+      { name: 'React', weight: 2 },
+      { name: 'TypeScript', weight: 2 },
+      { name: 'Git', weight: 1 },
+      { name: 'Accessibility', weight: 1 }
+    ]
+  },
+  {
+    id: 'backend-developer',
+    title: 'Backend Developer',
+    category: 'technology',
+    marketQuery: 'python',
+    requiredSkills: [
+      { name: 'Node.js', weight: 2 },
+      { name: 'Python', weight: 2 },
+      { name: 'SQL', weight: 3 },
+      { name: 'REST APIs', weight: 3 },
+      { name: 'Git', weight: 1 },
+      { name: 'Docker', weight: 1 },
+      { name: 'System Design', weight: 2 }
+    ]
+  },
+  {
+    id: 'full-stack-developer',
+    title: 'Full Stack Developer',
+    category: 'technology',
+    marketQuery: 'javascript',
+    requiredSkills: [
+      { name: 'JavaScript', weight: 3 },
+      { name: 'React', weight: 2 },
+      { name: 'Node.js', weight: 3 },
+      { name: 'SQL', weight: 2 },
+      { name: 'HTML', weight: 2 },
+      { name: 'CSS', weight: 2 },
+      { name: 'Git', weight: 1 }
+    ]
+  },
+  {
+    id: 'data-analyst',
+    title: 'Data Analyst',
+    category: 'data',
+    marketQuery: 'data analysis',
+    requiredSkills: [
+      { name: 'SQL', weight: 3 },
+      { name: 'Excel', weight: 3 },
+      { name: 'Statistics', weight: 2 },
+      { name: 'Tableau', weight: 2 },
+      { name: 'Python', weight: 1 },
+      { name: 'Communication', weight: 1 }
+    ]
+  },
+  {
+    id: 'data-scientist',
+    title: 'Data Scientist',
+    category: 'data',
+    marketQuery: 'data science',
+    requiredSkills: [
+      { name: 'Python', weight: 3 },
+      { name: 'Statistics', weight: 3 },
+      { name: 'Machine Learning', weight: 3 },
+      { name: 'SQL', weight: 2 },
+      { name: 'Pandas', weight: 2 },
+      { name: 'Data Visualization', weight: 1 }
+    ]
+  },
+  {
+    id: 'machine-learning-engineer',
+    title: 'Machine Learning Engineer',
+    category: 'data',
+    marketQuery: 'machine learning',
+    requiredSkills: [
+      { name: 'Python', weight: 3 },
+      { name: 'Machine Learning', weight: 3 },
+      { name: 'Deep Learning', weight: 2 },
+      { name: 'TensorFlow', weight: 2 },
+      { name: 'Docker', weight: 1 },
+      { name: 'Cloud Computing', weight: 1 }
+    ]
+  },
+  {
+    id: 'cloud-devops-engineer',
+    title: 'Cloud / DevOps Engineer',
+    category: 'technology',
+    marketQuery: 'cloud computing',
+    requiredSkills: [
+      { name: 'Linux', weight: 3 },
+      { name: 'Cloud Computing', weight: 3 },
+      { name: 'Docker', weight: 2 },
+      { name: 'Kubernetes', weight: 2 },
+      { name: 'CI/CD', weight: 2 },
+      { name: 'Scripting', weight: 1 }
+    ]
+  },
+  {
+    id: 'cybersecurity-analyst',
+    title: 'Cybersecurity Analyst',
+    category: 'technology',
+    marketQuery: 'cybersecurity',
+    requiredSkills: [
+      { name: 'Networking', weight: 3 },
+      { name: 'Linux', weight: 2 },
+      { name: 'Security Fundamentals', weight: 3 },
+      { name: 'Incident Response', weight: 2 },
+      { name: 'Scripting', weight: 1 }
+    ]
+  },
+  {
+    id: 'ui-ux-designer',
+    title: 'UI/UX Designer',
+    category: 'design',
+    marketQuery: 'ux design',
+    requiredSkills: [
+      { name: 'Figma', weight: 3 },
+      { name: 'UI/UX Design', weight: 3 },
+      { name: 'Prototyping', weight: 2 },
+      { name: 'User Research', weight: 2 },
+      { name: 'Communication', weight: 1 }
+    ]
+  },
+  {
+    id: 'digital-marketer',
+    title: 'Digital Marketing Specialist',
+    category: 'marketing',
+    marketQuery: 'digital marketing',
+    requiredSkills: [
+      { name: 'SEO', weight: 3 },
+      { name: 'Google Analytics', weight: 2 },
+      { name: 'Social Media Marketing', weight: 2 },
+      { name: 'Content Creation', weight: 2 },
+      { name: 'Communication', weight: 1 }
+    ]
+  },
+  {
+    id: 'product-manager',
+    title: 'Product Manager',
+    category: 'business',
+    marketQuery: 'product management',
+    requiredSkills: [
+      { name: 'Communication', weight: 3 },
+      { name: 'Project Management', weight: 2 },
+      { name: 'User Research', weight: 2 },
+      { name: 'Data Analysis', weight: 2 },
+      { name: 'Leadership', weight: 2 }
+    ]
+  }
+];
@@ -0,0 +1,10 @@
+// Mentorship question categories and the specialization keywords that make a
+// mentor a match for them. A MentorProfile specialization matches a category
+// when it contains one of the keywords as a word. Every mentor can take
+// general questions.
+module.exports = {
+  career: ['career', 'job search', 'interview', 'interviewing', 'resume', 'hiring', 'leadership', 'management', 'product management', 'entrepreneurship', 'freelancing'],
+  technical: ['software', 'engineering', 'developer', 'development', 'programming', 'web', 'frontend', 'backend', 'full stack', 'mobile', 'data', 'machine learning', 'ai', 'cloud', 'devops', 'security', 'cybersecurity', 'design', 'ux', 'ui'],
+  personal: ['personal development', 'life coaching', 'coaching', 'wellbeing', 'communication', 'productivity', 'soft skills', 'public speaking', 'work-life balance'],
+  general: []
+};
@@ -0,0 +1,280 @@
+// Built-in prompt templates, used whenever no stored version of a key is active.
+// Placeholders use {{name}}; variables lists the names each prompt builder supplies.
+module.exports = {
+  interviewQuestions: {
+    description: 'AI interview questions for one interview step',
+    variables: ['step', 'stepName', 'context'],
+    template: `<s>[INST] You are an experienced career counselor conducting a personalized AI interview.
+
+Step {{step}}/5: {{stepName}}
+{{context}}
+
+Generate exactly 3 thoughtful interview questions for this step. Make them:
+- Open-ended and conversational
+- Specific to {{stepName}}
+- Personalized based on context
+
+Respond with only a JSON array:
+["Question 1", "Question 2", "Question 3"] [/INST]`
+  },
+
+  interviewAnalysis: {
+    description: 'Insights extracted from the answers to one interview step',
+    variables: ['step', 'responses'],
+    template: `<s>[INST] Analyze these interview responses and extract career insights.
+
+Step {{step}} Responses: {{responses}}
+
+Focus on skills, interests, goals, and work preferences.
+
+Respond with only a JSON object:
+{"extractedTags": ["tag1", "tag2"], "insights": [{"category": "skills|interests|goals|preferences", "insight": "...", "confidence": 0.0-1.0}], "summary": "...", "careerDirection": "..."} [/INST]`
+  },
+
+  recommendations: {
+    description: 'Personalized career recommendations',
+    variables: ['profile', 'latestInterview', 'skills', 'interests', 'focusArea', 'careerPaths'],
+    template: `You are an AI career advisor generating personalized recommendations.
+
+User Data:
+- Profile: {{profile}}
+- Latest Interview: {{latestInterview}}
+- Current Skills: {{skills}}
+- Interests: {{interests}}
+- Focus Area: {{focusArea}}
+- Best-Matching Career Paths: {{careerPaths}}
+
+Generate 5-8 personalized recommendations covering:
+1. Skill development (2-3 recommendations)
+2. Course suggestions (1-2 recommendations)
+3. Career path exploration (1-2 recommendations)
+4. Project ideas (1 recommendation)
+5. Networking opportunities (1 recommendation)
+
+Return JSON array:
+[
+  {
+    "type": "skill|course|career_path|project|networking",
+    "title": "Clear, actionable title",
+    "description": "Detailed description explaining why this is recommended",
+    "priority": "high|medium|low",
+    "metadata": {
+      "estimatedTime": "time to complete",
+      "difficulty": "beginner|intermediate|advanced",
+      "suggestedPlatforms": ["platform1", "platform2"],
+      "requiredSkills": ["skill1", "skill2"],
+      "careerImpact": "expected impact on career growth"
+    }
+  }
+]
+
+Make recommendations specific, actionable, and directly relevant to the user's profile.
+Only return valid JSON, no additional text.`
+  },
+
+  careerPathRanking: {
+    description: 'Re-ranking and explanation of rule-scored career paths',
+    variables: ['profile', 'skills', 'interests', 'candidates'],
+    template: `You are an AI career advisor. A rule-based scorer has shortlisted these career paths for the user, listing the skills they already have, the skills they are missing and a job-market demand score from 0 to 1.
+
+User Data:
+- Profile: {{profile}}
+- Current Skills: {{skills}}
+- Interests: {{interests}}
+
+Candidate Career Paths:
+{{candidates}}
+
+Re-rank the candidates from best to worst fit for this user, weighing their interests and goals as well as the scores. For each one, write 1-2 sentences addressed to the user explaining why it was suggested, referring to their matched skills, missing skills and market demand.
+
+Return a JSON array containing every candidate id exactly once, best fit first:
+[{"id": "candidate id", "explanation": "why this path fits you"}]
+
+Only return valid JSON, no additional text.`
+  },
+
+  mentorshipAnswer: {
+    description: 'AI answer to a mentorship question',
+    variables: ['question', 'category'],
+    template: `<s>[INST] You are a career mentor. Answer this {{category}} question with helpful, actionable advice.
+
+Question: "{{question}}"
+
+Provide:
+- Direct answer to the question
+- 2-3 practical advice points
+- Specific next steps
+- Encouraging tone
+
+Keep it 200-400 words. [/INST]`
+  },
+
+  resumeData: {
+    description: 'Structured data extracted from resume text',
+    variables: ['resumeText', 'userProfile'],
+    template: `Extract structured information from this resume text:
+
+Resume Text:
+{{resumeText}}
+
+User Profile Context: {{userProfile}}
+
+Extract and return JSON:
+{
+  "personalInfo": {
+    "name": "extracted name",
+    "email": "extracted email",
+    "phone": "extracted phone"
+  },
+  "skills": ["skill1", "skill2", ...], // technical and soft skills
+  "experience": [
+    {
+      "title": "job title",
+      "company": "company name",
+      "duration": "time period",
+      "description": "key responsibilities and achievements"
+    }
+  ],
+  "education": [
+    {
+      "degree": "degree type",
+      "institution": "school name",
+      "year": "graduation year",
+      "field": "field of study"
+    }
+  ],
+  "certifications": ["cert1", "cert2", ...],
+  "languages": ["language1", "language2", ...],
+  "summary": "professional summary",
+  "careerLevel": "entry|mid|senior|executive",
+  "industryFocus": ["industry1", "industry2"],
+  "extractionConfidence": 0.85
+}
+
+Extract as much relevant information as possible. For missing information, use null.
+Only return valid JSON, no additional text.`
+  },
+
+  mockInterviewQuestions: {
+    description: 'Role-specific mock interview questions',
+    variables: ['jobRole', 'difficulty', 'interviewType', 'focus', 'count'],
+    template: `<s>[INST] You are interviewing a candidate for the role of {{jobRole}}.
+
+Difficulty: {{difficulty}}
+Interview type: {{interviewType}} - focus on {{focus}}
+
+Generate exactly {{count}} interview questions appropriate for this role and difficulty.
+
+Respond with only a JSON array:
+[{"question": "Question text", "category": "technical|behavioral|situational"}] [/INST]`
+  },
+
+  answerScore: {
+    description: 'Score and feedback for a mock interview answer',
+    variables: ['jobRole', 'difficulty', 'question', 'answer'],
+    template: `<s>[INST] You are an interviewer scoring a candidate's answer for the role of {{jobRole}} ({{difficulty}} difficulty).
+
+Question: "{{question}}"
+Candidate answer: "{{answer}}"
+
+Score the answer from 0 to 100 on correctness, depth, structure and clarity.
+
+Respond with only valid JSON:
+{"score": 0-100, "feedback": "2-3 sentences of written feedback", "strengths": ["..."], "improvements": ["..."]} [/INST]`
+  },
+
+  conversationAnalysis: {
+    description: 'Career insights extracted from a chatbot conversation',
+    variables: ['userProfile', 'conversation'],
+    template: `
+Analyze this career guidance conversation and extract key insights:
+
+User Profile: {{userProfile}}
+
+Conversation History:
+{{conversation}}
+
+Please provide a structured analysis in JSON format with:
+{
+  "userGoals": ["primary career goals mentioned"],
+  "currentSkills": ["skills user currently has"],
+  "interests": ["areas of interest mentioned"],
+  "experience": "beginner/intermediate/advanced",
+  "challenges": ["challenges or concerns mentioned"],
+  "preferredLearning": "style preferences mentioned",
+  "timeline": "any timeline mentioned",
+  "recommendations": {
+    "immediate": ["immediate next steps"],
+    "shortTerm": ["3-6 month goals"],
+    "longTerm": ["1+ year goals"]
+  }
+}
+
+Respond only with valid JSON.`
+  },
+
+  skillRoadmap: {
+    description: 'Skill development roadmap built from a conversation analysis',
+    variables: ['analysis', 'userProfile'],
+    template: `
+Based on this career conversation analysis, create a detailed skill development roadmap:
+
+Analysis: {{analysis}}
+User Profile: {{userProfile}}
+
+Create a comprehensive skill roadmap in JSON format:
+{
+  "roadmapTitle": "Personalized Career Development Roadmap",
+  "userSummary": "Brief summary of user's current state and goals",
+  "phases": [
+    {
+      "phase": "Foundation (Months 1-3)",
+      "description": "Core skills to build immediately",
+      "skills": [
+        {
+          "name": "Skill Name",
+          "priority": "High/Medium/Low",
+          "timeToLearn": "2-4 weeks",
+          "resources": ["specific learning resources"],
+          "projects": ["hands-on projects to practice"],
+          "milestones": ["measurable goals"]
+        }
+      ]
+    }
+  ],
+  "careerPaths": [
+    {
+      "title": "Career Path Title",
+      "match": "85%",
+      "description": "Why this path fits",
+      "requiredSkills": ["key skills needed"],
+      "timeline": "6-12 months to job-ready"
+    }
+  ],
+  "resources": {
+    "courses": ["recommended courses"],
+    "books": ["suggested reading"],
+    "communities": ["communities to join"],
+    "tools": ["tools to learn"]
+  },
+  "nextSteps": ["immediate actions to take"]
+}
+
+Make it specific, actionable, and tailored to the user's conversation. Respond only with valid JSON.`
+  },
+
+  conversationSuggestions: {
+    description: 'Follow-up questions suggested in the chatbot',
+    variables: ['conversation', 'userProfile'],
+    template: `
+Based on this conversation history, suggest 3-4 helpful follow-up questions or topics to explore:
+
+Conversation: {{conversation}}
+User Profile: {{userProfile}}
+
+Provide suggestions as a JSON array:
+["What specific programming languages interest you?", "Tell me about your current work experience", "What's your ideal work environment?"]
+
+Keep suggestions conversational and focused on career development. Respond only with valid JSON array.`
+  }
+};
@@ -0,0 +1,30 @@
+// Built-in prerequisites for the skills used by the career path catalogue,
+// by skill name. Prerequisites stored on Skill documents are used as well.
+module.exports = {
+  'CSS': ['HTML'],
+  'JavaScript': ['HTML'],
+  'TypeScript': ['JavaScript'],
+  'React': ['JavaScript', 'CSS'],
+  'Node.js': ['JavaScript'],
+  'REST APIs': ['Node.js'],
+  'System Design': ['REST APIs', 'SQL'],
+  'Accessibility': ['HTML'],
+  'Pandas': ['Python'],
+  'Statistics': ['Excel'],
+  'Tableau': ['Excel'],
+  'Data Visualization': ['Statistics'],
+  'Machine Learning': ['Python', 'Statistics'],
+  'Deep Learning': ['Machine Learning'],
+  'TensorFlow': ['Deep Learning'],
+  'Docker': ['Linux'],
+  'Kubernetes': ['Docker'],
+  'CI/CD': ['Git', 'Docker'],
+  'Cloud Computing': ['Linux', 'Networking'],
+  'Scripting': ['Linux'],
+  'Security Fundamentals': ['Networking'],
+  'Incident Response': ['Security Fundamentals'],
+  'Prototyping': ['Figma'],
+  'UI/UX Design': ['User Research'],
+  'Google Analytics': ['SEO'],
+  'Data Analysis': ['Excel']
+};
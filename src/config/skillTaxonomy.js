@@ -0,0 +1,90 @@
+// Built-in skill taxonomy, by canonical skill name.
+// parent: broader skill the skill sits under (entries without one are top-level groups)
+// aliases: other spellings that resolve to the canonical skill
+// Aliases and parents stored on Skill documents are used as well.
+module.exports = {
+  // === GROUPS ===
+  'Programming Languages': {},
+  'Frontend': { aliases: ['Frontend Development', 'Front End', 'Front-end Development'] },
+  'Backend': { aliases: ['Backend Development', 'Back End', 'Server-side Development'] },
+  'Databases': {},
+  'Data Science': { aliases: ['Data Analytics'] },
+  'Cloud & DevOps': { aliases: ['DevOps', 'Cloud'] },
+  'Security': { aliases: ['Cyber Security', 'Information Security', 'InfoSec'] },
+  'Design': {},
+  'Marketing': {},
+  'Business': {},
+  'Soft Skills': {},
+
+  // === PROGRAMMING LANGUAGES ===
+  'JavaScript': { parent: 'Programming Languages', aliases: ['JS', 'Javascript ES6', 'ES6', 'ECMAScript', 'Vanilla JS'] },
+  'TypeScript': { parent: 'Programming Languages', aliases: ['TS'] },
+  'Python': { parent: 'Programming Languages', aliases: ['Python3', 'Python 3', 'Py'] },
+  'Java': { parent: 'Programming Languages', aliases: ['Core Java', 'Java SE'] },
+  'C++': { parent: 'Programming Languages', aliases: ['CPP'] },
+  'C#': { parent: 'Programming Languages', aliases: ['CSharp', 'C Sharp'] },
+  'Scripting': { parent: 'Programming Languages', aliases: ['Shell Scripting', 'Bash', 'Bash Scripting'] },
+
+  // === FRONTEND ===
+  'HTML': { parent: 'Frontend', aliases: ['HTML5'] },
+  'CSS': { parent: 'Frontend', aliases: ['CSS3'] },
+  'React': { parent: 'Frontend', aliases: ['React.js', 'ReactJS', 'React JS'] },
+  'Angular': { parent: 'Frontend', aliases: ['AngularJS', 'Angular.js'] },
+  'Vue': { parent: 'Frontend', aliases: ['Vue.js', 'VueJS'] },
+  'Accessibility': { parent: 'Frontend', aliases: ['a11y', 'Web Accessibility'] },
+
+  // === BACKEND ===
+  'Node.js': { parent: 'Backend', aliases: ['Node', 'NodeJS', 'Node JS'] },
+  'REST APIs': { parent: 'Backend', aliases: ['REST', 'REST API', 'RESTful APIs', 'RESTful API'] },
+  'System Design': { parent: 'Backend', aliases: ['Software Architecture'] },
+  'Git': { parent: 'Backend', aliases: ['GitHub', 'Version Control'] },
+
+  // === DATABASES ===
+  'SQL': { parent: 'Databases', aliases: ['Structured Query Language'] },
+  'MongoDB': { parent: 'Databases', aliases: ['Mongo'] },
+  'PostgreSQL': { parent: 'Databases', aliases: ['Postgres'] },
+
+  // === DATA SCIENCE ===
+  'Data Analysis': { parent: 'Data Science' },
+  'Statistics': { parent: 'Data Science', aliases: ['Stats'] },
+  'Excel': { parent: 'Data Science', aliases: ['Microsoft Excel', 'MS Excel'] },
+  'Tableau': { parent: 'Data Science' },
+  'Pandas': { parent: 'Data Science' },
+  'Data Visualization': { parent: 'Data Science', aliases: ['Data Viz'] },
+  'Machine Learning': { parent: 'Data Science', aliases: ['ML'] },
+  'Deep Learning': { parent: 'Machine Learning', aliases: ['DL'] },
+  'TensorFlow': { parent: 'Deep Learning', aliases: ['TF'] },
+  'Artificial Intelligence': { parent: 'Data Science', aliases: ['AI'] },
+
+  // === CLOUD & DEVOPS ===
+  'Linux': { parent: 'Cloud & DevOps', aliases: ['Unix'] },
+  'Cloud Computing': { parent: 'Cloud & DevOps' },
+  'AWS': { parent: 'Cloud Computing', aliases: ['Amazon Web Services'] },
+  'Docker': { parent: 'Cloud & DevOps', aliases: ['Containers'] },
+  'Kubernetes': { parent: 'Cloud & DevOps', aliases: ['K8s'] },
+  'CI/CD': { parent: 'Cloud & DevOps', aliases: ['CI CD', 'Continuous Integration'] },
+
+  // === SECURITY ===
+  'Networking': { parent: 'Security', aliases: ['Computer Networking', 'Networks'] },
+  'Security Fundamentals': { parent: 'Security' },
+  'Incident Response': { parent: 'Security' },
+
+  // === DESIGN ===
+  'Figma': { parent: 'Design' },
+  'UI/UX Design': { parent: 'Design', aliases: ['UI/UX', 'UX Design', 'UI Design', 'UX'] },
+  'Prototyping': { parent: 'Design' },
+  'User Research': { parent: 'Design', aliases: ['UX Research'] },
+
+  // === MARKETING ===
+  'SEO': { parent: 'Marketing', aliases: ['Search Engine Optimization'] },
+  'Google Analytics': { parent: 'Marketing', aliases: ['GA4'] },
+  'Social Media Marketing': { parent: 'Marketing', aliases: ['SMM', 'Social Media'] },
+  'Content Creation': { parent: 'Marketing', aliases: ['Content Writing', 'Copywriting'] },
+
+  // === BUSINESS ===
+  'Project Management': { parent: 'Business', aliases: ['PM'] },
+
+  // === SOFT SKILLS ===
+  'Communication': { parent: 'Soft Skills', aliases: ['Communication Skills'] },
+  'Leadership': { parent: 'Soft Skills', aliases: ['Team Leadership'] }
+};
@@ -223,6 +223,8 @@ const swaggerOptions = {
             },
             size: { type: 'number', description: 'Visual size of the node' },
             color: { type: 'string', description: 'Node color (hex)' },
+            acquired: { type: 'boolean', description: 'Whether the user already has the skill (or every skill the role needs)' },
+            distance: { type: 'integer', minimum: 0, description: 'Skills the user still has to learn to reach the node, including prerequisites' },
             metadata: { 
               type: 'object',
               description: 'Additional node data'
@@ -355,4 +357,4 @@ const swaggerOptions = {
 
 const specs = swaggerJsDoc(swaggerOptions);
 
-module.exports = specs;
\ No newline at end of file
+module.exports = specs;
\ No newline at end of file
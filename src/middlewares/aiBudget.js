@@ -0,0 +1,41 @@
+const aiUsageService = require('../services/aiUsageService');
+
+const BUDGET_MESSAGES = {
+  global: 'AI features have reached today\'s usage limit. Please try again tomorrow.',
+  total: 'Daily AI usage limit reached. Please try again tomorrow.'
+};
+
+// Enforce the platform-wide and per-user daily AI token budgets and attribute AI
+// usage in the rest of the request to the user. Must run after the auth middleware.
+const aiBudget = (...categories) => {
+  return async (req, res, next) => {
+    if (!req.user || !req.user.id) {
+      return next();
+    }
+
+    try {
+      const budget = await aiUsageService.checkBudget(req.user.id, categories);
+
+      if (!budget.allowed) {
+        res.set('Retry-After', String(budget.retryAfter));
+        return res.status(429).json({
+          error: BUDGET_MESSAGES[budget.operation] ||
+            `Daily AI usage limit for ${budget.operation} reached. Please try again tomorrow.`,
+          code: 'AI_BUDGET_EXCEEDED',
+          operation: budget.operation,
+          used: budget.used,
+          limit: budget.limit,
+          resetAt: budget.resetAt,
+          retryAfter: budget.retryAfter
+        });
+      }
+    } catch (error) {
+      // Budget storage problems shouldn't take AI features down
+      console.error('AI budget check error:', error);
+    }
+
+    aiUsageService.runForUser(req.user.id, next);
+  };
+};
+
+module.exports = aiBudget;
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const { User } = require('../models');
 
 /**
@@ -58,7 +59,7 @@ const requireAnyRole = () => requireRole([]); // Just authenticated user
 
 /**
  * Check if user owns resource or has appropriate role
- * @param {number} resourceUserId - User ID that owns the resource
+ * @param {string} resourceUserId - User ID that owns the resource
  * @param {Object} req - Express request object
  * @returns {boolean} - True if user can access resource
  */
@@ -67,17 +68,17 @@ function canAccessResource(resourceUserId, req) {
   const userRole = req.user.role;
 
   // User owns the resource
-  if (currentUserId === resourceUserId) {
+  if (String(currentUserId) === String(resourceUserId)) {
     return true;
   }
 
   // Admin can access anything
-  if (userRole === 'admin') {
+  if (String(userRole).toUpperCase() === 'ADMIN') {
     return true;
   }
 
   // Mentors can access student resources
-  if (userRole === 'mentor') {
+  if (String(userRole).toUpperCase() === 'MENTOR') {
     return true;
   }
 
@@ -92,9 +93,9 @@ function canAccessResource(resourceUserId, req) {
 function requireResourceAccess(userIdParam = 'userId') {
   return async (req, res, next) => {
     try {
-      const resourceUserId = parseInt(req.params[userIdParam]);
+      const resourceUserId = req.params[userIdParam];
       
-      if (isNaN(resourceUserId)) {
+      if (!mongoose.isValidObjectId(resourceUserId)) {
         return res.status(400).json({ 
           error: 'Invalid user ID parameter' 
         });
@@ -154,4 +155,4 @@ module.exports = {
   canAccessResource,
   getUserRole,
   isValidRole
-};
\ No newline at end of file
+};
\ No newline at end of file
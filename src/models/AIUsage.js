@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Daily token usage per user and operation category
+const aiUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: String, // UTC day, YYYY-MM-DD
+    required: true
+  },
+  operation: {
+    type: String,
+    enum: ['interview', 'recommendations', 'resume', 'translation', 'chat', 'mentorship', 'other'],
+    required: true
+  },
+  calls: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  estimatedCost: {
+    type: Number, // USD
+    default: 0
+  },
+  byProvider: {
+    type: Map,
+    of: Number, // total tokens per provider
+    default: new Map()
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+aiUsageSchema.index({ userId: 1, date: 1, operation: 1 }, { unique: true });
+aiUsageSchema.index({ date: 1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const attemptQuestionSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssessmentQuestion',
+    required: true
+  },
+  type: String,
+  prompt: String,
+  options: [String], // in the shuffled order shown to the user
+  optionOrder: [Number], // optionOrder[shown index] = index in the question's options
+  points: Number,
+  answer: mongoose.Schema.Types.Mixed, // shown option index(es) or text
+  correct: Boolean,
+  pointsEarned: Number,
+  correctAnswer: mongoose.Schema.Types.Mixed, // copied from the question when graded
+  explanation: String
+}, { _id: false });
+
+const assessmentAttemptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  skillId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: true
+  },
+  questions: [attemptQuestionSchema],
+  status: {
+    type: String,
+    enum: ['IN_PROGRESS', 'SUBMITTED', 'EXPIRED'],
+    default: 'IN_PROGRESS'
+  },
+  timeLimitSeconds: {
+    type: Number,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  submittedAt: Date,
+  score: { // 0-100
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  passingScore: Number,
+  passed: Boolean
+}, {
+  timestamps: true
+});
+
+assessmentAttemptSchema.index({ userId: 1, skillId: 1, createdAt: -1 });
+assessmentAttemptSchema.index({ status: 1, expiresAt: 1 });
+// One live attempt per user and skill, even when two starts race past the checks
+assessmentAttemptSchema.index(
+  { userId: 1, skillId: 1 },
+  { unique: true, partialFilterExpression: { status: 'IN_PROGRESS' } }
+);
+
+module.exports = mongoose.model('AssessmentAttempt', assessmentAttemptSchema);
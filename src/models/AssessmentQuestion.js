@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const assessmentQuestionSchema = new mongoose.Schema({
+  skillId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['MULTIPLE_CHOICE', 'MULTI_SELECT', 'SHORT_ANSWER'],
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  options: [{ // choice questions only
+    type: String,
+    trim: true
+  }],
+  correctOptions: [Number], // indexes into options
+  acceptedAnswers: [String], // short-answer questions; compared case- and punctuation-insensitively
+  explanation: String, // shown once the attempt is submitted
+  difficulty: {
+    type: String,
+    enum: ['EASY', 'MEDIUM', 'HARD'],
+    default: 'MEDIUM'
+  },
+  points: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+assessmentQuestionSchema.index({ skillId: 1, isActive: 1 });
+
+module.exports = mongoose.model('AssessmentQuestion', assessmentQuestionSchema);
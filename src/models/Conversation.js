@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: 'New conversation'
+  },
+  messageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastMessagePreview: String,
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  metadata: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: new Map()
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
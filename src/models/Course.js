@@ -52,6 +52,10 @@ const courseSchema = new mongoose.Schema({
     default: 1
   },
   estimatedHours: Number,
+  skillIds: [{ // skills the course teaches; completing a lesson counts as evidence for them
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill'
+  }],
 
   // Status and Publishing
   status: {
@@ -65,6 +69,16 @@ const courseSchema = new mongoose.Schema({
   },
   publishedAt: Date,
 
+  // Review
+  submittedAt: Date,
+  reviewedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String, // reviewer feedback, required on rejection
+  pendingChanges: mongoose.Schema.Types.Mixed, // edits to a published course, applied when approved
+
   // Pricing
   isPremium: {
     type: Boolean,
@@ -14,7 +14,7 @@ const fileUploadSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['resume', 'profile_picture', 'other']
+    enum: ['resume', 'profile_picture', 'mentor_credential', 'other']
   },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
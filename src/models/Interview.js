@@ -29,11 +29,25 @@ const interviewSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  timePerQuestion: {
+    type: Number, // in seconds
+    default: 180
+  },
   questions: [{
     question: String,
+    category: String,
     answer: String,
     feedback: String,
-    score: Number
+    score: Number,
+    strengths: [String],
+    improvements: [String],
+    askedAt: Date,
+    answeredAt: Date,
+    timeTakenSeconds: Number,
+    timedOut: {
+      type: Boolean,
+      default: false
+    }
   }],
   totalScore: {
     type: Number,
@@ -44,6 +58,10 @@ const interviewSchema = new mongoose.Schema({
     enum: ['PENDING', 'COMPLETED', 'CANCELLED'],
     default: 'PENDING'
   },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
   completedAt: {
     type: Date
   }
@@ -55,5 +73,6 @@ const interviewSchema = new mongoose.Schema({
 interviewSchema.index({ userId: 1, status: 1 });
 interviewSchema.index({ completedAt: 1 });
 interviewSchema.index({ totalScore: 1 });
+interviewSchema.index({ userId: 1, jobRole: 1, completedAt: -1 });
 
 module.exports = mongoose.model('Interview', interviewSchema);
\ No newline at end of file
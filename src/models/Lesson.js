@@ -40,6 +40,10 @@ const lessonSchema = new mongoose.Schema({
     min: 1
   },
   duration: Number, // in minutes
+  skillIds: [{ // narrows the course's skills for this lesson
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill'
+  }],
 
   // Content Types
   videoUrl: String,
@@ -48,7 +52,7 @@ const lessonSchema = new mongoose.Schema({
   slides: mongoose.Schema.Types.Mixed, // Slide data
 
   // Interactive Elements
-  quiz: mongoose.Schema.Types.Mixed, // Quiz questions
+  quiz: mongoose.Schema.Types.Mixed, // { questions: [{ question, options: [String], answer: index of the correct option }] }
   assignments: mongoose.Schema.Types.Mixed, // Assignments
   resources: mongoose.Schema.Types.Mixed, // Additional resources
 
@@ -61,6 +65,7 @@ const lessonSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  pendingChanges: mongoose.Schema.Types.Mixed, // edits to a published lesson, applied when the course is approved
 
   sortOrder: {
     type: Number,
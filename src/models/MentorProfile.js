@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+// Times of day are HH:mm in the mentor's availability timezone; 24:00 ends a window at midnight
+const WINDOW_START = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WINDOW_END = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const availabilityWindowSchema = new mongoose.Schema({
+  startTime: { type: String, required: true, match: WINDOW_START },
+  endTime: { type: String, required: true, match: WINDOW_END }
+}, { _id: false });
+
 const mentorProfileSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -56,8 +65,56 @@ const mentorProfileSchema = new mongoose.Schema({
     min: 0
   },
 
-  // Availability - store as mixed type for flexible JSON structure
-  availability: mongoose.Schema.Types.Mixed,
+  // Availability - weekly windows, with per-date exceptions taking precedence
+  availability: {
+    timezone: { // IANA name, e.g. Asia/Kolkata
+      type: String,
+      default: 'UTC'
+    },
+    weekly: [{
+      _id: false,
+      dayOfWeek: { // 0 = Sunday
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6
+      },
+      startTime: { type: String, required: true, match: WINDOW_START },
+      endTime: { type: String, required: true, match: WINDOW_END }
+    }],
+    exceptions: [{
+      _id: false,
+      date: { // YYYY-MM-DD in the availability timezone
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/
+      },
+      windows: [availabilityWindowSchema], // empty blocks the whole day
+      reason: String
+    }],
+    sessionDuration: { // minutes
+      type: Number,
+      default: 60,
+      min: 15,
+      max: 240
+    },
+    bufferMinutes: { // kept free between sessions
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 120
+    },
+    minNoticeHours: {
+      type: Number,
+      default: 12,
+      min: 0
+    },
+    maxAdvanceDays: {
+      type: Number,
+      default: 60,
+      min: 1
+    }
+  },
 
   isVerified: {
     type: Boolean,
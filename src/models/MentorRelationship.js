@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const mentorRelationshipSchema = new mongoose.Schema({
+  mentorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mentorProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MentorProfile',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // REQUESTED -> ACTIVE -> ENDED, or REQUESTED -> DECLINED (mentor) / CANCELLED (student)
+  status: {
+    type: String,
+    enum: ['REQUESTED', 'ACTIVE', 'DECLINED', 'CANCELLED', 'ENDED'],
+    default: 'REQUESTED'
+  },
+  isOpen: { // REQUESTED or ACTIVE; backs the one-open-relationship-per-pair index
+    type: Boolean,
+    default: true
+  },
+
+  message: { // the student's request
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  matchScore: Number, // suggestion score when the request was made, 0-100
+  responseMessage: { // the mentor's reply when accepting or declining
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  respondedAt: Date,
+  acceptedAt: Date,
+
+  endedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  endReason: {
+    type: String,
+    maxlength: 1000
+  },
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+mentorRelationshipSchema.index({ mentorId: 1, status: 1 });
+mentorRelationshipSchema.index({ studentId: 1, status: 1 });
+mentorRelationshipSchema.index(
+  { mentorId: 1, studentId: 1, isOpen: 1 },
+  { unique: true, partialFilterExpression: { isOpen: true } }
+);
+
+module.exports = mongoose.model('MentorRelationship', mentorRelationshipSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const mentorSessionSchema = new mongoose.Schema({
+  mentorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mentorProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MentorProfile',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  topic: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  agenda: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  meetingUrl: String,
+
+  // Stored in UTC; the timezones are snapshots taken at booking and rescheduling
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  duration: { // minutes
+    type: Number,
+    required: true,
+    min: 1
+  },
+  mentorTimezone: {
+    type: String,
+    default: 'UTC'
+  },
+  studentTimezone: {
+    type: String,
+    default: 'UTC'
+  },
+
+  status: {
+    type: String,
+    enum: ['SCHEDULED', 'COMPLETED', 'CANCELLED'],
+    default: 'SCHEDULED'
+  },
+  sequence: { // iCalendar SEQUENCE, bumped on every change calendars should pick up
+    type: Number,
+    default: 0
+  },
+
+  rescheduleHistory: [{
+    _id: false,
+    startTime: Date,
+    endTime: Date,
+    changedById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    changedAt: Date
+  }],
+
+  cancelledById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: 500
+  },
+  cancelledAt: Date,
+
+  completedAt: Date,
+  mentorNotes: {
+    type: String,
+    maxlength: 2000
+  }
+}, {
+  timestamps: true
+});
+
+mentorSessionSchema.index({ mentorId: 1, startTime: 1 });
+mentorSessionSchema.index({ studentId: 1, startTime: 1 });
+// Backstop against two bookings racing for the same slot
+mentorSessionSchema.index(
+  { mentorId: 1, startTime: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'SCHEDULED' } }
+);
+
+module.exports = mongoose.model('MentorSession', mentorSessionSchema);
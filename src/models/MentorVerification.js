@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const mentorVerificationSchema = new mongoose.Schema({
+  mentorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mentorProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MentorProfile',
+    required: true
+  },
+  documentIds: [{ // FileUploads of type mentor_credential
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileUpload'
+  }],
+  notes: { // the mentor's summary of what the documents show
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED', 'REVOKED'],
+    default: 'PENDING'
+  },
+  reviewedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  decisionReason: {
+    type: String,
+    maxlength: 1000
+  },
+
+  // Audit trail - every state change, who made it and why
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['SUBMITTED', 'APPROVED', 'REJECTED', 'REVOKED'],
+      required: true
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+mentorVerificationSchema.index({ mentorId: 1, createdAt: -1 });
+mentorVerificationSchema.index({ status: 1, createdAt: 1 });
+// One open request per mentor
+mentorVerificationSchema.index(
+  { mentorId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' } }
+);
+
+module.exports = mongoose.model('MentorVerification', mentorVerificationSchema);
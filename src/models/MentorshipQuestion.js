@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const mentorshipQuestionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  category: {
+    type: String,
+    enum: ['career', 'technical', 'personal', 'general'],
+    default: 'general'
+  },
+  priority: {
+    type: String,
+    enum: ['urgent', 'normal', 'low'],
+    default: 'normal'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'answered', 'closed'],
+    default: 'pending'
+  },
+
+  // Routing
+  assignedMentorId: { // unassigned questions stay open to every matching mentor
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: Date,
+
+  // Answer
+  answer: {
+    type: String,
+    maxlength: 4000
+  },
+  answeredById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  aiGenerated: {
+    type: Boolean,
+    default: false
+  },
+  answeredAt: Date,
+
+  // Closing feedback from the asker
+  satisfied: Boolean,
+  feedback: {
+    type: String,
+    maxlength: 1000
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+mentorshipQuestionSchema.index({ userId: 1, createdAt: -1 });
+mentorshipQuestionSchema.index({ status: 1, assignedMentorId: 1, category: 1 });
+
+module.exports = mongoose.model('MentorshipQuestion', mentorshipQuestionSchema);
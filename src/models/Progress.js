@@ -9,7 +9,7 @@ const progressSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['course', 'lesson', 'interview', 'assessment', 'skill'],
+    enum: ['course', 'lesson', 'interview', 'assessment', 'skill', 'roadmap', 'recommendation'],
     required: true
   },
   referenceId: {
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One immutable version of an AI prompt. Active versions of the same key are
+// served as weighted A/B variants.
+const promptTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  weight: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+promptTemplateSchema.index({ key: 1, version: -1 }, { unique: true });
+promptTemplateSchema.index({ key: 1, isActive: 1 });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
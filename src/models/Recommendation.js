@@ -45,6 +45,26 @@ const recommendationSchema = new mongoose.Schema({
     of: mongoose.Schema.Types.Mixed,
     default: new Map()
   },
+  promptVersion: { // prompt template version that generated this recommendation
+    key: String,
+    version: Number,
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptTemplate'
+    }
+  },
+  why: { // structured reasons behind the recommendation
+    careerPathId: String,
+    careerPath: String,
+    matchedSkills: [String],
+    missingSkills: [String],
+    skillMatch: Number, // 0-1 share of the path's weighted skills the user has
+    demandScore: Number, // 0-1 job-market demand for the path
+    score: Number, // blended rule-based score
+    rank: Number, // position after AI re-ranking, 1 = best
+    feedbackWeight: Number, // scaling from the user's past dismissals and completions
+    explanation: String
+  },
   relatedSkills: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Skill'
@@ -55,7 +75,7 @@ const recommendationSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['ACTIVE', 'VIEWED', 'DISMISSED', 'COMPLETED'],
+    enum: ['ACTIVE', 'VIEWED', 'DISMISSED', 'COMPLETED', 'EXPIRED'],
     default: 'ACTIVE'
   },
   expiresAt: {
@@ -69,6 +89,19 @@ const recommendationSchema = new mongoose.Schema({
   },
   actionTakenAt: {
     type: Date
+  },
+  dismissReason: {
+    type: String
+  },
+  feedback: {
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    helpful: Boolean,
+    comment: String,
+    submittedAt: Date
   }
 }, {
   timestamps: true
@@ -79,5 +112,6 @@ recommendationSchema.index({ userId: 1, status: 1 });
 recommendationSchema.index({ userId: 1, type: 1 });
 recommendationSchema.index({ priority: 1, confidence: -1 });
 recommendationSchema.index({ expiresAt: 1 });
+recommendationSchema.index({ 'promptVersion.key': 1, 'promptVersion.version': 1 });
 
 module.exports = mongoose.model('Recommendation', recommendationSchema);
\ No newline at end of file
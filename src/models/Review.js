@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['MENTOR', 'COURSE'],
+    required: true
+  },
+  targetId: { // the mentor's user ID or the course ID
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  editedAt: Date,
+
+  // The mentor's or course author's reply
+  response: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    respondedById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  },
+
+  // Moderation - hidden reviews don't count towards the target's rating
+  status: {
+    type: String,
+    enum: ['VISIBLE', 'HIDDEN'],
+    default: 'VISIBLE'
+  },
+  flags: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: ['SPAM', 'OFFENSIVE', 'IRRELEVANT', 'FAKE', 'OTHER'],
+      required: true
+    },
+    note: {
+      type: String,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  flagCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  moderatedById: { // null when hidden automatically by flags
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationReason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ targetType: 1, targetId: 1, reviewerId: 1 }, { unique: true });
+reviewSchema.index({ targetType: 1, targetId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, flagCount: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
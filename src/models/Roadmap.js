@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const milestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+const roadmapSkillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  priority: String,
+  timeToLearn: String,
+  resources: [String],
+  projects: [String],
+  milestones: [milestoneSchema]
+});
+
+const roadmapSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  isCurrent: {
+    type: Boolean,
+    default: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  summary: String,
+  phases: [{
+    phase: String,
+    description: String,
+    skills: [roadmapSkillSchema]
+  }],
+  careerPaths: [mongoose.Schema.Types.Mixed],
+  resources: mongoose.Schema.Types.Mixed,
+  nextSteps: [String],
+  analysis: mongoose.Schema.Types.Mixed, // conversation analysis the roadmap was generated from
+  source: {
+    type: String,
+    enum: ['ai', 'mock'],
+    default: 'ai'
+  },
+  promptVersion: { // prompt template version that generated this roadmap
+    key: String,
+    version: Number,
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptTemplate'
+    }
+  },
+  totalMilestones: {
+    type: Number,
+    default: 0
+  },
+  completedMilestones: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+roadmapSchema.index({ userId: 1, version: -1 }, { unique: true });
+roadmapSchema.index({ userId: 1, isCurrent: 1 });
+
+// Keep milestone counters in sync with the nested milestones
+roadmapSchema.pre('save', function(next) {
+  const milestones = this.phases.flatMap(phase => phase.skills.flatMap(skill => skill.milestones));
+  this.totalMilestones = milestones.length;
+  this.completedMilestones = milestones.filter(m => m.completed).length;
+  next();
+});
+
+module.exports = mongoose.model('Roadmap', roadmapSchema);
@@ -12,7 +12,21 @@ const skillSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
-  tags: [String]
+  tags: [String],
+  aliases: { // normalized alternative spellings that resolve to this skill
+    type: [String],
+    index: true
+  },
+  parent: { // broader skill this one sits under, e.g. React under Frontend
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    default: null,
+    index: true
+  },
+  prerequisites: [{ // skills to learn before this one
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill'
+  }]
 });
 
 module.exports = mongoose.model('Skill', skillSchema);
\ No newline at end of file
@@ -37,6 +37,12 @@ const userSchema = new mongoose.Schema({
     index: true
   },
   lastLoginAt: Date,
+  calendarFeedTokenHash: { // sha256 of the secret in the user's calendar subscription URL
+    type: String,
+    index: { unique: true, sparse: true },
+    select: false
+  },
+  calendarFeedCreatedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');
 
+const proficiencyLevelEnum = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+const evidenceTypeEnum = ['RESUME', 'INTERVIEW', 'LESSON', 'QUIZ', 'MENTOR_ENDORSEMENT', 'MOCK_INTERVIEW', 'SELF_REPORTED'];
+
+const evidenceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: evidenceTypeEnum,
+    required: true
+  },
+  score: { // strength of the signal, e.g. quiz score or resume parse confidence
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
+  level: { // proficiency the evidence points to, when it states one
+    type: String,
+    enum: proficiencyLevelEnum
+  },
+  referenceId: mongoose.Schema.Types.ObjectId, // upload, lesson, quiz attempt, interview...
+  recordedBy: { // mentor for endorsements
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const userSkillSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,10 +45,22 @@ const userSkillSchema = new mongoose.Schema({
     ref: 'Skill',
     required: true
   },
-  source: String,
-  confidence: Number
+  source: String, // where the skill was first picked up
+  confidence: Number, // 0-1, decays without fresh evidence
+  level: {
+    type: String,
+    enum: proficiencyLevelEnum,
+    default: 'BEGINNER'
+  },
+  evidence: [evidenceSchema],
+  lastUsedAt: Date,
+  lastVerifiedAt: Date, // latest quiz, endorsement or mock interview
+  decayedAt: Date // when confidence was last recalculated
+}, {
+  timestamps: true
 });
 
 userSkillSchema.index({ userId: 1, skillId: 1 }, { unique: true });
+userSkillSchema.index({ decayedAt: 1 });
 
-module.exports = mongoose.model('UserSkill', userSkillSchema);
\ No newline at end of file
+module.exports = mongoose.model('UserSkill', userSkillSchema);
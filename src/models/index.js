@@ -13,6 +13,18 @@ const Interview = require('./Interview');
 const InterviewSession = require('./InterviewSession');
 const Recommendation = require('./Recommendation');
 const Progress = require('./Progress');
+const Conversation = require('./Conversation');
+const Message = require('./Message');
+const Roadmap = require('./Roadmap');
+const AIUsage = require('./AIUsage');
+const PromptTemplate = require('./PromptTemplate');
+const AssessmentQuestion = require('./AssessmentQuestion');
+const AssessmentAttempt = require('./AssessmentAttempt');
+const MentorshipQuestion = require('./MentorshipQuestion');
+const MentorSession = require('./MentorSession');
+const Review = require('./Review');
+const MentorVerification = require('./MentorVerification');
+const MentorRelationship = require('./MentorRelationship');
 
 module.exports = {
   User,
@@ -28,5 +40,17 @@ module.exports = {
   Interview,
   InterviewSession,
   Recommendation,
-  Progress
+  Progress,
+  Conversation,
+  Message,
+  Roadmap,
+  AIUsage,
+  PromptTemplate,
+  AssessmentQuestion,
+  AssessmentAttempt,
+  MentorshipQuestion,
+  MentorSession,
+  Review,
+  MentorVerification,
+  MentorRelationship
 };
\ No newline at end of file
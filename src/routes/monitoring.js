@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const monitoringService = require('../services/monitoringService');
+const aiUsageService = require('../services/aiUsageService');
+const mongoose = require('mongoose');
 const authMiddleware = require('../middlewares/auth');
 const { requireRole: roleMiddleware } = require('../middlewares/roleAuth');
 const { userActionMiddleware } = require('../middlewares/monitoring');
@@ -287,9 +289,14 @@ router.get('/metrics/ai',
   authMiddleware,
   roleMiddleware(['admin', 'mentor']),
   userActionMiddleware('view_ai_metrics'),
-  (req, res) => {
+  async (req, res) => {
     try {
       const metrics = monitoringService.getMetrics();
+
+      // Persisted per-user usage is only available while the database is connected
+      const usageToday = mongoose.connection.readyState === 1
+        ? await aiUsageService.getTodaySummary()
+        : null;
       
       res.json({
         success: true,
@@ -298,7 +305,14 @@ router.get('/metrics/ai',
           averageResponseTime: metrics.computed.averageAIResponseTime,
           successRate: metrics.ai.callCount > 0 
             ? (metrics.ai.callCount - metrics.ai.fallbacksUsed) / metrics.ai.callCount 
-            : 0
+            : 0,
+          totalTokens: metrics.ai.promptTokens + metrics.ai.completionTokens,
+          budgets: aiUsageService.getBudgets(),
+          globalBudget: {
+            limit: aiUsageService.globalBudget || null,
+            used: usageToday ? usageToday.totalTokens : null
+          },
+          usageToday
         }
       });
     } catch (error) {
@@ -569,4 +583,4 @@ router.get('/alerts',
   }
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
@@ -40,6 +40,7 @@ const uploadRoutes = require('./api/uploads');
 const lessonsRoutes = require('./api/lessons');
 const progressRoutes = require('./api/progress');
 const interviewRoutes = require('./api/interview');
+const mockInterviewRoutes = require('./api/mockInterview');
 const recommendationsRoutes = require('./api/recommendations');
 const mentorshipRoutes = require('./api/mentorship');
 const adminRoutes = require('./api/admin');
@@ -49,8 +50,21 @@ const externalRoutes = require('./api/external');
 const monitoringRoutes = require('./routes/monitoring');
 const accountRoutes = require('./api/account');
 const chatbotRoutes = require('./api/chatbot');
+const roadmapsRoutes = require('./api/roadmaps');
+const aiUsageRoutes = require('./api/aiUsage');
+const promptTemplatesRoutes = require('./api/promptTemplates');
+const skillTaxonomyRoutes = require('./api/skillTaxonomy');
+const skillsRoutes = require('./api/skills');
+const assessmentsRoutes = require('./api/assessments');
+const coursesRoutes = require('./api/courses');
+const mentorSessionsRoutes = require('./api/mentorSessions');
+const calendarFeedsRoutes = require('./api/calendarFeeds');
+const reviewsRoutes = require('./api/reviews');
+const mentorRelationshipsRoutes = require('./api/mentorRelationships');
+const mentorVerificationsRoutes = require('./api/mentorVerifications');
 const authMiddleware = require('./middlewares/auth');
-const { requireAnyRole } = require('./middlewares/roleAuth');
+const { requireAnyRole, requireAdmin } = require('./middlewares/roleAuth');
+const aiBudget = require('./middlewares/aiBudget');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -128,9 +142,20 @@ app.get('/', (req, res) => {
       docs: '/api/docs',
       auth: '/api/v1/auth',
       interview: '/api/v1/interview',
+      mockInterviews: '/api/v1/mock-interviews',
       recommendations: '/api/v1/recommendations',
       uploads: '/api/v1/uploads',
-      chatbot: '/api/v1/chatbot'
+      chatbot: '/api/v1/chatbot',
+      roadmaps: '/api/v1/roadmaps',
+      aiUsage: '/api/v1/ai-usage',
+      constellation: '/api/v1/constellation',
+      skills: '/api/v1/skills',
+      assessments: '/api/v1/assessments',
+      courses: '/api/v1/courses',
+      mentorSessions: '/api/v1/mentor-sessions',
+      calendarFeeds: '/api/v1/calendar-feeds',
+      mentorRelationships: '/api/v1/mentor-relationships',
+      reviews: '/api/v1/reviews'
     },
     timestamp: new Date().toISOString()
   });
@@ -149,17 +174,31 @@ app.get('/api/health', (req, res) => {
 app.use('/api/v1/auth', rateLimitTrackingWrapper(rateLimiters.auth), authRoutes);
 app.use('/api/v1/profile', authMiddleware, requireAnyRole(), profileRoutes);
 app.use('/api/v1/uploads', rateLimitTrackingWrapper(rateLimiters.upload), authMiddleware, requireAnyRole(), uploadRoutes);
+app.use('/api/v1/courses', authMiddleware, requireAnyRole(), coursesRoutes);
 app.use('/api/v1/lessons', authMiddleware, requireAnyRole(), lessonsRoutes);
 app.use('/api/v1/progress', authMiddleware, requireAnyRole(), progressRoutes);
-app.use('/api/v1/interview', rateLimitTrackingWrapper(rateLimiters.ai), authMiddleware, requireAnyRole(), interviewRoutes);
-app.use('/api/v1/recommendations', rateLimitTrackingWrapper(rateLimiters.ai), authMiddleware, requireAnyRole(), recommendationsRoutes);
+app.use('/api/v1/interview', rateLimitTrackingWrapper(rateLimiters.ai), authMiddleware, requireAnyRole(), aiBudget('interview', 'translation'), interviewRoutes);
+app.use('/api/v1/mock-interviews', rateLimitTrackingWrapper(rateLimiters.ai), authMiddleware, requireAnyRole(), aiBudget('interview'), mockInterviewRoutes);
+app.use('/api/v1/recommendations', rateLimitTrackingWrapper(rateLimiters.ai), authMiddleware, requireAnyRole(), aiBudget('recommendations'), recommendationsRoutes);
 app.use('/api/v1/mentorship', authMiddleware, requireAnyRole(), mentorshipRoutes);
+app.use('/api/v1/mentor-sessions', authMiddleware, requireAnyRole(), mentorSessionsRoutes);
+// Calendar apps can't send an Authorization header; the token in the URL identifies the user
+app.use('/api/v1/calendar-feeds', calendarFeedsRoutes);
+app.use('/api/v1/mentor-relationships', authMiddleware, requireAnyRole(), mentorRelationshipsRoutes);
+app.use('/api/v1/reviews', authMiddleware, requireAnyRole(), reviewsRoutes);
+app.use('/api/v1/admin/prompts', rateLimitTrackingWrapper(rateLimiters.admin), authMiddleware, requireAdmin(), promptTemplatesRoutes);
+app.use('/api/v1/admin/skills', rateLimitTrackingWrapper(rateLimiters.admin), authMiddleware, requireAdmin(), skillTaxonomyRoutes);
+app.use('/api/v1/admin/mentor-verifications', rateLimitTrackingWrapper(rateLimiters.admin), authMiddleware, requireAdmin(), mentorVerificationsRoutes);
 app.use('/api/v1/admin', rateLimitTrackingWrapper(rateLimiters.admin), authMiddleware, requireAnyRole(), adminRoutes);
 app.use('/api/v1/constellation', authMiddleware, requireAnyRole(), constellationRoutes);
 app.use('/api/v1/notifications', authMiddleware, requireAnyRole(), notificationsRoutes);
 app.use('/api/v1/external', rateLimitTrackingWrapper(rateLimiters.ai), authMiddleware, requireAnyRole(), externalRoutes);
 app.use('/api/v1/account', authMiddleware, requireAnyRole(), accountRoutes);
 app.use('/api/v1/chatbot', rateLimitTrackingWrapper(rateLimiters.ai), chatbotRoutes);
+app.use('/api/v1/roadmaps', authMiddleware, requireAnyRole(), roadmapsRoutes);
+app.use('/api/v1/ai-usage', authMiddleware, requireAnyRole(), aiUsageRoutes);
+app.use('/api/v1/skills', authMiddleware, requireAnyRole(), skillsRoutes);
+app.use('/api/v1/assessments', authMiddleware, requireAnyRole(), assessmentsRoutes);
 
 // Monitoring routes
 app.use('/api/monitoring', monitoringRoutes);
@@ -201,6 +240,14 @@ app.use(errorTrackingMiddleware);
 if (process.env.FUNCTIONS_FRAMEWORK === 'true' || process.env.K_SERVICE) {
   // Running in serverless; do not listen
 } else {
+  // Serverless deployments trigger handleInterviewSweep / handleRecommendationExpiry / handleUserSkillDecay from a scheduler instead
+  const { scheduleInterviewSweep } = require('./workers/interviewSweepWorker');
+  const { scheduleRecommendationExpiry } = require('./workers/recommendationExpiryWorker');
+  const { scheduleUserSkillDecay } = require('./workers/userSkillDecayWorker');
+  scheduleInterviewSweep();
+  scheduleRecommendationExpiry();
+  scheduleUserSkillDecay();
+
   app.listen(PORT, () => {
     console.log(`🚀 Server is listening on http://localhost:${PORT}`);
     console.log(`📚 API Documentation: http://localhost:${PORT}/api/docs`);
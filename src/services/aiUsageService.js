@@ -0,0 +1,263 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const { AIUsage } = require('../models');
+const monitoringService = require('./monitoringService');
+
+// Map provider-level operation names to the categories budgets are set on
+const OPERATION_CATEGORIES = {
+  interviewQuestions: 'interview',
+  interviewAnalysis: 'interview',
+  mockInterviewQuestions: 'interview',
+  answerScore: 'interview',
+  recommendations: 'recommendations',
+  careerPathRanking: 'recommendations',
+  resumeData: 'resume',
+  translate: 'translation',
+  detectLanguage: 'translation',
+  chat: 'chat',
+  conversationAnalysis: 'chat',
+  skillRoadmap: 'chat',
+  conversationSuggestions: 'chat',
+  mentorshipAnswer: 'mentorship'
+};
+
+const CATEGORIES = ['interview', 'recommendations', 'resume', 'translation', 'chat', 'mentorship', 'other'];
+
+class AIUsageService {
+  constructor() {
+    // Carries the user an AI call is made for, from the request down to the provider registry
+    this.context = new AsyncLocalStorage();
+
+    // Daily token budgets per user; 0 means unlimited
+    this.budgets = {
+      total: parseInt(process.env.AI_DAILY_TOKEN_BUDGET || '100000')
+    };
+    CATEGORIES.forEach(category => {
+      this.budgets[category] = parseInt(process.env[`AI_DAILY_TOKEN_BUDGET_${category.toUpperCase()}`] || '0');
+    });
+
+    // Daily token cap across all users; 0 means unlimited
+    this.globalBudget = parseInt(process.env.AI_DAILY_TOKEN_BUDGET_GLOBAL || '0');
+    this.globalUsageCacheMs = 30000;
+    this.globalUsageCache = null;
+
+    // Estimated USD cost per 1K tokens, used for cost accounting only
+    this.costPer1kTokens = {
+      gemini: parseFloat(process.env.AI_COST_PER_1K_TOKENS_GEMINI || '0'),
+      huggingface: parseFloat(process.env.AI_COST_PER_1K_TOKENS_HUGGINGFACE || '0'),
+      mock: 0
+    };
+  }
+
+  /**
+   * Run fn with AI usage attributed to userId
+   */
+  runForUser(userId, fn) {
+    return this.context.run({ userId: String(userId) }, fn);
+  }
+
+  getCurrentUserId() {
+    const store = this.context.getStore();
+    return store ? store.userId : null;
+  }
+
+  categorize(operation) {
+    return OPERATION_CATEGORIES[operation] || (CATEGORIES.includes(operation) ? operation : 'other');
+  }
+
+  /**
+   * Record one successful provider call. Providers that don't report usage
+   * get a character-based estimate (~4 characters per token).
+   */
+  async recordUsage({ operation, provider, usage, promptText = '', responseText = '' }) {
+    const category = this.categorize(operation);
+    const promptTokens = usage && usage.promptTokens ? usage.promptTokens : this.estimateTokens(promptText);
+    const completionTokens = usage && usage.completionTokens ? usage.completionTokens : this.estimateTokens(responseText);
+    const totalTokens = promptTokens + completionTokens;
+    const estimatedCost = (totalTokens / 1000) * (this.costPer1kTokens[provider] || 0);
+
+    monitoringService.recordAIUsage(category, promptTokens, completionTokens, estimatedCost);
+
+    const userId = this.getCurrentUserId();
+    if (!userId || !mongoose.isValidObjectId(userId) || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    await AIUsage.updateOne(
+      { userId, date: this.getToday(), operation: category },
+      {
+        $inc: {
+          calls: 1,
+          promptTokens,
+          completionTokens,
+          estimatedCost,
+          [`byProvider.${provider}`]: totalTokens
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Token usage for one user on one UTC day, per category and in total
+   */
+  async getDailyUsage(userId, date = this.getToday()) {
+    const records = await AIUsage.find({ userId, date }).lean();
+
+    const operations = {};
+    const total = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0 };
+
+    records.forEach(record => {
+      const totalTokens = record.promptTokens + record.completionTokens;
+      operations[record.operation] = {
+        calls: record.calls,
+        promptTokens: record.promptTokens,
+        completionTokens: record.completionTokens,
+        totalTokens,
+        estimatedCost: this.roundCost(record.estimatedCost),
+        budget: this.budgets[record.operation] || null
+      };
+
+      total.calls += record.calls;
+      total.promptTokens += record.promptTokens;
+      total.completionTokens += record.completionTokens;
+      total.totalTokens += totalTokens;
+      total.estimatedCost += record.estimatedCost;
+    });
+
+    total.estimatedCost = this.roundCost(total.estimatedCost);
+
+    return {
+      date,
+      operations,
+      total: { ...total, budget: this.budgets.total || null },
+      resetAt: this.getResetTime()
+    };
+  }
+
+  /**
+   * Check today's usage against the total budget and any category budgets
+   */
+  async checkBudget(userId, categories = []) {
+    if (mongoose.connection.readyState !== 1) {
+      return { allowed: true };
+    }
+
+    const resetAt = this.getResetTime();
+    const retryAfter = Math.ceil((resetAt - Date.now()) / 1000);
+
+    if (this.globalBudget > 0) {
+      const used = await this.getGlobalUsage();
+      if (used >= this.globalBudget) {
+        return { allowed: false, operation: 'global', used, limit: this.globalBudget, resetAt, retryAfter };
+      }
+    }
+
+    const usage = await this.getDailyUsage(userId);
+
+    if (this.budgets.total > 0 && usage.total.totalTokens >= this.budgets.total) {
+      return {
+        allowed: false,
+        operation: 'total',
+        used: usage.total.totalTokens,
+        limit: this.budgets.total,
+        resetAt,
+        retryAfter
+      };
+    }
+
+    for (const category of categories) {
+      const limit = this.budgets[category];
+      const used = usage.operations[category] ? usage.operations[category].totalTokens : 0;
+      if (limit > 0 && used >= limit) {
+        return { allowed: false, operation: category, used, limit, resetAt, retryAfter };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Tokens used today across all users, cached for globalUsageCacheMs so the
+   * budget check doesn't aggregate on every request. Only usage attributed to
+   * a user is stored, so calls made outside a request don't count.
+   */
+  async getGlobalUsage() {
+    const date = this.getToday();
+    const cache = this.globalUsageCache;
+    if (cache && cache.date === date && Date.now() - cache.at < this.globalUsageCacheMs) {
+      return cache.totalTokens;
+    }
+
+    const [row] = await AIUsage.aggregate([
+      { $match: { date } },
+      { $group: { _id: null, promptTokens: { $sum: '$promptTokens' }, completionTokens: { $sum: '$completionTokens' } } }
+    ]);
+    const totalTokens = row ? row.promptTokens + row.completionTokens : 0;
+
+    this.globalUsageCache = { date, totalTokens, at: Date.now() };
+    return totalTokens;
+  }
+
+  /**
+   * Today's usage across all users, per category and in total (for monitoring)
+   */
+  async getTodaySummary() {
+    const date = this.getToday();
+    const rows = await AIUsage.aggregate([
+      { $match: { date } },
+      {
+        $group: {
+          _id: '$operation',
+          calls: { $sum: '$calls' },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          estimatedCost: { $sum: '$estimatedCost' },
+          users: { $addToSet: '$userId' }
+        }
+      }
+    ]);
+
+    return {
+      date,
+      totalTokens: rows.reduce((sum, row) => sum + row.promptTokens + row.completionTokens, 0),
+      operations: rows.reduce((summary, row) => {
+        summary[row._id] = {
+          calls: row.calls,
+          promptTokens: row.promptTokens,
+          completionTokens: row.completionTokens,
+          estimatedCost: this.roundCost(row.estimatedCost),
+          users: row.users.length
+        };
+        return summary;
+      }, {})
+    };
+  }
+
+  getBudgets() {
+    return { ...this.budgets };
+  }
+
+  // === HELPER METHODS ===
+
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  roundCost(cost) {
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
+  getToday() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  // Budgets reset at the next UTC midnight
+  getResetTime() {
+    const reset = new Date();
+    reset.setUTCHours(24, 0, 0, 0);
+    return reset;
+  }
+}
+
+module.exports = new AIUsageService();
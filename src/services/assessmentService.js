@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const { AssessmentQuestion, AssessmentAttempt, Progress, Skill } = require('../models');
+const userSkillService = require('./userSkillService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AssessmentService {
+  constructor() {
+    this.config = {
+      questionCount: parseInt(process.env.ASSESSMENT_QUESTION_COUNT || '10', 10),
+      minQuestions: 5, // smaller banks are too easy to memorise
+      secondsPerQuestion: parseInt(process.env.ASSESSMENT_SECONDS_PER_QUESTION || '90', 10),
+      gracePeriodSeconds: 15,
+      passingScore: parseInt(process.env.ASSESSMENT_PASSING_SCORE || '70', 10),
+      maxAttemptsPerDay: parseInt(process.env.ASSESSMENT_MAX_ATTEMPTS_PER_DAY || '3', 10)
+    };
+  }
+
+  // === QUESTION BANK ===
+
+  /**
+   * Skills with enough active questions to be assessed, with their bank size
+   */
+  async getAvailableSkills() {
+    const rows = await AssessmentQuestion.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$skillId', questionCount: { $sum: 1 } } },
+      { $match: { questionCount: { $gte: this.config.minQuestions } } }
+    ]);
+
+    const skills = await Skill.find({ _id: { $in: rows.map(row => row._id) } })
+      .select('name')
+      .lean();
+    const nameById = new Map(skills.map(skill => [String(skill._id), skill.name]));
+
+    return rows
+      .filter(row => nameById.has(String(row._id)))
+      .map(row => ({ skillId: row._id, name: nameById.get(String(row._id)), questionCount: row.questionCount }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async countActiveQuestions(skillId) {
+    return AssessmentQuestion.countDocuments({ skillId, isActive: true });
+  }
+
+  // === ATTEMPTS ===
+
+  /**
+   * Start a timed attempt with questions drawn at random from the skill's bank
+   * and choice options shuffled. The attempt stores what the user is shown;
+   * answers stay on the questions until grading.
+   */
+  async startAttempt(userId, skillId) {
+    const questions = await AssessmentQuestion.aggregate([
+      { $match: { skillId: new mongoose.Types.ObjectId(String(skillId)), isActive: true } },
+      { $sample: { size: this.config.questionCount } }
+    ]);
+
+    const timeLimitSeconds = questions.length * this.config.secondsPerQuestion;
+    const startedAt = new Date();
+
+    return AssessmentAttempt.create({
+      userId,
+      skillId,
+      questions: questions.map(question => {
+        const optionOrder = this.shuffle(question.options.map((_, index) => index));
+        return {
+          questionId: question._id,
+          type: question.type,
+          prompt: question.prompt,
+          options: optionOrder.map(index => question.options[index]),
+          optionOrder,
+          points: question.points
+        };
+      }),
+      timeLimitSeconds,
+      startedAt,
+      expiresAt: new Date(startedAt.getTime() + timeLimitSeconds * 1000),
+      passingScore: this.config.passingScore
+    });
+  }
+
+  /**
+   * The user's in-progress attempt for the skill, expiring it first when its
+   * time has run out
+   */
+  async getActiveAttempt(userId, skillId) {
+    const attempt = await AssessmentAttempt.findOne({ userId, skillId, status: 'IN_PROGRESS' });
+    if (attempt && this.isOverdue(attempt)) {
+      await this.expireAttempt(attempt);
+      return null;
+    }
+    return attempt;
+  }
+
+  // Attempts started in the last 24 hours, for the daily limit
+  async countRecentAttempts(userId, skillId) {
+    return AssessmentAttempt.countDocuments({
+      userId,
+      skillId,
+      createdAt: { $gte: new Date(Date.now() - DAY_MS) }
+    });
+  }
+
+  /**
+   * Move an in-progress attempt to SUBMITTED in one update, so only one of
+   * several concurrent submits gets to grade it. Resolves to the claimed
+   * attempt, or null when it was no longer in progress.
+   */
+  async claimAttempt(attemptId) {
+    return AssessmentAttempt.findOneAndUpdate(
+      { _id: attemptId, status: 'IN_PROGRESS' },
+      { $set: { status: 'SUBMITTED', submittedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Grade an attempt claimed with claimAttempt. On a pass the score is recorded as QUIZ
+   * evidence on the user's skill; every graded attempt gets an assessment
+   * Progress record.
+   * answers: [{ questionId, answer }] where answer is a shown option index
+   * (multiple choice), an array of them (multi-select) or text (short answer)
+   */
+  async submitAttempt(attempt, answers) {
+    const answerById = new Map(answers.map(entry => [String(entry.questionId), entry.answer]));
+    const questions = await AssessmentQuestion.find({ _id: { $in: attempt.questions.map(q => q.questionId) } }).lean();
+    const questionById = new Map(questions.map(question => [String(question._id), question]));
+
+    let earned = 0;
+    let total = 0;
+
+    attempt.questions.forEach(attemptQuestion => {
+      const question = questionById.get(String(attemptQuestion.questionId));
+      const answer = answerById.get(String(attemptQuestion.questionId));
+      const graded = question ? this.gradeQuestion(question, attemptQuestion, answer) : { fraction: 0, answer: null };
+
+      attemptQuestion.answer = graded.answer;
+      attemptQuestion.correct = graded.fraction === 1;
+      attemptQuestion.pointsEarned = Math.round(attemptQuestion.points * graded.fraction * 100) / 100;
+      attemptQuestion.correctAnswer = question ? this.getCorrectAnswer(question, attemptQuestion) : null;
+      attemptQuestion.explanation = question ? question.explanation : undefined;
+
+      earned += attemptQuestion.pointsEarned;
+      total += attemptQuestion.points;
+    });
+
+    attempt.score = total > 0 ? Math.round((earned / total) * 100) : 0;
+    attempt.passed = attempt.score >= attempt.passingScore;
+    await attempt.save();
+
+    await this.recordProgress(attempt);
+    if (attempt.passed) {
+      // One quiz result per skill: a retake replaces the previous pass rather than stacking on it
+      await userSkillService.recordEvidence(attempt.userId, attempt.skillId, {
+        type: 'QUIZ',
+        score: attempt.score / 100,
+        referenceId: attempt.skillId
+      });
+    }
+
+    return attempt;
+  }
+
+  // Only an attempt still in progress is expired; one submitted in the meantime keeps its result
+  async expireAttempt(attempt) {
+    await AssessmentAttempt.updateOne(
+      { _id: attempt._id, status: 'IN_PROGRESS' },
+      { $set: { status: 'EXPIRED', passed: false } }
+    );
+    attempt.status = 'EXPIRED';
+    attempt.passed = false;
+    return attempt;
+  }
+
+  // Expire the user's overdue attempts so history shows them as expired
+  async expireOverdue(userId) {
+    await AssessmentAttempt.updateMany(
+      {
+        userId,
+        status: 'IN_PROGRESS',
+        expiresAt: { $lt: new Date(Date.now() - this.config.gracePeriodSeconds * 1000) }
+      },
+      { $set: { status: 'EXPIRED', passed: false } }
+    );
+  }
+
+  isOverdue(attempt, now = new Date()) {
+    return now.getTime() > attempt.expiresAt.getTime() + this.config.gracePeriodSeconds * 1000;
+  }
+
+  // === GRADING ===
+
+  /**
+   * Score one answer from 0 to 1. Multi-select earns partial credit: each
+   * correct option selected counts for it and each wrong one against it.
+   * Resolves to { fraction, answer } with the answer as stored on the attempt;
+   * malformed answers count as unanswered.
+   */
+  gradeQuestion(question, attemptQuestion, answer) {
+    const toOriginal = index => (Number.isInteger(index) && index >= 0 && index < attemptQuestion.optionOrder.length
+      ? attemptQuestion.optionOrder[index]
+      : null);
+
+    switch (question.type) {
+      case 'MULTIPLE_CHOICE': {
+        const original = toOriginal(answer);
+        if (original === null) return { fraction: 0, answer: null };
+        return { fraction: question.correctOptions.includes(original) ? 1 : 0, answer };
+      }
+
+      case 'MULTI_SELECT': {
+        if (!Array.isArray(answer)) return { fraction: 0, answer: null };
+        const selected = [...new Set(answer)].filter(index => toOriginal(index) !== null);
+        const hits = selected.filter(index => question.correctOptions.includes(toOriginal(index))).length;
+        const misses = selected.length - hits;
+        const fraction = Math.max(0, (hits - misses) / Math.max(question.correctOptions.length, 1));
+        return { fraction: Math.min(1, fraction), answer: selected.sort((a, b) => a - b) };
+      }
+
+      case 'SHORT_ANSWER': {
+        if (typeof answer !== 'string' || !answer.trim()) return { fraction: 0, answer: null };
+        const normalized = this.normalizeAnswer(answer);
+        const accepted = question.acceptedAnswers.some(entry => this.normalizeAnswer(entry) === normalized);
+        return { fraction: accepted ? 1 : 0, answer: answer.trim().substring(0, 500) };
+      }
+
+      default:
+        return { fraction: 0, answer: null };
+    }
+  }
+
+  // Correct answer in the order the user saw the options
+  getCorrectAnswer(question, attemptQuestion) {
+    if (question.type === 'SHORT_ANSWER') {
+      return question.acceptedAnswers;
+    }
+
+    const shown = question.correctOptions
+      .map(original => attemptQuestion.optionOrder.indexOf(original))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b);
+    return question.type === 'MULTIPLE_CHOICE' ? shown[0] : shown;
+  }
+
+  normalizeAnswer(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}+#.]+/gu, ' ')
+      .replace(/\.(?=\s|$)/g, '')
+      .trim()
+      .replace(/\s+/g, ' ');
+  }
+
+  // === HELPER METHODS ===
+
+  async recordProgress(attempt) {
+    const skill = await Skill.findById(attempt.skillId).select('name').lean();
+
+    await Progress.findOneAndUpdate(
+      { userId: attempt.userId, type: 'assessment', referenceId: attempt._id },
+      {
+        progress: 100,
+        status: attempt.passed ? 'completed' : 'failed',
+        score: attempt.score,
+        timeSpent: Math.round((attempt.submittedAt - attempt.startedAt) / 60000),
+        completedAt: attempt.submittedAt,
+        lastAccessedAt: new Date(),
+        metadata: new Map([
+          ['skillId', String(attempt.skillId)],
+          ['skillName', skill ? skill.name : null],
+          ['passed', attempt.passed],
+          ['passingScore', attempt.passingScore]
+        ])
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Fisher-Yates
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+module.exports = new AssessmentService();
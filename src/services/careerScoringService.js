@@ -0,0 +1,140 @@
+const externalApiService = require('./externalApiService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const CAREER_PATHS = require('../config/careerPaths');
+
+// Job-market demand levels reported by externalApiService, as 0-1 scores
+const DEMAND_LEVELS = { low: 0.3, medium: 0.6, high: 1 };
+
+class CareerScoringService {
+  constructor() {
+    // Share of the blended score that comes from skill match; the rest is market demand
+    this.skillMatchWeight = parseFloat(process.env.RECOMMENDATION_SKILL_MATCH_WEIGHT || '0.7');
+    this.maxGrowthRate = 35; // highest growth rate estimateGrowthRate reports
+  }
+
+  /**
+   * Score career paths against the user's skills and job-market demand.
+   * Resolves to the top `limit` candidates by score, each carrying the
+   * structured reasons (matched/missing skills, demand) behind its score.
+   */
+  async scoreCareerPaths(userSkills, { focusArea = null, limit = 5 } = {}) {
+    await skillTaxonomyService.load();
+    const owned = new Set(userSkills.map(skill => this.normalizeSkill(skill)));
+    let matches = CAREER_PATHS.map(path => this.matchSkills(path, owned));
+
+    // Stay within the focus area when it has any paths
+    if (focusArea && matches.some(match => match.path.category === focusArea)) {
+      matches = matches.filter(match => match.path.category === focusArea);
+    }
+
+    // Demand lookups hit external job APIs, so only fetch them for the best skill matches
+    const shortlist = matches
+      .sort((a, b) => b.skillMatch - a.skillMatch)
+      .slice(0, Math.min(limit * 2, 10));
+
+    const trends = await externalApiService.getJobMarketTrends(shortlist.map(match => match.path.marketQuery));
+    const trendsByQuery = new Map((trends || []).map(trend => [trend.skill, trend]));
+
+    return shortlist
+      .map(match => {
+        const trend = trendsByQuery.get(match.path.marketQuery);
+        const demandScore = this.getDemandScore(trend);
+
+        return {
+          careerPath: {
+            id: match.path.id,
+            title: match.path.title,
+            category: match.path.category
+          },
+          matchedSkills: match.matchedSkills,
+          missingSkills: match.missingSkills,
+          coreMissingSkills: match.coreMissingSkills,
+          skillMatch: match.skillMatch,
+          demandScore,
+          score: this.round(this.skillMatchWeight * match.skillMatch + (1 - this.skillMatchWeight) * demandScore),
+          market: trend ? {
+            demand: trend.demand,
+            growthRate: trend.growthRate,
+            averageSalary: trend.averageSalary,
+            jobCount: trend.jobCount
+          } : null
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Plain-language reason for a candidate, used when the AI explanation is unavailable
+   */
+  explain(candidate) {
+    const { careerPath, matchedSkills, missingSkills, market } = candidate;
+    const parts = [];
+
+    if (matchedSkills.length > 0) {
+      parts.push(`You already have ${matchedSkills.length} of the ${matchedSkills.length + missingSkills.length} skills a ${careerPath.title} needs (${matchedSkills.join(', ')}).`);
+    } else {
+      parts.push(`${careerPath.title} is a new direction for you, so expect to build most skills from scratch.`);
+    }
+
+    if (missingSkills.length > 0) {
+      parts.push(`Focus next on ${missingSkills.slice(0, 3).join(', ')}.`);
+    }
+
+    if (market && market.demand) {
+      parts.push(`Job-market demand is ${market.demand}${market.growthRate ? ` with an estimated ${market.growthRate}% growth rate` : ''}.`);
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Career path a free-text job role refers to, e.g. "Senior Data Scientist",
+   * or null when the role matches none
+   */
+  findCareerPath(role) {
+    const text = String(role || '').toLowerCase();
+
+    return CAREER_PATHS
+      .filter(path => text.includes(path.title.toLowerCase()) || text.includes(path.id.replace(/-/g, ' ')))
+      .sort((a, b) => b.title.length - a.title.length)[0] || null;
+  }
+
+  // === HELPER METHODS ===
+
+  matchSkills(path, owned) {
+    const totalWeight = path.requiredSkills.reduce((sum, skill) => sum + skill.weight, 0);
+    const matched = path.requiredSkills.filter(skill => owned.has(this.normalizeSkill(skill.name)));
+    const missing = path.requiredSkills
+      .filter(skill => !owned.has(this.normalizeSkill(skill.name)))
+      .sort((a, b) => b.weight - a.weight);
+
+    return {
+      path,
+      matchedSkills: matched.map(skill => skill.name),
+      missingSkills: missing.map(skill => skill.name),
+      coreMissingSkills: missing.filter(skill => skill.weight >= 3).map(skill => skill.name),
+      skillMatch: this.round(matched.reduce((sum, skill) => sum + skill.weight, 0) / totalWeight)
+    };
+  }
+
+  // Unknown demand counts as average rather than penalising the path
+  getDemandScore(trend) {
+    if (!trend) return 0.5;
+
+    const level = DEMAND_LEVELS[trend.demand] || DEMAND_LEVELS.medium;
+    const growth = Math.min(1, (trend.growthRate || 0) / this.maxGrowthRate);
+    return this.round((level + growth) / 2);
+  }
+
+  // Canonical taxonomy key, so aliases like "JS" match "JavaScript"
+  normalizeSkill(name) {
+    return skillTaxonomyService.normalize(name);
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new CareerScoringService();
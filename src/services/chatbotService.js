@@ -1,27 +1,20 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmProviderRegistry = require('./llmProviderRegistry');
+const structuredOutputService = require('./structuredOutputService');
+const promptTemplateService = require('./promptTemplateService');
 
 class ChatbotService {
   constructor() {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY is required for chatbot service');
+    if (!llmProviderRegistry.hasAvailableProvider()) {
+      throw new Error('No AI provider configured for chatbot service (set GEMINI_API_KEY, HUGGING_FACE_API_KEY or AI_PROVIDERS=mock)');
     }
-    
-    // Initialize Gemini (primary)
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ 
-      model: "gemini-1.5-pro",
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.9,
-        maxOutputTokens: 1000,
-      }
-    });
 
-    // Initialize Hugging Face (fallback)
-    this.huggingFaceApiKey = process.env.HUGGING_FACE_API_KEY;
-    this.huggingFaceModel = "facebook/blenderbot-400M-distill"; // Better model for conversations
-    
+    this.generationConfig = {
+      temperature: 0.7,
+      topK: 40,
+      topP: 0.9,
+      maxOutputTokens: 1000
+    };
+
     this.systemPrompt = `You are CareerDisha AI, a friendly and knowledgeable career guidance chatbot. Your role is to:
 
 1. Help users explore career paths and opportunities
@@ -40,90 +33,7 @@ Guidelines:
 
 Remember: You're having a conversation to understand the user's career aspirations and help create a personalized skill development roadmap.`;
 
-    console.log('ChatbotService initialized with Gemini API (primary) and Hugging Face (fallback)');
-  }
-
-  /**
-   * Fallback to Hugging Face API when Gemini fails
-   */
-  async callHuggingFace(message, conversationHistory = []) {
-    if (!this.huggingFaceApiKey || this.huggingFaceApiKey === 'your-hf-api-key') {
-      throw new Error('Hugging Face API key not properly configured');
-    }
-
-    try {
-      const fetch = require('node-fetch');
-      
-      // Use a simpler, more reliable approach with GPT-2
-      const response = await fetch(
-        `https://api-inference.huggingface.co/models/gpt2`,
-        {
-          headers: {
-            Authorization: `Bearer ${this.huggingFaceApiKey}`,
-            'Content-Type': 'application/json',
-          },
-          method: 'POST',
-          body: JSON.stringify({
-            inputs: `Career guidance context: You are helping someone with career advice.\n\nUser question: ${message}\n\nCareer advisor response:`,
-            parameters: {
-              max_length: 150,
-              temperature: 0.8,
-              do_sample: true,
-              top_p: 0.9,
-              return_full_text: false
-            }
-          }),
-        }
-      );
-
-      const result = await response.json();
-      
-      // Check for common Hugging Face errors
-      if (result.error) {
-        if (result.error.includes('loading')) {
-          console.log('Model is loading, using static fallback...');
-          return this.getCareerSpecificFallback(message);
-        }
-        if (result.error.includes('Rate limit')) {
-          console.log('Rate limited, using static fallback...');
-          return this.getCareerSpecificFallback(message);
-        }
-        throw new Error(result.error);
-      }
-
-      let responseText = '';
-      
-      // Handle response format
-      if (Array.isArray(result) && result.length > 0) {
-        responseText = result[0].generated_text || '';
-      } else if (result.generated_text) {
-        responseText = result.generated_text;
-      }
-      
-      // Clean up and validate response
-      responseText = responseText.trim();
-      
-      // Remove the input prompt from response if it's included
-      if (responseText.includes('Career advisor response:')) {
-        responseText = responseText.split('Career advisor response:')[1] || '';
-        responseText = responseText.trim();
-      }
-      
-      // Validate response quality
-      if (!responseText || responseText.length < 10 || 
-          responseText.includes('undefined') || responseText.includes('null')) {
-        console.log('Invalid response from HF, using static fallback...');
-        return this.getCareerSpecificFallback(message);
-      }
-      
-      // Ensure it's career-focused
-      return this.addCareerContext(responseText, message);
-
-    } catch (error) {
-      console.error('Hugging Face API error:', error);
-      // Return static fallback instead of throwing
-      return this.getCareerSpecificFallback(message);
-    }
+    console.log(`ChatbotService initialized with providers: ${llmProviderRegistry.getAvailableProviders().join(' -> ')}`);
   }
 
   /**
@@ -177,72 +87,55 @@ Remember: You're having a conversation to understand the user's career aspiratio
    * Process a chat message and generate response
    */
   async processMessage(message, conversationHistory = [], userProfile = {}) {
-    // First try Gemini API
     try {
-      // Build conversation context
-      const context = this.buildConversationContext(conversationHistory, userProfile);
-      
-      // Create chat session with history
-      const chat = this.model.startChat({
-        history: this.formatChatHistory(conversationHistory),
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 1000,
-        },
-      });
+      const result = await llmProviderRegistry.chat(
+        this.buildChatRequest(message, conversationHistory, userProfile),
+        { ...this.generationConfig, operation: 'chat' }
+      );
 
-      // Send message and get response
-      const result = await chat.sendMessage(`${context}\n\nUser: ${message}`);
-      const response = result.response.text();
+      return this.buildChatResponse(result, message, conversationHistory, userProfile);
+    } catch (error) {
+      console.error('Chat providers failed:', error.message);
+      return this.buildStaticFallback(message, error);
+    }
+  }
+
+  /**
+   * Stream a chat response, calling onToken for each generated chunk.
+   * Providers that can't stream answer in one piece (streamed: false).
+   * options: signal (an AbortSignal that stops the provider stream early).
+   */
+  async streamMessage(message, conversationHistory = [], userProfile = {}, onToken = () => {}, { signal } = {}) {
+    try {
+      const result = await llmProviderRegistry.streamChat(
+        this.buildChatRequest(message, conversationHistory, userProfile),
+        { ...this.generationConfig, operation: 'chat', signal },
+        onToken
+      );
 
       return {
-        success: true,
-        message: response,
-        timestamp: new Date(),
-        source: 'gemini',
-        metadata: {
-          conversationLength: conversationHistory.length,
-          hasUserProfile: !!userProfile.name
-        }
+        ...this.buildChatResponse(result, message, conversationHistory, userProfile),
+        streamed: result.streamed
       };
     } catch (error) {
-      console.error('Gemini API error:', error);
-      
-      // Try Hugging Face as fallback
-      if (this.huggingFaceApiKey && this.huggingFaceApiKey !== 'your-hf-api-key') {
-        try {
-          console.log('Falling back to Hugging Face API...');
-          const hfResponse = await this.callHuggingFace(message, conversationHistory);
-          
-          return {
-            success: true,
-            message: hfResponse,
-            timestamp: new Date(),
-            source: 'huggingface',
-            metadata: {
-              fallbackUsed: true,
-              originalError: error.message,
-              conversationLength: conversationHistory.length
-            }
-          };
-        } catch (hfError) {
-          console.error('Hugging Face fallback also failed:', hfError);
-          // Don't throw here, continue to static fallback
-        }
+      // Part of the reply already reached the client, so don't switch providers mid-answer
+      if (error.partialText) {
+        console.error('Chat stream interrupted:', error.message);
+        return {
+          success: false,
+          message: error.partialText,
+          streamed: true,
+          error: error.message,
+          timestamp: new Date(),
+          source: error.provider,
+          metadata: {
+            interrupted: true
+          }
+        };
       }
-      
-      // Final fallback to static responses
-      return {
-        success: false,
-        message: this.getCareerSpecificFallback(message),
-        error: error.message,
-        timestamp: new Date(),
-        source: 'fallback',
-        metadata: {
-          fallbackUsed: true,
-          allApiFailed: true
-        }
-      };
+
+      console.error('Chat providers failed:', error.message);
+      return { ...this.buildStaticFallback(message, error), streamed: false };
     }
   }
 
@@ -251,51 +144,26 @@ Remember: You're having a conversation to understand the user's career aspiratio
    */
   async analyzeConversation(conversationHistory, userProfile = {}) {
     try {
-      const analysisPrompt = `
-Analyze this career guidance conversation and extract key insights:
-
-User Profile: ${JSON.stringify(userProfile, null, 2)}
-
-Conversation History:
-${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}
-
-Please provide a structured analysis in JSON format with:
-{
-  "userGoals": ["primary career goals mentioned"],
-  "currentSkills": ["skills user currently has"],
-  "interests": ["areas of interest mentioned"],
-  "experience": "beginner/intermediate/advanced",
-  "challenges": ["challenges or concerns mentioned"],
-  "preferredLearning": "style preferences mentioned",
-  "timeline": "any timeline mentioned",
-  "recommendations": {
-    "immediate": ["immediate next steps"],
-    "shortTerm": ["3-6 month goals"],
-    "longTerm": ["1+ year goals"]
-  }
-}
+      const { prompt: analysisPrompt } = await promptTemplateService.render('conversationAnalysis', {
+        userProfile: JSON.stringify(userProfile, null, 2),
+        conversation: conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')
+      });
 
-Respond only with valid JSON.`;
+      const output = await this.generateJson('conversationAnalysis', analysisPrompt);
 
-      const result = await this.model.generateContent(analysisPrompt);
-      const response = result.response.text();
-      
-      // Try to parse JSON response
-      try {
-        const analysis = JSON.parse(response);
+      if (output.valid) {
         return {
           success: true,
-          analysis,
+          analysis: output.value,
           timestamp: new Date()
         };
-      } catch (parseError) {
-        console.error('Failed to parse analysis JSON:', parseError);
-        return {
-          success: false,
-          error: 'Failed to parse analysis',
-          rawResponse: response
-        };
       }
+
+      return {
+        success: false,
+        error: 'Failed to parse analysis',
+        validationErrors: output.errors
+      };
     } catch (error) {
       console.error('Conversation analysis error:', error);
       return {
@@ -310,71 +178,28 @@ Respond only with valid JSON.`;
    */
   async generateSkillRoadmap(conversationAnalysis, userProfile = {}) {
     try {
-      const roadmapPrompt = `
-Based on this career conversation analysis, create a detailed skill development roadmap:
-
-Analysis: ${JSON.stringify(conversationAnalysis, null, 2)}
-User Profile: ${JSON.stringify(userProfile, null, 2)}
-
-Create a comprehensive skill roadmap in JSON format:
-{
-  "roadmapTitle": "Personalized Career Development Roadmap",
-  "userSummary": "Brief summary of user's current state and goals",
-  "phases": [
-    {
-      "phase": "Foundation (Months 1-3)",
-      "description": "Core skills to build immediately",
-      "skills": [
-        {
-          "name": "Skill Name",
-          "priority": "High/Medium/Low",
-          "timeToLearn": "2-4 weeks",
-          "resources": ["specific learning resources"],
-          "projects": ["hands-on projects to practice"],
-          "milestones": ["measurable goals"]
-        }
-      ]
-    }
-  ],
-  "careerPaths": [
-    {
-      "title": "Career Path Title",
-      "match": "85%",
-      "description": "Why this path fits",
-      "requiredSkills": ["key skills needed"],
-      "timeline": "6-12 months to job-ready"
-    }
-  ],
-  "resources": {
-    "courses": ["recommended courses"],
-    "books": ["suggested reading"],
-    "communities": ["communities to join"],
-    "tools": ["tools to learn"]
-  },
-  "nextSteps": ["immediate actions to take"]
-}
+      const { prompt: roadmapPrompt, promptVersion } = await promptTemplateService.render('skillRoadmap', {
+        analysis: JSON.stringify(conversationAnalysis, null, 2),
+        userProfile: JSON.stringify(userProfile, null, 2)
+      });
 
-Make it specific, actionable, and tailored to the user's conversation. Respond only with valid JSON.`;
+      const output = await this.generateJson('skillRoadmap', roadmapPrompt);
 
-      const result = await this.model.generateContent(roadmapPrompt);
-      const response = result.response.text();
-      
-      try {
-        const roadmap = JSON.parse(response);
+      if (output.valid) {
         return {
           success: true,
-          roadmap,
+          roadmap: output.value,
+          promptVersion,
           timestamp: new Date(),
           conversationId: conversationAnalysis.conversationId
         };
-      } catch (parseError) {
-        console.error('Failed to parse roadmap JSON:', parseError);
-        return {
-          success: false,
-          error: 'Failed to parse roadmap',
-          rawResponse: response
-        };
       }
+
+      return {
+        success: false,
+        error: 'Failed to parse roadmap',
+        validationErrors: output.errors
+      };
     } catch (error) {
       console.error('Roadmap generation error:', error);
       return {
@@ -389,38 +214,30 @@ Make it specific, actionable, and tailored to the user's conversation. Respond o
    */
   async getConversationSuggestions(conversationHistory = [], userProfile = {}) {
     try {
-      const suggestionsPrompt = `
-Based on this conversation history, suggest 3-4 helpful follow-up questions or topics to explore:
-
-Conversation: ${conversationHistory.slice(-5).map(msg => `${msg.role}: ${msg.content}`).join('\n')}
-User Profile: ${JSON.stringify(userProfile)}
-
-Provide suggestions as a JSON array:
-["What specific programming languages interest you?", "Tell me about your current work experience", "What's your ideal work environment?"]
+      const { prompt: suggestionsPrompt } = await promptTemplateService.render('conversationSuggestions', {
+        conversation: conversationHistory.slice(-5).map(msg => `${msg.role}: ${msg.content}`).join('\n'),
+        userProfile: JSON.stringify(userProfile)
+      });
 
-Keep suggestions conversational and focused on career development. Respond only with valid JSON array.`;
+      const output = await this.generateJson('conversationSuggestions', suggestionsPrompt);
 
-      const result = await this.model.generateContent(suggestionsPrompt);
-      const response = result.response.text();
-      
-      try {
-        const suggestions = JSON.parse(response);
+      if (output.valid) {
         return {
           success: true,
-          suggestions: Array.isArray(suggestions) ? suggestions : [],
+          suggestions: output.value,
           timestamp: new Date()
         };
-      } catch (parseError) {
-        return {
-          success: true,
-          suggestions: [
-            "What are your career goals?",
-            "What skills would you like to develop?",
-            "Tell me about your experience level",
-            "What industries interest you?"
-          ]
-        };
       }
+
+      return {
+        success: true,
+        suggestions: [
+          "What are your career goals?",
+          "What skills would you like to develop?",
+          "Tell me about your experience level",
+          "What industries interest you?"
+        ]
+      };
     } catch (error) {
       console.error('Suggestions error:', error);
       return {
@@ -436,6 +253,19 @@ Keep suggestions conversational and focused on career development. Respond only
 
   // === HELPER METHODS ===
 
+  /**
+   * Generate JSON through the provider chain and validate it against the operation's schema
+   */
+  async generateJson(operation, prompt) {
+    return structuredOutputService.generate(operation, async (correction, inspectResult) => {
+      const result = await llmProviderRegistry.generate(
+        correction ? `${prompt}\n\n${correction}` : prompt,
+        { ...this.generationConfig, operation, inspectResult }
+      );
+      return { text: result.text };
+    });
+  }
+
   buildConversationContext(conversationHistory, userProfile) {
     let context = this.systemPrompt;
     
@@ -455,11 +285,47 @@ Keep suggestions conversational and focused on career development. Respond only
     return context;
   }
 
-  formatChatHistory(conversationHistory) {
-    return conversationHistory.map(msg => ({
-      role: msg.role === 'user' ? 'user' : 'model',
-      parts: [{ text: msg.content }]
-    }));
+  buildChatRequest(message, conversationHistory, userProfile) {
+    return {
+      history: conversationHistory,
+      message,
+      systemPrompt: this.buildConversationContext(conversationHistory, userProfile)
+    };
+  }
+
+  buildChatResponse(result, message, conversationHistory, userProfile) {
+    // Instruct models on Hugging Face drift off-topic more often, so steer them back
+    const text = result.provider === 'huggingface'
+      ? this.addCareerContext(result.text, message)
+      : result.text;
+    const primary = llmProviderRegistry.getAvailableProviders()[0];
+
+    return {
+      success: true,
+      message: text,
+      timestamp: new Date(),
+      source: result.provider,
+      usage: result.usage,
+      metadata: {
+        conversationLength: conversationHistory.length,
+        hasUserProfile: !!userProfile.name,
+        fallbackUsed: result.provider !== primary
+      }
+    };
+  }
+
+  buildStaticFallback(message, error) {
+    return {
+      success: false,
+      message: this.getCareerSpecificFallback(message),
+      error: error.message,
+      timestamp: new Date(),
+      source: 'fallback',
+      metadata: {
+        fallbackUsed: true,
+        allApiFailed: true
+      }
+    };
   }
 
   getFallbackResponse(message) {
@@ -0,0 +1,298 @@
+const { Skill, Recommendation } = require('../models');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const userSkillService = require('./userSkillService');
+const CAREER_PATHS = require('../config/careerPaths');
+const SKILL_PREREQUISITES = require('../config/skillPrerequisites');
+
+const NODE_COLORS = {
+  user: '#f59e0b',
+  career: '#6366f1',
+  skill: '#94a3b8',
+  acquired: '#22c55e'
+};
+
+// Role pairs sharing at least this share of skills (Jaccard) get a transition edge
+const TRANSITION_THRESHOLD = 0.25;
+
+class ConstellationService {
+  /**
+   * Build the user's career constellation: career roles and skills as nodes,
+   * skill prerequisites and role transitions as edges. Every node carries
+   * `acquired` and `distance` - the number of skills the user still has to
+   * learn to reach it, counting unmet prerequisites.
+   * options: focusArea (career category to limit roles to)
+   */
+  async buildGraph(userId, { focusArea = null } = {}) {
+    const roles = focusArea ? CAREER_PATHS.filter(path => path.category === focusArea) : CAREER_PATHS;
+
+    await skillTaxonomyService.load();
+    const [userSkills, recommendedRoles] = await Promise.all([
+      userSkillService.getUserSkills(userId),
+      this.getRecommendedRoleIds(userId)
+    ]);
+
+    const held = new Map(userSkills.map(us => [this.normalize(us.skillId.normalized), us]));
+    const acquired = new Set(held.keys());
+
+    const skills = await this.loadSkills(roles, userSkills.map(us => us.skillId).filter(Boolean));
+    const prerequisites = this.buildPrerequisiteMap(skills);
+
+    const nodes = [];
+    const edges = [];
+
+    nodes.push({
+      id: 'user',
+      label: 'You',
+      type: 'user',
+      size: 3,
+      color: NODE_COLORS.user,
+      acquired: true,
+      distance: 0,
+      metadata: { acquiredSkills: acquired.size }
+    });
+
+    // === SKILL NODES ===
+
+    skills.forEach((skill, key) => {
+      const isAcquired = acquired.has(key);
+      const requiredBy = roles.filter(role => role.requiredSkills.some(required => this.normalize(required.name) === key));
+
+      nodes.push({
+        id: this.skillNodeId(key),
+        label: skillTaxonomyService.canonicalName(skill.name),
+        type: 'skill',
+        size: 1 + requiredBy.length,
+        color: isAcquired ? NODE_COLORS.acquired : NODE_COLORS.skill,
+        acquired: isAcquired,
+        distance: this.getMissingSkills([key], prerequisites, acquired).size,
+        metadata: {
+          skillId: skill._id || null,
+          tags: skill.tags || [],
+          requiredBy: requiredBy.map(role => role.id),
+          level: isAcquired ? held.get(key).level : null,
+          confidence: isAcquired ? held.get(key).confidence : null
+        }
+      });
+
+      if (isAcquired) {
+        edges.push({ source: 'user', target: this.skillNodeId(key), weight: 1, type: 'owns' });
+      }
+
+      (prerequisites.get(key) || []).forEach(prerequisite => {
+        edges.push({ source: this.skillNodeId(key), target: this.skillNodeId(prerequisite), weight: 1, type: 'requires' });
+      });
+    });
+
+    // === ROLE NODES ===
+
+    roles.forEach(role => {
+      const requiredKeys = role.requiredSkills.map(required => this.normalize(required.name));
+      const missing = this.getMissingSkills(requiredKeys, prerequisites, acquired);
+      const matched = requiredKeys.filter(key => acquired.has(key));
+
+      nodes.push({
+        id: this.roleNodeId(role.id),
+        label: role.title,
+        type: 'career',
+        size: 2 + matched.length,
+        color: NODE_COLORS.career,
+        acquired: missing.size === 0,
+        distance: missing.size,
+        metadata: {
+          careerPathId: role.id,
+          category: role.category,
+          matchedSkills: matched.length,
+          requiredSkills: requiredKeys.length,
+          recommended: recommendedRoles.has(role.id)
+        }
+      });
+
+      role.requiredSkills.forEach(required => {
+        edges.push({
+          source: this.roleNodeId(role.id),
+          target: this.skillNodeId(this.normalize(required.name)),
+          weight: Math.round((required.weight / 3) * 100) / 100,
+          type: required.weight >= 2 ? 'requires' : 'optional'
+        });
+      });
+
+      if (recommendedRoles.has(role.id)) {
+        edges.push({ source: 'user', target: this.roleNodeId(role.id), weight: 1, type: 'recommended' });
+      }
+    });
+
+    edges.push(...this.buildTransitionEdges(roles));
+
+    const careerNodes = nodes.filter(node => node.type === 'career');
+
+    return {
+      nodes,
+      edges,
+      summary: {
+        acquiredSkills: acquired.size,
+        totalSkills: skills.size,
+        totalRoles: careerNodes.length,
+        closestRoles: careerNodes
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, 3)
+          .map(node => ({ id: node.id, label: node.label, distance: node.distance }))
+      }
+    };
+  }
+
+  // === GRAPH HELPERS ===
+
+  /**
+   * Skills referenced by the roles and their prerequisites, plus the user's
+   * own skills, keyed by normalized name. Skills not in the Skill collection
+   * yet are still included, without an _id.
+   */
+  async loadSkills(roles, ownedSkills) {
+    const names = new Map();
+    roles.forEach(role => role.requiredSkills.forEach(required => names.set(this.normalize(required.name), required.name)));
+
+    // Pull in built-in prerequisites transitively
+    const builtIn = new Map(Object.entries(SKILL_PREREQUISITES).map(([name, required]) => [this.normalize(name), required]));
+    const pending = [...names.keys()];
+    while (pending.length > 0) {
+      (builtIn.get(pending.pop()) || []).forEach(name => {
+        const key = this.normalize(name);
+        if (!names.has(key)) {
+          names.set(key, name);
+          pending.push(key);
+        }
+      });
+    }
+
+    const skills = new Map();
+    ownedSkills.forEach(skill => skills.set(this.normalize(skill.normalized), skill));
+
+    const stored = await Skill.find({ normalized: { $in: [...names.keys()] } })
+      .select('name normalized prerequisites tags')
+      .lean();
+    stored.forEach(skill => skills.set(this.normalize(skill.normalized), skill));
+
+    names.forEach((name, key) => {
+      if (!skills.has(key)) skills.set(key, { name, normalized: key, prerequisites: [], tags: [] });
+    });
+
+    // Stored prerequisites may point at skills outside the catalogue
+    let missingIds = this.getUnloadedPrerequisiteIds(skills);
+    while (missingIds.length > 0) {
+      const extra = await Skill.find({ _id: { $in: missingIds } })
+        .select('name normalized prerequisites tags')
+        .lean();
+      if (extra.length === 0) break;
+      extra.forEach(skill => skills.set(this.normalize(skill.normalized), skill));
+      missingIds = this.getUnloadedPrerequisiteIds(skills);
+    }
+
+    return skills;
+  }
+
+  getUnloadedPrerequisiteIds(skills) {
+    const loaded = new Set([...skills.values()].filter(skill => skill._id).map(skill => String(skill._id)));
+    const missing = new Set();
+
+    skills.forEach(skill => (skill.prerequisites || []).forEach(id => {
+      if (!loaded.has(String(id))) missing.add(String(id));
+    }));
+
+    return [...missing];
+  }
+
+  // Normalized skill name -> normalized prerequisite names, from the built-in map and stored Skill documents
+  buildPrerequisiteMap(skills) {
+    const keysById = new Map([...skills.values()]
+      .filter(skill => skill._id)
+      .map(skill => [String(skill._id), this.normalize(skill.normalized)]));
+
+    const prerequisites = new Map();
+    const add = (key, prerequisiteKey) => {
+      if (!prerequisiteKey || prerequisiteKey === key || !skills.has(prerequisiteKey)) return;
+      const list = prerequisites.get(key) || [];
+      if (!list.includes(prerequisiteKey)) list.push(prerequisiteKey);
+      prerequisites.set(key, list);
+    };
+
+    Object.entries(SKILL_PREREQUISITES).forEach(([name, required]) => {
+      required.forEach(requiredName => add(this.normalize(name), this.normalize(requiredName)));
+    });
+
+    skills.forEach((skill, key) => {
+      (skill.prerequisites || []).forEach(id => add(key, keysById.get(String(id))));
+    });
+
+    return prerequisites;
+  }
+
+  // Unacquired skills among `keys` and their prerequisite chains
+  getMissingSkills(keys, prerequisites, acquired) {
+    const missing = new Set();
+    const visited = new Set();
+    const stack = [...keys];
+
+    while (stack.length > 0) {
+      const key = stack.pop();
+      if (visited.has(key) || acquired.has(key)) continue;
+      visited.add(key);
+      missing.add(key);
+      stack.push(...(prerequisites.get(key) || []));
+    }
+
+    return missing;
+  }
+
+  // Adjacent roles, weighted by how many skills they share
+  buildTransitionEdges(roles) {
+    const edges = [];
+
+    roles.forEach((role, index) => {
+      const skills = new Set(role.requiredSkills.map(required => this.normalize(required.name)));
+
+      roles.slice(index + 1).forEach(other => {
+        const otherSkills = new Set(other.requiredSkills.map(required => this.normalize(required.name)));
+        const shared = [...skills].filter(key => otherSkills.has(key)).length;
+        const similarity = shared / (skills.size + otherSkills.size - shared);
+
+        if (similarity >= TRANSITION_THRESHOLD) {
+          edges.push({
+            source: this.roleNodeId(role.id),
+            target: this.roleNodeId(other.id),
+            weight: Math.round(similarity * 100) / 100,
+            type: 'progression'
+          });
+        }
+      });
+    });
+
+    return edges;
+  }
+
+  // Career paths the user has open recommendations for
+  async getRecommendedRoleIds(userId) {
+    const recommendations = await Recommendation.find({
+      userId,
+      type: 'CAREER_PATH',
+      status: { $in: ['ACTIVE', 'VIEWED'] }
+    })
+      .select('why.careerPathId')
+      .lean();
+
+    return new Set(recommendations.map(rec => rec.why && rec.why.careerPathId).filter(Boolean));
+  }
+
+  normalize(name) {
+    return skillTaxonomyService.normalize(name);
+  }
+
+  skillNodeId(key) {
+    return `skill:${key}`;
+  }
+
+  roleNodeId(id) {
+    return `career:${id}`;
+  }
+}
+
+module.exports = new ConstellationService();
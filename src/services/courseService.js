@@ -0,0 +1,409 @@
+const { Course, Lesson, Progress } = require('../models');
+const userSkillService = require('./userSkillService');
+
+class CourseService {
+  constructor() {
+    this.config = {
+      maxSlugLength: 80,
+      lessonPassingScore: 70, // lesson quiz score that counts as passed
+      maxLessonMinutes: 240 // cap on time inferred for one lesson sitting
+    };
+  }
+
+  // === SLUGS ===
+
+  slugify(text) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, this.config.maxSlugLength)
+      .replace(/-+$/, '') || 'untitled';
+  }
+
+  // Course slugs are unique across the catalog; clashes get a numeric suffix
+  async uniqueCourseSlug(title, excludeId = null) {
+    return this.uniqueSlug(this.slugify(title), slug => Course.exists({ slug, _id: { $ne: excludeId } }));
+  }
+
+  // Lesson slugs are unique within their course
+  async uniqueLessonSlug(courseId, title, excludeId = null) {
+    return this.uniqueSlug(this.slugify(title), slug => Lesson.exists({ courseId, slug, _id: { $ne: excludeId } }));
+  }
+
+  async uniqueSlug(base, isTaken) {
+    let slug = base;
+    for (let suffix = 2; await isTaken(slug); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+    return slug;
+  }
+
+  // === OUTLINE ===
+
+  /**
+   * The course's lessons in reading order, without their content.
+   * options: publishedOnly
+   */
+  async getOutline(courseId, { publishedOnly = false } = {}) {
+    const filter = { courseId };
+    if (publishedOnly) filter.isPublished = true;
+
+    return Lesson.find(filter)
+      .select('-content -slides -quiz -assignments -resources')
+      .sort({ chapterNumber: 1, lessonNumber: 1, sortOrder: 1 })
+      .lean();
+  }
+
+  // Lessons grouped into chapters, for API responses
+  groupChapters(lessons) {
+    const chapters = new Map();
+    lessons.forEach(lesson => {
+      if (!chapters.has(lesson.chapterNumber)) chapters.set(lesson.chapterNumber, []);
+      chapters.get(lesson.chapterNumber).push(lesson);
+    });
+
+    return [...chapters.entries()].map(([chapterNumber, chapterLessons]) => ({ chapterNumber, lessons: chapterLessons }));
+  }
+
+  /**
+   * Move a lesson to chapterNumber at lessonNumber (the end of the chapter
+   * when omitted), shifting the lessons after it. chapterNumber may be one
+   * past the last chapter to start a new one.
+   */
+  async moveLesson(courseId, lessonId, chapterNumber, lessonNumber = null) {
+    const chapters = this.groupChapters(await this.getOutline(courseId))
+      .map(chapter => chapter.lessons.map(lesson => String(lesson._id)).filter(id => id !== String(lessonId)));
+
+    while (chapters.length < chapterNumber) chapters.push([]);
+    const target = chapters[chapterNumber - 1];
+    target.splice(Math.min((lessonNumber || target.length + 1) - 1, target.length), 0, String(lessonId));
+
+    return this.applyOrder(chapters.filter(lessonIds => lessonIds.length > 0));
+  }
+
+  async nextLessonNumber(courseId, chapterNumber) {
+    const last = await Lesson.findOne({ courseId, chapterNumber })
+      .sort({ lessonNumber: -1 })
+      .select('lessonNumber')
+      .lean();
+    return last ? last.lessonNumber + 1 : 1;
+  }
+
+  async lastChapterNumber(courseId) {
+    const last = await Lesson.findOne({ courseId })
+      .sort({ chapterNumber: -1 })
+      .select('chapterNumber')
+      .lean();
+    return last ? last.chapterNumber : 0;
+  }
+
+  /**
+   * Rewrite chapter, lesson and sort numbers so they run 1, 2, 3... in the
+   * current order, closing gaps left by moves and deletions. sortOrder is the
+   * lesson's position in the whole course.
+   */
+  async renumberLessons(courseId) {
+    const lessons = await this.getOutline(courseId);
+    return this.applyOrder(this.groupChapters(lessons).map(chapter => chapter.lessons.map(lesson => lesson._id)));
+  }
+
+  /**
+   * Set the course outline from an ordered list of chapters, each an ordered
+   * list of lesson IDs. Resolves to the number of lessons updated.
+   */
+  async applyOrder(chapters) {
+    const operations = [];
+    let sortOrder = 0;
+
+    chapters.forEach((lessonIds, chapterIndex) => {
+      lessonIds.forEach((lessonId, lessonIndex) => {
+        operations.push({
+          updateOne: {
+            filter: { _id: lessonId },
+            update: { $set: { chapterNumber: chapterIndex + 1, lessonNumber: lessonIndex + 1, sortOrder: ++sortOrder } }
+          }
+        });
+      });
+    });
+
+    if (operations.length > 0) {
+      await Lesson.bulkWrite(operations, { ordered: false });
+    }
+    return operations.length;
+  }
+
+  // Apply the pending edits of the course's published lessons. Resolves to how many lessons changed.
+  async applyPendingLessonChanges(courseId) {
+    const lessons = await Lesson.find({ courseId, pendingChanges: { $exists: true } }).select('pendingChanges').lean();
+    const now = new Date();
+
+    await Promise.all(lessons.map(lesson => Lesson.updateOne(
+      { _id: lesson._id },
+      { $set: { ...lesson.pendingChanges, updatedAt: now }, $unset: { pendingChanges: '' } }
+    )));
+    return lessons.length;
+  }
+
+  // === ENROLLMENT AND PROGRESS ===
+
+  /**
+   * Enroll the user in a course. Enrollment is the user's `course` Progress
+   * record. Resolves to { progress, created }.
+   */
+  async enroll(userId, courseId) {
+    const existing = await Progress.findOne({ userId, type: 'course', referenceId: courseId });
+    if (existing) {
+      return { progress: existing, created: false };
+    }
+
+    await Progress.findOneAndUpdate(
+      { userId, type: 'course', referenceId: courseId },
+      {
+        $setOnInsert: { status: 'not_started', progress: 0, metadata: new Map([['enrolledAt', new Date()]]) },
+        $set: { lastAccessedAt: new Date() }
+      },
+      { upsert: true, new: true }
+    );
+
+    // Fills in the lesson totals
+    const progress = await this.rollupCourse(userId, courseId);
+    await this.updateCourseStats(courseId);
+    return { progress, created: true };
+  }
+
+  // Drop the enrollment and the user's lesson progress in the course
+  async unenroll(userId, courseId) {
+    const lessonIds = await Lesson.find({ courseId }).distinct('_id');
+    const [deleted] = await Promise.all([
+      Progress.deleteOne({ userId, type: 'course', referenceId: courseId }),
+      Progress.deleteMany({ userId, type: 'lesson', referenceId: { $in: lessonIds } })
+    ]);
+
+    await this.updateCourseStats(courseId);
+    return deleted.deletedCount > 0;
+  }
+
+  async getEnrollment(userId, courseId) {
+    return Progress.findOne({ userId, type: 'course', referenceId: courseId }).lean();
+  }
+
+  /**
+   * Mark a lesson as started, enrolling the user in its course first.
+   * Completed lessons stay completed when revisited.
+   */
+  async startLesson(userId, lesson) {
+    await this.enroll(userId, lesson.courseId);
+
+    const now = new Date();
+    const existing = await Progress.findOne({ userId, type: 'lesson', referenceId: lesson._id }).lean();
+
+    const progress = await Progress.findOneAndUpdate(
+      { userId, type: 'lesson', referenceId: lesson._id },
+      {
+        $set: {
+          status: existing && existing.status === 'completed' ? 'completed' : 'in_progress',
+          lastAccessedAt: now,
+          'metadata.courseId': String(lesson.courseId),
+          'metadata.startedAt': now
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    await this.rollupCourse(userId, lesson.courseId);
+    return progress;
+  }
+
+  /**
+   * Mark a lesson as completed and roll it up into the course. Time only
+   * counts on the first completion, so revisits don't inflate it.
+   * options: timeSpent (minutes; defaults to the time since the lesson was
+   * started, capped at maxLessonMinutes), answers (option index per quiz
+   * question, graded here; best score kept)
+   */
+  async completeLesson(userId, lesson, { timeSpent, answers } = {}) {
+    await this.enroll(userId, lesson.courseId);
+
+    const now = new Date();
+    const existing = await Progress.findOne({ userId, type: 'lesson', referenceId: lesson._id });
+    const startedAt = existing && existing.metadata.get('startedAt');
+
+    const alreadyCompleted = !!(existing && existing.completedAt);
+    const minutes = alreadyCompleted
+      ? 0
+      : timeSpent !== undefined
+        ? timeSpent
+        : startedAt ? Math.min(Math.round((now - new Date(startedAt)) / 60000), this.config.maxLessonMinutes) : 0;
+
+    const quizScore = answers === undefined ? null : this.gradeQuiz(lesson.quiz, answers);
+
+    const score = quizScore === null
+      ? existing ? existing.score : undefined
+      : Math.max(quizScore, existing && existing.score !== undefined ? existing.score : 0);
+
+    const progress = await Progress.findOneAndUpdate(
+      { userId, type: 'lesson', referenceId: lesson._id },
+      {
+        $set: {
+          status: 'completed',
+          progress: 100,
+          score,
+          completedAt: existing && existing.completedAt ? existing.completedAt : now,
+          lastAccessedAt: now,
+          'metadata.courseId': String(lesson.courseId),
+          'metadata.quizPassed': score !== undefined && score >= this.config.lessonPassingScore
+        },
+        $unset: { 'metadata.startedAt': '' },
+        $inc: { timeSpent: minutes }
+      },
+      { upsert: true, new: true }
+    );
+
+    const courseProgress = await this.rollupCourse(userId, lesson.courseId);
+    await this.recordLessonEvidence(userId, lesson);
+    return { progress, courseProgress };
+  }
+
+  /**
+   * LESSON evidence for the lesson's skills, or the course's when the lesson
+   * names none, at the course's level. Completing the lesson again replaces
+   * the earlier evidence.
+   */
+  async recordLessonEvidence(userId, lesson) {
+    try {
+      const course = await Course.findById(lesson.courseId).select('skillIds level').lean();
+      const skillIds = lesson.skillIds && lesson.skillIds.length > 0 ? lesson.skillIds : (course && course.skillIds) || [];
+
+      for (const skillId of skillIds) {
+        await userSkillService.recordEvidence(userId, skillId, {
+          type: 'LESSON',
+          level: course ? course.level : undefined,
+          referenceId: lesson._id
+        });
+      }
+    } catch (error) {
+      // Skill tracking must never fail the completion itself
+      console.error('Lesson skill evidence error:', error.message);
+    }
+  }
+
+  // === QUIZZES ===
+
+  // Whether a quiz question has options and the index of the correct one
+  isGradable(question) {
+    return !!question && Array.isArray(question.options) &&
+      Number.isInteger(question.answer) && question.answer >= 0 && question.answer < question.options.length;
+  }
+
+  /**
+   * Score answers (option index per question, in quiz order) as 0-100.
+   * Resolves to null when the lesson has no gradable questions.
+   */
+  gradeQuiz(quiz, answers) {
+    const questions = quiz && Array.isArray(quiz.questions) ? quiz.questions : [];
+    const gradable = questions.map((question, index) => ({ question, index })).filter(({ question }) => this.isGradable(question));
+    if (gradable.length === 0) return null;
+
+    const correct = gradable.filter(({ question, index }) => answers[index] === question.answer).length;
+    return Math.round((correct / gradable.length) * 100);
+  }
+
+  // The quiz as learners see it, without the answers
+  hideQuizAnswers(quiz) {
+    if (!quiz || !Array.isArray(quiz.questions)) return quiz ?? null;
+    return {
+      ...quiz,
+      questions: quiz.questions.map(question => {
+        if (!question || typeof question !== 'object') return question;
+        const { answer, ...rest } = question;
+        return rest;
+      })
+    };
+  }
+
+  /**
+   * Recalculate the user's course progress from their published lesson
+   * progress: share of lessons completed, total time and average quiz score.
+   * Updates the course's completion rate when the course completes or reopens.
+   */
+  async rollupCourse(userId, courseId) {
+    const lessonIds = await Lesson.find({ courseId, isPublished: true }).distinct('_id');
+    const lessonProgress = await Progress.find({ userId, type: 'lesson', referenceId: { $in: lessonIds } })
+      .select('status timeSpent score')
+      .lean();
+
+    const completed = lessonProgress.filter(entry => entry.status === 'completed').length;
+    const scores = lessonProgress.filter(entry => typeof entry.score === 'number').map(entry => entry.score);
+    const finished = lessonIds.length > 0 && completed === lessonIds.length;
+
+    const previous = await this.getEnrollment(userId, courseId);
+    if (!previous) return null;
+
+    const update = {
+      progress: lessonIds.length > 0 ? Math.round((completed / lessonIds.length) * 100) : 0,
+      status: finished ? 'completed' : lessonProgress.length > 0 ? 'in_progress' : 'not_started',
+      timeSpent: lessonProgress.reduce((sum, entry) => sum + (entry.timeSpent || 0), 0),
+      lastAccessedAt: new Date(),
+      'metadata.lessonsCompleted': completed,
+      'metadata.totalLessons': lessonIds.length
+    };
+    if (scores.length > 0) update.score = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    if (finished) update.completedAt = previous.completedAt || new Date();
+
+    const progress = await Progress.findOneAndUpdate(
+      { _id: previous._id },
+      { $set: update, ...(!finished && { $unset: { completedAt: '' } }) },
+      { new: true }
+    );
+
+    if ((previous.status === 'completed') !== finished) {
+      await this.updateCourseStats(courseId);
+    }
+    return progress;
+  }
+
+  // Re-roll every enrollment, e.g. after new lessons are published
+  async rollupEnrollments(courseId) {
+    const cursor = Progress.find({ type: 'course', referenceId: courseId }).select('userId').lean().cursor();
+
+    let updated = 0;
+    for await (const enrollment of cursor) {
+      await this.rollupCourse(enrollment.userId, courseId);
+      updated++;
+    }
+    return updated;
+  }
+
+  // Enrollment count and completion rate recounted from the course's Progress records
+  async updateCourseStats(courseId) {
+    const [enrollmentCount, completedCount] = await Promise.all([
+      Progress.countDocuments({ type: 'course', referenceId: courseId }),
+      Progress.countDocuments({ type: 'course', referenceId: courseId, status: 'completed' })
+    ]);
+
+    const stats = {
+      enrollmentCount,
+      completionRate: enrollmentCount > 0 ? Math.round((completedCount / enrollmentCount) * 100) : 0
+    };
+    await Course.updateOne({ _id: courseId }, { $set: stats });
+    return stats;
+  }
+
+  // === PERMISSIONS ===
+
+  // Authors edit their own courses; admins edit any
+  canEdit(course, user) {
+    return user.role === 'ADMIN' || String(course.createdById) === String(user.id);
+  }
+
+  // Published courses are visible to everyone, unpublished ones to their editors
+  canView(course, user) {
+    return (course.isPublished && course.status !== 'ARCHIVED') || this.canEdit(course, user);
+  }
+}
+
+module.exports = new CourseService();
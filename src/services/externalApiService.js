@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { getRedisClient } = require('../config/redis');
+const skillTaxonomyService = require('./skillTaxonomyService');
 
 class ExternalApiService {
   constructor() {
@@ -682,8 +683,8 @@ class ExternalApiService {
     jobs.forEach(job => {
       if (job.requirements) {
         job.requirements.forEach(skill => {
-          const normalizedSkill = skill.toLowerCase();
-          skillCounts[normalizedSkill] = (skillCounts[normalizedSkill] || 0) + 1;
+          const canonicalSkill = skillTaxonomyService.canonicalName(skill);
+          skillCounts[canonicalSkill] = (skillCounts[canonicalSkill] || 0) + 1;
         });
       }
     });
@@ -767,7 +768,7 @@ function extractSkillsFromText(text) {
   if (!text) return [];
   const skills = ['javascript','python','react','node','java','sql','aws','docker','kubernetes','ml','ai','typescript'];
   const lower = text.toLowerCase();
-  return skills.filter(s => lower.includes(s));
+  return [...new Set(skills.filter(s => lower.includes(s)).map(s => skillTaxonomyService.canonicalName(s)))];
 }
 
-module.exports = new ExternalApiService();
\ No newline at end of file
+module.exports = new ExternalApiService();
\ No newline at end of file
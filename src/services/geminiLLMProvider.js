@@ -0,0 +1,103 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiLLMProvider {
+  constructor() {
+    this.name = 'gemini';
+
+    // GOOGLE_AI_API_KEY is the older name used by the translation service
+    const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
+    this.client = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+
+    this.models = {
+      default: process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp',
+      chat: process.env.GEMINI_CHAT_MODEL || 'gemini-1.5-pro'
+    };
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.getModel(this.models.default, options).generateContent(prompt);
+    return {
+      text: result.response.text(),
+      usage: this.getUsage(result.response)
+    };
+  }
+
+  async chat({ history = [], message, systemPrompt }, options = {}) {
+    const chat = this.getModel(this.models.chat, options).startChat({
+      history: this.formatHistory(history)
+    });
+
+    const result = await chat.sendMessage(this.withSystemPrompt(message, systemPrompt));
+    return {
+      text: result.response.text(),
+      usage: this.getUsage(result.response)
+    };
+  }
+
+  async streamChat({ history = [], message, systemPrompt }, options = {}, onToken = () => {}) {
+    const chat = this.getModel(this.models.chat, options).startChat({
+      history: this.formatHistory(history)
+    });
+
+    const result = await chat.sendMessageStream(this.withSystemPrompt(message, systemPrompt));
+    let text = '';
+
+    for await (const chunk of result.stream) {
+      // The client went away; keep what was generated and skip waiting for the full response
+      if (options.signal && options.signal.aborted) {
+        return { text, usage: null };
+      }
+
+      const token = chunk.text();
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    }
+
+    const response = await result.response;
+    return { text, usage: this.getUsage(response) };
+  }
+
+  // === HELPER METHODS ===
+
+  getModel(model, options) {
+    return this.client.getGenerativeModel({
+      model,
+      generationConfig: {
+        temperature: options.temperature || 0.7,
+        maxOutputTokens: options.maxOutputTokens || 1000,
+        topP: options.topP || 0.8,
+        topK: options.topK || 40
+      }
+    });
+  }
+
+  // The system prompt travels with each user turn, as the chat history is stored without it
+  withSystemPrompt(message, systemPrompt) {
+    return systemPrompt ? `${systemPrompt}\n\nUser: ${message}` : message;
+  }
+
+  formatHistory(history) {
+    return history.map(msg => ({
+      role: msg.role === 'user' ? 'user' : 'model',
+      parts: [{ text: msg.content }]
+    }));
+  }
+
+  getUsage(response) {
+    const metadata = response && response.usageMetadata;
+    if (!metadata) return null;
+
+    return {
+      promptTokens: metadata.promptTokenCount || 0,
+      completionTokens: metadata.candidatesTokenCount || 0
+    };
+  }
+}
+
+module.exports = GeminiLLMProvider;
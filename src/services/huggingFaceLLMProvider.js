@@ -0,0 +1,53 @@
+const { HfInference } = require('@huggingface/inference');
+
+class HuggingFaceLLMProvider {
+  constructor() {
+    this.name = 'huggingface';
+
+    const apiKey = process.env.HUGGING_FACE_API_KEY;
+    this.client = apiKey && apiKey !== 'your-hf-api-key' ? new HfInference(apiKey) : null;
+    this.model = process.env.HUGGING_FACE_MODEL || 'mistralai/Mistral-7B-Instruct-v0.1';
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  async generate(prompt, options = {}) {
+    const response = await this.client.textGeneration({
+      model: this.model,
+      inputs: prompt,
+      parameters: {
+        max_new_tokens: options.maxOutputTokens || 1000,
+        temperature: options.temperature || 0.7,
+        top_p: options.topP || 0.8,
+        return_full_text: false
+      }
+    });
+
+    const text = (response.generated_text || '').trim();
+    if (!text) {
+      throw new Error('Empty response from Hugging Face');
+    }
+
+    return { text, usage: null };
+  }
+
+  // No native chat/streaming endpoint: the conversation is flattened into one instruct prompt
+  async chat({ history = [], message, systemPrompt }, options = {}) {
+    return this.generate(this.buildChatPrompt(history, message, systemPrompt), options);
+  }
+
+  buildChatPrompt(history, message, systemPrompt) {
+    const turns = history
+      .slice(-6)
+      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+      .join('\n');
+
+    return `<s>[INST] ${systemPrompt || 'You are a helpful career guidance assistant.'}
+
+${turns ? `${turns}\n` : ''}User: ${message} [/INST]`;
+  }
+}
+
+module.exports = HuggingFaceLLMProvider;
@@ -1,9 +1,7 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmProviderRegistry = require('./llmProviderRegistry');
 
 class I18nService {
   constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
     this.supportedLanguages = [
       'en', 'hi', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh', 'ar'
     ];
@@ -13,8 +11,8 @@ class I18nService {
   async detectLanguage(text) {
     try {
       const prompt = `Detect the language of this text and return only the ISO 639-1 language code (e.g., 'en', 'hi', 'es'): "${text}"`;
-      const result = await this.model.generateContent(prompt);
-      const detected = result.response.text().trim().toLowerCase();
+      const result = await llmProviderRegistry.generate(prompt, { operation: 'detectLanguage', temperature: 0.1, maxOutputTokens: 10 });
+      const detected = result.text.trim().toLowerCase();
       
       return this.supportedLanguages.includes(detected) ? detected : 'en';
     } catch (error) {
@@ -47,8 +45,8 @@ class I18nService {
       const prompt = `Translate the following text from ${sourceLanguage} to ${targetLanguage}. 
       Return only the translated text without any explanations or additional text: "${text}"`;
       
-      const result = await this.model.generateContent(prompt);
-      const translated = result.response.text().trim();
+      const result = await llmProviderRegistry.generate(prompt, { operation: 'translate', temperature: 0.2 });
+      const translated = result.text.trim();
       
       // Cache the result
       this.cache.set(cacheKey, translated);
@@ -0,0 +1,229 @@
+const GeminiLLMProvider = require('./geminiLLMProvider');
+const HuggingFaceLLMProvider = require('./huggingFaceLLMProvider');
+const MockLLMProvider = require('./mockLLMProvider');
+const monitoringService = require('./monitoringService');
+const aiUsageService = require('./aiUsageService');
+
+// Providers that can be named in AI_PROVIDERS
+const PROVIDER_TYPES = {
+  gemini: GeminiLLMProvider,
+  huggingface: HuggingFaceLLMProvider,
+  mock: MockLLMProvider
+};
+
+class LLMProviderRegistry {
+  constructor() {
+    this.config = {
+      order: (process.env.AI_PROVIDERS || 'gemini,huggingface')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean),
+      timeoutMs: parseInt(process.env.AI_PROVIDER_TIMEOUT_MS || '30000'),
+      failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD || '5'),
+      resetTimeoutMs: parseInt(process.env.AI_CIRCUIT_RESET_MS || '60000')
+    };
+
+    this.providers = [];
+
+    this.config.order.forEach(name => {
+      const Provider = PROVIDER_TYPES[name];
+      if (!Provider) {
+        console.warn(`Unknown AI provider "${name}" in AI_PROVIDERS, skipping`);
+        return;
+      }
+
+      // Per-provider override, e.g. AI_GEMINI_TIMEOUT_MS
+      const timeoutMs = parseInt(process.env[`AI_${name.toUpperCase()}_TIMEOUT_MS`] || this.config.timeoutMs);
+      this.register(new Provider(), { timeoutMs });
+    });
+
+    console.log(`AI provider chain: ${this.getAvailableProviders().join(' -> ') || 'none configured'}`);
+  }
+
+  /**
+   * Add a provider to the end of the fallback chain. A provider implements
+   * isAvailable(), generate(prompt, options) and chat(request, options);
+   * streamChat(request, options, onToken) is optional and should stop early
+   * once options.signal is aborted.
+   */
+  register(provider, { timeoutMs = this.config.timeoutMs } = {}) {
+    this.providers.push({
+      provider,
+      timeoutMs,
+      circuit: { state: 'closed', failures: 0, openedAt: null }
+    });
+  }
+
+  getAvailableProviders() {
+    return this.providers
+      .filter(entry => entry.provider.isAvailable())
+      .map(entry => entry.provider.name);
+  }
+
+  hasAvailableProvider() {
+    return this.getAvailableProviders().length > 0;
+  }
+
+  // === GENERATION ===
+
+  /**
+   * Single-prompt completion. Resolves to { text, usage, provider }.
+   * options: operation, temperature, maxOutputTokens, topP, topK,
+   * inspectResult (called with the result; what it returns is reported
+   * with the call's metrics, e.g. the structured output parse outcome)
+   */
+  async generate(prompt, options = {}) {
+    return this.run(options, provider => provider.generate(prompt, options), prompt);
+  }
+
+  /**
+   * Multi-turn chat. request: { history, message, systemPrompt }
+   */
+  async chat(request, options = {}) {
+    return this.run(options, provider => provider.chat(request, options), this.getChatPromptText(request));
+  }
+
+  /**
+   * Streaming chat. Providers without streamChat answer in one piece and the
+   * result comes back with streamed: false. Once a provider has emitted text,
+   * a failure is not retried on the next provider; the thrown error carries
+   * the partial text instead.
+   */
+  async streamChat(request, options = {}, onToken = () => {}) {
+    return this.run(options, async (provider, attempt) => {
+      if (typeof provider.streamChat !== 'function') {
+        const result = await provider.chat(request, options);
+        return { ...result, streamed: false };
+      }
+
+      const result = await provider.streamChat(request, options, token => {
+        if (attempt.cancelled) return;
+        attempt.partialText += token;
+        onToken(token);
+      });
+      return { ...result, streamed: true };
+    }, this.getChatPromptText(request));
+  }
+
+  // === FAILOVER AND CIRCUIT BREAKING ===
+
+  async run(options, call, promptText = '') {
+    const operation = options.operation || 'generate';
+    const errors = [];
+
+    for (const entry of this.providers) {
+      const { provider } = entry;
+      if (!provider.isAvailable()) continue;
+
+      if (!this.canAttempt(entry)) {
+        errors.push(`${provider.name}: circuit open`);
+        continue;
+      }
+
+      const attempt = { cancelled: false, partialText: '' };
+      const startTime = Date.now();
+
+      try {
+        const result = await this.withTimeout(call(provider, attempt), entry, () => {
+          attempt.cancelled = true;
+        });
+
+        this.recordSuccess(entry);
+        const details = options.inspectResult ? options.inspectResult(result) : {};
+        monitoringService.recordAICall(provider.name, operation, Date.now() - startTime, true, details);
+
+        // Usage accounting must never fail the call itself
+        aiUsageService.recordUsage({
+          operation,
+          provider: provider.name,
+          usage: result.usage,
+          promptText,
+          responseText: result.text
+        }).catch(error => console.error('AI usage recording error:', error.message));
+
+        return { ...result, provider: provider.name };
+      } catch (error) {
+        attempt.cancelled = true;
+        console.warn(`AI provider ${provider.name} failed for ${operation}:`, error.message);
+        monitoringService.recordAICall(provider.name, operation, Date.now() - startTime, false, {
+          error: error.message
+        });
+        this.recordFailure(entry);
+
+        if (attempt.partialText) {
+          error.partialText = attempt.partialText;
+          error.provider = provider.name;
+          throw error;
+        }
+
+        errors.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    const error = new Error(`All AI providers failed${errors.length ? ` (${errors.join('; ')})` : ': none configured'}`);
+    error.code = 'AI_PROVIDERS_UNAVAILABLE';
+    throw error;
+  }
+
+  withTimeout(promise, entry, onTimeout) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        onTimeout();
+        const error = new Error(`${entry.provider.name} timed out after ${entry.timeoutMs}ms`);
+        error.code = 'AI_PROVIDER_TIMEOUT';
+        reject(error);
+      }, entry.timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  canAttempt(entry) {
+    const { circuit } = entry;
+    if (circuit.state === 'closed') return true;
+
+    // After the reset timeout, let one trial request through; until it settles
+    // (half_open), other requests keep failing over
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.config.resetTimeoutMs) {
+      circuit.state = 'half_open';
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess(entry) {
+    entry.circuit.state = 'closed';
+    entry.circuit.failures = 0;
+    entry.circuit.openedAt = null;
+  }
+
+  recordFailure(entry) {
+    const { circuit } = entry;
+    circuit.failures++;
+
+    if (circuit.state === 'half_open' || circuit.failures >= this.config.failureThreshold) {
+      if (circuit.state !== 'open') {
+        console.warn(`AI provider ${entry.provider.name} circuit opened after ${circuit.failures} failure(s)`);
+      }
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  getChatPromptText({ history = [], message = '', systemPrompt = '' }) {
+    return [systemPrompt, ...history.map(msg => msg.content), message].join('\n');
+  }
+
+  getStatus() {
+    return this.providers.map(entry => ({
+      name: entry.provider.name,
+      available: entry.provider.isAvailable(),
+      timeoutMs: entry.timeoutMs,
+      circuit: { ...entry.circuit }
+    }));
+  }
+}
+
+module.exports = new LLMProviderRegistry();
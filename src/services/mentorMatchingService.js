@@ -0,0 +1,244 @@
+const { MentorProfile, UserProfile } = require('../models');
+const skillGapService = require('./skillGapService');
+const mentorSessionService = require('./mentorSessionService');
+const mentorRelationshipService = require('./mentorRelationshipService');
+
+class MentorMatchingService {
+  constructor() {
+    this.config = {
+      weights: {
+        specialization: 0.4,
+        experience: 0.15,
+        rating: 0.15,
+        capacity: 0.15,
+        timezone: 0.15
+      },
+      // How much each student signal counts towards the specialization score
+      signalWeights: { gaps: 0.5, careerGoals: 0.3, interests: 0.2 },
+      gapSkills: 8, // top skill gaps considered
+      fullExperienceYears: 15,
+      ratingPrior: 3.5, // reviews from a mentor with few ratings are pulled towards this
+      ratingPriorWeight: 3,
+      studentDayStart: 9 * 60, // student's waking hours, local time
+      studentDayEnd: 21 * 60
+    };
+  }
+
+  // === SUGGESTIONS ===
+
+  /**
+   * Rank available mentors for a student. Each suggestion carries a 0-100
+   * score, the 0-1 component scores behind it and short reasons.
+   * Mentors at capacity and those the student already has an open
+   * request or relationship with are left out.
+   * options: limit, verified (true/false restricts to that state).
+   */
+  async suggest(studentId, { limit = 10, verified } = {}) {
+    const filter = { isAvailable: true, userId: { $ne: studentId } };
+    if (verified !== undefined) filter.isVerified = verified;
+
+    const profiles = await MentorProfile.find(filter).lean();
+    if (profiles.length === 0) return [];
+
+    const mentorIds = profiles.map(profile => profile.userId);
+    const [signals, menteeCounts, openRelationships] = await Promise.all([
+      this.getStudentSignals(studentId),
+      mentorRelationshipService.getActiveMenteeCounts(mentorIds),
+      mentorRelationshipService.getOpenRelationships(studentId, mentorIds)
+    ]);
+
+    return profiles
+      .filter(profile => !openRelationships.has(String(profile.userId)))
+      .map(profile => ({
+        profile,
+        remaining: Math.max((profile.maxStudents || 1) - (menteeCounts.get(String(profile.userId)) || 0), 0)
+      }))
+      .filter(({ remaining }) => remaining > 0)
+      .map(({ profile, remaining }) => ({ profile, remaining, ...this.score(profile, signals, remaining) }))
+      .sort((a, b) => b.score - a.score || b.profile.averageRating - a.profile.averageRating)
+      .slice(0, limit);
+  }
+
+  // Score one mentor against the student's signals
+  score(profile, signals, remaining) {
+    const { weights } = this.config;
+    const specialization = this.scoreSpecialization(profile.specialization || [], signals);
+    const timezone = this.scoreTimezone(profile, signals.timezone);
+
+    const components = {
+      specialization: specialization.score,
+      experience: Math.min((profile.yearsOfExperience || 0) / this.config.fullExperienceYears, 1),
+      rating: this.scoreRating(profile),
+      capacity: remaining / (profile.maxStudents || 1),
+      timezone: timezone.score
+    };
+
+    const total = Object.keys(weights).reduce((sum, key) => sum + weights[key] * components[key], 0);
+
+    const reasons = [];
+    if (specialization.matchedGaps.length > 0) {
+      reasons.push(`Specializes in ${specialization.matchedGaps.slice(0, 3).join(', ')}, which you need for your target role`);
+    }
+    if (specialization.matchesGoals) {
+      reasons.push('Specialization matches your career goals');
+    }
+    if (specialization.matchedInterests.length > 0) {
+      reasons.push(`Shares your interest in ${specialization.matchedInterests.slice(0, 3).join(', ')}`);
+    }
+    if (profile.yearsOfExperience >= 10) {
+      reasons.push(`${profile.yearsOfExperience} years of experience`);
+    }
+    if (profile.totalReviews > 0 && profile.averageRating >= 4) {
+      reasons.push(`Rated ${Math.round(profile.averageRating * 10) / 10} from ${profile.totalReviews} review${profile.totalReviews === 1 ? '' : 's'}`);
+    }
+    if (timezone.overlapHours !== null && timezone.overlapHours > 0) {
+      reasons.push(`About ${timezone.overlapHours} hours a week available during your daytime`);
+    }
+    if (profile.isVerified) {
+      reasons.push('Verified mentor');
+    }
+
+    Object.keys(components).forEach(key => { components[key] = this.round(components[key]); });
+
+    return {
+      score: Math.round(total * 100),
+      components,
+      matchedSkills: specialization.matchedGaps,
+      reasons
+    };
+  }
+
+  // === STUDENT SIGNALS ===
+
+  /**
+   * What the student wants to learn: career goals, interests and the top
+   * skill gaps for their target role. Skill gap analysis depends on the
+   * jobs API, so a failure there falls back to the profile alone.
+   */
+  async getStudentSignals(studentId) {
+    const [profile, timezone, gaps] = await Promise.all([
+      UserProfile.findOne({ userId: studentId }).select('careerGoals interests').lean(),
+      mentorSessionService.getUserTimezone(studentId),
+      skillGapService.analyze(studentId, { includeCourses: false })
+        .then(analysis => (analysis ? analysis.gaps.slice(0, this.config.gapSkills) : []))
+        .catch(error => {
+          console.warn('Skill gap lookup for mentor matching failed:', error.message);
+          return [];
+        })
+    ]);
+
+    return {
+      careerGoals: profile?.careerGoals || '',
+      interests: (profile?.interests || []).filter(interest => typeof interest === 'string' && interest.trim()),
+      gaps: gaps.map(gap => ({ skill: gap.skill, priority: gap.priority || 0 })),
+      timezone
+    };
+  }
+
+  // === COMPONENT SCORES ===
+
+  /**
+   * Share of the student's signals the mentor's specializations cover.
+   * Signals the student hasn't provided are left out rather than counted
+   * as misses.
+   */
+  scoreSpecialization(specializations, signals) {
+    const matches = term => specializations.some(spec => this.matchesPhrase(term, spec) || this.matchesPhrase(spec, term));
+
+    const matchedGaps = signals.gaps.filter(gap => matches(gap.skill));
+    const matchedInterests = signals.interests.filter(matches);
+    const matchesGoals = !!signals.careerGoals && specializations.some(spec => this.matchesPhrase(signals.careerGoals, spec));
+
+    const parts = [];
+    if (signals.gaps.length > 0) {
+      const totalPriority = signals.gaps.reduce((sum, gap) => sum + gap.priority, 0);
+      const matchedPriority = matchedGaps.reduce((sum, gap) => sum + gap.priority, 0);
+      parts.push({
+        weight: this.config.signalWeights.gaps,
+        score: totalPriority > 0 ? matchedPriority / totalPriority : matchedGaps.length / signals.gaps.length
+      });
+    }
+    if (signals.careerGoals) {
+      parts.push({ weight: this.config.signalWeights.careerGoals, score: matchesGoals ? 1 : 0 });
+    }
+    if (signals.interests.length > 0) {
+      parts.push({
+        weight: this.config.signalWeights.interests,
+        score: Math.min(matchedInterests.length / Math.min(signals.interests.length, 3), 1)
+      });
+    }
+
+    const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+    return {
+      score: totalWeight > 0 ? parts.reduce((sum, part) => sum + part.weight * part.score, 0) / totalWeight : 0,
+      matchedGaps: matchedGaps.map(gap => gap.skill),
+      matchedInterests,
+      matchesGoals
+    };
+  }
+
+  // Average rating shrunk towards ratingPrior until the mentor has a few reviews, as 0-1
+  scoreRating(profile) {
+    const count = profile.totalReviews || 0;
+    const { ratingPrior, ratingPriorWeight } = this.config;
+    const rating = ((profile.averageRating || 0) * count + ratingPrior * ratingPriorWeight) / (count + ratingPriorWeight);
+    return rating / 5;
+  }
+
+  /**
+   * Share of the mentor's weekly windows that fall in the student's daytime.
+   * Without weekly windows, falls back to how far apart the two timezones
+   * are (12 hours or more scores 0).
+   */
+  scoreTimezone(profile, studentTimezone) {
+    const now = new Date();
+    const difference = mentorSessionService.getOffsetMinutes(now, studentTimezone)
+      - mentorSessionService.getOffsetMinutes(now, mentorSessionService.getMentorTimezone(profile));
+    const weekly = (profile.availability && profile.availability.weekly) || [];
+
+    if (weekly.length === 0) {
+      // Offsets run from -12 to +14 hours, so measure the gap around the clock
+      const gap = Math.abs(difference) % 1440;
+      return { score: 1 - Math.min(Math.min(gap, 1440 - gap) / 720, 1), overlapHours: null };
+    }
+
+    let total = 0;
+    let overlap = 0;
+    weekly.forEach(window => {
+      const start = mentorSessionService.parseTime(window.startTime);
+      const end = mentorSessionService.parseTime(window.endTime);
+      if (start === null || end === null || end <= start) return;
+
+      total += end - start;
+      // The window in the student's local time may spill into the previous or next day
+      [-1440, 0, 1440].forEach(shift => {
+        const localStart = start + difference + shift;
+        const localEnd = end + difference + shift;
+        overlap += Math.max(Math.min(localEnd, this.config.studentDayEnd) - Math.max(localStart, this.config.studentDayStart), 0);
+      });
+    });
+
+    return {
+      score: total > 0 ? overlap / total : 0,
+      overlapHours: Math.round(overlap / 60)
+    };
+  }
+
+  // === HELPER METHODS ===
+
+  // Whether phrase appears in text as whole words, ignoring case and punctuation
+  matchesPhrase(text, phrase) {
+    const normalizedPhrase = this.normalize(phrase);
+    return !!normalizedPhrase && ` ${this.normalize(text)} `.includes(` ${normalizedPhrase} `);
+  }
+
+  normalize(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9+#.]+/g, ' ').replace(/\.(?=\s|$)/g, '').trim();
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new MentorMatchingService();
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const { MentorRelationship, MentorSession, Notification } = require('../models');
+
+const OPEN_STATUSES = ['REQUESTED', 'ACTIVE'];
+
+class MentorRelationshipService {
+  // === CAPACITY ===
+
+  // Map of mentor user ID -> number of active mentees
+  async getActiveMenteeCounts(mentorUserIds) {
+    const rows = await MentorRelationship.aggregate([
+      { $match: { status: 'ACTIVE', mentorId: { $in: mentorUserIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+      { $group: { _id: '$mentorId', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [String(row._id), row.count]));
+  }
+
+  // Places left: maxStudents minus active mentees
+  async getRemainingCapacity(profile) {
+    const counts = await this.getActiveMenteeCounts([profile.userId]);
+    return Math.max((profile.maxStudents || 1) - (counts.get(String(profile.userId)) || 0), 0);
+  }
+
+  // Whether an active relationship is among the first maxStudents the mentor accepted
+  async isWithinCapacity(relationship, profile) {
+    const active = await MentorRelationship.find({ mentorId: relationship.mentorId, status: 'ACTIVE' })
+      .sort({ acceptedAt: 1, _id: 1 })
+      .select('_id')
+      .lean();
+    const position = active.findIndex(entry => String(entry._id) === String(relationship._id));
+    return position !== -1 && position < (profile.maxStudents || 1);
+  }
+
+  // === LIFECYCLE ===
+
+  /**
+   * Ask a mentor to take the student on. A second open request or
+   * relationship with the same mentor fails with a duplicate key error
+   * (code 11000).
+   */
+  async request(studentId, profile, { message, matchScore }) {
+    const relationship = await MentorRelationship.create({
+      mentorId: profile.userId,
+      mentorProfileId: profile._id,
+      studentId,
+      message,
+      matchScore
+    });
+
+    await this.notify(profile.userId, 'New mentee request', `A student asked you to mentor them${message ? `: "${message.substring(0, 100)}"` : '.'}`);
+    return relationship;
+  }
+
+  /**
+   * Accept a request. Resolves to the updated relationship, or null when it
+   * was no longer pending. Concurrent accepts can pass the caller's capacity
+   * check together, so the count is checked again afterwards: accepts beyond
+   * maxStudents are put back to REQUESTED and come back in that status.
+   */
+  async accept(relationshipId, profile, { responseMessage } = {}) {
+    const now = new Date();
+    const relationship = await this.transition(relationshipId, 'REQUESTED', {
+      status: 'ACTIVE',
+      responseMessage,
+      respondedAt: now,
+      acceptedAt: now
+    });
+    if (relationship && !await this.isWithinCapacity(relationship, profile)) {
+      return MentorRelationship.findOneAndUpdate(
+        { _id: relationshipId, status: 'ACTIVE' },
+        { $set: { status: 'REQUESTED' }, $unset: { responseMessage: '', respondedAt: '', acceptedAt: '' } },
+        { new: true }
+      );
+    }
+    if (relationship) {
+      await this.notify(relationship.studentId, 'Mentee request accepted', 'Your mentor accepted your request. You can now book sessions with them.');
+    }
+    return relationship;
+  }
+
+  async decline(relationshipId, { responseMessage } = {}) {
+    const relationship = await this.transition(relationshipId, 'REQUESTED', {
+      status: 'DECLINED',
+      isOpen: false,
+      responseMessage,
+      respondedAt: new Date()
+    });
+    if (relationship) {
+      await this.notify(relationship.studentId, 'Mentee request declined', `Your mentor request was declined${responseMessage ? `: ${responseMessage}` : '.'}`);
+    }
+    return relationship;
+  }
+
+  // The student withdraws a request the mentor hasn't answered
+  async cancel(relationshipId) {
+    return this.transition(relationshipId, 'REQUESTED', { status: 'CANCELLED', isOpen: false });
+  }
+
+  // Either side ends an active relationship
+  async end(relationshipId, { endedById, reason }) {
+    const relationship = await this.transition(relationshipId, 'ACTIVE', {
+      status: 'ENDED',
+      isOpen: false,
+      endedById,
+      endReason: reason,
+      endedAt: new Date()
+    });
+    if (relationship) {
+      const otherId = String(relationship.mentorId) === String(endedById) ? relationship.studentId : relationship.mentorId;
+      await this.notify(otherId, 'Mentorship ended', `Your mentorship was ended${reason ? `: ${reason}` : '.'}`);
+    }
+    return relationship;
+  }
+
+  /**
+   * Apply a state change only if the relationship is still in fromStatus.
+   * Resolves to the updated relationship, or null when it had moved on.
+   */
+  async transition(relationshipId, fromStatus, update) {
+    return MentorRelationship.findOneAndUpdate(
+      { _id: relationshipId, status: fromStatus },
+      { $set: update },
+      { new: true }
+    );
+  }
+
+  // User IDs of the student's current mentors
+  async getActiveMentorIds(studentId) {
+    return MentorRelationship.find({ studentId, status: 'ACTIVE' }).distinct('mentorId');
+  }
+
+  // Whether the mentor has an active mentorship or a completed session with the student
+  async hasMentored(mentorId, studentId) {
+    const [relationship, session] = await Promise.all([
+      MentorRelationship.exists({ mentorId, studentId, status: 'ACTIVE' }),
+      MentorSession.exists({ mentorId, studentId, status: 'COMPLETED' })
+    ]);
+    return !!(relationship || session);
+  }
+
+  // Open relationships between a student and a set of mentors, keyed by mentor user ID
+  async getOpenRelationships(studentId, mentorUserIds) {
+    const relationships = await MentorRelationship.find({
+      studentId,
+      mentorId: { $in: mentorUserIds },
+      status: { $in: OPEN_STATUSES }
+    }).lean();
+    return new Map(relationships.map(relationship => [String(relationship.mentorId), relationship]));
+  }
+
+  async notify(userId, title, message) {
+    await Notification.create({
+      userId,
+      type: 'MENTORSHIP',
+      title,
+      message,
+      channels: ['IN_APP']
+    });
+  }
+}
+
+module.exports = new MentorRelationshipService();
@@ -0,0 +1,545 @@
+const crypto = require('crypto');
+const { MentorSession, MentorProfile, UserProfile, User, Notification } = require('../models');
+
+const DAY_MINUTES = 24 * 60;
+
+class MentorSessionService {
+  constructor() {
+    this.config = {
+      maxSlotRangeDays: 31, // widest window one slot lookup may cover
+      maxWeeklyWindows: 50,
+      maxExceptions: 200,
+      calendarProductId: '-//CareerDisha//Mentor Sessions//EN',
+      calendarUidDomain: process.env.CALENDAR_UID_DOMAIN || 'careerdisha.app',
+      feedHistoryDays: 90 // past sessions stay in feeds for a while so calendars don't drop them straight away
+    };
+  }
+
+  // === TIMEZONES ===
+
+  isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Wall-clock parts of an instant in a timezone
+  getZonedParts(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+      seconds: Number(parts.second)
+    };
+  }
+
+  // Minutes the timezone is ahead of UTC at the given instant
+  getOffsetMinutes(date, timezone) {
+    const zoned = this.getZonedParts(date, timezone);
+    const [year, month, day] = zoned.date.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, zoned.minutes, zoned.seconds);
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * The instant a wall-clock time (YYYY-MM-DD plus minutes since midnight)
+   * happens in a timezone, or null when a DST jump skips over it.
+   */
+  fromZonedTime(date, minutes, timezone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+    let instant = wallClock - this.getOffsetMinutes(new Date(wallClock), timezone) * 60000;
+    const offset = this.getOffsetMinutes(new Date(instant), timezone);
+    instant = wallClock - offset * 60000;
+
+    const check = this.getZonedParts(new Date(instant), timezone);
+    return check.date === date && check.minutes === minutes ? new Date(instant) : null;
+  }
+
+  // An instant as local date, time and ISO 8601 with offset in a timezone
+  toZonedTime(date, timezone) {
+    const instant = new Date(date);
+    const zoned = this.getZonedParts(instant, timezone);
+    const offset = this.getOffsetMinutes(instant, timezone);
+    const sign = offset < 0 ? '-' : '+';
+    const offsetText = `${sign}${this.formatMinutes(Math.abs(offset))}`;
+    const time = this.formatMinutes(zoned.minutes);
+
+    return {
+      timezone,
+      date: zoned.date,
+      time,
+      dayOfWeek: new Date(`${zoned.date}T00:00:00Z`).getUTCDay(),
+      offset: offsetText,
+      iso: `${zoned.date}T${time}:${String(zoned.seconds).padStart(2, '0')}${offsetText}`
+    };
+  }
+
+  getMentorTimezone(profile) {
+    const timezone = profile.availability && profile.availability.timezone;
+    return this.isValidTimezone(timezone) ? timezone : 'UTC';
+  }
+
+  // The user's profile timezone, or UTC when unset or unknown
+  async getUserTimezone(userId) {
+    const profile = await UserProfile.findOne({ userId }).select('timezone').lean();
+    return profile && this.isValidTimezone(profile.timezone) ? profile.timezone : 'UTC';
+  }
+
+  // === AVAILABILITY ===
+
+  /**
+   * Validate an availability document from the API. Returns an error
+   * message, or null when it is valid.
+   */
+  validateAvailability(availability) {
+    if (!availability || typeof availability !== 'object' || Array.isArray(availability)) {
+      return 'availability must be an object';
+    }
+
+    const { timezone, weekly = [], exceptions = [], sessionDuration, bufferMinutes, minNoticeHours, maxAdvanceDays } = availability;
+
+    if (!this.isValidTimezone(timezone)) {
+      return 'timezone must be an IANA timezone name, e.g. Asia/Kolkata';
+    }
+    if (!Array.isArray(weekly) || weekly.length > this.config.maxWeeklyWindows) {
+      return `weekly must be an array of at most ${this.config.maxWeeklyWindows} windows`;
+    }
+    for (const window of weekly) {
+      if (!window || !Number.isInteger(window.dayOfWeek) || window.dayOfWeek < 0 || window.dayOfWeek > 6) {
+        return 'Each weekly window needs a dayOfWeek from 0 (Sunday) to 6 (Saturday)';
+      }
+      const windowError = this.validateWindow(window);
+      if (windowError) return windowError;
+    }
+    for (let day = 0; day <= 6; day++) {
+      const overlapError = this.validateNoOverlap(weekly.filter(window => window.dayOfWeek === day));
+      if (overlapError) return overlapError;
+    }
+
+    if (!Array.isArray(exceptions) || exceptions.length > this.config.maxExceptions) {
+      return `exceptions must be an array of at most ${this.config.maxExceptions} dates`;
+    }
+    const dates = new Set();
+    for (const exception of exceptions) {
+      if (!exception || !this.isValidDate(exception.date)) {
+        return 'Each exception needs a date in YYYY-MM-DD format';
+      }
+      if (dates.has(exception.date)) {
+        return `Duplicate exception for ${exception.date}`;
+      }
+      dates.add(exception.date);
+      if (exception.windows !== undefined && !Array.isArray(exception.windows)) {
+        return 'Exception windows must be an array';
+      }
+      for (const window of exception.windows || []) {
+        const windowError = this.validateWindow(window);
+        if (windowError) return windowError;
+      }
+      const overlapError = this.validateNoOverlap(exception.windows || []);
+      if (overlapError) return overlapError;
+      if (exception.reason !== undefined && (typeof exception.reason !== 'string' || exception.reason.length > 200)) {
+        return 'Exception reason must be a string of at most 200 characters';
+      }
+    }
+
+    const numbers = [
+      ['sessionDuration', sessionDuration, 15, 240],
+      ['bufferMinutes', bufferMinutes, 0, 120],
+      ['minNoticeHours', minNoticeHours, 0, 168],
+      ['maxAdvanceDays', maxAdvanceDays, 1, 365]
+    ];
+    for (const [name, value, min, max] of numbers) {
+      if (value !== undefined && !(Number.isInteger(value) && value >= min && value <= max)) {
+        return `${name} must be an integer between ${min} and ${max}`;
+      }
+    }
+
+    return null;
+  }
+
+  validateWindow(window) {
+    const start = window ? this.parseTime(window.startTime) : null;
+    const end = window ? this.parseTime(window.endTime) : null;
+    if (start === null || end === null || start === DAY_MINUTES) {
+      return 'Windows need a startTime and endTime in HH:mm format';
+    }
+    if (end <= start) {
+      return `Window ${window.startTime}-${window.endTime} must end after it starts; split overnight windows across two days`;
+    }
+    return null;
+  }
+
+  // Overlapping windows on one day would offer overlapping slots; windows may touch end to start
+  validateNoOverlap(windows) {
+    const sorted = [...windows].sort((a, b) => this.parseTime(a.startTime) - this.parseTime(b.startTime));
+    for (let i = 1; i < sorted.length; i++) {
+      if (this.parseTime(sorted[i].startTime) < this.parseTime(sorted[i - 1].endTime)) {
+        const [first, second] = [sorted[i - 1], sorted[i]];
+        return `Windows ${first.startTime}-${first.endTime} and ${second.startTime}-${second.endTime} overlap; merge them into one`;
+      }
+    }
+    return null;
+  }
+
+  // Windows open on a local date: its exception if there is one, otherwise the weekly windows for that weekday
+  getWindows(availability, date) {
+    const exception = (availability.exceptions || []).find(entry => entry.date === date);
+    if (exception) {
+      return exception.windows || [];
+    }
+
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return (availability.weekly || []).filter(window => window.dayOfWeek === dayOfWeek);
+  }
+
+  /**
+   * Bookable slots for a mentor between two instants, honoring notice and
+   * advance limits and skipping time taken by scheduled sessions plus the
+   * buffer. Resolves to [{ startTime, endTime }] in UTC, earliest first.
+   * options: excludeSessionId (a session being rescheduled), now
+   */
+  async getSlots(profile, from, to, { excludeSessionId = null, now = new Date() } = {}) {
+    const availability = profile.availability || {};
+    const timezone = this.getMentorTimezone(profile);
+    const duration = availability.sessionDuration || 60;
+    const buffer = availability.bufferMinutes || 0;
+
+    const earliest = Math.max(from.getTime(), now.getTime() + (availability.minNoticeHours ?? 12) * 3600000);
+    const latest = Math.min(to.getTime(), now.getTime() + (availability.maxAdvanceDays || 60) * 86400000);
+    if (earliest >= latest) return [];
+
+    const candidates = new Map();
+    const lastDate = this.toZonedTime(new Date(latest), timezone).date;
+    for (let date = this.toZonedTime(new Date(earliest), timezone).date; date <= lastDate; date = this.addDays(date, 1)) {
+      this.getWindows(availability, date).forEach(window => {
+        const windowEnd = this.parseTime(window.endTime);
+        for (let start = this.parseTime(window.startTime); start + duration <= windowEnd; start += duration + buffer) {
+          const startTime = this.fromZonedTime(date, start, timezone);
+          if (startTime && startTime.getTime() >= earliest && startTime.getTime() < latest) {
+            candidates.set(startTime.getTime(), { startTime, endTime: new Date(startTime.getTime() + duration * 60000) });
+          }
+        }
+      });
+    }
+    if (candidates.size === 0) return [];
+
+    const busyFilter = {
+      mentorId: profile.userId,
+      status: 'SCHEDULED',
+      startTime: { $lt: new Date(latest + (duration + buffer) * 60000) },
+      endTime: { $gt: new Date(earliest - buffer * 60000) }
+    };
+    if (excludeSessionId) busyFilter._id = { $ne: excludeSessionId };
+    const busy = await MentorSession.find(busyFilter).select('startTime endTime').lean();
+
+    return [...candidates.values()]
+      .filter(slot => !busy.some(session =>
+        slot.startTime.getTime() < session.endTime.getTime() + buffer * 60000 &&
+        slot.endTime.getTime() + buffer * 60000 > session.startTime.getTime()
+      ))
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // Whether startTime is exactly one of the mentor's open slots
+  async findSlot(profile, startTime, options = {}) {
+    const slots = await this.getSlots(profile, startTime, new Date(startTime.getTime() + 1), options);
+    return slots.find(slot => slot.startTime.getTime() === startTime.getTime()) || null;
+  }
+
+  // === BOOKING ===
+
+  // The user's scheduled sessions, as mentor or student, overlapping a time range
+  async findOverlapping(userId, startTime, endTime, excludeSessionId = null) {
+    const filter = {
+      $or: [{ mentorId: userId }, { studentId: userId }],
+      status: 'SCHEDULED',
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime }
+    };
+    if (excludeSessionId) filter._id = { $ne: excludeSessionId };
+    return MentorSession.findOne(filter).lean();
+  }
+
+  /**
+   * Book a slot the caller has already checked with findSlot. A concurrent
+   * booking of the same slot fails with a duplicate key error (code 11000);
+   * one of an overlapping slot resolves to null.
+   */
+  async book(studentId, profile, slot, { topic, agenda }) {
+    const session = await MentorSession.create({
+      mentorId: profile.userId,
+      mentorProfileId: profile._id,
+      studentId,
+      topic,
+      agenda,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      duration: Math.round((slot.endTime - slot.startTime) / 60000),
+      mentorTimezone: this.getMentorTimezone(profile),
+      studentTimezone: await this.getUserTimezone(studentId)
+    });
+
+    // The unique index only catches bookings with the same start. Of two
+    // overlapping bookings made at once, the later one (by _id) gives way.
+    if (await this.hasMentorClash(session, { olderOnly: true })) {
+      await MentorSession.deleteOne({ _id: session._id });
+      return null;
+    }
+
+    await this.notify(session, profile.userId, 'New session booked', `A student booked "${session.topic}" for`);
+    return session;
+  }
+
+  /**
+   * Move a scheduled session to another slot checked with findSlot.
+   * Resolves to null, leaving the session where it was, when a booking
+   * made meanwhile overlaps the new slot.
+   */
+  async reschedule(session, slot, { changedById, reason }) {
+    const previous = { startTime: session.startTime, endTime: session.endTime, duration: session.duration };
+    session.rescheduleHistory.push({
+      startTime: session.startTime,
+      endTime: session.endTime,
+      changedById,
+      reason,
+      changedAt: new Date()
+    });
+    session.startTime = slot.startTime;
+    session.endTime = slot.endTime;
+    session.duration = Math.round((slot.endTime - slot.startTime) / 60000);
+    session.sequence += 1;
+    await session.save();
+
+    if (await this.hasMentorClash(session)) {
+      session.rescheduleHistory.pop();
+      Object.assign(session, previous);
+      session.sequence -= 1;
+      await session.save();
+      return null;
+    }
+
+    await this.notify(session, this.getOtherParticipant(session, changedById), 'Session rescheduled', `"${session.topic}" was moved to`);
+    return session;
+  }
+
+  async cancel(session, { cancelledById, reason }) {
+    session.status = 'CANCELLED';
+    session.cancelledById = cancelledById;
+    session.cancellationReason = reason;
+    session.cancelledAt = new Date();
+    session.sequence += 1;
+    await session.save();
+
+    await this.notify(session, this.getOtherParticipant(session, cancelledById), 'Session cancelled', `"${session.topic}" was cancelled. It was scheduled for`);
+    return session;
+  }
+
+  /**
+   * Mark a session completed and count it on the mentor's profile. Resolves
+   * to the updated session, or null when it was no longer scheduled.
+   */
+  async complete(sessionId, { mentorNotes } = {}) {
+    const session = await MentorSession.findOneAndUpdate(
+      { _id: sessionId, status: 'SCHEDULED' },
+      { $set: { status: 'COMPLETED', completedAt: new Date(), mentorNotes }, $inc: { sequence: 1 } },
+      { new: true }
+    );
+    if (!session) return null;
+
+    await MentorProfile.updateOne({ _id: session.mentorProfileId }, { $inc: { totalSessions: 1 } });
+    return session;
+  }
+
+  // Whether another scheduled session of the mentor overlaps this one; olderOnly counts only sessions created before it
+  async hasMentorClash(session, { olderOnly = false } = {}) {
+    return !!(await MentorSession.exists({
+      _id: olderOnly ? { $lt: session._id } : { $ne: session._id },
+      mentorId: session.mentorId,
+      status: 'SCHEDULED',
+      startTime: { $lt: session.endTime },
+      endTime: { $gt: session.startTime }
+    }));
+  }
+
+  getOtherParticipant(session, userId) {
+    return String(session.mentorId) === String(userId) ? session.studentId : session.mentorId;
+  }
+
+  isParticipant(session, user) {
+    return String(session.mentorId) === String(user.id) || String(session.studentId) === String(user.id);
+  }
+
+  // Notify a participant, with the session time in their own timezone
+  async notify(session, recipientId, title, lead) {
+    const timezone = String(recipientId) === String(session.mentorId) ? session.mentorTimezone : session.studentTimezone;
+    const local = this.toZonedTime(session.startTime, timezone);
+
+    await Notification.create({
+      userId: recipientId,
+      type: 'MENTORSHIP',
+      title,
+      message: `${lead} ${local.date} ${local.time} (${timezone}).`,
+      channels: ['IN_APP']
+    });
+  }
+
+  // === ICALENDAR ===
+
+  /**
+   * An RFC 5545 calendar with one event per session. Times are written in
+   * UTC, so clients show them in the viewer's own timezone.
+   * options: method (PUBLISH for feeds and downloads, CANCEL for cancellations)
+   */
+  buildCalendar(sessions, { method = 'PUBLISH', name = 'Mentorship sessions' } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.config.calendarProductId}`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`,
+      `X-WR-CALNAME:${this.escapeText(name)}`
+    ];
+
+    sessions.forEach(session => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${session._id}@${this.config.calendarUidDomain}`,
+        `SEQUENCE:${session.sequence || 0}`,
+        `DTSTAMP:${this.formatUtc(session.updatedAt || new Date())}`,
+        `DTSTART:${this.formatUtc(session.startTime)}`,
+        `DTEND:${this.formatUtc(session.endTime)}`,
+        `SUMMARY:${this.escapeText(`Mentorship: ${session.topic}`)}`,
+        `STATUS:${session.status === 'CANCELLED' ? 'CANCELLED' : 'CONFIRMED'}`
+      );
+      if (session.agenda) lines.push(`DESCRIPTION:${this.escapeText(session.agenda)}`);
+      if (session.meetingUrl) lines.push(`LOCATION:${this.escapeText(session.meetingUrl)}`, `URL:${session.meetingUrl}`);
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space
+  foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+      const bytes = Buffer.byteLength(char);
+      if (currentBytes + bytes > (chunks.length === 0 ? 75 : 74)) {
+        chunks.push(current);
+        current = '';
+        currentBytes = 0;
+      }
+      current += char;
+      currentBytes += bytes;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+  }
+
+  formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // === CALENDAR FEED ===
+
+  // Recent and upcoming sessions where the user is mentor or student
+  async getFeedSessions(userId) {
+    const since = new Date(Date.now() - this.config.feedHistoryDays * 86400000);
+    return MentorSession.find({
+      $or: [{ mentorId: userId }, { studentId: userId }],
+      startTime: { $gte: since }
+    })
+      .sort({ startTime: 1 })
+      .limit(500)
+      .lean();
+  }
+
+  /**
+   * Issue a new subscription token for the user's feed, replacing any
+   * earlier one. Only a hash is stored, so the token can't be shown again.
+   */
+  async createFeedToken(userId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne(
+      { _id: userId },
+      { $set: { calendarFeedTokenHash: this.hashFeedToken(token), calendarFeedCreatedAt: new Date() } }
+    );
+    return token;
+  }
+
+  async revokeFeedToken(userId) {
+    const result = await User.updateOne(
+      { _id: userId, calendarFeedTokenHash: { $exists: true } },
+      { $unset: { calendarFeedTokenHash: '', calendarFeedCreatedAt: '' } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // The active user a feed token belongs to, or null
+  async findFeedUser(token) {
+    if (typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) return null;
+    return User.findOne({ calendarFeedTokenHash: this.hashFeedToken(token), isActive: true })
+      .select('_id')
+      .lean();
+  }
+
+  hashFeedToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // === HELPER METHODS ===
+
+  // Minutes since midnight for HH:mm (24:00 allowed), or null
+  parseTime(time) {
+    const match = typeof time === 'string' && /^(\d{2}):(\d{2})$/.exec(time);
+    if (!match) return null;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return Number(match[2]) < 60 && minutes <= DAY_MINUTES ? minutes : null;
+  }
+
+  formatMinutes(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+  }
+
+  addDays(date, days) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().substring(0, 10);
+  }
+}
+
+module.exports = new MentorSessionService();
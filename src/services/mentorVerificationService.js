@@ -0,0 +1,99 @@
+const { MentorVerification, MentorProfile, FileUpload, Notification } = require('../models');
+
+class MentorVerificationService {
+  constructor() {
+    this.config = {
+      maxDocuments: 5,
+      documentTypes: ['DEGREE', 'CERTIFICATION', 'EMPLOYMENT', 'IDENTITY', 'OTHER']
+    };
+  }
+
+  // === REQUESTS ===
+
+  // The mentor's credential uploads among documentIds; anything else is left out
+  async findCredentialDocuments(mentorId, documentIds) {
+    return FileUpload.find({ _id: { $in: documentIds }, userId: mentorId, type: 'mentor_credential' }).lean();
+  }
+
+  /**
+   * Open a verification request. A second pending request for the same
+   * mentor fails with a duplicate key error (code 11000).
+   */
+  async submit(mentorId, profile, documentIds, notes) {
+    return MentorVerification.create({
+      mentorId,
+      mentorProfileId: profile._id,
+      documentIds,
+      notes,
+      history: [{ action: 'SUBMITTED', actorId: mentorId, at: new Date() }]
+    });
+  }
+
+  async getLatest(mentorId) {
+    return MentorVerification.findOne({ mentorId }).sort({ createdAt: -1 }).lean();
+  }
+
+  // === DECISIONS ===
+
+  /**
+   * Approve a pending request and mark the mentor verified. Resolves to the
+   * updated request, or null when it was no longer pending.
+   */
+  async approve(requestId, adminId, reason) {
+    const request = await this.decide(requestId, 'PENDING', 'APPROVED', adminId, reason);
+    if (!request) return null;
+
+    await MentorProfile.updateOne({ _id: request.mentorProfileId }, { $set: { isVerified: true, verifiedAt: request.reviewedAt } });
+    await this.notify(request.mentorId, 'Verification approved', 'Your mentor profile is now verified.');
+    return request;
+  }
+
+  // Reject a pending request; the mentor can submit a new one
+  async reject(requestId, adminId, reason) {
+    const request = await this.decide(requestId, 'PENDING', 'REJECTED', adminId, reason);
+    if (!request) return null;
+
+    await this.notify(request.mentorId, 'Verification not approved', `Your verification request was rejected: ${reason}`);
+    return request;
+  }
+
+  // Withdraw verification granted by an approved request
+  async revoke(requestId, adminId, reason) {
+    const request = await this.decide(requestId, 'APPROVED', 'REVOKED', adminId, reason);
+    if (!request) return null;
+
+    await MentorProfile.updateOne({ _id: request.mentorProfileId }, { $set: { isVerified: false }, $unset: { verifiedAt: '' } });
+    await this.notify(request.mentorId, 'Verification revoked', `Your mentor verification was revoked: ${reason}`);
+    return request;
+  }
+
+  // Move a request between states and append the change to its history in one update
+  async decide(requestId, fromStatus, toStatus, adminId, reason) {
+    const now = new Date();
+    return MentorVerification.findOneAndUpdate(
+      { _id: requestId, status: fromStatus },
+      {
+        $set: { status: toStatus, reviewedById: adminId, reviewedAt: now, decisionReason: reason },
+        $push: { history: { action: toStatus, actorId: adminId, reason, at: now } }
+      },
+      { new: true }
+    );
+  }
+
+  async notify(mentorId, title, message) {
+    await Notification.create({
+      userId: mentorId,
+      type: 'MENTORSHIP',
+      title,
+      message,
+      channels: ['IN_APP']
+    });
+  }
+
+  // Documents referenced by any request, whatever its status, are kept as evidence for the decision
+  async isDocumentInUse(documentId) {
+    return !!(await MentorVerification.exists({ documentIds: documentId }));
+  }
+}
+
+module.exports = new MentorVerificationService();
@@ -0,0 +1,192 @@
+const { MentorProfile, UserProfile, Interview, Notification } = require('../models');
+const aiService = require('./aiService');
+const mentorRelationshipService = require('./mentorRelationshipService');
+const i18nService = require('./i18nService');
+const MENTORSHIP_CATEGORIES = require('../config/mentorshipCategories');
+
+// Shown when the AI service fails outright
+const FALLBACK_ANSWERS = {
+  career: `Thank you for your career-related question. Based on general career guidance principles, I'd recommend focusing on self-assessment, thorough research, strategic networking, and continuous learning. For more personalized advice, consider connecting with a human mentor in your field.`,
+  technical: `Thank you for your technical question. Generally, I'd suggest breaking down complex problems, researching best practices, practicing hands-on implementation, and staying current with industry trends. For specific technical guidance, consulting with an expert mentor would be most beneficial.`,
+  personal: `Thank you for your personal development question. Personal growth typically involves regular self-reflection, setting clear goals, seeking feedback, and being patient with the process. For more personalized guidance, speaking with a mentor or counselor would be valuable.`,
+  general: `Thank you for your question. I'd recommend defining your objective clearly, gathering thorough information, considering multiple perspectives, and taking actionable steps. For more specific guidance, discussing with a human mentor would provide the most value.`
+};
+
+class MentorshipService {
+  constructor() {
+    this.config = {
+      maxPendingQuestions: 5 // per student
+    };
+  }
+
+  // === ROUTING ===
+
+  /**
+   * Categories a mentor's specializations qualify them to answer, always
+   * including general
+   */
+  getMentorCategories(profile) {
+    return Object.keys(MENTORSHIP_CATEGORIES)
+      .filter(category => category === 'general' || this.getMatchScore(profile, category) > 0);
+  }
+
+  // How many of the category's keywords the mentor's specializations mention
+  getMatchScore(profile, category) {
+    const specializations = (profile.specialization || []).map(entry => ` ${this.normalize(entry)} `);
+    return (MENTORSHIP_CATEGORIES[category] || [])
+      .filter(keyword => specializations.some(entry => entry.includes(` ${this.normalize(keyword)} `)))
+      .length;
+  }
+
+  /**
+   * The best available mentor for a question: the student's own mentor,
+   * then specialization matching the category, lightest load and highest
+   * rating. Capacity is the same as for mentee requests: a mentor with
+   * maxStudents active mentees only takes questions from those mentees.
+   * Resolves to a MentorProfile or null.
+   */
+  async findMentorForQuestion(question) {
+    const profiles = await MentorProfile.find({
+      isAvailable: true,
+      userId: { $ne: question.userId }
+    }).lean();
+
+    const candidates = profiles.filter(profile => this.getMentorCategories(profile).includes(question.category));
+    if (candidates.length === 0) return null;
+
+    const [menteeCounts, ownMentorIds] = await Promise.all([
+      mentorRelationshipService.getActiveMenteeCounts(candidates.map(profile => profile.userId)),
+      mentorRelationshipService.getActiveMentorIds(question.userId)
+    ]);
+    const ownMentors = new Set(ownMentorIds.map(String));
+
+    const ranked = candidates
+      .map(profile => {
+        const mentees = menteeCounts.get(String(profile.userId)) || 0;
+        const isOwnMentor = ownMentors.has(String(profile.userId));
+        return {
+          profile,
+          isOwnMentor,
+          score: this.getMatchScore(profile, question.category),
+          load: mentees / (profile.maxStudents || 1),
+          eligible: isOwnMentor || mentees < (profile.maxStudents || 1)
+        };
+      })
+      .filter(candidate => candidate.eligible)
+      .sort((a, b) => b.isOwnMentor - a.isOwnMentor || b.score - a.score || a.load - b.load ||
+        (b.profile.averageRating || 0) - (a.profile.averageRating || 0));
+
+    return ranked.length > 0 ? ranked[0].profile : null;
+  }
+
+  /**
+   * Assign a pending question to the best matching mentor and notify them.
+   * Questions nobody can take stay unassigned in every matching mentor's queue.
+   */
+  async assignQuestion(question) {
+    const profile = await this.findMentorForQuestion(question);
+    if (!profile) return null;
+
+    question.assignedMentorId = profile.userId;
+    question.assignedAt = new Date();
+    await question.save();
+
+    await Notification.create({
+      userId: profile.userId,
+      type: 'MENTORSHIP',
+      title: 'New mentorship question',
+      message: `A student asked a ${question.category} question: "${question.question.substring(0, 100)}"`,
+      channels: ['IN_APP']
+    });
+
+    return profile;
+  }
+
+  /**
+   * Filter for a mentor's queue: questions assigned to them, plus unassigned
+   * ones in their categories while they are available and have capacity.
+   * Admins see every question.
+   */
+  async getQueueFilter(user) {
+    if (user.role === 'ADMIN') {
+      return {};
+    }
+
+    const profile = await MentorProfile.findOne({ userId: user.id }).lean();
+    const assigned = { assignedMentorId: user.id };
+    if (!profile) {
+      return assigned;
+    }
+
+    if (!profile.isAvailable || await mentorRelationshipService.getRemainingCapacity(profile) === 0) {
+      return assigned;
+    }
+
+    return {
+      $or: [
+        assigned,
+        { assignedMentorId: null, category: { $in: this.getMentorCategories(profile) }, userId: { $ne: profile.userId } }
+      ]
+    };
+  }
+
+  // A mentor may answer questions assigned to them or still unassigned; admins any
+  canAnswer(question, user) {
+    return user.role === 'ADMIN' || !question.assignedMentorId || String(question.assignedMentorId) === String(user.id);
+  }
+
+  // === AI ANSWERS ===
+
+  /**
+   * Answer a question with the AI mentor, translated when language isn't
+   * English. Falls back to a per-category template when AI fails.
+   */
+  async generateAIAnswer(question, language = 'en') {
+    let answer;
+    try {
+      const userContext = await this.getUserContextForAI(question.userId);
+      answer = await aiService.generateMentorshipAnswer(question, question.category, userContext);
+    } catch (error) {
+      console.error('Error generating AI mentorship answer:', error);
+      answer = FALLBACK_ANSWERS[question.category] || FALLBACK_ANSWERS.general;
+    }
+
+    if (language === 'en') {
+      return answer;
+    }
+
+    try {
+      // Translation failures hand back the original string
+      const translated = await i18nService.translateMentorshipResponse(answer, language);
+      return translated && translated.translated ? translated.translated : answer;
+    } catch (error) {
+      console.error('Error translating mentorship answer:', error);
+      return answer;
+    }
+  }
+
+  async getUserContextForAI(userId) {
+    try {
+      const [profile, latestInterview] = await Promise.all([
+        UserProfile.findOne({ userId }).select('careerGoals skills interests currentJobTitle industry').lean(),
+        Interview.findOne({ userId, status: 'COMPLETED' }).sort({ completedAt: -1 }).select('jobRole totalScore completedAt').lean()
+      ]);
+
+      return {
+        profile: profile || {},
+        latestInterview: latestInterview || {}
+      };
+    } catch (error) {
+      console.error('Error fetching user context:', error);
+      return {};
+    }
+  }
+
+  // === HELPER METHODS ===
+
+  normalize(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim();
+  }
+}
+
+module.exports = new MentorshipService();
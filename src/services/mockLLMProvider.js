@@ -0,0 +1,211 @@
+// Deterministic offline provider: same prompt in, same answer out, no network or API keys.
+// Used for local development and tests (AI_PROVIDERS=mock).
+
+const SKILL_TAXONOMY = require('../config/skillTaxonomy');
+
+// Skills the mock reports are real taxonomy skills named in the prompt, so template
+// wording never turns into Skill documents; prompts naming none get DEFAULT_SKILLS
+const KNOWN_SKILLS = Object.keys(SKILL_TAXONOMY)
+  .filter(name => SKILL_TAXONOMY[name].parent)
+  .map(name => ({
+    name,
+    pattern: new RegExp(`(^|[^a-z0-9+#])${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9+#])`)
+  }));
+const DEFAULT_SKILLS = ['Communication', 'Leadership'];
+
+const CHAT_REPLIES = [
+  "That's a great starting point! To suggest the right next steps, could you tell me which skills you enjoy using most and what kind of role you see yourself in?",
+  "Many people in your position start by strengthening one core skill and building a small project around it. Which area would you like to focus on first?",
+  "A good plan usually has three parts: fundamentals, a portfolio project, and networking. Which of those feels like the biggest gap for you right now?",
+  "It helps to look at job postings for roles that interest you and note the skills that come up repeatedly. Would you like help turning that into a learning roadmap?"
+];
+
+class MockLLMProvider {
+  constructor() {
+    this.name = 'mock';
+    this.responses = this.buildResponses();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async generate(prompt, options = {}) {
+    const builder = this.responses[options.operation];
+    const text = builder ? builder(prompt) : this.genericResponse(prompt);
+    return { text, usage: this.estimateUsage(prompt, text) };
+  }
+
+  async chat({ message }, options = {}) {
+    const text = this.pick(CHAT_REPLIES, message);
+    return { text, usage: this.estimateUsage(message, text) };
+  }
+
+  async streamChat(request, options = {}, onToken = () => {}) {
+    const { text, usage } = await this.chat(request, options);
+    // Emit word by word so streaming clients can be exercised offline
+    text.split(/(?<= )/).forEach(token => onToken(token));
+    return { text, usage };
+  }
+
+  // === CANNED RESPONSES PER OPERATION ===
+
+  buildResponses() {
+    return {
+      interviewQuestions: () => JSON.stringify([
+        'Can you walk me through your background and what led you to where you are today?',
+        'Which accomplishment from the last year are you most proud of, and why?',
+        'What kind of work makes you lose track of time?'
+      ]),
+
+      interviewAnalysis: (prompt) => JSON.stringify({
+        extractedTags: this.findSkills(prompt, 5),
+        insights: [{ category: 'general', insight: 'Candidate described their experience clearly', confidence: 0.7 }],
+        summary: 'Mock analysis of the interview step',
+        careerDirection: 'Explore roles that build on current strengths'
+      }),
+
+      recommendations: () => JSON.stringify([
+        {
+          type: 'skill',
+          title: 'Strengthen your core technical skills',
+          description: 'Focus on the fundamentals that appear most often in job postings for your target role.',
+          priority: 'high',
+          metadata: { estimatedTime: '4-6 weeks', difficulty: 'intermediate' }
+        },
+        {
+          type: 'course',
+          title: 'Take a structured online course',
+          description: 'A guided course keeps your learning consistent and gives you a certificate to show.',
+          priority: 'medium',
+          metadata: { estimatedTime: '8 weeks', difficulty: 'beginner' }
+        },
+        {
+          type: 'project',
+          title: 'Build a portfolio project',
+          description: 'Apply what you learn in a project you can show to employers.',
+          priority: 'medium',
+          metadata: { estimatedTime: '3-4 weeks', difficulty: 'intermediate' }
+        }
+      ]),
+
+      // Keeps the scorer's order; explanations echo each candidate id from the prompt
+      careerPathRanking: (prompt) => JSON.stringify(
+        [...new Set([...prompt.matchAll(/"id":\s*"([a-z0-9-]+)"/g)].map(match => match[1]))]
+          .map(id => ({ id, explanation: `Mock explanation for ${id}: it builds on skills you already have.` }))
+      ),
+
+      resumeData: (prompt) => {
+        const email = (prompt.match(/[\w.+-]+@[\w-]+\.[\w.]+/) || [null])[0];
+        return JSON.stringify({
+          personalInfo: { name: null, email, phone: null },
+          skills: this.findSkills(prompt, 8),
+          experience: [],
+          education: [],
+          certifications: [],
+          languages: [],
+          summary: 'Mock resume extraction',
+          careerLevel: 'mid',
+          industryFocus: [],
+          extractionConfidence: 0.5
+        });
+      },
+
+      mockInterviewQuestions: (prompt) => {
+        const count = parseInt((prompt.match(/exactly (\d+)/) || [])[1]) || 5;
+        return JSON.stringify(Array.from({ length: count }, (_, i) => ({
+          question: `Mock question ${i + 1}: describe a situation where you applied your skills to solve a real problem.`,
+          category: i % 2 === 0 ? 'technical' : 'behavioral'
+        })));
+      },
+
+      answerScore: (prompt) => {
+        const answer = (prompt.match(/Candidate answer: "([\s\S]*?)"\n/) || [])[1] || '';
+        const score = Math.min(95, 40 + Math.floor(answer.trim().split(/\s+/).length / 2));
+        return JSON.stringify({
+          score,
+          feedback: 'Mock feedback: structure your answer with context, action and result.',
+          strengths: ['Relevant example'],
+          improvements: ['Quantify the outcome']
+        });
+      },
+
+      mentorshipAnswer: () => 'Start by clarifying the outcome you want, then break it into small weekly goals. Talk to two or three people already doing the role you want, and pick one project that lets you practise the skills they mention.',
+
+      conversationAnalysis: (prompt) => JSON.stringify({
+        userGoals: ['Grow into a new role'],
+        currentSkills: this.findSkills(prompt, 4),
+        interests: [],
+        experience: 'beginner',
+        challenges: [],
+        preferredLearning: 'hands-on',
+        timeline: '6 months',
+        recommendations: { immediate: ['Pick one skill to focus on'], shortTerm: [], longTerm: [] }
+      }),
+
+      skillRoadmap: () => JSON.stringify({
+        roadmapTitle: 'Mock Career Development Roadmap',
+        userSummary: 'Generated offline by the mock provider',
+        phases: [{
+          phase: 'Foundation (Months 1-3)',
+          description: 'Core skills to build first',
+          skills: [{
+            name: 'Fundamentals',
+            priority: 'High',
+            timeToLearn: '4 weeks',
+            resources: ['Official documentation'],
+            projects: ['Small practice project'],
+            milestones: ['Complete a beginner course', 'Finish the practice project']
+          }]
+        }],
+        careerPaths: [],
+        resources: {},
+        nextSteps: ['Set a weekly learning schedule']
+      }),
+
+      conversationSuggestions: () => JSON.stringify([
+        'What are your career goals?',
+        'Which skills would you like to develop?',
+        'What kind of work environment suits you best?'
+      ]),
+
+      // Translation is identity offline; callers still get a string back
+      translate: (prompt) => (prompt.match(/"([\s\S]*)"\s*$/) || [])[1] || prompt,
+
+      detectLanguage: () => 'en'
+    };
+  }
+
+  // === HELPER METHODS ===
+
+  genericResponse(prompt) {
+    return `Mock response (${this.hash(prompt) % 1000}).`;
+  }
+
+  findSkills(text, limit) {
+    const lower = String(text).toLowerCase();
+    const found = KNOWN_SKILLS.filter(skill => skill.pattern.test(lower)).map(skill => skill.name);
+    return (found.length > 0 ? found : DEFAULT_SKILLS).slice(0, limit);
+  }
+
+  pick(items, seed) {
+    return items[this.hash(String(seed)) % items.length];
+  }
+
+  hash(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+  }
+
+  estimateUsage(prompt, text) {
+    return {
+      promptTokens: Math.ceil(String(prompt).length / 4),
+      completionTokens: Math.ceil(String(text).length / 4)
+    };
+  }
+}
+
+module.exports = MockLLMProvider;
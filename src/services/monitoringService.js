@@ -41,7 +41,16 @@ class MonitoringService {
         huggingFaceCalls: 0,
         fallbacksUsed: 0,
         totalResponseTime: 0,
-        callCount: 0
+        callCount: 0,
+        parseAttempts: 0,
+        parseFailures: 0,
+        parseRepairs: 0,
+        parseRetries: 0,
+        parseFailuresByOperation: {},
+        promptTokens: 0,
+        completionTokens: 0,
+        estimatedCost: 0,
+        tokensByOperation: {}
       },
       database: {
         queries: 0,
@@ -168,7 +177,7 @@ class MonitoringService {
     }
   }
 
-  recordAICall(service, operation, responseTime, success = true) {
+  recordAICall(service, operation, responseTime, success = true, details = {}) {
     try {
       this.metrics.ai.callCount++;
       this.metrics.ai.totalResponseTime += responseTime;
@@ -183,13 +192,40 @@ class MonitoringService {
         this.metrics.ai.fallbacksUsed++;
       }
 
-      logHelpers.logAI(service, operation, { success }, responseTime);
+      // Structured output parsing (only reported by calls that expect JSON)
+      if (details.parse) {
+        const { failed = false, repaired = false, retry = false } = details.parse;
+        this.metrics.ai.parseAttempts++;
+
+        if (failed) {
+          this.metrics.ai.parseFailures++;
+          this.metrics.ai.parseFailuresByOperation[operation] =
+            (this.metrics.ai.parseFailuresByOperation[operation] || 0) + 1;
+        }
+        if (repaired) this.metrics.ai.parseRepairs++;
+        if (retry) this.metrics.ai.parseRetries++;
+      }
+
+      logHelpers.logAI(service, operation, { success, ...details }, responseTime);
 
     } catch (error) {
       logHelpers.logError(error, { context: 'recordAICall' });
     }
   }
 
+  recordAIUsage(operation, promptTokens, completionTokens, estimatedCost = 0) {
+    try {
+      this.metrics.ai.promptTokens += promptTokens;
+      this.metrics.ai.completionTokens += completionTokens;
+      this.metrics.ai.estimatedCost += estimatedCost;
+      this.metrics.ai.tokensByOperation[operation] =
+        (this.metrics.ai.tokensByOperation[operation] || 0) + promptTokens + completionTokens;
+
+    } catch (error) {
+      logHelpers.logError(error, { context: 'recordAIUsage' });
+    }
+  }
+
   recordDatabaseQuery(operation, table, duration) {
     try {
       this.metrics.database.queries++;
@@ -372,6 +408,12 @@ class MonitoringService {
     return rt.count > 0 ? rt.sum / rt.count : 0;
   }
 
+  getAIParseFailureRate() {
+    return this.metrics.ai.parseAttempts > 0
+      ? this.metrics.ai.parseFailures / this.metrics.ai.parseAttempts
+      : 0;
+  }
+
   getAverageAIResponseTime() {
     return this.metrics.ai.callCount > 0 
       ? this.metrics.ai.totalResponseTime / this.metrics.ai.callCount 
@@ -414,7 +456,8 @@ class MonitoringService {
         totalCalls: this.metrics.ai.callCount,
         averageResponseTime: this.getAverageAIResponseTime(),
         geminiCalls: this.metrics.ai.geminiCalls,
-        fallbacks: this.metrics.ai.fallbacksUsed
+        fallbacks: this.metrics.ai.fallbacksUsed,
+        parseFailureRate: this.getAIParseFailureRate()
       },
       database: {
         totalQueries: this.metrics.database.queries,
@@ -440,6 +483,7 @@ class MonitoringService {
         errorRate: this.getErrorRate(),
         averageResponseTime: this.getAverageResponseTime(),
         averageAIResponseTime: this.getAverageAIResponseTime(),
+        aiParseFailureRate: this.getAIParseFailureRate(),
         averageDatabaseQueryTime: this.getAverageDatabaseQueryTime(),
         uptime: Date.now() - this.startTime
       }
@@ -506,4 +550,4 @@ class MonitoringService {
   }
 }
 
-module.exports = new MonitoringService();
\ No newline at end of file
+module.exports = new MonitoringService();
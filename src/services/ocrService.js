@@ -4,6 +4,7 @@ const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
 const aiService = require('./aiService');
+const skillTaxonomyService = require('./skillTaxonomyService');
 
 class OCRService {
   constructor() {
@@ -215,7 +216,7 @@ class OCRService {
       }
     });
 
-    return [...new Set(foundSkills)]; // Remove duplicates
+    return [...new Set(foundSkills.map(skill => skillTaxonomyService.canonicalName(skill)))]; // Remove duplicates
   }
 
   extractExperience(lines) {
@@ -338,4 +339,4 @@ class OCRService {
 }
 
 // Export singleton instance
-module.exports = new OCRService();
\ No newline at end of file
+module.exports = new OCRService();
\ No newline at end of file
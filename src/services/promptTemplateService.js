@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const { PromptTemplate } = require('../models');
+const DEFAULT_TEMPLATES = require('../config/promptTemplates');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+class PromptTemplateService {
+  constructor() {
+    // Active versions per key, reloaded after cacheTtlMs so edits on other instances show up
+    this.cacheTtlMs = parseInt(process.env.PROMPT_TEMPLATE_CACHE_MS || '60000');
+    this.cache = new Map();
+  }
+
+  /**
+   * Render the prompt for key. Picks one of the active stored versions by
+   * weight, or the built-in template (version 0) when none is active.
+   * Resolves to { prompt, promptVersion: { key, version, templateId } }.
+   */
+  async render(key, variables = {}) {
+    const selected = await this.selectTemplate(key);
+
+    return {
+      prompt: this.fill(selected.template, variables),
+      promptVersion: {
+        key,
+        version: selected.version,
+        templateId: selected._id || null
+      }
+    };
+  }
+
+  async selectTemplate(key) {
+    if (!DEFAULT_TEMPLATES[key]) {
+      throw new Error(`Unknown prompt template: ${key}`);
+    }
+
+    const active = await this.getActiveVersions(key);
+    const totalWeight = active.reduce((sum, t) => sum + t.weight, 0);
+
+    if (totalWeight <= 0) {
+      return { version: 0, template: DEFAULT_TEMPLATES[key].template };
+    }
+
+    let pick = Math.random() * totalWeight;
+    for (const template of active) {
+      pick -= template.weight;
+      if (pick < 0) return template;
+    }
+    return active[active.length - 1];
+  }
+
+  async getActiveVersions(key) {
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtlMs) {
+      return cached.templates;
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return [];
+    }
+
+    try {
+      const templates = await PromptTemplate.find({ key, isActive: true })
+        .select('version template weight')
+        .sort({ version: 1 })
+        .lean();
+
+      this.cache.set(key, { templates, loadedAt: Date.now() });
+      return templates;
+    } catch (error) {
+      // Fall back to the built-in prompt rather than failing the AI call
+      console.error(`Prompt template load error for ${key}:`, error.message);
+      return [];
+    }
+  }
+
+  // === ADMIN ===
+
+  /**
+   * Store a new version of key. Versions are never edited in place so every
+   * recorded promptVersion keeps pointing at the text that produced it.
+   */
+  async createVersion(key, { template, description, weight, isActive = true }, userId) {
+    const latest = await PromptTemplate.findOne({ key }).sort({ version: -1 }).select('version').lean();
+
+    const created = await PromptTemplate.create({
+      key,
+      version: latest ? latest.version + 1 : 1,
+      template,
+      description,
+      weight,
+      isActive,
+      createdBy: userId
+    });
+
+    this.invalidate(key);
+    return created;
+  }
+
+  invalidate(key) {
+    if (key) {
+      this.cache.delete(key);
+    } else {
+      this.cache.clear();
+    }
+  }
+
+  getKeys() {
+    return Object.keys(DEFAULT_TEMPLATES);
+  }
+
+  getDefault(key) {
+    return DEFAULT_TEMPLATES[key] || null;
+  }
+
+  /**
+   * Placeholders in template that the key's prompt builder doesn't supply
+   */
+  getUnknownVariables(key, template) {
+    const known = new Set(DEFAULT_TEMPLATES[key].variables);
+    return [...new Set(this.getVariables(template))].filter(name => !known.has(name));
+  }
+
+  // === HELPER METHODS ===
+
+  getVariables(template) {
+    return [...String(template).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  }
+
+  fill(template, variables) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const value = variables[name];
+      if (value === undefined || value === null) return '';
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    });
+  }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,528 @@
+const mongoose = require('mongoose');
+const { Recommendation, UserProfile, InterviewSession, Progress } = require('../models');
+const aiService = require('./aiService');
+const careerScoringService = require('./careerScoringService');
+const i18nService = require('./i18nService');
+const userSkillService = require('./userSkillService');
+
+// Map AI recommendation types onto the Recommendation model enum
+const RECOMMENDATION_TYPE_MAP = {
+  skill: 'SKILL',
+  course: 'COURSE',
+  career_path: 'CAREER_PATH',
+  job: 'JOB',
+  project: 'LEARNING',
+  networking: 'LEARNING'
+};
+
+// Types produced by the rule-based layer; AI suggestions of these types are dropped
+const RULE_BASED_TYPES = ['career_path', 'skill'];
+
+// Statuses a recommendation can still be acted on from
+const OPEN_STATUSES = ['ACTIVE', 'VIEWED'];
+
+const PRIORITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+// Bounds on how far feedback can scale a recommendation
+const FEEDBACK_WEIGHT_RANGE = { min: 0.2, max: 2 };
+
+// Ignored when comparing titles for near-duplicates
+const TITLE_STOP_WORDS = ['and', 'the', 'for', 'your', 'with', 'learn', 'take', 'build', 'explore'];
+
+class RecommendationService {
+  constructor() {
+    this.config = {
+      ttlDays: parseInt(process.env.RECOMMENDATION_TTL_DAYS || '30'),
+      regenerateAfterDays: parseInt(process.env.RECOMMENDATION_REGENERATE_DAYS || '7'),
+      careerPathCandidates: 5, // scored paths sent to the AI for re-ranking
+      careerPathCount: 3,
+      skillGapCount: 3,
+      feedbackWindowDays: parseInt(process.env.RECOMMENDATION_FEEDBACK_DAYS || '90'),
+      minFeedbackWeight: 0.3, // e.g. three dismissals and no completions of a type filter it out
+      duplicateSimilarity: 0.6
+    };
+  }
+
+  /**
+   * Generate recommendations from the user's profile, skills and latest
+   * completed interview, and store them with an expiry date.
+   *
+   * Career paths are scored by rules (skill match + market demand), then
+   * re-ranked and explained by the AI. Skill gaps come from the best path,
+   * and the AI adds courses, projects and networking ideas on top. Every
+   * recommendation carries a structured `why`.
+   * options: focusArea, language, source, interview (session to base them on)
+   */
+  async generateForUser(userId, { focusArea = null, language = 'en', source = 'AI_ANALYSIS', interview } = {}) {
+    const [profile, userSkills, latestInterview] = await Promise.all([
+      UserProfile.findOne({ userId }).lean(),
+      userSkillService.getUserSkills(userId),
+      interview || InterviewSession.findOne({ userId, status: 'COMPLETED' }).sort({ completedAt: -1 })
+    ]);
+
+    const skills = [...new Set([
+      ...userSkills.map(us => us.skillId?.name).filter(Boolean),
+      ...(profile?.skills || [])
+    ])];
+
+    const userData = {
+      profile: profile || {},
+      interviews: latestInterview ? [this.summarizeInterview(latestInterview)] : [],
+      skills,
+      interests: profile?.interests || []
+    };
+
+    const candidates = await careerScoringService.scoreCareerPaths(skills, {
+      focusArea,
+      limit: this.config.careerPathCandidates
+    });
+    const rankedPaths = await this.rankCareerPaths(candidates, userData);
+    const bestPath = rankedPaths[0];
+
+    userData.careerPaths = rankedPaths.map(candidate => candidate.careerPath);
+
+    let generated;
+    try {
+      generated = await aiService.generateRecommendations(userData, focusArea);
+    } catch (error) {
+      console.error('Error generating recommendations:', error);
+      generated = aiService.getFallbackRecommendations(userData, focusArea);
+    }
+
+    // Career paths and skill gaps come from the rule-based layer
+    let combined = [
+      ...rankedPaths.slice(0, this.config.careerPathCount).map(candidate => this.buildCareerPathRecommendation(candidate)),
+      ...(bestPath ? this.buildSkillGapRecommendations(bestPath) : []),
+      ...(generated || [])
+        .filter(rec => rec && rec.title && !RULE_BASED_TYPES.includes(String(rec.type).toLowerCase()))
+        .map(rec => ({ ...rec, why: bestPath ? this.buildSupportingWhy(rec, bestPath, skills) : undefined }))
+    ];
+
+    if (language !== 'en') {
+      combined = await i18nService.translateRecommendations(combined, language);
+    }
+
+    const expiresAt = new Date(Date.now() + this.config.ttlDays * 24 * 60 * 60 * 1000);
+
+    const docs = combined.map(rec => this.toRecommendationDoc(rec, userId, {
+      source,
+      expiresAt,
+      metadata: {
+        focusArea: focusArea || 'general',
+        language,
+        ...(latestInterview ? { interviewId: String(latestInterview._id) } : {})
+      }
+    }));
+
+    const [feedbackProfile, openRecommendations] = await Promise.all([
+      this.getFeedbackProfile(userId),
+      Recommendation.find({ userId, status: { $in: OPEN_STATUSES } }).select('type title').lean()
+    ]);
+
+    const weighted = this.applyFeedback(docs, feedbackProfile);
+    const unique = this.removeNearDuplicates(weighted, openRecommendations);
+
+    const recommendations = await Recommendation.insertMany(unique);
+
+    return {
+      recommendations,
+      basedOn: {
+        hasProfile: !!profile,
+        hasInterview: !!latestInterview,
+        skillCount: skills.length,
+        topCareerPath: bestPath ? bestPath.careerPath.title : null,
+        filteredByFeedback: docs.length - weighted.length,
+        skippedDuplicates: weighted.length - unique.length
+      }
+    };
+  }
+
+  /**
+   * Let the AI re-order the scored candidates and explain each one. Candidates
+   * the AI leaves out, or all of them when it is unavailable, keep the
+   * scorer's order and get a rule-based explanation.
+   */
+  async rankCareerPaths(candidates, userData) {
+    let result = null;
+    try {
+      result = await aiService.rankCareerPaths(candidates, userData);
+    } catch (error) {
+      console.error('Error ranking career paths:', error);
+    }
+
+    const remaining = new Map(candidates.map(candidate => [candidate.careerPath.id, candidate]));
+    const ordered = [];
+
+    (result ? result.ranking : []).forEach(item => {
+      const candidate = remaining.get(item.id);
+      if (!candidate) return;
+
+      remaining.delete(item.id);
+      ordered.push({
+        ...candidate,
+        explanation: item.explanation || careerScoringService.explain(candidate),
+        promptVersion: result.promptVersion
+      });
+    });
+
+    remaining.forEach(candidate => {
+      ordered.push({ ...candidate, explanation: careerScoringService.explain(candidate) });
+    });
+
+    return ordered.map((candidate, index) => ({ ...candidate, rank: index + 1 }));
+  }
+
+  /**
+   * Recommendations generated within regenerateAfterDays that are still open
+   */
+  async countRecent(userId) {
+    const since = new Date(Date.now() - this.config.regenerateAfterDays * 24 * 60 * 60 * 1000);
+    return Recommendation.countDocuments({
+      userId,
+      createdAt: { $gte: since },
+      status: { $in: OPEN_STATUSES }
+    });
+  }
+
+  // === FEEDBACK ===
+
+  /**
+   * How the user has responded to recent recommendations, per type and per
+   * category: completions and good ratings count as positive, dismissals and
+   * poor ratings as negative.
+   */
+  async getFeedbackProfile(userId) {
+    const since = new Date(Date.now() - this.config.feedbackWindowDays * 24 * 60 * 60 * 1000);
+
+    const rows = await Recommendation.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { type: '$type', category: '$category' },
+          positive: {
+            $sum: {
+              $add: [
+                { $cond: [{ $eq: ['$status', 'COMPLETED'] }, 1, 0] },
+                { $cond: [{ $gte: ['$feedback.rating', 4] }, 1, 0] }
+              ]
+            }
+          },
+          negative: {
+            $sum: {
+              $add: [
+                { $cond: [{ $eq: ['$status', 'DISMISSED'] }, 1, 0] },
+                // Missing ratings sort below numbers, so require one before comparing
+                { $cond: [{ $and: [{ $gt: ['$feedback.rating', 0] }, { $lte: ['$feedback.rating', 2] }] }, 1, 0] }
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    const profile = { byType: {}, byCategory: {} };
+    rows.forEach(row => {
+      [['byType', row._id.type], ['byCategory', row._id.category]].forEach(([group, key]) => {
+        const counts = profile[group][key] || (profile[group][key] = { positive: 0, negative: 0 });
+        counts.positive += row.positive;
+        counts.negative += row.negative;
+      });
+    });
+
+    return profile;
+  }
+
+  /**
+   * Scale confidence and priority by the user's feedback on each type and
+   * category, dropping kinds of recommendation they keep dismissing
+   */
+  applyFeedback(docs, feedbackProfile) {
+    return docs
+      .map(doc => {
+        const weight = this.getFeedbackWeight(doc, feedbackProfile);
+        const confidence = typeof doc.confidence === 'number' ? doc.confidence : 0.5;
+
+        return {
+          ...doc,
+          confidence: Math.min(1, Math.round(confidence * weight * 100) / 100),
+          priority: this.adjustPriority(doc.priority, weight),
+          why: { ...(doc.why || {}), feedbackWeight: weight }
+        };
+      })
+      .filter(doc => doc.why.feedbackWeight >= this.config.minFeedbackWeight);
+  }
+
+  // Smoothed positive/negative ratio; type and category are combined with a geometric mean
+  getFeedbackWeight(doc, feedbackProfile) {
+    const ratio = counts => {
+      if (!counts) return 1;
+      const value = (counts.positive + 1) / (counts.negative + 1);
+      return Math.min(FEEDBACK_WEIGHT_RANGE.max, Math.max(FEEDBACK_WEIGHT_RANGE.min, value));
+    };
+
+    const weight = Math.sqrt(ratio(feedbackProfile.byType[doc.type]) * ratio(feedbackProfile.byCategory[doc.category]));
+    return Math.round(weight * 100) / 100;
+  }
+
+  adjustPriority(priority, weight) {
+    const index = PRIORITY_ORDER.indexOf(priority);
+    if (weight >= 1.5) return PRIORITY_ORDER[Math.min(index + 1, PRIORITY_ORDER.length - 1)];
+    if (weight <= 0.6) return PRIORITY_ORDER[Math.max(index - 1, 0)];
+    return priority;
+  }
+
+  /**
+   * Drop docs that closely match an open recommendation, or one earlier in the batch
+   */
+  removeNearDuplicates(docs, existing) {
+    const kept = [];
+
+    docs.forEach(doc => {
+      const isDuplicate = [...existing, ...kept].some(other =>
+        other.type === doc.type && this.getTitleSimilarity(other.title, doc.title) >= this.config.duplicateSimilarity
+      );
+      if (!isDuplicate) kept.push(doc);
+    });
+
+    return kept;
+  }
+
+  // Jaccard similarity of the titles' significant words
+  getTitleSimilarity(a, b) {
+    const words = title => new Set(
+      String(title).toLowerCase().split(/[^a-z0-9+#]+/).filter(word => word.length > 2 && !TITLE_STOP_WORDS.includes(word))
+    );
+
+    const first = words(a);
+    const second = words(b);
+    if (first.size === 0 || second.size === 0) {
+      return String(a).trim().toLowerCase() === String(b).trim().toLowerCase() ? 1 : 0;
+    }
+
+    const shared = [...first].filter(word => second.has(word)).length;
+    return shared / (first.size + second.size - shared);
+  }
+
+  /**
+   * Acceptance per type and source. A recommendation counts as accepted when
+   * completed; acceptance rate is completed / (completed + dismissed).
+   */
+  async getAnalyticsSummary(userId, { since } = {}) {
+    const match = { userId: new mongoose.Types.ObjectId(String(userId)) };
+    if (since) match.createdAt = { $gte: since };
+
+    const counters = {
+      total: { $sum: 1 },
+      viewed: { $sum: { $cond: [{ $ifNull: ['$viewedAt', false] }, 1, 0] } },
+      completed: { $sum: { $cond: [{ $eq: ['$status', 'COMPLETED'] }, 1, 0] } },
+      dismissed: { $sum: { $cond: [{ $eq: ['$status', 'DISMISSED'] }, 1, 0] } },
+      expired: { $sum: { $cond: [{ $eq: ['$status', 'EXPIRED'] }, 1, 0] } },
+      averageRating: { $avg: '$feedback.rating' }
+    };
+
+    const [result] = await Recommendation.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...counters } }],
+          byType: [{ $group: { _id: '$type', ...counters } }, { $sort: { total: -1 } }],
+          bySource: [{ $group: { _id: '$source', ...counters } }, { $sort: { total: -1 } }]
+        }
+      }
+    ]);
+
+    const format = row => ({
+      total: row.total,
+      viewed: row.viewed,
+      completed: row.completed,
+      dismissed: row.dismissed,
+      expired: row.expired,
+      viewRate: this.toRate(row.viewed, row.total),
+      acceptanceRate: this.toRate(row.completed, row.completed + row.dismissed),
+      averageRating: row.averageRating ? Math.round(row.averageRating * 10) / 10 : null
+    });
+
+    return {
+      overall: result.overall[0] ? format(result.overall[0]) : format({ total: 0, viewed: 0, completed: 0, dismissed: 0, expired: 0 }),
+      byType: result.byType.map(row => ({ type: row._id, ...format(row) })),
+      bySource: result.bySource.map(row => ({ source: row._id, ...format(row) }))
+    };
+  }
+
+  // === LIFECYCLE ===
+
+  markViewed(recommendation) {
+    if (recommendation.status === 'ACTIVE') {
+      recommendation.status = 'VIEWED';
+    }
+    if (!recommendation.viewedAt) {
+      recommendation.viewedAt = new Date();
+    }
+    return recommendation.save();
+  }
+
+  dismiss(recommendation, reason) {
+    recommendation.status = 'DISMISSED';
+    recommendation.dismissReason = reason;
+    recommendation.actionTaken = 'dismissed';
+    recommendation.actionTakenAt = new Date();
+    return recommendation.save();
+  }
+
+  async complete(recommendation, actionTaken) {
+    recommendation.status = 'COMPLETED';
+    recommendation.actionTaken = actionTaken || 'completed';
+    recommendation.actionTakenAt = new Date();
+    recommendation.viewedAt = recommendation.viewedAt || recommendation.actionTakenAt;
+    await recommendation.save();
+
+    await Progress.findOneAndUpdate(
+      { userId: recommendation.userId, type: 'recommendation', referenceId: recommendation._id },
+      {
+        progress: 100,
+        status: 'completed',
+        completedAt: recommendation.actionTakenAt,
+        lastAccessedAt: new Date(),
+        metadata: new Map([
+          ['title', recommendation.title],
+          ['recommendationType', recommendation.type]
+        ])
+      },
+      { upsert: true, new: true }
+    );
+
+    return recommendation;
+  }
+
+  isOpen(recommendation) {
+    return OPEN_STATUSES.includes(recommendation.status);
+  }
+
+  /**
+   * Move open recommendations past their expiresAt to EXPIRED.
+   * Pass a userId to limit the update to a single user.
+   */
+  async expireRecommendations({ userId } = {}) {
+    const filter = { status: { $in: OPEN_STATUSES }, expiresAt: { $lte: new Date() } };
+    if (userId) filter.userId = userId;
+
+    const result = await Recommendation.updateMany(filter, { $set: { status: 'EXPIRED' } });
+    return result.modifiedCount;
+  }
+
+  // === HELPER METHODS ===
+
+  buildCareerPathRecommendation(candidate) {
+    return {
+      type: 'career_path',
+      title: candidate.careerPath.title,
+      description: candidate.explanation,
+      priority: candidate.rank === 1 ? 'high' : 'medium',
+      confidence: candidate.score,
+      promptVersion: candidate.promptVersion,
+      metadata: {
+        careerPathId: candidate.careerPath.id,
+        careerCategory: candidate.careerPath.category,
+        ...(candidate.market ? { market: candidate.market } : {})
+      },
+      why: this.buildWhy(candidate)
+    };
+  }
+
+  buildSkillGapRecommendations(candidate) {
+    return candidate.missingSkills.slice(0, this.config.skillGapCount).map(skill => {
+      const isCore = candidate.coreMissingSkills.includes(skill);
+
+      return {
+        type: 'skill',
+        title: `Learn ${skill}`,
+        description: `${skill} is ${isCore ? 'a core' : 'an expected'} skill for a ${candidate.careerPath.title} and isn't in your profile yet.`,
+        priority: isCore ? 'high' : 'medium',
+        confidence: candidate.score,
+        metadata: { careerPathId: candidate.careerPath.id },
+        why: this.buildWhy(candidate, `Closes a skill gap for ${candidate.careerPath.title}, your best-matching career path.`)
+      };
+    });
+  }
+
+  // AI-generated items are tied to the best career path; their own required skills are split into matched/missing
+  buildSupportingWhy(rec, candidate, skills) {
+    const why = this.buildWhy(candidate, `Supports your path towards ${candidate.careerPath.title}.`);
+    const required = rec.metadata && Array.isArray(rec.metadata.requiredSkills) ? rec.metadata.requiredSkills : null;
+
+    if (required && required.length > 0) {
+      const owned = new Set(skills.map(skill => careerScoringService.normalizeSkill(skill)));
+      why.matchedSkills = required.filter(skill => owned.has(careerScoringService.normalizeSkill(skill)));
+      why.missingSkills = required.filter(skill => !owned.has(careerScoringService.normalizeSkill(skill)));
+    }
+
+    return why;
+  }
+
+  buildWhy(candidate, explanation = candidate.explanation) {
+    return {
+      careerPathId: candidate.careerPath.id,
+      careerPath: candidate.careerPath.title,
+      matchedSkills: candidate.matchedSkills,
+      missingSkills: candidate.missingSkills,
+      skillMatch: candidate.skillMatch,
+      demandScore: candidate.demandScore,
+      score: candidate.score,
+      rank: candidate.rank,
+      explanation
+    };
+  }
+
+  toRecommendationDoc(rec, userId, { source, expiresAt, metadata = {} }) {
+    return {
+      userId,
+      type: RECOMMENDATION_TYPE_MAP[String(rec.type).toLowerCase()] || 'LEARNING',
+      title: rec.title,
+      description: rec.description || rec.title,
+      category: String(rec.type || 'general').toLowerCase(),
+      priority: this.normalizePriority(rec.priority),
+      confidence: rec.confidence,
+      source,
+      promptVersion: rec.promptVersion,
+      why: rec.why,
+      expiresAt,
+      metadata: new Map([
+        ...Object.entries(rec.metadata || {}),
+        ...Object.entries(metadata)
+      ])
+    };
+  }
+
+  toRate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+  }
+
+  normalizePriority(priority) {
+    const normalized = String(priority || '').toUpperCase();
+    return PRIORITY_ORDER.includes(normalized) ? normalized : 'MEDIUM';
+  }
+
+  summarizeInterview(session) {
+    return {
+      id: session._id,
+      totalScore: session.results?.totalScore,
+      categoryScores: Object.fromEntries(session.results?.categoryScores || new Map()),
+      analysis: session.results?.analysis,
+      tags: this.getInterviewTags(session)
+    };
+  }
+
+  // Tags the AI extracted from each interview step's answers
+  getInterviewTags(session) {
+    const tags = new Set();
+    for (let step = 1; step <= (session.totalSteps || 5); step++) {
+      const analysis = session.responses?.get(`analysis_${step}`);
+      (analysis?.extractedTags || []).forEach(tag => {
+        if (typeof tag === 'string' && tag.trim()) tags.add(tag.trim());
+      });
+    }
+    return Array.from(tags);
+  }
+}
+
+module.exports = new RecommendationService();
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const { Review, MentorProfile, MentorSession, Course, Progress, Notification } = require('../models');
+
+class ReviewService {
+  constructor() {
+    this.config = {
+      autoHideFlagCount: parseInt(process.env.REVIEW_AUTO_HIDE_FLAGS) || 3 // distinct flags that hide a review until an admin looks at it
+    };
+  }
+
+  // === TARGETS ===
+
+  // Where a target's averageRating and totalReviews live
+  getTargetQuery(targetType, targetId) {
+    return targetType === 'MENTOR'
+      ? { model: MentorProfile, filter: { userId: targetId } }
+      : { model: Course, filter: { _id: targetId } };
+  }
+
+  /**
+   * The reviewed mentor profile or course, with the user who may respond to
+   * its reviews. Resolves to { target, ownerId } or null.
+   */
+  async findTarget(targetType, targetId) {
+    const { model, filter } = this.getTargetQuery(targetType, targetId);
+    const target = await model.findOne(filter).lean();
+    if (!target) return null;
+
+    return { target, ownerId: targetType === 'MENTOR' ? target.userId : target.createdById };
+  }
+
+  // Students review mentors they've had a completed session with, and courses they've completed
+  async canReview(userId, targetType, targetId) {
+    if (targetType === 'MENTOR') {
+      return !!(await MentorSession.exists({ studentId: userId, mentorId: targetId, status: 'COMPLETED' }));
+    }
+    return !!(await Progress.exists({ userId, type: 'course', referenceId: targetId, status: 'completed' }));
+  }
+
+  // === REVIEWS ===
+
+  /**
+   * Create the user's review of a target. A second review of the same target
+   * fails with a duplicate key error (code 11000).
+   */
+  async create(reviewerId, targetType, targetId, { rating, title, comment }, ownerId) {
+    const review = await Review.create({ targetType, targetId, reviewerId, rating, title, comment });
+    await this.adjustAggregate(targetType, targetId, 1, rating);
+
+    await Notification.create({
+      userId: ownerId,
+      type: targetType === 'MENTOR' ? 'MENTORSHIP' : 'COURSE',
+      title: 'New review',
+      message: `You received a ${rating}-star review${title ? `: "${title}"` : ''}`,
+      channels: ['IN_APP']
+    });
+
+    return review;
+  }
+
+  /**
+   * Edit the reviewer's own review. The rating change is applied to the
+   * target's aggregate only while the review is visible.
+   */
+  async update(reviewId, reviewerId, fields) {
+    const previous = await Review.findOneAndUpdate(
+      { _id: reviewId, reviewerId },
+      { $set: { ...fields, editedAt: new Date() } },
+      { new: false }
+    );
+    if (!previous) return null;
+
+    if (previous.status === 'VISIBLE' && fields.rating !== undefined && fields.rating !== previous.rating) {
+      await this.adjustAggregate(previous.targetType, previous.targetId, 0, fields.rating - previous.rating);
+    }
+    return Review.findById(reviewId);
+  }
+
+  async respond(review, responderId, text) {
+    const isEdit = !!(review.response && review.response.text);
+    review.response = { text, respondedById: responderId, respondedAt: new Date() };
+    await review.save();
+
+    if (!isEdit) {
+      await Notification.create({
+        userId: review.reviewerId,
+        type: review.targetType === 'MENTOR' ? 'MENTORSHIP' : 'COURSE',
+        title: 'Response to your review',
+        message: `Your review got a response: "${text.substring(0, 100)}"`,
+        channels: ['IN_APP']
+      });
+    }
+    return review;
+  }
+
+  // === MODERATION ===
+
+  /**
+   * Flag a review, once per user. Reviews reaching autoHideFlagCount flags
+   * are hidden until an admin restores them. Resolves to the review, or
+   * null when the user already flagged it.
+   */
+  async flag(reviewId, userId, { reason, note }) {
+    const review = await Review.findOneAndUpdate(
+      { _id: reviewId, 'flags.userId': { $ne: userId } },
+      { $push: { flags: { userId, reason, note } }, $inc: { flagCount: 1 } },
+      { new: true }
+    );
+    if (!review) return null;
+
+    if (review.status === 'VISIBLE' && review.flagCount >= this.config.autoHideFlagCount) {
+      await this.hide(review._id, { reason: `Hidden automatically after ${review.flagCount} flags` });
+      return Review.findById(review._id);
+    }
+    return review;
+  }
+
+  // Hide a visible review and take it out of the target's rating. Resolves to whether it was visible.
+  async hide(reviewId, { moderatedById = null, reason } = {}) {
+    const previous = await Review.findOneAndUpdate(
+      { _id: reviewId, status: 'VISIBLE' },
+      { $set: { status: 'HIDDEN', moderatedById, moderatedAt: new Date(), moderationReason: reason } },
+      { new: false }
+    );
+    if (!previous) return false;
+
+    await this.adjustAggregate(previous.targetType, previous.targetId, -1, -previous.rating);
+    return true;
+  }
+
+  // Show a hidden review again and clear its flags. Resolves to whether it was hidden.
+  async restore(reviewId, { moderatedById, reason } = {}) {
+    const previous = await Review.findOneAndUpdate(
+      { _id: reviewId, status: 'HIDDEN' },
+      { $set: { status: 'VISIBLE', flags: [], flagCount: 0, moderatedById, moderatedAt: new Date(), moderationReason: reason } },
+      { new: false }
+    );
+    if (!previous) return false;
+
+    await this.adjustAggregate(previous.targetType, previous.targetId, 1, previous.rating);
+    return true;
+  }
+
+  // === AGGREGATES ===
+
+  /**
+   * Apply a change to a target's totalReviews and averageRating in a single
+   * update, so concurrent reviews can't overwrite each other's counts.
+   * ratingDelta is the change in the sum of visible ratings.
+   */
+  async adjustAggregate(targetType, targetId, countDelta, ratingDelta) {
+    const { model, filter } = this.getTargetQuery(targetType, targetId);
+    const total = { $max: [{ $add: [{ $ifNull: ['$totalReviews', 0] }, countDelta] }, 0] };
+    const ratingSum = { $add: [{ $multiply: [{ $ifNull: ['$averageRating', 0] }, { $ifNull: ['$totalReviews', 0] }] }, ratingDelta] };
+
+    await model.updateOne(filter, [{
+      $set: {
+        averageRating: {
+          $cond: [{ $gt: [total, 0] }, { $min: [{ $max: [{ $divide: [ratingSum, total] }, 0] }, 5] }, 0]
+        },
+        totalReviews: total
+      }
+    }]);
+  }
+
+  // Visible review count per star rating
+  async getRatingDistribution(targetType, targetId) {
+    const rows = await Review.aggregate([
+      { $match: { targetType, targetId: new mongoose.Types.ObjectId(String(targetId)), status: 'VISIBLE' } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    rows.forEach(row => { distribution[row._id] = row.count; });
+    return distribution;
+  }
+
+  // Averages are stored unrounded so later adjustments stay exact
+  roundRating(rating) {
+    return Math.round((rating || 0) * 10) / 10;
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,156 @@
+const { Roadmap, Progress } = require('../models');
+
+class RoadmapService {
+  /**
+   * Save a generated roadmap as the user's newest version.
+   * Earlier versions are kept; milestones already completed in the current
+   * version stay completed when the same skill/milestone appears again.
+   */
+  async saveRoadmapVersion(userId, roadmapData, { conversationId, analysis, source = 'ai', promptVersion } = {}) {
+    const previous = await Roadmap.findOne({ userId, isCurrent: true });
+    const completedKeys = previous ? this.getCompletedMilestoneKeys(previous) : new Map();
+
+    const latest = await Roadmap.findOne({ userId }).sort({ version: -1 }).select('version').lean();
+
+    const roadmap = new Roadmap({
+      userId,
+      conversationId,
+      version: latest ? latest.version + 1 : 1,
+      isCurrent: true,
+      title: roadmapData.roadmapTitle || 'Career Development Roadmap',
+      summary: roadmapData.userSummary,
+      phases: this.normalizePhases(roadmapData.phases, completedKeys),
+      careerPaths: Array.isArray(roadmapData.careerPaths) ? roadmapData.careerPaths : [],
+      resources: roadmapData.resources || {},
+      nextSteps: Array.isArray(roadmapData.nextSteps) ? roadmapData.nextSteps : [],
+      analysis,
+      source,
+      promptVersion
+    });
+
+    await roadmap.save();
+
+    await Roadmap.updateMany(
+      { userId, _id: { $ne: roadmap._id }, isCurrent: true },
+      { $set: { isCurrent: false } }
+    );
+
+    await this.syncProgress(roadmap);
+    return roadmap;
+  }
+
+  /**
+   * Mark a milestone done (or not done) and update the roadmap's Progress record
+   */
+  async setMilestoneStatus(roadmap, milestoneId, completed) {
+    const milestone = this.findMilestone(roadmap, milestoneId);
+    if (!milestone) {
+      return null;
+    }
+
+    milestone.completed = completed;
+    milestone.completedAt = completed ? new Date() : undefined;
+
+    await roadmap.save();
+    await this.syncProgress(roadmap);
+
+    return milestone;
+  }
+
+  /**
+   * Mirror milestone completion into the Progress model (type 'roadmap')
+   */
+  async syncProgress(roadmap) {
+    const percentage = this.getCompletionPercentage(roadmap);
+    const isComplete = roadmap.totalMilestones > 0 && percentage === 100;
+
+    let status = 'not_started';
+    if (isComplete) {
+      status = 'completed';
+    } else if (roadmap.completedMilestones > 0) {
+      status = 'in_progress';
+    }
+
+    return Progress.findOneAndUpdate(
+      { userId: roadmap.userId, type: 'roadmap', referenceId: roadmap._id },
+      {
+        progress: percentage,
+        status,
+        completedAt: isComplete ? new Date() : null,
+        lastAccessedAt: new Date(),
+        metadata: new Map([
+          ['title', roadmap.title],
+          ['version', roadmap.version],
+          ['completedMilestones', roadmap.completedMilestones],
+          ['totalMilestones', roadmap.totalMilestones]
+        ])
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  // === HELPER METHODS ===
+
+  normalizePhases(phases, completedKeys) {
+    if (!Array.isArray(phases)) return [];
+
+    return phases.map(phase => ({
+      phase: phase.phase,
+      description: phase.description,
+      skills: (Array.isArray(phase.skills) ? phase.skills : [])
+        .filter(skill => skill && skill.name)
+        .map(skill => ({
+          name: skill.name,
+          priority: skill.priority,
+          timeToLearn: skill.timeToLearn,
+          resources: Array.isArray(skill.resources) ? skill.resources : [],
+          projects: Array.isArray(skill.projects) ? skill.projects : [],
+          milestones: (Array.isArray(skill.milestones) ? skill.milestones : [])
+            .map(milestone => (typeof milestone === 'string' ? milestone : milestone && milestone.title))
+            .filter(Boolean)
+            .map(title => {
+              const completedAt = completedKeys.get(this.milestoneKey(skill.name, title));
+              return {
+                title,
+                completed: !!completedAt,
+                completedAt
+              };
+            })
+        }))
+    }));
+  }
+
+  getCompletedMilestoneKeys(roadmap) {
+    const keys = new Map();
+    roadmap.phases.forEach(phase => {
+      phase.skills.forEach(skill => {
+        skill.milestones
+          .filter(milestone => milestone.completed)
+          .forEach(milestone => keys.set(this.milestoneKey(skill.name, milestone.title), milestone.completedAt));
+      });
+    });
+    return keys;
+  }
+
+  milestoneKey(skillName, title) {
+    return `${String(skillName).trim().toLowerCase()}::${String(title).trim().toLowerCase()}`;
+  }
+
+  findMilestone(roadmap, milestoneId) {
+    for (const phase of roadmap.phases) {
+      for (const skill of phase.skills) {
+        const milestone = skill.milestones.id(milestoneId);
+        if (milestone) return milestone;
+      }
+    }
+    return null;
+  }
+
+  getCompletionPercentage(roadmap) {
+    return roadmap.totalMilestones > 0
+      ? Math.round((roadmap.completedMilestones / roadmap.totalMilestones) * 100)
+      : 0;
+  }
+}
+
+module.exports = new RoadmapService();
@@ -0,0 +1,190 @@
+const { UserProfile, Skill } = require('../models');
+const externalApiService = require('./externalApiService');
+const careerScoringService = require('./careerScoringService');
+const skillTaxonomyService = require('./skillTaxonomyService');
+const userSkillService = require('./userSkillService');
+const CAREER_PATHS = require('../config/careerPaths');
+
+class SkillGapService {
+  constructor() {
+    this.config = {
+      hoursPerWeek: parseFloat(process.env.SKILL_GAP_HOURS_PER_WEEK || '10'),
+      coreSkillHours: 80, // learning time for a skill most target jobs ask for
+      supportingSkillHours: 40,
+      coreImportance: 0.6,
+      metConfidence: 0.5, // held skills below this (or at BEGINNER) are still gaps
+      jobSample: 50,
+      courseSkills: 5
+    };
+  }
+
+  /**
+   * Compare the user's skills with what a target role needs.
+   *
+   * Required skills come from job postings matching the role (share of
+   * postings asking for each skill), topped up with the matching career
+   * path's skills when the role maps to one. Gaps are ranked by importance
+   * times how far the user is from the skill, with suggested courses and a
+   * time-to-ready estimate at hoursPerWeek.
+   * options: role (free text) or careerPathId, falling back to the profile's
+   * careerGoals; hoursPerWeek; includeCourses (false skips the course lookup).
+   * Resolves to null when there is no target.
+   */
+  async analyze(userId, { role = null, careerPathId = null, hoursPerWeek = this.config.hoursPerWeek, includeCourses = true } = {}) {
+    const careerPath = careerPathId
+      ? CAREER_PATHS.find(path => path.id === careerPathId)
+      : null;
+
+    let targetRole = careerPath ? careerPath.title : role;
+    if (!targetRole) {
+      const profile = await UserProfile.findOne({ userId }).select('careerGoals').lean();
+      targetRole = profile?.careerGoals ? profile.careerGoals.substring(0, 100) : null;
+    }
+    if (!targetRole) {
+      return null;
+    }
+
+    const matchedPath = careerPath || careerScoringService.findCareerPath(targetRole);
+    const marketQuery = matchedPath ? matchedPath.marketQuery : targetRole;
+
+    const [jobs, userSkills] = await Promise.all([
+      externalApiService.searchJobs(marketQuery, { limit: this.config.jobSample }),
+      userSkillService.getUserSkills(userId, { minConfidence: 0 })
+    ]);
+
+    const required = this.getRequiredSkills(jobs, matchedPath);
+    const { gaps, strengths } = await this.diff(required, userSkills);
+
+    const courseLevel = gaps.filter(gap => gap.status === 'missing').length > gaps.length / 2 ? 'beginner' : 'intermediate';
+    const courses = includeCourses && gaps.length > 0
+      ? await externalApiService.getCourseRecommendations(gaps.slice(0, this.config.courseSkills).map(gap => gap.skill), courseLevel)
+      : [];
+
+    gaps.forEach(gap => {
+      const match = courses.find(entry => entry.skill === gap.skill);
+      gap.courses = match ? match.courses : [];
+    });
+
+    const totalHours = Math.round(gaps.reduce((sum, gap) => sum + gap.estimatedHours, 0));
+
+    return {
+      targetRole,
+      careerPath: matchedPath ? { id: matchedPath.id, title: matchedPath.title, category: matchedPath.category } : null,
+      jobsAnalyzed: jobs.length,
+      requiredSkills: required.length,
+      readiness: this.getReadiness(required, gaps),
+      gaps,
+      strengths: strengths.map(({ skill, level, confidence, via }) => ({ skill, level, confidence, via })),
+      timeToReady: {
+        totalHours,
+        hoursPerWeek,
+        weeks: Math.ceil(totalHours / hoursPerWeek)
+      }
+    };
+  }
+
+  // === HELPER METHODS ===
+
+  /**
+   * Required skills with an importance from 0 to 1: the share of job postings
+   * asking for the skill, or the career path weight when that is higher
+   */
+  getRequiredSkills(jobs, careerPath) {
+    const required = new Map();
+
+    externalApiService.extractRequiredSkills(jobs).forEach(({ skill, frequency }) => {
+      const key = skillTaxonomyService.normalize(skill);
+      required.set(key, {
+        skill: skillTaxonomyService.canonicalName(skill),
+        normalized: key,
+        importance: this.round(Math.min(1, frequency / Math.max(jobs.length, 1))),
+        sources: ['job_market'],
+        jobFrequency: frequency
+      });
+    });
+
+    (careerPath ? careerPath.requiredSkills : []).forEach(({ name, weight }) => {
+      const key = skillTaxonomyService.normalize(name);
+      const existing = required.get(key);
+      const importance = this.round(weight / 3);
+
+      if (existing) {
+        existing.importance = Math.max(existing.importance, importance);
+        existing.sources.push('career_path');
+      } else {
+        required.set(key, { skill: name, normalized: key, importance, sources: ['career_path'], jobFrequency: 0 });
+      }
+    });
+
+    return [...required.values()].sort((a, b) => b.importance - a.importance);
+  }
+
+  /**
+   * Split required skills into gaps and strengths. A user skill filed under a
+   * required skill in the taxonomy (e.g. AWS under Cloud Computing) counts
+   * towards it.
+   */
+  async diff(required, userSkills) {
+    const held = new Map(userSkills.map(userSkill => [skillTaxonomyService.normalize(userSkill.skillId.normalized), userSkill]));
+
+    const requiredDocs = await Skill.find({ normalized: { $in: required.map(skill => skill.normalized) } })
+      .select('normalized')
+      .lean();
+    const keyById = new Map(requiredDocs.map(skill => [String(skill._id), skill.normalized]));
+
+    const children = new Map();
+    userSkills.forEach(userSkill => {
+      const parentKey = userSkill.skillId.parent && keyById.get(String(userSkill.skillId.parent));
+      if (parentKey) children.set(parentKey, [...(children.get(parentKey) || []), userSkill]);
+    });
+
+    const gaps = [];
+    const strengths = [];
+
+    required.forEach(skill => {
+      const candidates = [held.get(skill.normalized), ...(children.get(skill.normalized) || [])].filter(Boolean);
+      const best = candidates.sort((a, b) => b.confidence - a.confidence)[0];
+
+      const entry = {
+        ...skill,
+        level: best ? best.level : null,
+        confidence: best ? best.confidence : 0,
+        via: best && best !== held.get(skill.normalized) ? best.skillId.name : null
+      };
+
+      if (best && best.confidence >= this.config.metConfidence && best.level !== 'BEGINNER') {
+        strengths.push(entry);
+        return;
+      }
+
+      const status = best && best.confidence >= userSkillService.config.minConfidence ? 'weak' : 'missing';
+      const strength = status === 'weak' ? Math.min(1, best.confidence / this.config.metConfidence) / 2 : 0;
+      const baseHours = skill.importance >= this.config.coreImportance ? this.config.coreSkillHours : this.config.supportingSkillHours;
+
+      gaps.push({
+        ...entry,
+        status,
+        priority: this.round(skill.importance * (1 - strength)),
+        estimatedHours: Math.round(baseHours * (1 - strength))
+      });
+    });
+
+    // Ties go to skills both the job market and the career path ask for
+    gaps.sort((a, b) => b.priority - a.priority || b.sources.length - a.sources.length);
+    return { gaps, strengths };
+  }
+
+  // Importance-weighted share of the required skills the user already covers
+  getReadiness(required, gaps) {
+    const total = required.reduce((sum, skill) => sum + skill.importance, 0);
+    if (total === 0) return 1;
+
+    return this.round(1 - gaps.reduce((sum, gap) => sum + gap.priority, 0) / total);
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new SkillGapService();
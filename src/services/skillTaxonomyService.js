@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const { Skill, UserProfile } = require('../models');
+const userSkillService = require('./userSkillService');
+const SKILL_TAXONOMY = require('../config/skillTaxonomy');
+
+class SkillTaxonomyService {
+  constructor() {
+    // Stored aliases are reloaded after cacheTtlMs so admin edits on other instances show up
+    this.cacheTtlMs = parseInt(process.env.SKILL_TAXONOMY_CACHE_MS || '300000');
+    this.builtIn = this.buildBuiltInIndex();
+    this.index = new Map(this.builtIn);
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Canonical normalized key for a free-text skill name. Aliases resolve to
+   * the skill they belong to; unknown skills keep their own key.
+   * Uses the aliases loaded so far - call load() first when stored aliases matter.
+   */
+  normalize(name) {
+    return this.resolve(name).normalized;
+  }
+
+  canonicalName(name) {
+    return this.resolve(name).name;
+  }
+
+  /**
+   * Resolve a free-text skill name to { name, normalized, known }, where
+   * known is false for skills that are not in the taxonomy yet.
+   */
+  resolve(name) {
+    const key = this.toKey(name);
+    const entry = this.index.get(key);
+
+    if (entry) {
+      return { name: entry.name, normalized: entry.normalized, known: true };
+    }
+    return { name: String(name).trim(), normalized: key, known: false };
+  }
+
+  /**
+   * Canonical names for a list of free-text skills, deduplicated, in input order.
+   * Every skill ingestion path (profile edits, resumes, interviews, job postings)
+   * goes through this or upsertSkills.
+   */
+  async canonicalizeNames(names = []) {
+    await this.load();
+    return this.resolveUnique(names).map(entry => entry.name);
+  }
+
+  /**
+   * Find or create the Skill documents for a list of free-text skills,
+   * linking new skills to their built-in parent. Resolves to one document
+   * per distinct canonical skill.
+   */
+  async upsertSkills(names = []) {
+    await this.load();
+
+    const created = new Map();
+    const skills = [];
+    for (const entry of this.resolveUnique(names)) {
+      skills.push(await this.ensureSkill(entry, created));
+    }
+
+    return skills;
+  }
+
+  // Reload stored aliases when the cache is stale
+  async load(force = false) {
+    if (!force && Date.now() - this.loadedAt < this.cacheTtlMs) {
+      return;
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    try {
+      const skills = await Skill.find().select('name normalized aliases').lean();
+      const index = new Map();
+
+      // Stored skills first, then the built-in taxonomy, then stored aliases:
+      // admin-added aliases and merges win over built-in spellings
+      skills.forEach(skill => index.set(skill.normalized, { name: skill.name, normalized: skill.normalized }));
+      this.builtIn.forEach((entry, key) => index.set(key, entry));
+      skills.forEach(skill => (skill.aliases || []).forEach(alias => {
+        index.set(alias, { name: skill.name, normalized: skill.normalized });
+      }));
+
+      this.index = index;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      // Keep resolving with what is already loaded rather than failing ingestion
+      console.error('Skill taxonomy load error:', error.message);
+    }
+  }
+
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  // === HIERARCHY ===
+
+  getBuiltInParent(normalized) {
+    const entry = this.builtIn.get(normalized);
+    const parent = entry && SKILL_TAXONOMY[entry.name].parent;
+    return parent ? this.resolve(parent) : null;
+  }
+
+  // Ids of skillId's parent, grandparent and so on
+  async getAncestorIds(skillId) {
+    const ancestors = [];
+    let current = await Skill.findById(skillId).select('parent').lean();
+
+    while (current && current.parent && !ancestors.some(id => id.equals(current.parent))) {
+      ancestors.push(current.parent);
+      current = await Skill.findById(current.parent).select('parent').lean();
+    }
+
+    return ancestors;
+  }
+
+  async wouldCreateCycle(skillId, parentId) {
+    if (String(skillId) === String(parentId)) return true;
+
+    const ancestors = await this.getAncestorIds(parentId);
+    return ancestors.some(id => String(id) === String(skillId));
+  }
+
+  // === ADMIN ===
+
+  /**
+   * Stored skills that already own one of the given alias keys, either as
+   * their normalized name or as an alias. Those have to be merged instead.
+   */
+  async findAliasConflicts(aliasKeys, skillId) {
+    const conflicts = await Skill.find({
+      _id: { $ne: skillId },
+      $or: [{ normalized: { $in: aliasKeys } }, { aliases: { $in: aliasKeys } }]
+    })
+      .select('name normalized aliases')
+      .lean();
+
+    return aliasKeys
+      .map(alias => {
+        const owner = conflicts.find(skill => skill.normalized === alias || (skill.aliases || []).includes(alias));
+        return owner ? { alias, skillId: owner._id, name: owner.name } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Groups of stored skills that resolve to the same canonical skill, with
+   * the suggested merge target first
+   */
+  async findDuplicates() {
+    await this.load(true);
+
+    const skills = await Skill.find().select('name normalized aliases parent').lean();
+    const groups = new Map();
+
+    skills.forEach(skill => {
+      const canonical = this.normalize(skill.normalized);
+      groups.set(canonical, [...(groups.get(canonical) || []), skill]);
+    });
+
+    return [...groups.entries()]
+      .filter(([, group]) => group.length > 1)
+      .map(([canonical, group]) => ({
+        normalized: canonical,
+        skills: group.sort((a, b) => (b.normalized === canonical) - (a.normalized === canonical))
+      }));
+  }
+
+  /**
+   * Merge duplicate skills into target: users, profiles, child skills and
+   * prerequisites are moved over, and the duplicates' names become aliases
+   * of target so later ingestion resolves to it.
+   */
+  async mergeSkills(targetId, sourceIds) {
+    const target = await Skill.findById(targetId);
+    const sources = await Skill.find({ _id: { $in: sourceIds, $ne: targetId } });
+
+    const summary = { userSkillsMoved: 0, userSkillsMerged: 0, profilesUpdated: 0 };
+
+    for (const source of sources) {
+      const userSkills = await userSkillService.mergeUserSkills(source._id, target._id);
+      summary.userSkillsMoved += userSkills.moved;
+      summary.userSkillsMerged += userSkills.merged;
+
+      if (source.name !== target.name) {
+        const profiles = await UserProfile.updateMany({ skills: source.name }, { $addToSet: { skills: target.name } });
+        await UserProfile.updateMany({ skills: source.name }, { $pull: { skills: source.name } });
+        summary.profilesUpdated += profiles.modifiedCount || 0;
+      }
+
+      await Skill.updateMany({ parent: source._id, _id: { $ne: target._id } }, { $set: { parent: target._id } });
+      await Skill.updateMany({ prerequisites: source._id }, { $addToSet: { prerequisites: target._id } });
+      await Skill.updateMany({ prerequisites: source._id }, { $pull: { prerequisites: source._id } });
+
+      if (target.parent && target.parent.equals(source._id)) {
+        target.parent = source.parent && !source.parent.equals(target._id) ? source.parent : null;
+      }
+
+      target.aliases = this.unique([...(target.aliases || []), source.normalized, ...(source.aliases || [])])
+        .filter(alias => alias !== target.normalized);
+      target.tags = this.unique([...(target.tags || []), ...(source.tags || [])]);
+      target.prerequisites = this.unique([...(target.prerequisites || []), ...(source.prerequisites || [])].map(String))
+        .filter(id => id !== String(target._id) && !sources.some(s => String(s._id) === id));
+
+      await Skill.deleteOne({ _id: source._id });
+    }
+
+    await target.save();
+
+    this.invalidate();
+
+    return {
+      target,
+      merged: sources.map(source => ({ id: source._id, name: source.name })),
+      ...summary
+    };
+  }
+
+  // === HELPER METHODS ===
+
+  /**
+   * Key used for alias lookups: the Skill collection's normalization, with
+   * parenthesised qualifiers dropped ("JavaScript (ES6)" -> "javascript")
+   */
+  toKey(name) {
+    const text = String(name).trim();
+    const unqualified = text.replace(/\([^)]*\)/g, ' ').trim() || text;
+
+    return unqualified.toLowerCase()
+      .replace(/[^a-z0-9+.#]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  buildBuiltInIndex() {
+    const index = new Map();
+
+    Object.entries(SKILL_TAXONOMY).forEach(([name, { aliases = [] }]) => {
+      const entry = { name, normalized: this.toKey(name) };
+      index.set(entry.normalized, entry);
+      aliases.forEach(alias => index.set(this.toKey(alias), entry));
+    });
+
+    return index;
+  }
+
+  resolveUnique(names) {
+    const seen = new Map();
+
+    (Array.isArray(names) ? names : [])
+      .filter(name => typeof name === 'string' && name.trim() && this.toKey(name))
+      .forEach(name => {
+        const entry = this.resolve(name);
+        if (!seen.has(entry.normalized)) seen.set(entry.normalized, entry);
+      });
+
+    return [...seen.values()];
+  }
+
+  async ensureSkill(entry, created) {
+    if (created.has(entry.normalized)) {
+      return created.get(entry.normalized);
+    }
+
+    const parentEntry = this.getBuiltInParent(entry.normalized);
+    const parent = parentEntry ? await this.ensureSkill(parentEntry, created) : null;
+
+    let skill = await Skill.findOneAndUpdate(
+      { normalized: entry.normalized },
+      { $setOnInsert: { name: entry.name, normalized: entry.normalized, tags: [], parent: parent ? parent._id : null } },
+      { upsert: true, new: true }
+    );
+
+    // Skills created before the taxonomy existed have no parent yet
+    if (parent && !skill.parent) {
+      skill = await Skill.findByIdAndUpdate(skill._id, { $set: { parent: parent._id } }, { new: true });
+    }
+
+    if (!this.index.has(skill.normalized)) {
+      this.index.set(skill.normalized, { name: skill.name, normalized: skill.normalized });
+    }
+
+    created.set(entry.normalized, skill);
+    return skill;
+  }
+
+  unique(values) {
+    return [...new Set(values.filter(Boolean))];
+  }
+}
+
+module.exports = new SkillTaxonomyService();
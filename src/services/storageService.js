@@ -0,0 +1,66 @@
+const { Storage } = require('@google-cloud/storage');
+
+class StorageService {
+  constructor() {
+    this.config = {
+      bucketName: process.env.GCS_BUCKET_NAME,
+      signedUrlMinutes: parseInt(process.env.GCS_SIGNED_URL_MINUTES) || 15
+    };
+    this.client = null;
+
+    if (!this.config.bucketName) {
+      console.warn('GCS_BUCKET_NAME not set. File uploads will fail.');
+    }
+  }
+
+  isConfigured() {
+    return !!this.config.bucketName;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Storage();
+    }
+    return this.client;
+  }
+
+  /**
+   * Save a buffer to the bucket under objectName. Resolves to its gs:// URI,
+   * which is what FileUpload.path stores.
+   */
+  async saveFile(objectName, buffer, { contentType, metadata = {} } = {}) {
+    const file = this.getClient().bucket(this.config.bucketName).file(objectName);
+    await file.save(buffer, {
+      contentType,
+      resumable: false,
+      metadata: { contentType, metadata }
+    });
+    return `gs://${this.config.bucketName}/${objectName}`;
+  }
+
+  // Short-lived read URL for a private gs:// object
+  async getSignedUrl(gcsUri) {
+    const { bucket, objectName } = this.parseUri(gcsUri);
+    const [url] = await this.getClient().bucket(bucket).file(objectName).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: Date.now() + this.config.signedUrlMinutes * 60000
+    });
+    return url;
+  }
+
+  async deleteFile(gcsUri) {
+    const { bucket, objectName } = this.parseUri(gcsUri);
+    await this.getClient().bucket(bucket).file(objectName).delete({ ignoreNotFound: true });
+  }
+
+  parseUri(gcsUri) {
+    const match = /^gs:\/\/([^/]+)\/(.+)$/.exec(gcsUri);
+    if (!match) {
+      throw new Error(`Not a gs:// URI: ${gcsUri}`);
+    }
+    return { bucket: match[1], objectName: match[2] };
+  }
+}
+
+module.exports = new StorageService();
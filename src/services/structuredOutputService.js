@@ -0,0 +1,247 @@
+const Joi = require('joi');
+
+const stringList = Joi.array().items(Joi.string().allow(''));
+
+// Expected shape of each AI operation's JSON output
+const SCHEMAS = {
+  interviewQuestions: Joi.array().items(Joi.string().trim().min(5)).min(2),
+
+  interviewAnalysis: Joi.object({
+    extractedTags: stringList.default([]),
+    insights: Joi.array().items(Joi.object({
+      category: Joi.string().default('general'),
+      insight: Joi.string().required(),
+      confidence: Joi.number().min(0).max(1).default(0.7)
+    }).unknown(true)).default([]),
+    summary: Joi.string().allow('').default(''),
+    careerDirection: Joi.alternatives().try(Joi.string().allow(''), stringList),
+    score: Joi.number().min(0).max(100)
+  }).unknown(true),
+
+  recommendations: Joi.array().items(Joi.object({
+    type: Joi.string().required(),
+    title: Joi.string().required(),
+    description: Joi.string().required(),
+    priority: Joi.string().default('medium'),
+    metadata: Joi.object().unknown(true).default({})
+  }).unknown(true)).min(1),
+
+  careerPathRanking: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    explanation: Joi.string().allow('').default('')
+  }).unknown(true)).min(1),
+
+  resumeData: Joi.object({
+    personalInfo: Joi.object({
+      name: Joi.string().allow(null, ''),
+      email: Joi.string().allow(null, ''),
+      phone: Joi.string().allow(null, '')
+    }).unknown(true).default({ name: null, email: null, phone: null }),
+    skills: stringList.default([]),
+    experience: Joi.array().items(Joi.object().unknown(true)).default([]),
+    education: Joi.array().items(Joi.object().unknown(true)).default([]),
+    certifications: stringList.default([]),
+    languages: stringList.default([]),
+    summary: Joi.string().allow(null, ''),
+    careerLevel: Joi.string().allow(null, ''),
+    industryFocus: stringList.default([]),
+    extractionConfidence: Joi.number().min(0).max(1).default(0.5)
+  }).unknown(true),
+
+  mockInterviewQuestions: Joi.array().items(Joi.alternatives().try(
+    Joi.string().trim().min(5),
+    Joi.object({
+      question: Joi.string().trim().min(5).required(),
+      category: Joi.string().default('general')
+    }).unknown(true)
+  )).min(1),
+
+  answerScore: Joi.object({
+    score: Joi.number().min(0).max(100).required(),
+    feedback: Joi.string().allow('').default(''),
+    strengths: stringList.default([]),
+    improvements: stringList.default([])
+  }).unknown(true),
+
+  conversationAnalysis: Joi.object({
+    userGoals: stringList.default([]),
+    currentSkills: stringList.default([]),
+    interests: stringList.default([]),
+    experience: Joi.string().allow(''),
+    challenges: stringList.default([]),
+    recommendations: Joi.object().unknown(true)
+  }).unknown(true),
+
+  skillRoadmap: Joi.object({
+    roadmapTitle: Joi.string().required(),
+    userSummary: Joi.string().allow(''),
+    phases: Joi.array().items(Joi.object({
+      phase: Joi.string().required(),
+      description: Joi.string().allow(''),
+      skills: Joi.array().items(Joi.object({
+        name: Joi.string().required(),
+        milestones: stringList.default([])
+      }).unknown(true)).default([])
+    }).unknown(true)).min(1).required(),
+    careerPaths: Joi.array().items(Joi.object().unknown(true)).default([]),
+    nextSteps: stringList.default([])
+  }).unknown(true),
+
+  conversationSuggestions: Joi.array().items(Joi.string().trim().min(3)).min(1)
+};
+
+class StructuredOutputService {
+  constructor() {
+    this.schemas = SCHEMAS;
+  }
+
+  /**
+   * Parse and validate raw model output for an operation.
+   * Returns { valid, value, errors, repaired }.
+   */
+  parse(operation, rawText) {
+    const schema = this.schemas[operation];
+    if (!schema) {
+      throw new Error(`No output schema defined for operation: ${operation}`);
+    }
+
+    if (typeof rawText !== 'string' || rawText.trim().length === 0) {
+      return { valid: false, value: null, errors: ['Response was empty'], repaired: false };
+    }
+
+    const candidate = this.extractJson(rawText);
+    let parsed;
+    let repaired = false;
+
+    try {
+      parsed = JSON.parse(candidate);
+    } catch (parseError) {
+      try {
+        parsed = JSON.parse(this.repairJson(candidate));
+        repaired = true;
+      } catch (repairError) {
+        return { valid: false, value: null, errors: [`Invalid JSON: ${parseError.message}`], repaired: false };
+      }
+    }
+
+    const { error, value } = schema.validate(parsed, { abortEarly: false, convert: true });
+    if (error) {
+      return {
+        valid: false,
+        value: null,
+        errors: error.details.map(detail => detail.message),
+        repaired
+      };
+    }
+
+    return { valid: true, value, errors: [], repaired };
+  }
+
+  /**
+   * Call the model, validate its output and re-prompt once with the validation
+   * errors if the first answer is unusable. `requestFn(correction, inspectResult)`
+   * must resolve to { text } (or null when no provider answered); `correction`
+   * is undefined on the first attempt. Passing `inspectResult` in the provider
+   * registry options parses the output there, so the parse outcome is reported
+   * through recordAICall alongside the provider call.
+   */
+  async generate(operation, requestFn) {
+    let correction;
+    let result = { valid: false, value: null, errors: [], repaired: false };
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      let parsed = null;
+      const inspectResult = ({ text }) => {
+        parsed = this.parse(operation, text);
+        return { parse: { failed: !parsed.valid, repaired: parsed.repaired, retry: attempt > 1 } };
+      };
+
+      const response = await requestFn(correction, inspectResult);
+      if (!response) {
+        return result;
+      }
+
+      result = parsed || this.parse(operation, response.text);
+
+      if (result.valid) {
+        return result;
+      }
+
+      console.warn(`AI output for ${operation} failed validation (attempt ${attempt}):`, result.errors.join('; '));
+      correction = this.buildCorrectionPrompt(result.errors);
+    }
+
+    return result;
+  }
+
+  // === HELPER METHODS ===
+
+  /**
+   * Strip markdown fences and surrounding prose, keeping the outermost JSON value
+   */
+  extractJson(text) {
+    let cleaned = text.trim();
+
+    const fenced = cleaned.match(/```(?:json|JSON)?\s*([\s\S]*?)```/);
+    if (fenced) {
+      cleaned = fenced[1].trim();
+    }
+
+    const objectStart = cleaned.indexOf('{');
+    const arrayStart = cleaned.indexOf('[');
+    const starts = [objectStart, arrayStart].filter(index => index !== -1);
+    if (starts.length === 0) {
+      return cleaned;
+    }
+
+    const start = Math.min(...starts);
+    const end = cleaned.lastIndexOf(cleaned[start] === '{' ? '}' : ']');
+
+    return end > start ? cleaned.slice(start, end + 1) : cleaned.slice(start);
+  }
+
+  /**
+   * Best-effort fixes for near-JSON: comments, smart quotes, single quotes,
+   * unquoted keys, trailing commas and unclosed brackets
+   */
+  repairJson(text) {
+    let repaired = text
+      .replace(/[\u201C\u201D]/g, '"')
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/^\s*\/\/.*$/gm, '')
+      .replace(/([,{[]\s*)\/\/[^\n"]*$/gm, '$1')
+      .replace(/,\s*\.\.\.\s*(?=[\]}])/g, '')
+      .replace(/'([^'"\\]*)'(?=\s*[:,\]}])/g, '"$1"')
+      .replace(/([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)(\s*:)/g, '$1"$2"$3')
+      .replace(/,\s*([\]}])/g, '$1');
+
+    // Close brackets left open by a truncated response
+    const stack = [];
+    let inString = false;
+    for (let i = 0; i < repaired.length; i++) {
+      const char = repaired[i];
+      if (char === '"' && repaired[i - 1] !== '\\') {
+        inString = !inString;
+      } else if (!inString && (char === '{' || char === '[')) {
+        stack.push(char === '{' ? '}' : ']');
+      } else if (!inString && (char === '}' || char === ']')) {
+        stack.pop();
+      }
+    }
+
+    if (inString) {
+      repaired += '"';
+    }
+    repaired = repaired.replace(/,\s*$/, '');
+
+    return repaired + stack.reverse().join('');
+  }
+
+  buildCorrectionPrompt(errors) {
+    return `Your previous response could not be used because it was not valid JSON in the requested format.
+Problems found: ${errors.slice(0, 5).join('; ')}
+Respond again with only the JSON, no markdown fences and no additional text.`;
+  }
+}
+
+module.exports = new StructuredOutputService();
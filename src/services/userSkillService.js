@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const { UserSkill } = require('../models');
+
+// weight: how much one piece of evidence says about the skill, before decay
+// proficiency: 0-1 level the evidence implies when it names none; null when its score measures proficiency
+const EVIDENCE_TYPES = {
+  RESUME: { weight: 0.6, proficiency: 0.5 },
+  INTERVIEW: { weight: 0.5, proficiency: 0.35 },
+  LESSON: { weight: 0.6, proficiency: 0.4 },
+  QUIZ: { weight: 0.9, proficiency: null },
+  MENTOR_ENDORSEMENT: { weight: 0.9, proficiency: 0.6 },
+  MOCK_INTERVIEW: { weight: 0.7, proficiency: null },
+  SELF_REPORTED: { weight: 0.4, proficiency: 0.35 }
+};
+
+// Evidence that tests the skill rather than reporting it
+const VERIFIED_TYPES = ['QUIZ', 'MENTOR_ENDORSEMENT', 'MOCK_INTERVIEW'];
+
+const LEVEL_VALUES = { BEGINNER: 0.25, INTERMEDIATE: 0.5, ADVANCED: 0.75, EXPERT: 1 };
+const LEVEL_THRESHOLDS = [
+  { level: 'EXPERT', min: 0.85 },
+  { level: 'ADVANCED', min: 0.6 },
+  { level: 'INTERMEDIATE', min: 0.4 },
+  { level: 'BEGINNER', min: 0 }
+];
+
+const LEGACY_SOURCES = { resume: 'RESUME', interview: 'INTERVIEW' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class UserSkillService {
+  constructor() {
+    this.config = {
+      halfLifeDays: parseFloat(process.env.USER_SKILL_HALF_LIFE_DAYS || '180'),
+      // Skills whose decayed confidence falls below this no longer count as held
+      minConfidence: parseFloat(process.env.USER_SKILL_MIN_CONFIDENCE || '0.2'),
+      maxEvidence: 50
+    };
+  }
+
+  /**
+   * Add a piece of evidence to the user's skill, creating the UserSkill when
+   * needed, and recalculate its confidence and level. Evidence with a
+   * referenceId replaces earlier evidence of the same type and reference,
+   * so reprocessing a resume or retaking a quiz doesn't count twice.
+   * evidence: { type, score, level, referenceId, recordedBy, note }
+   */
+  async recordEvidence(userId, skillId, evidence) {
+    const entry = {
+      type: evidence.type,
+      score: evidence.score === undefined ? 1 : this.clamp(evidence.score),
+      level: evidence.level,
+      referenceId: evidence.referenceId,
+      recordedBy: evidence.recordedBy,
+      note: evidence.note,
+      recordedAt: evidence.recordedAt || new Date()
+    };
+
+    await this.migrateLegacyEvidence({ userId, skillId });
+
+    if (entry.referenceId) {
+      await UserSkill.updateOne(
+        { userId, skillId },
+        { $pull: { evidence: { type: entry.type, referenceId: entry.referenceId } } }
+      );
+    }
+
+    const userSkill = await UserSkill.findOneAndUpdate(
+      { userId, skillId },
+      {
+        $setOnInsert: { source: entry.type.toLowerCase() },
+        $push: { evidence: { $each: [entry], $slice: -this.config.maxEvidence } }
+      },
+      { upsert: true, new: true }
+    );
+
+    return this.recalculate(userSkill);
+  }
+
+  // Record the same evidence against several Skill documents
+  async recordEvidenceForSkills(userId, skills, evidence) {
+    const userSkills = [];
+    for (const skill of skills) {
+      userSkills.push(await this.recordEvidence(userId, skill._id, evidence));
+    }
+    return userSkills;
+  }
+
+  /**
+   * The user's skills with confidence decayed to now, strongest first.
+   * options: minConfidence (defaults to the held-skill threshold; 0 returns all)
+   */
+  async getUserSkills(userId, { minConfidence = this.config.minConfidence } = {}) {
+    const userSkills = await UserSkill.find({ userId })
+      .populate('skillId', 'name normalized parent prerequisites tags')
+      .lean();
+
+    return userSkills
+      .filter(userSkill => userSkill.skillId)
+      .map(userSkill => ({ ...userSkill, ...this.calculate(userSkill) }))
+      .filter(userSkill => userSkill.confidence >= minConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  async getUserSkill(userId, skillId) {
+    const userSkill = await UserSkill.findOne({ userId, skillId })
+      .populate('skillId', 'name normalized parent prerequisites tags')
+      .lean();
+
+    return userSkill && userSkill.skillId ? { ...userSkill, ...this.calculate(userSkill) } : null;
+  }
+
+  /**
+   * Recalculate confidence for skills not recalculated since `olderThanDays`.
+   * Resolves to the number of UserSkills updated.
+   */
+  async decayAll({ olderThanDays = 1, batchSize = 500 } = {}) {
+    const cutoff = new Date(Date.now() - olderThanDays * DAY_MS);
+    const cursor = UserSkill.find({ $or: [{ decayedAt: { $lt: cutoff } }, { decayedAt: null }] })
+      .select('source confidence evidence createdAt')
+      .lean()
+      .cursor();
+
+    let updated = 0;
+    let batch = [];
+
+    for await (const userSkill of cursor) {
+      const calculated = this.calculate(userSkill);
+
+      // Store the evidence derived for legacy skills so the next run doesn't decay the decayed value again
+      if (!userSkill.evidence || userSkill.evidence.length === 0) {
+        calculated.evidence = this.getEvidence(userSkill);
+      }
+
+      batch.push({
+        updateOne: {
+          filter: { _id: userSkill._id },
+          update: { $set: calculated }
+        }
+      });
+
+      if (batch.length >= batchSize) {
+        await UserSkill.bulkWrite(batch, { ordered: false });
+        updated += batch.length;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await UserSkill.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Move every user's evidence for sourceSkillId onto targetSkillId, used when
+   * duplicate skills are merged. Resolves to { moved, merged }.
+   */
+  async mergeUserSkills(sourceSkillId, targetSkillId) {
+    const userSkills = await UserSkill.find({ skillId: sourceSkillId }).lean();
+    const result = { moved: 0, merged: 0 };
+
+    for (const userSkill of userSkills) {
+      const existing = await UserSkill.findOne({ userId: userSkill.userId, skillId: targetSkillId });
+
+      if (existing) {
+        // The user has both skills: pool the evidence on the target
+        existing.evidence = [...this.getEvidence(existing), ...this.getEvidence(userSkill)]
+          .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt))
+          .slice(-this.config.maxEvidence);
+        Object.assign(existing, this.calculate(existing));
+        await existing.save();
+
+        await UserSkill.deleteOne({ _id: userSkill._id });
+        result.merged++;
+      } else {
+        await UserSkill.updateOne({ _id: userSkill._id }, { $set: { skillId: targetSkillId } });
+        result.moved++;
+      }
+    }
+
+    return result;
+  }
+
+  // === CALCULATION ===
+
+  async recalculate(userSkill) {
+    const calculated = this.calculate(userSkill);
+    await UserSkill.updateOne({ _id: userSkill._id }, { $set: calculated });
+    return Object.assign(userSkill, calculated);
+  }
+
+  /**
+   * Confidence, level and timestamps from the skill's evidence as of `now`.
+   *
+   * Each piece of evidence contributes its type weight times its score,
+   * halved every halfLifeDays; contributions combine so that more evidence
+   * raises confidence towards 1 without exceeding it. The level is the
+   * average of what the evidence says about proficiency, weighted the same way.
+   */
+  calculate(userSkill, now = new Date()) {
+    const evidence = this.getEvidence(userSkill);
+
+    let missing = 1;
+    let levelSum = 0;
+    let levelWeight = 0;
+
+    evidence.forEach(entry => {
+      const type = EVIDENCE_TYPES[entry.type] || EVIDENCE_TYPES.SELF_REPORTED;
+      const score = this.clamp(entry.score ?? 1);
+      const strength = this.decay(type.weight * score, entry.recordedAt, now);
+      missing *= 1 - strength;
+
+      levelSum += strength * (entry.level ? LEVEL_VALUES[entry.level] : (type.proficiency ?? score));
+      levelWeight += strength;
+    });
+
+    const proficiency = levelWeight > 0 ? levelSum / levelWeight : 0;
+    const verified = evidence.filter(entry => VERIFIED_TYPES.includes(entry.type));
+
+    return {
+      confidence: Math.round((1 - missing) * 1000) / 1000,
+      level: LEVEL_THRESHOLDS.find(threshold => proficiency >= threshold.min).level,
+      lastUsedAt: this.latest(evidence),
+      lastVerifiedAt: this.latest(verified),
+      decayedAt: now
+    };
+  }
+
+  decay(strength, recordedAt, now = new Date()) {
+    const ageDays = Math.max(0, (now - new Date(recordedAt)) / DAY_MS);
+    return strength * Math.pow(0.5, ageDays / this.config.halfLifeDays);
+  }
+
+  // === HELPER METHODS ===
+
+  async migrateLegacyEvidence(filter) {
+    const legacy = await UserSkill.findOne({ ...filter, 'evidence.0': { $exists: false } }).lean();
+    const evidence = legacy ? this.getEvidence(legacy) : [];
+
+    if (evidence.length > 0) {
+      await UserSkill.updateOne({ _id: legacy._id }, { $set: { evidence } });
+    }
+  }
+
+  // UserSkills created before evidence was tracked count as one piece of evidence from their source
+  getEvidence(userSkill) {
+    if (userSkill.evidence && userSkill.evidence.length > 0) {
+      return userSkill.evidence;
+    }
+
+    if (userSkill.confidence === undefined || userSkill.confidence === null) {
+      return [];
+    }
+
+    return [{
+      type: LEGACY_SOURCES[userSkill.source] || 'SELF_REPORTED',
+      score: this.clamp(userSkill.confidence),
+      recordedAt: userSkill.createdAt || new mongoose.Types.ObjectId(userSkill._id).getTimestamp()
+    }];
+  }
+
+  latest(evidence) {
+    if (evidence.length === 0) return null;
+    return new Date(Math.max(...evidence.map(entry => new Date(entry.recordedAt).getTime())));
+  }
+
+  clamp(value) {
+    return Math.min(1, Math.max(0, Number(value) || 0));
+  }
+}
+
+module.exports = new UserSkillService();
@@ -0,0 +1,54 @@
+// Scheduled sweep that marks idle interview sessions as ABANDONED
+const cron = require('node-cron');
+const { InterviewSession, Progress } = require('../models');
+
+const IDLE_TIMEOUT_HOURS = parseFloat(process.env.INTERVIEW_IDLE_TIMEOUT_HOURS || '48');
+const SWEEP_SCHEDULE = process.env.INTERVIEW_SWEEP_CRON || '*/15 * * * *';
+
+/**
+ * Abandon IN_PROGRESS sessions whose lastActivityAt is older than the idle timeout.
+ * Pass a userId to limit the sweep to a single user's sessions.
+ */
+async function abandonIdleInterviews({ userId, idleHours = IDLE_TIMEOUT_HOURS } = {}) {
+  const cutoff = new Date(Date.now() - idleHours * 60 * 60 * 1000);
+  const filter = { status: 'IN_PROGRESS', lastActivityAt: { $lt: cutoff } };
+  if (userId) filter.userId = userId;
+
+  const idleSessions = await InterviewSession.find(filter).select('_id userId').lean();
+  if (idleSessions.length === 0) return 0;
+
+  const ids = idleSessions.map(session => session._id);
+
+  // updateMany bypasses the save hook, so lastActivityAt keeps the real last activity
+  await InterviewSession.updateMany(
+    { _id: { $in: ids }, status: 'IN_PROGRESS' },
+    { $set: { status: 'ABANDONED' } }
+  );
+
+  await Progress.updateMany(
+    { type: 'interview', referenceId: { $in: ids } },
+    { $set: { status: 'paused', 'metadata.abandonedAt': new Date().toISOString() } }
+  );
+
+  return ids.length;
+}
+
+// Exported handler for Cloud Scheduler / Pub/Sub triggers
+exports.handleInterviewSweep = async () => {
+  try {
+    const abandoned = await abandonIdleInterviews();
+    if (abandoned > 0) {
+      console.log(`Interview sweep: marked ${abandoned} idle session(s) as abandoned`);
+    }
+  } catch (error) {
+    console.error('Interview sweep error:', error);
+  }
+};
+
+// In-process schedule for long-running (non-serverless) deployments
+exports.scheduleInterviewSweep = () => {
+  return cron.schedule(SWEEP_SCHEDULE, exports.handleInterviewSweep);
+};
+
+exports.abandonIdleInterviews = abandonIdleInterviews;
+exports.IDLE_TIMEOUT_HOURS = IDLE_TIMEOUT_HOURS;
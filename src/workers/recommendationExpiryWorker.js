@@ -0,0 +1,22 @@
+// Scheduled sweep that marks recommendations past their expiresAt as EXPIRED
+const cron = require('node-cron');
+const recommendationService = require('../services/recommendationService');
+
+const EXPIRY_SCHEDULE = process.env.RECOMMENDATION_EXPIRY_CRON || '0 * * * *';
+
+// Exported handler for Cloud Scheduler / Pub/Sub triggers
+exports.handleRecommendationExpiry = async () => {
+  try {
+    const expired = await recommendationService.expireRecommendations();
+    if (expired > 0) {
+      console.log(`Recommendation expiry: marked ${expired} recommendation(s) as expired`);
+    }
+  } catch (error) {
+    console.error('Recommendation expiry error:', error);
+  }
+};
+
+// In-process schedule for long-running (non-serverless) deployments
+exports.scheduleRecommendationExpiry = () => {
+  return cron.schedule(EXPIRY_SCHEDULE, exports.handleRecommendationExpiry);
+};
@@ -1,9 +1,12 @@
 // GCS-triggered Resume Worker (Cloud Function)
 const { Storage } = require('@google-cloud/storage');
 const path = require('path');
-const { UserProfile, FileUpload, Notification, Skill, UserSkill } = require('../models');
+const { UserProfile, FileUpload, Notification } = require('../models');
 const ocrService = require('../services/ocrService');
 const aiService = require('../services/aiService');
+const aiUsageService = require('../services/aiUsageService');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const userSkillService = require('../services/userSkillService');
 
 const storage = new Storage();
 
@@ -54,8 +57,12 @@ exports.handleResumeUpload = async (event) => {
 
     let normalized = null;
     try {
-      if (ocrResult && ocrResult.extractedText) {
-        normalized = await aiService.analyzeResumeText(ocrResult.extractedText, userProfile || {});
+      // Skip AI normalization (OCR results are still saved) once the user's budget is spent
+      const budget = await aiUsageService.checkBudget(userId, ['resume']);
+      if (ocrResult && ocrResult.extractedText && budget.allowed) {
+        normalized = await aiUsageService.runForUser(userId, () =>
+          aiService.analyzeResumeText(ocrResult.extractedText, userProfile || {})
+        );
       }
     } catch (_) {}
 
@@ -78,7 +85,7 @@ exports.handleResumeUpload = async (event) => {
 
       // Upsert profile skills
       if (ocrResult.confidence > 0.7) {
-        await upsertSkillsFromResume(userId, normalized || ocrResult.processedData);
+        await upsertSkillsFromResume(userId, normalized || ocrResult.processedData, uploadRecord);
       }
 
       // Create notification
@@ -101,10 +108,11 @@ exports.handleResumeUpload = async (event) => {
   }
 };
 
-async function upsertSkillsFromResume(userId, processedData) {
+async function upsertSkillsFromResume(userId, processedData, uploadRecord) {
   const { personalInfo, skills = [] } = processedData || {};
   const existingProfile = await UserProfile.findOne({ userId });
-  const mergedSkills = [...new Set([...(skills || []), ...((existingProfile?.skills) || [])])];
+  const resumeSkills = await skillTaxonomyService.canonicalizeNames(skills || []);
+  const mergedSkills = await skillTaxonomyService.canonicalizeNames([...resumeSkills, ...((existingProfile?.skills) || [])]);
 
   await UserProfile.findOneAndUpdate(
     { userId },
@@ -118,21 +126,13 @@ async function upsertSkillsFromResume(userId, processedData) {
     { upsert: true, new: true }
   );
 
-  for (const raw of mergedSkills.slice(0, 50)) {
-    const name = String(raw).trim();
-    if (!name) continue;
-    const normalized = name.toLowerCase().replace(/[^a-z0-9+.#]+/g, '-');
-    const skill = await Skill.findOneAndUpdate(
-        { normalized },
-        { $set: { name }, $setOnInsert: { normalized, tags: [] } },
-        { upsert: true, new: true }
-    );
-    await UserSkill.findOneAndUpdate(
-        { userId, skillId: skill._id },
-        { $set: { source: 'resume', confidence: processedData?.normalizedConfidence || 0.7 } },
-        { upsert: true, new: true }
-    );
-  }
+  // Only skills found on this resume count as resume evidence
+  const skillDocs = await skillTaxonomyService.upsertSkills(resumeSkills.slice(0, 50));
+  await userSkillService.recordEvidenceForSkills(userId, skillDocs, {
+    type: 'RESUME',
+    score: processedData?.normalizedConfidence || 0.7,
+    referenceId: uploadRecord?._id
+  });
 }
 
 
@@ -0,0 +1,22 @@
+// Scheduled sweep that recalculates skill confidence so it decays without fresh evidence
+const cron = require('node-cron');
+const userSkillService = require('../services/userSkillService');
+
+const DECAY_SCHEDULE = process.env.USER_SKILL_DECAY_CRON || '30 3 * * *';
+
+// Exported handler for Cloud Scheduler / Pub/Sub triggers
+exports.handleUserSkillDecay = async () => {
+  try {
+    const updated = await userSkillService.decayAll();
+    if (updated > 0) {
+      console.log(`User skill decay: recalculated ${updated} skill(s)`);
+    }
+  } catch (error) {
+    console.error('User skill decay error:', error);
+  }
+};
+
+// In-process schedule for long-running (non-serverless) deployments
+exports.scheduleUserSkillDecay = () => {
+  return cron.schedule(DECAY_SCHEDULE, exports.handleUserSkillDecay);
+};